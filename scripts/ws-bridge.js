@@ -0,0 +1,78 @@
+#!/usr/bin/env node
+'use strict'
+
+/**
+ * This is a script to expose a local serial port over WebSocket.
+ * A board which is plugged into this machine can be connected with "connect board via bridge [URL]" block.
+ *
+ * usage: node scripts/ws-bridge.js --serial=/dev/ttyACM0 [--host=127.0.0.1] [--port=8080] [--baud=57600]
+ *
+ * It listens only on this machine by default. Give --host=0.0.0.0 to open the board to the network.
+ *
+ * Bytes are relayed as they are in both directions, so the path can be tested
+ * with any local stand-in which speaks Firmata on a (virtual) serial port.
+ */
+
+const { WebSocketServer } = require('ws');
+const { SerialPort } = require('serialport');
+
+const args = Object.fromEntries(process.argv.slice(2)
+    .filter(arg => arg.startsWith('--'))
+    .map(arg => {
+        const [key, value] = arg.slice(2).split('=');
+        return [key, value === undefined ? true : value];
+    }));
+
+if (!args.serial) {
+    console.error('usage: node scripts/ws-bridge.js --serial=<path> [--host=127.0.0.1] [--port=8080] [--baud=57600]');
+    process.exit(1);
+}
+
+const wsHost = args.host || '127.0.0.1';
+const wsPort = Number(args.port || 8080);
+const baudRate = Number(args.baud || 57600); // default baud rate for firmata
+
+// set by Ctrl-C to tell the closing by user from unplugging the board
+let shuttingDown = false;
+
+const serial = new SerialPort({ path: args.serial, baudRate: baudRate });
+serial.on('open', () => console.log(`Opened ${args.serial} at ${baudRate}bps`));
+serial.on('error', err => console.error(`Serial error: ${err.message}`));
+serial.on('close', () => {
+    console.log(`Closed ${args.serial}`);
+    process.exit(shuttingDown ? 0 : 1);
+});
+
+const server = new WebSocketServer({ host: wsHost, port: wsPort });
+server.on('listening', () => console.log(`Listening on ws://${wsHost}:${wsPort}`));
+
+// only one client can use the board at a time
+let activeClient = null;
+
+server.on('connection', (client, request) => {
+    if (activeClient) {
+        console.log(`Refused ${request.socket.remoteAddress}: the board is in use`);
+        client.close(1013, 'the board is in use');
+        return;
+    }
+    activeClient = client;
+    console.log(`Connected from ${request.socket.remoteAddress}`);
+    const relay = data => client.send(data);
+    serial.on('data', relay);
+    client.on('message', (data, isBinary) => {
+        if (!isBinary) return;
+        serial.write(data);
+    });
+    client.on('close', () => {
+        serial.removeListener('data', relay);
+        activeClient = null;
+        console.log('Disconnected');
+    });
+});
+
+process.on('SIGINT', () => {
+    shuttingDown = true;
+    server.close();
+    if (!serial.isOpen) process.exit(0);
+    serial.close();
+});
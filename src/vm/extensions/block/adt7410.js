@@ -0,0 +1,237 @@
+/**
+ * ADT7410 API
+ * high accuracy temperature sensor by Analog Devices
+ * This code refer to
+ * https://www.analog.com/media/en/technical-documentation/data-sheets/ADT7410.pdf
+ */
+
+/**
+ * default I2C address
+ * @enum {number}
+ */
+const ADT7410_ADDRESS = 0x48;
+
+// registers
+const ADT7410_REG_TEMP = 0x00;
+const ADT7410_REG_STATUS = 0x02;
+const ADT7410_REG_CONFIG = 0x03;
+const ADT7410_REG_T_HIGH = 0x04;
+const ADT7410_REG_T_LOW = 0x06;
+const ADT7410_REG_ID = 0x0B;
+
+/**
+ * Manufacturer ID in the upper 5 bits of the ID register.
+ */
+const ADT7410_ID = 0xC8;
+
+// configuration
+const CONFIG_RESOLUTION_16BIT = 0x80;
+const CONFIG_MODE_ONE_SHOT = 0x20;
+
+// status
+const STATUS_T_HIGH = 0x20;
+const STATUS_T_LOW = 0x10;
+
+/**
+ * Waiting time [milliseconds] for a conversion in one-shot mode.
+ */
+const ONE_SHOT_CONVERSION_TIME = 240;
+
+/**
+ * Return a Promise which resolves after the time.
+ * @param {number} time - waiting time [milliseconds]
+ * @returns {Promise} a Promise which resolves after the time
+ */
+const wait = time => new Promise(resolve => setTimeout(resolve, time));
+
+/**
+ * Return the bytes of the temperature in the format of the threshold registers.
+ * @param {number} temperature - temperature [degree]
+ * @returns {Array<number>} MSB and LSB in 1/128 degree
+ */
+const thresholdBytes = temperature => {
+    const value = Math.max(-32768, Math.min(32767, Math.round(temperature * 128)));
+    return [(value >> 8) & 0xFF, value & 0xFF];
+};
+
+/**
+ * This class is representing a ADT7410.
+ */
+export default class ADT7410 {
+    /**
+     * Constructor of ADT7410 instance.
+     * @param {AkaDakoBoard} board - connecting AkaDako board
+     * @param {number} address - I2C address
+     */
+    constructor (board, address = ADT7410_ADDRESS) {
+
+        /**
+         * Connecting AkaDako board
+         * @type {import('./akadako-board').default}
+         */
+        this.board = board;
+
+        /**
+         * I2C address
+         * @type {number}
+         */
+        this.address = address;
+
+        /**
+         * Timeout for readings in milliseconds.
+         * @type {number}
+         */
+        this.timeout = 200;
+
+        /**
+         * Resolution of the temperature [13 | 16] bits.
+         * @type {number}
+         */
+        this.resolution = 16;
+
+        /**
+         * Conversion mode [continuous | one-shot].
+         * @type {string}
+         */
+        this.mode = 'continuous';
+
+        /**
+         * Continuous reading of the temperature registers.
+         * @type {?I2CSubscription}
+         */
+        this.subscription = null;
+    }
+
+    /**
+     * Check if an ADT7410 is connected.
+     * @param {AkadakoBoard} board - connecting akadako board
+     * @returns {Promise<boolean>} A Promise which resolves true if the device is ADT7410, false otherwise.
+     */
+    static async isConnected (board) {
+        try {
+            const adt7410 = new ADT7410(board);
+            return (await adt7410.readID()) === ADT7410_ID;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    /**
+     * Read ID of the sensor.
+     * @returns {Promise<number>} a Promise which resolves manufacturer ID without the revision
+     */
+    async readID () {
+        const data = await this.board.i2cReadOnce(this.address, ADT7410_REG_ID, 1, this.timeout);
+        return data[0] & 0xF8;
+    }
+
+    /**
+     * Initialize the sensor
+     * @returns {Promise} a Promise which resolves when the sensor was initialized
+     */
+    async init () {
+        const id = await this.readID();
+        if (id !== ADT7410_ID) return Promise.reject(`0x${this.address.toString(16)} is not ADT7410`);
+        await this.writeConfig();
+    }
+
+    /**
+     * Write the resolution and the conversion mode to the configuration register.
+     * A conversion starts by this in one-shot mode.
+     * @returns {Promise} a Promise which resolves when the configuration was written
+     */
+    writeConfig () {
+        let config = 0x00;
+        if (this.resolution === 16) config |= CONFIG_RESOLUTION_16BIT;
+        if (this.mode === 'one-shot') config |= CONFIG_MODE_ONE_SHOT;
+        return this.board.i2cWrite(this.address, ADT7410_REG_CONFIG, config);
+    }
+
+    /**
+     * Set the resolution of the temperature.
+     * @param {number} resolution - resolution [13 | 16] bits
+     * @returns {Promise} a Promise which resolves when the configuration was written
+     */
+    setResolution (resolution) {
+        this.resolution = (resolution === 13) ? 13 : 16;
+        return this.writeConfig();
+    }
+
+    /**
+     * Set the conversion mode.
+     * Continuous reading of the registers is stopped in one-shot mode.
+     * @param {string} mode - conversion mode [continuous | one-shot]
+     * @returns {Promise} a Promise which resolves when the configuration was written
+     */
+    async setMode (mode) {
+        this.mode = (mode === 'one-shot') ? 'one-shot' : 'continuous';
+        await this.writeConfig();
+        if (this.mode === 'one-shot') {
+            this.unsubscribe();
+        } else {
+            this.subscribe();
+        }
+    }
+
+    /**
+     * Set the thresholds for the over/under temperature alarms.
+     * @param {number} high - over temperature threshold [degree]
+     * @param {number} low - under temperature threshold [degree]
+     * @returns {Promise} a Promise which resolves when the thresholds were written
+     */
+    async setThresholds (high, low) {
+        await this.board.i2cWrite(this.address, ADT7410_REG_T_HIGH, thresholdBytes(high));
+        await this.board.i2cWrite(this.address, ADT7410_REG_T_LOW, thresholdBytes(low));
+    }
+
+    /**
+     * Read the alarms in the status register.
+     * @returns {Promise<{high: boolean, low: boolean}>} a Promise which resolves whether the temperature is
+     * over the high threshold or under the low threshold
+     */
+    async readAlarms () {
+        const data = await this.board.i2cReadOnce(this.address, ADT7410_REG_STATUS, 1, this.timeout);
+        return {
+            high: (data[0] & STATUS_T_HIGH) !== 0,
+            low: (data[0] & STATUS_T_LOW) !== 0
+        };
+    }
+
+    /**
+     * Start continuous reading of the temperature registers in continuous mode.
+     */
+    subscribe () {
+        if (this.subscription || this.mode !== 'continuous') return;
+        this.subscription = this.board.i2cSubscribe(this.address, ADT7410_REG_TEMP, 2);
+    }
+
+    /**
+     * Stop the continuous reading.
+     */
+    unsubscribe () {
+        if (!this.subscription) return;
+        this.subscription.unsubscribe();
+        this.subscription = null;
+    }
+
+    /**
+     * Read temperature from the sensor.
+     * A conversion is requested and waited in one-shot mode.
+     * @returns {Promise<number>} a Promise which resolves temperature [degree]
+     */
+    async readTemperature () {
+        let data = this.subscription ? this.subscription.dataAt(ADT7410_REG_TEMP, 2) : null;
+        if (!data) {
+            if (this.mode === 'one-shot') {
+                await this.writeConfig();
+                await wait(ONE_SHOT_CONVERSION_TIME);
+            }
+            data = await this.board.i2cReadOnce(this.address, ADT7410_REG_TEMP, 2, this.timeout);
+        }
+        const dataView = new DataView(new Uint8Array(data).buffer);
+        const raw = dataView.getInt16(0, false);
+        if (this.resolution === 16) return raw / 128;
+        // the lower 3 bits are flags in 13-bit resolution
+        return (raw >> 3) / 16;
+    }
+}
@@ -6,12 +6,30 @@
 // register addresses
 const ADXL345_ADDR = 0x53;
 const ADXL345_ID = 0xE5;
+const BW_RATE = 0x2C;
 const DATA_FORMAT = 0x31;
 const POWER_CTL = 0x2D;
 const DATA_X0 = 0x32;
-const FULL_RES_16G = 0x0B;
+const FULL_RES = 0x08;
 const MEASURE = 0x08;
 
+// range bits of DATA_FORMAT by the range [G], the scale is same in the full resolution
+const RANGE_BITS = {
+    2: 0x00,
+    4: 0x01,
+    8: 0x02,
+    16: 0x03
+};
+
+// rate bits of BW_RATE by the output data rate [Hz]
+const RATE_BITS = {
+    12.5: 0x07,
+    25: 0x08,
+    50: 0x09,
+    100: 0x0A,
+    200: 0x0B
+};
+
 /**
  * This class is representing a ADXL345.
  */
@@ -48,6 +66,29 @@ export default class ADXL345 {
             y: 0.0392266,
             z: 0.0392266
         };
+
+        /**
+         * Continuous reading of the acceleration data.
+         * @type {?I2CSubscription}
+         */
+        this.subscription = null;
+    }
+
+    /**
+     * Start continuous reading of the acceleration data.
+     */
+    subscribe () {
+        if (this.subscription) return;
+        this.subscription = this.board.i2cSubscribe(this.address, DATA_X0, 6);
+    }
+
+    /**
+     * Stop the continuous reading.
+     */
+    unsubscribe () {
+        if (!this.subscription) return;
+        this.subscription.unsubscribe();
+        this.subscription = null;
     }
 
     /**
@@ -68,13 +109,18 @@ export default class ADXL345 {
 
     /**
      * Initialize the sensor
+     * @param {number} range - range [G] in 2, 4, 8 or 16, it is 16 when it was not supported
+     * @param {number} dataRate - output data rate [Hz] in 12.5, 25, 50, 100 or 200, it is 100 when it was not supported
      * @returns {Promise} a Promise which resolves when the sensor was initialized
      */
-    init () {
+    init (range, dataRate) {
+        const rangeBits = (range in RANGE_BITS) ? RANGE_BITS[range] : RANGE_BITS[16];
+        const rateBits = (dataRate in RATE_BITS) ? RATE_BITS[dataRate] : RATE_BITS[100];
         return this.readID()
             .then(id => {
                 if (id !== ADXL345_ID) return Promise.reject(`0x${this.address.toString(16)} is not ADXL345`);
-                this.board.i2cWrite(this.address, DATA_FORMAT, FULL_RES_16G);
+                this.board.i2cWrite(this.address, BW_RATE, rateBits);
+                this.board.i2cWrite(this.address, DATA_FORMAT, FULL_RES | rangeBits);
                 this.board.i2cWrite(this.address, POWER_CTL, MEASURE);
             });
     }
@@ -93,7 +139,11 @@ export default class ADXL345 {
      * @returns {promise<{x: number, y: number, z: number}>} a Promise which resolves acceleration
      */
     getAcceleration () {
-        return this.board.i2cReadOnce(this.address, DATA_X0, 6, this.timeout)
+        const latest = this.subscription ? this.subscription.dataAt(DATA_X0, 6) : null;
+        const request = latest ?
+            Promise.resolve(latest) :
+            this.board.i2cReadOnce(this.address, DATA_X0, 6, this.timeout);
+        return request
             .then(data => {
                 const dataView = new DataView(new Uint8Array(data).buffer);
                 const acceleration = {};
@@ -3,6 +3,10 @@ import bindTransport from 'firmata-io';
 import SerialPort from '@serialport/stream';
 import WSABinding from 'web-serial-binding';
 import MidiDakoTransport from './mididako-transport';
+import BleDakoTransport from './ble-dako-transport';
+import WebSocketDakoTransport from './websocket-dako-transport';
+import SimulatorDakoTransport from './simulator-dako-transport';
+import I2CSubscriptionManager from './i2c-subscription-manager';
 import {getSettings} from './akadako-board-settings';
 import {
     FIRMATA_7BIT_MASK,
@@ -25,6 +29,31 @@ const WATER_TEMPERATURE_QUERY = 0x02;
 
 const DEVICE_ENABLE = 0x03;
 
+/**
+ * Range of the 7-bit I2C addresses to be scanned, the reserved addresses are excluded.
+ */
+const I2C_SCAN_RANGE = {first: 0x08, last: 0x77};
+
+/**
+ * ID registers of the known I2C devices to identify them.
+ * VL53L0X is checked before LTR303 because they can share the address 0x29.
+ * @type {Array<{name: string, addresses: Array<number>, register: number, mask: number, value: number}>}
+ */
+const KNOWN_I2C_DEVICES = [
+    {name: 'BME280', addresses: [0x76, 0x77], register: 0xD0, mask: 0xFF, value: 0x60},
+    {name: 'BMP280', addresses: [0x76, 0x77], register: 0xD0, mask: 0xFF, value: 0x58},
+    {name: 'VL53L0X', addresses: [0x29, 0x08], register: 0xC0, mask: 0xFF, value: 0xEE},
+    {name: 'LTR303', addresses: [0x29], register: 0x86, mask: 0xF0, value: 0xA0},
+    {name: 'KXTJ3', addresses: [0x0E, 0x0F], register: 0x0F, mask: 0xFF, value: 0x35},
+    {name: 'ADXL345', addresses: [0x53, 0x1D], register: 0x00, mask: 0xFF, value: 0xE5},
+    {name: 'ADT7410', addresses: [0x48, 0x49, 0x4A, 0x4B], register: 0x0B, mask: 0xF8, value: 0xC8},
+    {name: 'APDS9960', addresses: [0x39], register: 0x92, mask: 0xFF, value: 0xAB},
+    {name: 'MPU6050', addresses: [0x68, 0x69], register: 0x75, mask: 0xFF, value: 0x68},
+    {name: 'BMI088 gyroscope', addresses: [0x68, 0x69], register: 0x00, mask: 0xFF, value: 0x0F},
+    {name: 'BMI088 accelerometer', addresses: [0x18, 0x19], register: 0x00, mask: 0xFF, value: 0x1E},
+    {name: 'LSM6DS3', addresses: [0x6A, 0x6B], register: 0x0F, mask: 0xFF, value: 0x69}
+];
+
 /**
  * Returns a Promise which will reject after the delay time passed.
  * @param {number} delay - waiting time to reject in milliseconds
@@ -99,6 +128,15 @@ class AkaDakoBoard extends EventEmitter {
         return 'RELEASED';
     }
 
+    /**
+     * Event name for reporting that the connection was lost by an error.
+     * A snapshot of the settings of the board is passed to the listeners.
+     * @const {string}
+     */
+    static get CONNECTION_LOST () {
+        return 'CONNECTION_LOST';
+    }
+
     /**
      * Construct a AkaDako board object.
      * @param {Runtime} runtime - the Scratch runtime
@@ -158,12 +196,42 @@ class AkaDakoBoard extends EventEmitter {
          */
         this.i2cReadWaitingTime = 100;
 
+        /**
+         * Waiting time for response of each address in I2C scan in milliseconds.
+         * @type {number}
+         */
+        this.i2cScanWaitingTime = 50;
+
+        /**
+         * Running I2C scan which is shared by the requests during the scan.
+         * @type {?Promise<Array<number>>}
+         */
+        this.i2cScanning = null;
+
+        /**
+         * Continuous I2C readings which are shared by the drivers.
+         * @type {I2CSubscriptionManager}
+         */
+        this.i2cSubscriptions = new I2CSubscriptionManager(this);
+
         /**
          * Waiting time for response of OneWire reading in milliseconds.
          * @type {number}
          */
         this.oneWireReadWaitingTime = 100;
 
+        /**
+         * Waiting time for the result of OneWire search in milliseconds.
+         * @type {number}
+         */
+        this.oneWireSearchWaitingTime = 1000;
+
+        /**
+         * ROM codes of the devices which were found on each OneWire bus by the pin.
+         * @type {Map<number, Array<Array<number>>>}
+         */
+        this.oneWireDevices = new Map();
+
         /**
          * Waiting time for response of ultrasonic distance sensor reading in milliseconds.
          * @type {number}
@@ -188,6 +256,31 @@ class AkaDakoBoard extends EventEmitter {
          */
         this.portInfo = null;
 
+        /**
+         * Native port which this board is using.
+         * This is a SerialPort of WebSerial or a MIDIInput of WebMIDI.
+         * @type {object}
+         */
+        this.nativePort = null;
+
+        /**
+         * How this board was connected to be used for reconnection.
+         * @type {?{type: string, options: object}}
+         */
+        this.lastConnection = null;
+
+        /**
+         * Description of the filter which selected the port.
+         * @type {?string}
+         */
+        this.matchedFilter = null;
+
+        /**
+         * Simulator which is used as the transport instead of a real board.
+         * @type {?SimulatorDakoTransport}
+         */
+        this.simulator = null;
+
         /**
          * Parameters of the NeoPixel strips.
          * @type {Array<object>}
@@ -265,34 +358,66 @@ class AkaDakoBoard extends EventEmitter {
     /**
      * Ask user to open serial port for firmata and return it.
      * @param {object} options - serial port options
+     * @param {Array<object>} excludedPorts - ports which are used by other boards
+     * @param {?object} knownPort - permitted native port to be opened without request
      * @returns {SerialPort} opened serial port
      */
-    async openSerialPort (options) {
+    async openSerialPort (options, excludedPorts = [], knownPort = null) {
         let nativePort = null;
-        const permittedPorts = await navigator.serial.getPorts();
-        if ((permittedPorts !== null) && (Array.isArray(permittedPorts)) && (permittedPorts.length > 0)) {
-            nativePort = permittedPorts[0];
+        if (knownPort) {
+            if (excludedPorts.includes(knownPort)) {
+                return Promise.reject('the serial port is already used by another board');
+            }
+            nativePort = knownPort;
         } else {
-            nativePort = await navigator.serial.requestPort(options);
+            let permittedPorts = await navigator.serial.getPorts();
+            if ((permittedPorts !== null) && (Array.isArray(permittedPorts))) {
+                permittedPorts = permittedPorts.filter(port => !excludedPorts.includes(port));
+            }
+            if ((permittedPorts !== null) && (Array.isArray(permittedPorts)) && (permittedPorts.length > 0)) {
+                nativePort = permittedPorts[0];
+            } else {
+                nativePort = await navigator.serial.requestPort(options);
+                if (excludedPorts.includes(nativePort)) {
+                    return Promise.reject('the serial port is already used by another board');
+                }
+            }
         }
+        this.nativePort = nativePort;
+        this.lastConnection = {type: 'serial', options: options, port: nativePort};
         SerialPort.Binding = WSABinding;
         const port = new SerialPort(nativePort, {
             baudRate: 57600, // default baud rate for firmata
             autoOpen: true
         });
         this.portInfo = port.path.getInfo();
+        const filter = (options && options.filters) ? options.filters.find(aFilter =>
+            (aFilter.usbVendorId === this.portInfo.usbVendorId) &&
+            (aFilter.usbProductId === this.portInfo.usbProductId)) : null;
+        this.matchedFilter = filter ? `serial ${JSON.stringify(filter)}` : 'serial (permitted port)';
         return port;
     }
 
     /**
      * Return connected AkaDako board using WebSerial
      * @param {object} options - serial port options
+     * @param {Array<object>} excludedPorts - ports which are used by other boards
+     * @param {?object} nativePort - permitted native port to be opened without request
      * @returns {Promise<AkaDakoBoard>} a Promise which resolves a connected AkaDako board or reject with reason
      */
-    async connectSerial (options) {
+    async connectSerial (options, excludedPorts, nativePort) {
         if (this.firmata) return Promise.resolve(this); // already opened
         this.state = 'portRequesting';
-        const port = await this.openSerialPort(options);
+        const port = await this.openSerialPort(options, excludedPorts, nativePort);
+        return this.startFirmata(port);
+    }
+
+    /**
+     * Start Firmata on the transport which passes through the standard Firmata messages.
+     * @param {object} port - transport for Firmata
+     * @returns {Promise<AkaDakoBoard>} a Promise which resolves this board when it was ready
+     */
+    startFirmata (port) {
         const request = new Promise(resolve => {
             const firmata = new Firmata(
                 port,
@@ -315,9 +440,10 @@ class AkaDakoBoard extends EventEmitter {
      * Request MidiDako MIDIport and return it as a Firmata transport
      *
      * @param {Array<{manufacturer: string, name: string}>} filters selecting rules for MIDIPort
+     * @param {Array<object>} excludedPorts - MIDIInputs which are used by other boards
      * @returns {Promise<MidiDakoTransport>} MIDI transport for Firmata
      */
-    async openMIDIPort (filters) {
+    async openMIDIPort (filters, excludedPorts = []) {
         const midiAccess = await navigator.requestMIDIAccess({sysex: true})
             .catch(() => Promise.reject(`no available MIDI Access`));
         const findPort = async (portType, portFilters, retries = 3, delayMs = 700) => {
@@ -325,12 +451,16 @@ class AkaDakoBoard extends EventEmitter {
             for (const filter of portFilters) {
                 const ports = (portType === 'input') ? midiAccess.inputs : midiAccess.outputs;
                 ports.forEach(port => {
+                    if (excludedPorts.some(used => used.id === port.id)) return;
                     if ((!filter.manufacturer || filter.manufacturer.test(port.manufacturer)) &&
                 (!filter.name || filter.name.test(port.name))) {
                         availablePorts.push(port);
                     }
                 });
                 if (availablePorts.length > 0) {
+                    if (portType === 'input') {
+                        this.matchedFilter = `MIDI manufacturer: ${filter.manufacturer}, name: ${filter.name}`;
+                    }
                     return availablePorts[0];
                 }
             }
@@ -361,13 +491,24 @@ class AkaDakoBoard extends EventEmitter {
             const inputs = midiAccess.inputs.values();
             const outputs = midiAccess.outputs.values();
             let result = inputs.next();
+            while (!result.done && excludedPorts.some(used => used.id === result.value.id)) {
+                result = inputs.next();
+            }
             if (result.done) return Promise.reject('no MIDIInput');
             inputPort = result.value;
+            this.matchedFilter = 'MIDI (no filter)';
             result = outputs.next();
             if (result.done) return Promise.reject('no MIDIOutput');
             outputPort = result.value;
         }
         this.portInfo = {manufacturer: inputPort.manufacturer, name: inputPort.name};
+        this.nativePort = inputPort;
+        // prefer the same port at the reconnection
+        const escapedName = inputPort.name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        this.lastConnection = {
+            type: 'midi',
+            options: [{manufacturer: null, name: new RegExp(`^${escapedName}$`)}].concat(filters || [])
+        };
         const transport = new MidiDakoTransport(inputPort, outputPort);
         await transport.close();
         await transport.open();
@@ -377,12 +518,23 @@ class AkaDakoBoard extends EventEmitter {
     /**
      * Return connected AkaDako board using WebMIDI
      * @param {Array<{manufacturer: string, name: string}>} filters - selecting rules for MIDIPort
+     * @param {Array<object>} excludedPorts - MIDIInputs which are used by other boards
      * @returns {Promise<AkaDakoBoard>} a Promise which resolves a connected AkaDako board or reject with reason
      */
-    async connectMIDI (filters) {
+    async connectMIDI (filters, excludedPorts) {
         if (this.firmata) return Promise.resolve(this); // already opened
         this.state = 'portRequesting';
-        const port = await this.openMIDIPort(filters);
+        const port = await this.openMIDIPort(filters, excludedPorts);
+        return this.startMidiFirmata(port);
+    }
+
+    /**
+     * Start Firmata on the transport which speaks MIDI messages of MidiDako.
+     * Version queries are skipped because the board does not answer them over MIDI.
+     * @param {object} port - transport for Firmata
+     * @returns {Promise<AkaDakoBoard>} a Promise which resolves this board when it was ready
+     */
+    startMidiFirmata (port) {
         const request = new Promise(resolve => {
             const {pins, analogPins} = getSettings();
             const firmata = new Firmata(
@@ -422,6 +574,202 @@ class AkaDakoBoard extends EventEmitter {
             });
     }
 
+    /**
+     * Request a BLE device and return it as a Firmata transport.
+     * @param {object} options - options for requestDevice() of Web Bluetooth
+     * @param {Array<object>} excludedPorts - BluetoothDevices which are used by other boards
+     * @param {?BluetoothDevice} device - device to be connected without request
+     * @returns {Promise<BleDakoTransport>} BLE transport for Firmata
+     */
+    async openBLEPort (options, excludedPorts = [], device = null) {
+        if (!device) {
+            device = await navigator.bluetooth.requestDevice(options);
+        }
+        if (excludedPorts.some(used => used.id === device.id)) {
+            return Promise.reject('the BLE device is already used by another board');
+        }
+        const transport = new BleDakoTransport(device);
+        const error = await transport.open();
+        if (error) {
+            await transport.close();
+            return Promise.reject(error);
+        }
+        this.portInfo = {name: device.name, id: device.id, protocol: transport.protocol};
+        const filter = (options && options.filters) ?
+            options.filters.find(aFilter => device.name && device.name.startsWith(aFilter.namePrefix)) : null;
+        this.matchedFilter = filter ? `BLE ${JSON.stringify(filter)}` : 'BLE (known device)';
+        this.nativePort = device;
+        this.lastConnection = {type: 'ble', options: options, device: device};
+        return transport;
+    }
+
+    /**
+     * Return connected AkaDako board using Web Bluetooth
+     * @param {object} options - options for requestDevice() of Web Bluetooth
+     * @param {Array<object>} excludedPorts - BluetoothDevices which are used by other boards
+     * @param {?BluetoothDevice} device - device to be connected without request
+     * @returns {Promise<AkaDakoBoard>} a Promise which resolves a connected AkaDako board or reject with reason
+     */
+    async connectBLE (options, excludedPorts, device) {
+        if (this.firmata) return Promise.resolve(this); // already opened
+        this.state = 'portRequesting';
+        const port = await this.openBLEPort(options, excludedPorts, device);
+        if (port.protocol === 'midi') {
+            return this.startMidiFirmata(port);
+        }
+        return this.startFirmata(port);
+    }
+
+    /**
+     * Open a WebSocket to the bridge and return it as a Firmata transport.
+     * @param {string} url - URL of the bridge
+     * @param {Array<object>} excludedPorts - URLs which are used by other boards
+     * @returns {Promise<WebSocketDakoTransport>} WebSocket transport for Firmata
+     */
+    async openWebSocketPort (url, excludedPorts = []) {
+        if (excludedPorts.includes(url)) {
+            return Promise.reject('the bridge is already used by another board');
+        }
+        const transport = new WebSocketDakoTransport(url);
+        const error = await transport.open();
+        if (error) {
+            await transport.close();
+            return Promise.reject(error);
+        }
+        this.portInfo = {url: url};
+        this.nativePort = url;
+        this.lastConnection = {type: 'websocket', options: url};
+        return transport;
+    }
+
+    /**
+     * Return connected AkaDako board through a WebSocket bridge
+     * @param {string} url - URL of the bridge
+     * @param {Array<object>} excludedPorts - URLs which are used by other boards
+     * @returns {Promise<AkaDakoBoard>} a Promise which resolves a connected AkaDako board or reject with reason
+     */
+    async connectWebSocket (url, excludedPorts) {
+        if (this.firmata) return Promise.resolve(this); // already opened
+        this.state = 'portRequesting';
+        const port = await this.openWebSocketPort(url, excludedPorts);
+        return this.startFirmata(port);
+    }
+
+    /**
+     * Return connected simulated AkaDako board
+     * @param {object} options - settings of the simulator
+     * @returns {Promise<AkaDakoBoard>} a Promise which resolves a connected AkaDako board or reject with reason
+     */
+    async connectSimulator (options) {
+        if (this.firmata) return Promise.resolve(this); // already opened
+        this.state = 'portRequesting';
+        const port = new SimulatorDakoTransport(options);
+        await port.open();
+        this.portInfo = {name: 'simulator'};
+        this.nativePort = port;
+        this.simulator = port;
+        this.lastConnection = {type: 'simulator', options: options};
+        return this.startMidiFirmata(port);
+    }
+
+    /**
+     * Connect again with the same way as the last connection.
+     * This does not request a new port to user.
+     * @param {Array<object>} excludedPorts - ports which are used by other boards
+     * @returns {Promise<AkaDakoBoard>} a Promise which resolves this board or reject with reason
+     */
+    async reconnect (excludedPorts = []) {
+        if (this.isConnected()) return this;
+        if (!this.lastConnection) return Promise.reject('this board has never been connected');
+        this.version = null; // query again because the firmware could be updated
+        if (this.lastConnection.type === 'midi') {
+            return this.connectMIDI(this.lastConnection.options, excludedPorts);
+        }
+        if (this.lastConnection.type === 'simulator') {
+            return this.connectSimulator(this.lastConnection.options);
+        }
+        if (this.lastConnection.type === 'websocket') {
+            return this.connectWebSocket(this.lastConnection.options, excludedPorts);
+        }
+        if (this.lastConnection.type === 'ble') {
+            return this.connectBLE(this.lastConnection.options, excludedPorts, this.lastConnection.device);
+        }
+        // open the lost port again not to take a port of another board
+        const lostPort = this.lastConnection.port;
+        const permittedPorts = await navigator.serial.getPorts();
+        if (!permittedPorts.includes(lostPort)) return Promise.reject('the serial port is not available');
+        return this.connectSerial(this.lastConnection.options, excludedPorts, lostPort);
+    }
+
+    /**
+     * Return the settings of the pins and NeoPixel strips which are made by user.
+     * @returns {{pins: Array<object>, neoPixel: Array<object>}} snapshot of the settings
+     */
+    getSettingsSnapshot () {
+        const snapshot = {pins: [], neoPixel: []};
+        if (!this.firmata) return snapshot;
+        const restorableModes = [
+            this.MODES.PULLUP,
+            this.MODES.OUTPUT,
+            this.MODES.PWM,
+            this.MODES.SERVO
+        ];
+        this.pins.forEach((pinState, pin) => {
+            if (!restorableModes.includes(pinState.mode)) return;
+            snapshot.pins.push({pin: pin, mode: pinState.mode, value: pinState.value});
+        });
+        snapshot.neoPixel = this.neoPixel.map(aStrip => ({
+            pin: aStrip.pin,
+            length: aStrip.length,
+            colors: aStrip.colors ? [...aStrip.colors] : null
+        }));
+        return snapshot;
+    }
+
+    /**
+     * Restore the settings which were taken by getSettingsSnapshot().
+     * @param {{pins: Array<object>, neoPixel: Array<object>}} snapshot - settings to be restored
+     * @returns {Promise} a Promise which resolves when the messages were sent
+     */
+    async restoreSettings (snapshot) {
+        if (!snapshot) return;
+        for (const pinState of snapshot.pins) {
+            const pin = pinState.pin;
+            switch (pinState.mode) {
+            case this.MODES.PULLUP:
+                await this.setInputBias(pin, true);
+                break;
+            case this.MODES.OUTPUT:
+                this.firmata.pinMode(pin, this.MODES.OUTPUT);
+                await this.digitalWrite(pin, pinState.value);
+                break;
+            case this.MODES.PWM:
+                this.firmata.pinMode(pin, this.MODES.PWM);
+                await this.pwmWrite(pin, pinState.value);
+                break;
+            case this.MODES.SERVO:
+                this.firmata.pinMode(pin, this.MODES.SERVO);
+                await this.servoWrite(pin, pinState.value);
+                break;
+            default:
+                break;
+            }
+        }
+        if (snapshot.neoPixel.length === 0) return;
+        for (const aStrip of snapshot.neoPixel) {
+            await this.neoPixelConfigStrip(aStrip.pin, aStrip.length);
+        }
+        for (const aStrip of snapshot.neoPixel) {
+            if (!aStrip.colors) continue;
+            for (let index = 0; index < aStrip.colors.length; index++) {
+                if (aStrip.colors[index]) {
+                    await this.neoPixelSetColor(aStrip.pin, aStrip.colors[index], index);
+                }
+            }
+        }
+        await this.neoPixelShow();
+    }
+
     /**
      * Called when a board was ready.
      */
@@ -480,7 +828,10 @@ class AkaDakoBoard extends EventEmitter {
             this.transport = null;
         }
 
-        this.oneWireDevices = null;
+        this.oneWireDevices.clear();
+        this.i2cSubscriptions.clear();
+        this.nativePort = null;
+        this.simulator = null;
         this.extensionId = null;
         this.emit('disconnect');
         this.emit(AkaDakoBoard.RELEASED);
@@ -513,6 +864,7 @@ class AkaDakoBoard extends EventEmitter {
         if (this.state === 'disconnect') return;
         error = error ? error : 'Firmata was disconnected by device';
         console.error(error);
+        this.emit(AkaDakoBoard.CONNECTION_LOST, this.getSettingsSnapshot());
         this.runtime.emit(this.runtime.constructor.PERIPHERAL_CONNECTION_LOST_ERROR, {
             message: `Scratch lost connection to`,
             extensionId: this.extensionId
@@ -631,6 +983,28 @@ class AkaDakoBoard extends EventEmitter {
         });
     }
 
+    /**
+     * Write the levels to the pins in order without waiting between them.
+     * This drives the devices which are controlled by toggling the pins.
+     * The pins are set to OUTPUT and the writes which do not change the level are skipped.
+     * @param {Array<Array<number>>} steps - [pin, level] in order
+     * @returns {Promise} a Promise which resolves when the messages were sent
+     */
+    digitalWriteSequence (steps) {
+        steps.forEach(([pin, value]) => {
+            const pinState = this.firmata.pins[pin];
+            if (pinState.mode !== this.firmata.MODES.OUTPUT) {
+                this.firmata.pinMode(pin, this.firmata.MODES.OUTPUT);
+            } else if (pinState.value === value) {
+                return;
+            }
+            this.firmata.digitalWrite(pin, value);
+        });
+        return new Promise(resolve => {
+            setTimeout(() => resolve(), this.sendingInterval);
+        });
+    }
+
     /**
      * Set PWM to the value on the pin
      * @param {number} pin - pin number to set
@@ -695,7 +1069,7 @@ class AkaDakoBoard extends EventEmitter {
     /**
      * Read multiple bytes from an I2C module
      * @param {number} address - address of the I2C device
-     * @param {number} register - register to write
+     * @param {?number} register - register to write, or null to read without writing a register
      * @param {number} readLength - byte size to read
      * @param {number} timeout - time to abort [milliseconds]
      * @returns {Promise<Array<number>>} a Promise which resolves read data
@@ -703,29 +1077,110 @@ class AkaDakoBoard extends EventEmitter {
     i2cReadOnce (address, register, readLength, timeout) {
         timeout = timeout ? timeout : this.i2cReadWaitingTime;
         const firmata = this.firmata;
+        let onReply;
         const request = new Promise(resolve => {
+            onReply = data => {
+                resolve(data);
+            };
+            if (register === null) {
+                // the reply comes as the one of register 0
+                firmata.i2cReadOnce(address, readLength, onReply);
+                return;
+            }
             firmata.i2cReadOnce(
                 address,
                 register,
                 readLength,
-                data => {
-                    resolve(data);
-                }
+                onReply
             );
         });
         return Promise.race([request, timeoutReject(timeout)])
             .catch(reason => {
-                firmata.removeAllListeners(`I2C-reply-${address}-${register}`);
+                // keep the listeners of the continuous reading on the same register
+                firmata.removeListener(`I2C-reply-${address}-${register === null ? 0 : register}`, onReply);
                 return Promise.reject(reason);
             });
     }
 
+    /**
+     * Subscribe the registers which the board sends continuously.
+     * @param {number} address - address of the I2C device
+     * @param {number} register - first register to read
+     * @param {number} readLength - byte size to read
+     * @param {?function(Array<number>)} listener - called with the data at every reply
+     * @returns {?I2CSubscription} subscription which has the latest data, or null when the board is not connected
+     */
+    i2cSubscribe (address, register, readLength, listener) {
+        if (!this.firmata) return null;
+        return this.i2cSubscriptions.subscribe(address, register, readLength, listener);
+    }
+
+    /**
+     * Probe the I2C addresses one by one and return the ones which responded.
+     * @param {?number} timeout - waiting time for each address [milliseconds]
+     * @returns {Promise<Array<number>>} a Promise which resolves the found addresses
+     */
+    scanI2C (timeout) {
+        if (this.i2cScanning) return this.i2cScanning;
+        timeout = timeout ? timeout : this.i2cScanWaitingTime;
+        this.i2cScanning = (async () => {
+            const found = [];
+            for (let address = I2C_SCAN_RANGE.first; address <= I2C_SCAN_RANGE.last; address++) {
+                if (!this.firmata) return Promise.reject('board was disconnected during the scan');
+                try {
+                    await this.i2cReadOnce(address, 0x00, 1, timeout);
+                    found.push(address);
+                } catch (reason) {
+                    // no device at the address
+                }
+            }
+            return found;
+        })()
+            .finally(() => {
+                this.i2cScanning = null;
+            });
+        return this.i2cScanning;
+    }
+
+    /**
+     * Identify the device at the address by its ID register.
+     * @param {number} address - I2C address of the device
+     * @param {?number} timeout - waiting time for the response
+     * @returns {Promise<?string>} a Promise which resolves name of the device or null for unknown one
+     */
+    async identifyI2CDevice (address, timeout) {
+        const candidates = KNOWN_I2C_DEVICES.filter(device => device.addresses.includes(address));
+        for (const device of candidates) {
+            try {
+                const data = await this.i2cReadOnce(address, device.register, 1, timeout);
+                if ((data[0] & device.mask) === device.value) return device.name;
+            } catch (reason) {
+                // not this device
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Return what uses the pin, OneWire must not switch the pin which is used by others.
+     * @param {number} pin - pin number to check
+     * @returns {?string} 'NeoPixel' or 'servo', or null when the pin is free for OneWire
+     */
+    oneWirePinConflict (pin) {
+        if (this.neoPixel.some(aStrip => aStrip.pin === pin)) return 'NeoPixel';
+        const pinState = this.firmata.pins[pin];
+        if (this.servo[pin] || (pinState && pinState.mode === this.firmata.MODES.SERVO)) return 'servo';
+        return null;
+    }
+
     /**
      * Resets all devices on the OneWire bus.
      * @param {number} pin pin number to reset
      * @returns {Promise} a Promise which resolves when the message was sent
      */
     sendOneWireReset (pin) {
+        const conflict = this.oneWirePinConflict(pin);
+        if (conflict) return Promise.reject(`pin ${pin} is used by ${conflict}`);
         return new Promise(resolve => {
             this.firmata.sendOneWireReset(pin);
             setTimeout(() => resolve(), this.sendingInterval);
@@ -735,82 +1190,115 @@ class AkaDakoBoard extends EventEmitter {
     /**
      * Return found IDs on the OneWire bus.
      * @param {number} pin - pin number to search
-     * @returns {Promise<Array<number>>} a Promise which resolves found device IDs
+     * @param {boolean} refresh - search again even if the devices were found before
+     * @returns {Promise<Array<Array<number>>>} a Promise which resolves ROM codes of the found devices
      */
-    searchOneWireDevices (pin) {
+    searchOneWireDevices (pin, refresh = false) {
+        const conflict = this.oneWirePinConflict(pin);
+        if (conflict) return Promise.reject(`pin ${pin} is used by ${conflict}`);
+        if (!refresh &&
+            this.firmata.pins[pin].mode === this.firmata.MODES.ONEWIRE &&
+            this.oneWireDevices.has(pin)) {
+            return Promise.resolve(this.oneWireDevices.get(pin));
+        }
         return new Promise((resolve, reject) => {
-            if (this.firmata.pins[pin].mode !== this.firmata.MODES.ONEWIRE) {
-                this.firmata.sendOneWireConfig(pin, true);
-                return this.firmata.sendOneWireSearch(pin, (error, founds) => {
-                    if (error) return reject(error);
-                    if (founds.length < 1) return reject(new Error('no device'));
-                    this.firmata.pinMode(pin, this.firmata.MODES.ONEWIRE);
-                    this.oneWireDevices = founds;
-                    this.firmata.sendOneWireDelay(pin, 1);
-                    resolve(this.oneWireDevices);
-                });
-            }
-            resolve(this.oneWireDevices);
+            const timeout = this.oneWireSearchWaitingTime;
+            let timedOut = false;
+            const timer = setTimeout(() => {
+                timedOut = true;
+                reject(`timeout ${timeout}ms`);
+            }, timeout);
+            this.firmata.sendOneWireConfig(pin, true);
+            this.firmata.sendOneWireSearch(pin, (error, founds) => {
+                // A late reply must not set up the pin after the search was given up.
+                if (timedOut) return;
+                clearTimeout(timer);
+                if (error) return reject(error);
+                if (founds.length < 1) return reject(new Error('no device'));
+                this.firmata.pinMode(pin, this.firmata.MODES.ONEWIRE);
+                this.oneWireDevices.set(pin, founds);
+                this.firmata.sendOneWireDelay(pin, 1);
+                resolve(founds);
+            });
         });
     }
 
     /**
-     * Write bytes to the first OneWire module on the pin
+     * Return the ROM code of the device to be accessed.
+     * The bus is searched before the first access to set up the pin for OneWire.
+     * @param {number} pin - pin number of the bus
+     * @param {?Array<number>} device - ROM code of the device, or null for the first found device
+     * @returns {Promise<Array<number>>} a Promise which resolves the ROM code
+     */
+    selectOneWireDevice (pin, device) {
+        return this.searchOneWireDevices(pin)
+            .then(devices => (device ? device : devices[0]));
+    }
+
+    /**
+     * Write bytes to the OneWire module on the pin
      * @param {number} pin - pin number of the bus
      * @param {Array<number>} data - bytes to be wrote
+     * @param {?Array<number>} device - ROM code of the module, or null for the first found module
      * @returns {Promise} a Promise which resolves when the message was sent
      */
-    oneWireWrite (pin, data) {
-        return this.searchOneWireDevices(pin)
-            .then(devices => {
-                this.firmata.sendOneWireWrite(pin, devices[0], data);
+    oneWireWrite (pin, data, device = null) {
+        return this.selectOneWireDevice(pin, device)
+            .then(rom => {
+                this.firmata.sendOneWireWrite(pin, rom, data);
             });
     }
 
     /**
-     * Read bytes from the first OneWire module on the pin.
+     * Read bytes from the OneWire module on the pin.
      * @param {number} pin - pin number of the bus
      * @param {number} length - byte size to read
      * @param {number} timeout - time to abort [milliseconds]
+     * @param {?Array<number>} device - ROM code of the module, or null for the first found module
      * @returns {Promise<Array<number>>} a Promise which resolves read data
      */
-    oneWireRead (pin, length, timeout) {
+    oneWireRead (pin, length, timeout, device = null) {
         timeout = timeout ? timeout : this.oneWireReadWaitingTime;
-        const request = this.searchOneWireDevices(pin)
-            .then(devices =>
-                new Promise((resolve, reject) => {
-                    this.firmata.sendOneWireRead(pin, devices[0], length, (readError, data) => {
+        // the timeout starts after the search on the first access
+        return this.selectOneWireDevice(pin, device)
+            .then(rom => {
+                const request = new Promise((resolve, reject) => {
+                    this.firmata.sendOneWireRead(pin, rom, length, (readError, data) => {
                         if (readError) return reject(readError);
                         resolve(data);
                     });
-                }));
-        return Promise.race([request, timeoutReject(timeout)]);
+                });
+                return Promise.race([request, timeoutReject(timeout)]);
+            });
     }
 
     /**
-     * Write then read from the first OneWire module on the pin.
+     * Write then read from the OneWire module on the pin.
      * @param {number} pin - pin number of the bus
      * @param {Array<number>} data - bytes to read
      * @param {number} readLength - byte size to read
      * @param {number} timeout - time to abort [milliseconds]
+     * @param {?Array<number>} device - ROM code of the module, or null for the first found module
      * @returns {Promise<Array<number>>} a Promise which resolves read data
      */
-    oneWireWriteAndRead (pin, data, readLength, timeout) {
+    oneWireWriteAndRead (pin, data, readLength, timeout, device = null) {
         timeout = timeout ? timeout : this.oneWireReadWaitingTime;
-        const request = this.searchOneWireDevices(pin)
-            .then(devices =>
-                new Promise((resolve, reject) => {
+        // the timeout starts after the search on the first access
+        return this.selectOneWireDevice(pin, device)
+            .then(rom => {
+                const request = new Promise((resolve, reject) => {
                     this.firmata.sendOneWireWriteAndRead(
                         pin,
-                        devices[0],
+                        rom,
                         data,
                         readLength,
                         (readError, readData) => {
                             if (readError) return reject(readError);
                             resolve(readData);
                         });
-                }));
-        return Promise.race([request, timeoutReject(timeout)]);
+                });
+                return Promise.race([request, timeoutReject(timeout)]);
+            });
     }
 
     /**
@@ -919,6 +1407,7 @@ class AkaDakoBoard extends EventEmitter {
 
     /**
      * Clear all strips.
+     * The extension calls this in its NeoPixel lock as the other NeoPixel blocks.
      * @returns {Promise} a Promise which resolves when the message was sent
      */
     async neoPixelClearAll () {
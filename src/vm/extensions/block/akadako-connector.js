@@ -1,5 +1,6 @@
 import {EventEmitter} from 'events';
 import AkaDakoBoard from './akadako-board';
+import {BLE_MIDI, BLE_UART} from './ble-dako-transport';
 
 /**
  * Manager object which serves AkaDako boards.
@@ -22,6 +23,22 @@ export class AkaDakoConnector extends EventEmitter {
         return 'BOARD_ADDED';
     }
 
+    /**
+     * Event name for reporting that a board lost its connection and keeps its position while reconnecting.
+     * @const {string}
+     */
+    static get BOARD_LOST () {
+        return 'BOARD_LOST';
+    }
+
+    /**
+     * Event name for reporting that a lost board was connected again.
+     * @const {string}
+     */
+    static get BOARD_RECONNECTED () {
+        return 'BOARD_RECONNECTED';
+    }
+
     /**
      * Constructor of this instance.
      * @param {Runtime} runtime - Scratch runtime object
@@ -61,11 +78,100 @@ export class AkaDakoConnector extends EventEmitter {
             ]
         };
 
+        /**
+         * Settings for Web Bluetooth
+         */
+        this.bleDeviceOptions = {
+            filters: [
+                {namePrefix: 'STEAM BOX'},
+                {namePrefix: 'MidiDako'},
+                {namePrefix: 'AkaDako'}
+            ],
+            optionalServices: [BLE_MIDI.SERVICE, BLE_UART.SERVICE]
+        };
+
         /**
          * Flag whether to use serial or not
          * @type {boolean}
          */
         this.useSerial = true;
+
+        /**
+         * URL of the WebSocket bridge, the transport is not used when it is null
+         * @type {?string}
+         */
+        this.webSocketURL = null;
+
+        /**
+         * Order of the transports to be tried for a new board [midi | serial | ble | websocket | simulator]
+         * Bluetooth and the others are added by preferTransport() not to open their choosers unasked.
+         * @type {Array<string>}
+         */
+        this.transportOrder = ['midi', 'serial'];
+
+        /**
+         * Settings for the simulator which is used when 'simulator' was put in the transport order
+         * @type {object}
+         */
+        this.simulatorOptions = {};
+
+        /**
+         * Flag whether to reconnect a board automatically when the connection was lost.
+         * @type {boolean}
+         */
+        this.autoReconnect = false;
+
+        /**
+         * Longest time of backoff for reconnection to a board.
+         * @type {number}
+         */
+        this.reconnectBackoffCap = 10000;
+
+        /**
+         * Base time of backoff for reconnection to a board.
+         * @type {number}
+         */
+        this.reconnectBackoffBase = 500;
+
+        /**
+         * Max number of attempts to reconnect a board.
+         * @type {number}
+         */
+        this.reconnectMaxAttempts = 20;
+
+        /**
+         * Lost boards which are waiting for the reconnection.
+         * @type {Set<AkaDakoBoard>}
+         */
+        this.reconnectingBoards = new Set();
+
+        /**
+         * Recent errors on the transports to be shown in the diagnostics.
+         * @type {Array<{time: number, transport: string, reason: string}>}
+         */
+        this.transportErrors = [];
+
+        /**
+         * Max number of the errors to be kept.
+         * @type {number}
+         */
+        this.transportErrorsLimit = 20;
+    }
+
+    /**
+     * Keep an error on the transport, the oldest one is dropped when it exceeds the limit.
+     * @param {string} transport - type of the transport
+     * @param {*} reason - cause of the error
+     */
+    recordTransportError (transport, reason) {
+        this.transportErrors.push({
+            time: Date.now(),
+            transport: transport,
+            reason: String(reason)
+        });
+        if (this.transportErrors.length > this.transportErrorsLimit) {
+            this.transportErrors.splice(0, this.transportErrors.length - this.transportErrorsLimit);
+        }
     }
 
     /**
@@ -85,12 +191,137 @@ export class AkaDakoConnector extends EventEmitter {
     /**
      * Add a board to the boards holder.
      * @param {AkaDakoBoard} newBoard the board to be added
+     * @param {?number} index position to insert the board, append it when it was omitted
      */
-    addBoard (newBoard) {
-        this.boards.push(newBoard);
+    addBoard (newBoard, index) {
+        if (typeof index === 'number' && index < this.boards.length) {
+            this.boards.splice(index, 0, newBoard);
+        } else {
+            this.boards.push(newBoard);
+        }
         this.emit(AkaDakoConnector.BOARD_ADDED, newBoard);
     }
 
+    /**
+     * Hold a connected board and watch its connection.
+     * @param {AkaDakoBoard} connected the board which was connected
+     * @param {?number} index position to insert the board
+     * @returns {AkaDakoBoard} the board
+     */
+    holdBoard (connected, index) {
+        this.addBoard(connected, index);
+        this.watchBoard(connected);
+        return connected;
+    }
+
+    /**
+     * Watch the connection of a held board.
+     * A board which is reconnecting stays in the holder not to shift the positions of the other boards.
+     * @param {AkaDakoBoard} connected the board which was connected
+     */
+    watchBoard (connected) {
+        connected.once(AkaDakoBoard.CONNECTION_LOST, snapshot => {
+            this.recordTransportError(
+                connected.lastConnection ? connected.lastConnection.type : 'unknown',
+                'connection lost');
+            if (!this.autoReconnect) return;
+            const extensionId = connected.extensionId;
+            this.reconnectingBoards.add(connected);
+            connected.once(AkaDakoBoard.RELEASED, () => {
+                this.reconnectBoard(connected, extensionId, snapshot)
+                    .catch(reason => console.log(`reconnection failed: ${reason}`));
+            });
+        });
+        connected.once(AkaDakoBoard.RELEASED, () => {
+            if (this.reconnectingBoards.has(connected)) {
+                this.emit(AkaDakoConnector.BOARD_LOST, connected);
+            } else {
+                this.removeBoard(connected);
+            }
+            this.runtime.emit(this.runtime.constructor.PERIPHERAL_DISCONNECTED, {
+                name: connected.name,
+                path: connected.portInfo
+            });
+        });
+    }
+
+    /**
+     * Try to connect the lost board again with backoff.
+     * The board is removed from the holder when it was not reconnected.
+     * @param {AkaDakoBoard} lostBoard the board which lost its connection
+     * @param {string} extensionId - ID of the extension which was using the board
+     * @param {object} snapshot - settings of the board when it was lost
+     * @returns {Promise<AkaDakoBoard>} a Promise which resolves the reconnected board or reject with reason
+     */
+    async reconnectBoard (lostBoard, extensionId, snapshot) {
+        this.reconnectingBoards.add(lostBoard);
+        let reconnected = false;
+        try {
+            for (let attempt = 0; attempt < this.reconnectMaxAttempts; attempt++) {
+                // Using backoff with equal jitter
+                const jitter = Math.min(
+                    this.reconnectBackoffCap,
+                    this.reconnectBackoffBase * (2 ** attempt));
+                await new Promise(resolve => setTimeout(resolve, (jitter / 2) + (Math.random() * (jitter / 2))));
+                if (!this.autoReconnect || !this.reconnectingBoards.has(lostBoard)) {
+                    return Promise.reject('auto reconnect was canceled');
+                }
+                try {
+                    lostBoard.extensionId = extensionId;
+                    await lostBoard.reconnect(this.usedPorts());
+                    await lostBoard.restoreSettings(snapshot);
+                } catch (reason) {
+                    console.log(`reconnect attempt ${attempt + 1} failed: ${reason}`);
+                    // connect again from the beginning at the next attempt
+                    if (lostBoard.isConnected()) lostBoard.disconnect();
+                    continue;
+                }
+                if (!this.reconnectingBoards.has(lostBoard)) {
+                    // disconnected by user while connecting
+                    lostBoard.disconnect();
+                    return Promise.reject('auto reconnect was canceled');
+                }
+                this.reconnectingBoards.delete(lostBoard);
+                reconnected = true;
+                if (this.boards.includes(lostBoard)) {
+                    this.watchBoard(lostBoard);
+                } else {
+                    this.holdBoard(lostBoard);
+                }
+                this.runtime.emit(this.runtime.constructor.PERIPHERAL_CONNECTED, {
+                    name: lostBoard.name,
+                    path: lostBoard.portInfo
+                });
+                this.emit(AkaDakoConnector.BOARD_RECONNECTED, lostBoard);
+                return lostBoard;
+            }
+            return Promise.reject(`gave up after ${this.reconnectMaxAttempts} attempts`);
+        } finally {
+            this.reconnectingBoards.delete(lostBoard);
+            if (!reconnected) this.removeBoard(lostBoard);
+        }
+    }
+
+    /**
+     * Return whether the board is waiting for the reconnection.
+     * @param {AkaDakoBoard} aBoard - board to check
+     * @returns {boolean} true if the board is reconnecting
+     */
+    isReconnecting (aBoard) {
+        return this.reconnectingBoards.has(aBoard);
+    }
+
+    /**
+     * Stop the reconnection of the lost board and remove it from the holder.
+     * @param {?AkaDakoBoard} lostBoard - board to stop, all lost boards when it was omitted
+     */
+    cancelReconnect (lostBoard = null) {
+        const canceled = lostBoard ? [lostBoard] : [...this.reconnectingBoards];
+        canceled.forEach(aBoard => {
+            if (this.reconnectingBoards.delete(aBoard)) this.removeBoard(aBoard);
+        });
+    }
+
     /**
      * Remove a board from the boards holder.
      * @param {AkaDakoBoard} removal the board to be removed
@@ -99,7 +330,7 @@ export class AkaDakoConnector extends EventEmitter {
         const indexOfRemoval = this.boards.indexOf(removal);
         if (indexOfRemoval < 0) return; // not found
         this.boards.splice(indexOfRemoval, 1);
-        this.emit(AkaDakoConnector.BOARD_ADDED, removal);
+        this.emit(AkaDakoConnector.BOARD_REMOVED, removal);
     }
 
     /**
@@ -113,33 +344,144 @@ export class AkaDakoConnector extends EventEmitter {
             // share a board object
             return Promise.resolve(connectedBoard);
         }
-        return this.connectMIDI(extensionId)
+        return this.connectNewBoard(extensionId);
+    }
+
+    /**
+     * Connect a board which is not held yet and return it.
+     * The ports which are used by the held boards are excluded.
+     * @param {string} extensionId - ID of the extension which is requesting
+     * @returns {Promise<AkaDakoBoard>} a Promise which resolves a connected AkaDako board or reject with reason
+     */
+    connectNewBoard (extensionId) {
+        const transports = this.transportOrder
+            .filter(transport => (transport !== 'serial' || this.useSerial))
+            .filter(transport => (transport !== 'websocket' || !!this.webSocketURL));
+        if (transports.length === 0) {
+            return Promise.reject('no transport is available');
+        }
+        return transports.reduce(
+            (prevRequest, transport) => prevRequest
+                .catch(() => this.connectWith(transport, extensionId)),
+            Promise.reject('not connected yet'));
+    }
+
+    /**
+     * Return a connected AkaDako board via the transport.
+     * @param {string} transport - type of the transport [midi | serial | ble | websocket | simulator]
+     * @param {string} extensionId - ID of the extension which is requesting
+     * @returns {Promise<AkaDakoBoard>} a Promise which resolves a connected AkaDako board or reject with reason
+     */
+    connectWith (transport, extensionId) {
+        let request;
+        switch (transport) {
+        case 'midi':
+            request = this.connectMIDI(extensionId);
+            break;
+        case 'serial':
+            request = this.connectSerial(extensionId);
+            break;
+        case 'ble':
+            request = this.connectBLE(extensionId);
+            break;
+        case 'websocket':
+            request = this.connectWebSocket(extensionId);
+            break;
+        case 'simulator':
+            request = this.connectSimulator(extensionId);
+            break;
+        default:
+            request = Promise.reject(`unknown transport: ${transport}`);
+        }
+        return request
             .catch(reason => {
-                if (this.useSerial) {
-                    return this.connectSerial(extensionId);
-                }
+                this.recordTransportError(transport, reason);
                 return Promise.reject(reason);
             });
     }
 
+    /**
+     * Move the transport to the top of the order to be tried first, it is added when it was not in the order.
+     * @param {string} transport - type of the transport [midi | serial | ble | websocket | simulator]
+     */
+    preferTransport (transport) {
+        if (!['midi', 'serial', 'ble', 'websocket', 'simulator'].includes(transport)) return;
+        this.transportOrder = [transport].concat(this.transportOrder.filter(t => t !== transport));
+    }
+
+    /**
+     * Return native ports which are used by the held boards.
+     * @returns {Array<object>} ports in use
+     */
+    usedPorts () {
+        return this.boards
+            .map(aBoard => aBoard.nativePort)
+            .filter(port => !!port);
+    }
+
+    /**
+     * Disconnect all held boards and stop the reconnection of the lost boards.
+     */
+    disconnectAll () {
+        this.cancelReconnect();
+        [...this.boards].forEach(aBoard => aBoard.disconnect());
+    }
+
+    /**
+     * Return a connected AkaDako board via WebSerial
+     * @param {string} extensionId - ID of the extension which is requesting
+     * @returns {Promise<AkaDakoBoard>} a Promise which resolves a connected AkaDako board or reject with reason
+     */
     connectSerial (extensionId) {
         if (!('serial' in navigator)) {
             return Promise.reject('This browser does not support Web Serial API.');
         }
         const newBoard = new AkaDakoBoard(this.runtime);
         newBoard.extensionId = extensionId;
-        return newBoard.connectSerial(this.serialPortOptions)
-            .then(connected => {
-                this.addBoard(connected);
-                connected.once(AkaDakoBoard.RELEASED, () => {
-                    this.removeBoard(connected);
-                    this.runtime.emit(this.runtime.constructor.PERIPHERAL_DISCONNECTED, {
-                        name: connected.name,
-                        path: connected.portInfo
-                    });
-                });
-                return connected;
-            });
+        return newBoard.connectSerial(this.serialPortOptions, this.usedPorts())
+            .then(connected => this.holdBoard(connected));
+    }
+
+    /**
+     * Return a connected AkaDako board via Web Bluetooth
+     * @param {string} extensionId - ID of the extension which is requesting
+     * @returns {Promise<AkaDakoBoard>} a Promise which resolves a connected AkaDako board or reject with reason
+     */
+    connectBLE (extensionId) {
+        if (!('bluetooth' in navigator)) {
+            return Promise.reject('This browser does not support Web Bluetooth API.');
+        }
+        const newBoard = new AkaDakoBoard(this.runtime);
+        newBoard.extensionId = extensionId;
+        return newBoard.connectBLE(this.bleDeviceOptions, this.usedPorts())
+            .then(connected => this.holdBoard(connected));
+    }
+
+    /**
+     * Return a connected AkaDako board via the WebSocket bridge
+     * @param {string} extensionId - ID of the extension which is requesting
+     * @returns {Promise<AkaDakoBoard>} a Promise which resolves a connected AkaDako board or reject with reason
+     */
+    connectWebSocket (extensionId) {
+        if (!this.webSocketURL) {
+            return Promise.reject('URL of the bridge is not set');
+        }
+        const newBoard = new AkaDakoBoard(this.runtime);
+        newBoard.extensionId = extensionId;
+        return newBoard.connectWebSocket(this.webSocketURL, this.usedPorts())
+            .then(connected => this.holdBoard(connected));
+    }
+
+    /**
+     * Return a simulated AkaDako board
+     * @param {string} extensionId - ID of the extension which is requesting
+     * @returns {Promise<AkaDakoBoard>} a Promise which resolves a connected AkaDako board or reject with reason
+     */
+    connectSimulator (extensionId) {
+        const newBoard = new AkaDakoBoard(this.runtime);
+        newBoard.extensionId = extensionId;
+        return newBoard.connectSimulator(this.simulatorOptions)
+            .then(connected => this.holdBoard(connected));
     }
 
     /**
@@ -150,18 +492,8 @@ export class AkaDakoConnector extends EventEmitter {
     connectMIDI (extensionId) {
         const newBoard = new AkaDakoBoard(this.runtime);
         newBoard.extensionId = extensionId;
-        return newBoard.connectMIDI(this.midiPortFilters)
-            .then(connected => {
-                this.addBoard(connected);
-                connected.once(AkaDakoBoard.RELEASED, () => {
-                    this.removeBoard(connected);
-                    this.runtime.emit(this.runtime.constructor.PERIPHERAL_DISCONNECTED, {
-                        name: connected.name,
-                        path: connected.portInfo
-                    });
-                });
-                return connected;
-            });
+        return newBoard.connectMIDI(this.midiPortFilters, this.usedPorts())
+            .then(connected => this.holdBoard(connected));
     }
 }
 
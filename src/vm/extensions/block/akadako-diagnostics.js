@@ -0,0 +1,186 @@
+/**
+ * Collecting information to find out why a board could not be connected or does not work.
+ * The report is plain text in English to be pasted into support tickets.
+ */
+
+/**
+ * Return hexadecimal expression of the value.
+ * @param {number} value - value to be formatted
+ * @param {number} digits - minimum number of digits
+ * @returns {string} formatted string like 0x0E
+ */
+const toHex = (value, digits = 2) => `0x${value.toString(16).toUpperCase().padStart(digits, '0')}`;
+
+/**
+ * Return the MIDI ports which the browser detected.
+ * @returns {Promise<{inputs: Array<object>, outputs: Array<object>}|{error: string}>} detected ports
+ */
+export const listMIDIPorts = async () => {
+    if (typeof navigator === 'undefined' || !('requestMIDIAccess' in navigator)) {
+        return {error: 'Web MIDI API is not supported'};
+    }
+    try {
+        const midiAccess = await navigator.requestMIDIAccess({sysex: true});
+        const describe = port => ({
+            manufacturer: port.manufacturer,
+            name: port.name,
+            state: port.state,
+            connection: port.connection
+        });
+        return {
+            inputs: Array.from(midiAccess.inputs.values()).map(describe),
+            outputs: Array.from(midiAccess.outputs.values()).map(describe)
+        };
+    } catch (error) {
+        return {error: `no available MIDI Access (${error})`};
+    }
+};
+
+/**
+ * Return the serial ports which the user already permitted.
+ * @returns {Promise<{ports: Array<object>}|{error: string}>} permitted ports
+ */
+export const listSerialPorts = async () => {
+    if (typeof navigator === 'undefined' || !('serial' in navigator)) {
+        return {error: 'Web Serial API is not supported'};
+    }
+    try {
+        const ports = await navigator.serial.getPorts();
+        return {ports: ports.map(port => port.getInfo())};
+    } catch (error) {
+        return {error: String(error)};
+    }
+};
+
+/**
+ * Return information of the board.
+ * @param {AkaDakoBoard} board - board to be described
+ * @returns {object} information of the board
+ */
+const describeBoard = board => {
+    const info = {
+        state: board.state,
+        transport: board.lastConnection ? board.lastConnection.type : null,
+        portInfo: board.portInfo,
+        matchedFilter: board.matchedFilter,
+        version: board.version ? Object.assign({}, board.version) : null,
+        firmata: null
+    };
+    if (board.firmata) {
+        info.firmata = {
+            protocol: `${board.firmata.version.major}.${board.firmata.version.minor}`,
+            firmware: board.firmata.firmware ? board.firmata.firmware.name : null
+        };
+    }
+    return info;
+};
+
+/**
+ * Collect information of the environment and the boards.
+ * @param {AkaDakoConnector} connector - connector which holds the boards
+ * @param {?AkaDakoBoard} board - board which the blocks are using, its I2C bus is scanned when it is ready
+ * @param {?number} i2cTimeout - waiting time for each address in the I2C scan [milliseconds]
+ * @returns {Promise<object>} a Promise which resolves the report
+ */
+export const collectDiagnostics = async (connector, board, i2cTimeout) => {
+    const report = {
+        time: new Date().toISOString(),
+        userAgent: (typeof navigator !== 'undefined') ? navigator.userAgent : null,
+        midi: await listMIDIPorts(),
+        serial: await listSerialPorts(),
+        transportOrder: [...connector.transportOrder],
+        useSerial: connector.useSerial,
+        boards: connector.boards.map(describeBoard),
+        currentBoard: board ? connector.boards.indexOf(board) : -1,
+        i2cScan: null,
+        errors: connector.transportErrors.map(error => Object.assign({}, error))
+    };
+    if (board && board.isReady()) {
+        try {
+            const addresses = await board.scanI2C(i2cTimeout);
+            const names = [];
+            for (const address of addresses) {
+                names.push(await board.identifyI2CDevice(address, i2cTimeout));
+            }
+            report.i2cScan = {addresses: addresses, names: names};
+        } catch (error) {
+            report.i2cScan = {error: String(error)};
+        }
+    }
+    return report;
+};
+
+/**
+ * Return the report as a text.
+ * @param {object} report - report by collectDiagnostics()
+ * @returns {string} formatted report
+ */
+export const formatDiagnosticsReport = report => {
+    const lines = [];
+    const describePort = port => `"${port.name}" by "${port.manufacturer}" (${port.state}, ${port.connection})`;
+    lines.push(`time: ${report.time}`);
+    lines.push(`browser: ${report.userAgent}`);
+    lines.push(`transport order: ${report.transportOrder.join(', ')}${report.useSerial ? '' : ' (serial is off)'}`);
+    lines.push('');
+    lines.push('[MIDI]');
+    if (report.midi.error) {
+        lines.push(`  ${report.midi.error}`);
+    } else {
+        lines.push(`  inputs: ${report.midi.inputs.length === 0 ? 'none' : ''}`);
+        report.midi.inputs.forEach(port => lines.push(`    ${describePort(port)}`));
+        lines.push(`  outputs: ${report.midi.outputs.length === 0 ? 'none' : ''}`);
+        report.midi.outputs.forEach(port => lines.push(`    ${describePort(port)}`));
+    }
+    lines.push('[Serial]');
+    if (report.serial.error) {
+        lines.push(`  ${report.serial.error}`);
+    } else {
+        lines.push(`  permitted ports: ${report.serial.ports.length === 0 ? 'none' : ''}`);
+        report.serial.ports.forEach(info => {
+            const vendor = (typeof info.usbVendorId === 'number') ? toHex(info.usbVendorId, 4) : '-';
+            const product = (typeof info.usbProductId === 'number') ? toHex(info.usbProductId, 4) : '-';
+            lines.push(`    usbVendorId: ${vendor}, usbProductId: ${product}`);
+        });
+    }
+    lines.push('[Boards]');
+    if (report.boards.length === 0) {
+        lines.push('  none');
+    }
+    report.boards.forEach((info, index) => {
+        const mark = (index === report.currentBoard) ? ' (in use)' : '';
+        lines.push(`  board ${index + 1}${mark}: ${info.state} via ${info.transport}`);
+        lines.push(`    port: ${JSON.stringify(info.portInfo)}`);
+        lines.push(`    matched filter: ${info.matchedFilter}`);
+        if (info.version) {
+            const version = info.version;
+            lines.push(`    version: ${version.type}.${version.major}.${version.minor}` +
+                ` (type: ${version.type}, major: ${version.major}, minor: ${version.minor})`);
+        } else {
+            lines.push('    version: unknown');
+        }
+        if (info.firmata) {
+            lines.push(`    firmata: protocol ${info.firmata.protocol}, firmware ${info.firmata.firmware}`);
+        }
+    });
+    lines.push('[I2C]');
+    if (!report.i2cScan) {
+        lines.push('  not scanned (no board is ready)');
+    } else if (report.i2cScan.error) {
+        lines.push(`  ${report.i2cScan.error}`);
+    } else {
+        const addresses = report.i2cScan.addresses;
+        lines.push(`  found: ${addresses.length === 0 ? 'none' : ''}`);
+        addresses.forEach((address, index) => {
+            const name = report.i2cScan.names[index];
+            lines.push(`    ${toHex(address)}${name ? ` ${name}` : ''}`);
+        });
+    }
+    lines.push('[Recent errors]');
+    if (report.errors.length === 0) {
+        lines.push('  none');
+    }
+    report.errors.forEach(error => {
+        lines.push(`  ${new Date(error.time).toISOString()} ${error.transport}: ${error.reason}`);
+    });
+    return lines.join('\n');
+};
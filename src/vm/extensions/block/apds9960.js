@@ -0,0 +1,271 @@
+/**
+ * APDS-9960 API
+ * proximity, ambient color and gesture sensor by Broadcom
+ * This code refer to
+ * https://github.com/sparkfun/SparkFun_APDS-9960_Sensor_Arduino_Library
+ * https://docs.broadcom.com/doc/AV02-4191EN
+ */
+
+/**
+ * default I2C address
+ * @enum {number}
+ */
+const APDS9960_ADDRESS = 0x39;
+
+// registers
+const APDS9960_REG_ENABLE = 0x80;
+const APDS9960_REG_ATIME = 0x81;
+const APDS9960_REG_PPULSE = 0x8E;
+const APDS9960_REG_CONTROL = 0x8F;
+const APDS9960_REG_ID = 0x92;
+const APDS9960_REG_CDATAL = 0x94;
+const APDS9960_REG_PDATA = 0x9C;
+const APDS9960_REG_GPENTH = 0xA0;
+const APDS9960_REG_GEXTH = 0xA1;
+const APDS9960_REG_GCONF1 = 0xA2;
+const APDS9960_REG_GCONF2 = 0xA3;
+const APDS9960_REG_GPULSE = 0xA6;
+const APDS9960_REG_GFLVL = 0xAE;
+const APDS9960_REG_GFIFO_U = 0xFC;
+
+/**
+ * Device IDs of APDS-9960 and its compatible chips.
+ */
+const APDS9960_IDS = [0xAB, 0x9C, 0xA8];
+
+// enable bits
+const ENABLE_PON = 0x01;
+const ENABLE_AEN = 0x02;
+const ENABLE_PEN = 0x04;
+const ENABLE_GEN = 0x40;
+
+// gesture status
+const GSTATUS_GVALID = 0x01;
+
+/**
+ * Number of datasets in a reading of the gesture FIFO.
+ * A dataset is 4 bytes of UP, DOWN, LEFT and RIGHT.
+ */
+const GESTURE_DATASETS_PER_READ = 7;
+
+/**
+ * Datasets where every direction is under this value are ignored.
+ */
+const GESTURE_THRESHOLD_OUT = 10;
+
+/**
+ * Difference of the ratios between the start and the end to be a gesture.
+ */
+const GESTURE_SENSITIVITY = 50;
+
+/**
+ * Decide the direction of a gesture from the datasets in the gesture FIFO.
+ * The ratios between the opposite photodiodes at the start and the end of the gesture are compared.
+ * @param {Array<Array<number>>} datasets - [UP, DOWN, LEFT, RIGHT] in the order of the measurement
+ * @returns {?string} direction [UP | DOWN | LEFT | RIGHT] or null when it was not a gesture
+ */
+export const decodeGesture = datasets => {
+    const valid = datasets.filter(dataset => dataset.some(value => value > GESTURE_THRESHOLD_OUT));
+    if (valid.length < 2) return null;
+    const ratios = ([up, down, left, right]) => ({
+        ud: ((up - down) * 100) / Math.max(1, up + down),
+        lr: ((left - right) * 100) / Math.max(1, left + right)
+    });
+    const first = ratios(valid[0]);
+    const last = ratios(valid[valid.length - 1]);
+    const udDelta = last.ud - first.ud;
+    const lrDelta = last.lr - first.lr;
+    if (Math.abs(udDelta) < GESTURE_SENSITIVITY && Math.abs(lrDelta) < GESTURE_SENSITIVITY) return null;
+    if (Math.abs(udDelta) > Math.abs(lrDelta)) {
+        return (udDelta < 0) ? 'UP' : 'DOWN';
+    }
+    return (lrDelta < 0) ? 'LEFT' : 'RIGHT';
+};
+
+/**
+ * Return RGB in 0-255 which keeps the ratio of the channels.
+ * The strongest channel becomes 255, then the color can be used for the NeoPixel as it is.
+ * @param {{red: number, green: number, blue: number}} color - raw counts of the channels
+ * @returns {Array<number>} [R, G, B] in 0-255
+ */
+export const colorToRGB = color => {
+    const max = Math.max(color.red, color.green, color.blue);
+    if (max <= 0) return [0, 0, 0];
+    return [color.red, color.green, color.blue].map(value => Math.round((value * 255) / max));
+};
+
+/**
+ * This class is representing a APDS-9960.
+ */
+export default class APDS9960 {
+    /**
+     * Constructor of APDS9960 instance.
+     * @param {AkaDakoBoard} board - connecting AkaDako board
+     * @param {number} address - I2C address
+     */
+    constructor (board, address = APDS9960_ADDRESS) {
+
+        /**
+         * Connecting AkaDako board
+         * @type {import('./akadako-board').default}
+         */
+        this.board = board;
+
+        /**
+         * I2C address
+         * @type {number}
+         */
+        this.address = address;
+
+        /**
+         * Timeout for readings in milliseconds.
+         * @type {number}
+         */
+        this.timeout = 200;
+
+        /**
+         * Continuous reading of the color and proximity registers.
+         * @type {?I2CSubscription}
+         */
+        this.subscription = null;
+
+        /**
+         * Datasets of the gesture in progress.
+         * @type {Array<Array<number>>}
+         */
+        this.gestureDatasets = [];
+    }
+
+    /**
+     * Check if an APDS-9960 is connected.
+     * @param {AkadakoBoard} board - connecting akadako board
+     * @returns {Promise<boolean>} A Promise which resolves true if the device is APDS-9960, false otherwise.
+     */
+    static async isConnected (board) {
+        try {
+            const apds9960 = new APDS9960(board);
+            return APDS9960_IDS.includes(await apds9960.readID());
+        } catch (error) {
+            return false;
+        }
+    }
+
+    /**
+     * Read ID of the sensor.
+     * @returns {Promise<number>} a Promise which resolves device ID
+     */
+    async readID () {
+        const data = await this.board.i2cReadOnce(this.address, APDS9960_REG_ID, 1, this.timeout);
+        return data[0];
+    }
+
+    /**
+     * Initialize the sensor and enable proximity, color and gesture engines.
+     * @returns {Promise} a Promise which resolves when the sensor was initialized
+     */
+    async init () {
+        const id = await this.readID();
+        if (!APDS9960_IDS.includes(id)) return Promise.reject(`0x${this.address.toString(16)} is not APDS-9960`);
+        await this.board.i2cWrite(this.address, APDS9960_REG_ENABLE, 0x00);
+        // color integration 103ms
+        await this.board.i2cWrite(this.address, APDS9960_REG_ATIME, 0xDB);
+        // proximity pulse 16us x 8
+        await this.board.i2cWrite(this.address, APDS9960_REG_PPULSE, 0x87);
+        // LED 100mA, proximity gain 4x, color gain 4x
+        await this.board.i2cWrite(this.address, APDS9960_REG_CONTROL, 0x09);
+        // enter and exit thresholds of the gesture engine
+        await this.board.i2cWrite(this.address, APDS9960_REG_GPENTH, 40);
+        await this.board.i2cWrite(this.address, APDS9960_REG_GEXTH, 30);
+        // interrupt after 4 datasets
+        await this.board.i2cWrite(this.address, APDS9960_REG_GCONF1, 0x40);
+        // gesture gain 4x, LED 100mA, wait 2.8ms
+        await this.board.i2cWrite(this.address, APDS9960_REG_GCONF2, 0x41);
+        // gesture pulse 32us x 10
+        await this.board.i2cWrite(this.address, APDS9960_REG_GPULSE, 0xC9);
+        await this.board.i2cWrite(this.address, APDS9960_REG_ENABLE,
+            ENABLE_PON | ENABLE_AEN | ENABLE_PEN | ENABLE_GEN);
+        this.gestureDatasets = [];
+    }
+
+    /**
+     * Start continuous reading of the color and proximity registers.
+     */
+    subscribe () {
+        if (this.subscription) return;
+        // CDATA, RDATA, GDATA, BDATA and PDATA in a burst
+        this.subscription = this.board.i2cSubscribe(this.address, APDS9960_REG_CDATAL, 9);
+    }
+
+    /**
+     * Stop the continuous reading.
+     */
+    unsubscribe () {
+        if (!this.subscription) return;
+        this.subscription.unsubscribe();
+        this.subscription = null;
+    }
+
+    /**
+     * Read the registers from the latest continuous reading or by a request.
+     * @param {number} register - first register to read
+     * @param {number} length - byte size to read
+     * @returns {Promise<Array<number>>} a Promise which resolves the data
+     */
+    readRegisters (register, length) {
+        const latest = this.subscription ? this.subscription.dataAt(register, length) : null;
+        if (latest) return Promise.resolve(latest);
+        return this.board.i2cReadOnce(this.address, register, length, this.timeout);
+    }
+
+    /**
+     * Read proximity.
+     * @returns {Promise<number>} a Promise which resolves proximity [0 - 255], larger is closer
+     */
+    async readProximity () {
+        const data = await this.readRegisters(APDS9960_REG_PDATA, 1);
+        return data[0];
+    }
+
+    /**
+     * Read the ambient color.
+     * @returns {Promise<{clear: number, red: number, green: number, blue: number}>} a Promise which resolves
+     * raw counts of the channels
+     */
+    async readColor () {
+        const data = await this.readRegisters(APDS9960_REG_CDATAL, 8);
+        const word = index => data[index * 2] | (data[(index * 2) + 1] << 8);
+        return {
+            clear: word(0),
+            red: word(1),
+            green: word(2),
+            blue: word(3)
+        };
+    }
+
+    /**
+     * Read the gesture FIFO and return the direction when a gesture was finished.
+     * This should be called repeatedly while the gesture is expected.
+     * @returns {Promise<?string>} a Promise which resolves direction [UP | DOWN | LEFT | RIGHT] or null
+     */
+    async readGesture () {
+        const [level, status] = await this.board.i2cReadOnce(this.address, APDS9960_REG_GFLVL, 2, this.timeout);
+        if ((status & GSTATUS_GVALID) && level > 0) {
+            let rest = level;
+            while (rest > 0) {
+                const count = Math.min(rest, GESTURE_DATASETS_PER_READ);
+                const data = await this.board.i2cReadOnce(
+                    this.address, APDS9960_REG_GFIFO_U, count * 4, this.timeout);
+                for (let index = 0; index + 3 < data.length; index += 4) {
+                    this.gestureDatasets.push(data.slice(index, index + 4));
+                }
+                rest -= count;
+            }
+            return null;
+        }
+        if (this.gestureDatasets.length === 0) return null;
+        // the gesture engine exited, so the gesture was finished
+        const direction = decodeGesture(this.gestureDatasets);
+        this.gestureDatasets = [];
+        return direction;
+    }
+}
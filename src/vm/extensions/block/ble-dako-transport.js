@@ -0,0 +1,256 @@
+import {EventEmitter} from 'events';
+import {convertFirmataToMidi} from './mididako-transport';
+
+/**
+ * UUIDs of the BLE MIDI service.
+ */
+export const BLE_MIDI = {
+    SERVICE: '03b80e5a-ede8-4b33-a751-6ce34ec4c700',
+    IO: '7772e5db-3868-4112-a1a9-f2669d106bf3'
+};
+
+/**
+ * UUIDs of the Nordic UART service.
+ */
+export const BLE_UART = {
+    SERVICE: '6e400001-b5a3-f393-e0a9-e50e24dcca9e',
+    RX: '6e400002-b5a3-f393-e0a9-e50e24dcca9e', // write from central
+    TX: '6e400003-b5a3-f393-e0a9-e50e24dcca9e' // notify to central
+};
+
+/**
+ * Max size of a packet which can be written without MTU negotiation.
+ */
+const MAX_PACKET_SIZE = 20;
+
+/**
+ * Split MIDI data into BLE MIDI packets.
+ *
+ * Every status byte is preceded by a timestamp byte and the packets start with a header byte.
+ *
+ * @param {Array<number>} data MIDI data
+ * @param {number} timestamp 13bit timestamp in milliseconds
+ * @returns {Array<Array<number>>} BLE MIDI packets
+ */
+export const encodeBleMidiPackets = (data, timestamp) => {
+    const header = 0x80 | ((timestamp >> 7) & 0x3F);
+    const timestampLow = 0x80 | (timestamp & 0x7F);
+    const packets = [];
+    let packet = [header];
+    data.forEach(byte => {
+        const isStatus = (byte & 0x80) !== 0;
+        if (packet.length + (isStatus ? 2 : 1) > MAX_PACKET_SIZE) {
+            packets.push(packet);
+            packet = [header];
+        }
+        if (isStatus) packet.push(timestampLow);
+        packet.push(byte);
+    });
+    if (packet.length > 1) packets.push(packet);
+    return packets;
+};
+
+/**
+ * Extract MIDI data from a BLE MIDI packet.
+ *
+ * @param {Uint8Array} packet received packet
+ * @returns {Array<number>} MIDI data without header and timestamps
+ */
+export const decodeBleMidiPacket = packet => {
+    const data = [];
+    let index = 1; // skip header
+    while (index < packet.length) {
+        if (packet[index] & 0x80) {
+            // timestamp which is followed by a status byte or running status data
+            index++;
+            if (index >= packet.length) break;
+        }
+        data.push(packet[index]);
+        index++;
+    }
+    return data;
+};
+
+/**
+ * This class represents a transport layer using Web Bluetooth for firmata.js.
+ *
+ * It speaks Firmata over BLE MIDI in the same manner as MidiDakoTransport,
+ * or raw Firmata over Nordic UART service.
+ */
+class BleDakoTransport extends EventEmitter {
+
+    /**
+     * Construct a Web Bluetooth transport.
+     *
+     * @param {BluetoothDevice} device the BLE device
+     */
+    constructor (device) {
+        super();
+        this.device = device;
+
+        /**
+         * Protocol on the BLE [midi | uart], fixed when it was opened.
+         * @type {?string}
+         */
+        this.protocol = null;
+
+        this.writeCharacteristic = null;
+        this.notifyCharacteristic = null;
+
+        /**
+         * Chain of the GATT writing which must not be overlapped.
+         * @type {Promise}
+         */
+        this.writing = Promise.resolve();
+
+        this.onDisconnected = this.onDisconnected.bind(this);
+        this.onNotification = this.onNotification.bind(this);
+        this.isOpen = false;
+    }
+
+    /**
+     * Whether it is connected or not.
+     *
+     * @returns {boolean} True for connected.
+     */
+    isConnected () {
+        return !!(this.device.gatt && this.device.gatt.connected);
+    }
+
+    /**
+     * It was called when the GATT server was disconnected.
+     */
+    onDisconnected () {
+        if (this.isOpen) {
+            this.isOpen = false;
+            this.emit('error');
+        }
+    }
+
+    /**
+     * It was called when a value came from the notify characteristic.
+     *
+     * @param {Event} event characteristicvaluechanged event
+     */
+    onNotification (event) {
+        const value = event.target.value;
+        const packet = new Uint8Array(value.buffer, value.byteOffset, value.byteLength);
+        this.emit('data', this.convertFromReceived(packet));
+    }
+
+    /**
+     * Connect GATT server and start notifications.
+     *
+     * BLE MIDI service is preferred and Nordic UART service is used when it was not found.
+     *
+     * @returns {Promise<string?>} null or error message
+     */
+    async open () {
+        try {
+            this.device.addEventListener('gattserverdisconnected', this.onDisconnected);
+            const server = await this.device.gatt.connect();
+            try {
+                const service = await server.getPrimaryService(BLE_MIDI.SERVICE);
+                this.writeCharacteristic = await service.getCharacteristic(BLE_MIDI.IO);
+                this.notifyCharacteristic = this.writeCharacteristic;
+                this.protocol = 'midi';
+            } catch (error) {
+                const service = await server.getPrimaryService(BLE_UART.SERVICE);
+                this.writeCharacteristic = await service.getCharacteristic(BLE_UART.RX);
+                this.notifyCharacteristic = await service.getCharacteristic(BLE_UART.TX);
+                this.protocol = 'uart';
+            }
+            this.notifyCharacteristic.addEventListener('characteristicvaluechanged', this.onNotification);
+            await this.notifyCharacteristic.startNotifications();
+            this.isOpen = true;
+            this.emit('open');
+        } catch (error) {
+            return error;
+        }
+    }
+
+    /**
+     * Stop notifications and disconnect GATT server.
+     *
+     * @returns {Promise<string?>} null or error message.
+     */
+    async close () {
+        try {
+            this.isOpen = false;
+            this.device.removeEventListener('gattserverdisconnected', this.onDisconnected);
+            if (this.notifyCharacteristic) {
+                this.notifyCharacteristic.removeEventListener('characteristicvaluechanged', this.onNotification);
+                if (this.isConnected()) {
+                    await this.notifyCharacteristic.stopNotifications();
+                }
+            }
+            if (this.isConnected()) {
+                this.device.gatt.disconnect();
+            }
+        } catch (error) {
+            return error;
+        }
+    }
+
+    /**
+     * Send data to the write characteristic.
+     *
+     * @param {Buffer} buff Send it to output.
+     * @param {Function} callback A function to be called when the data was sent.
+     */
+    write (buff, callback) {
+        if (!this.isConnected()) {
+            this.isOpen = false;
+            this.emit('error');
+            return;
+        }
+        const packets = this.convertToSend(buff);
+        this.writing = this.writing
+            .then(async () => {
+                for (const packet of packets) {
+                    await this.writeCharacteristic.writeValueWithoutResponse(new Uint8Array(packet));
+                }
+            })
+            .catch(error => {
+                console.log(`BLE write failed: ${error}`);
+            });
+        if (typeof callback === 'function') {
+            callback();
+        }
+    }
+
+    /**
+     * Convert the original Firmata data to packets to be written.
+     *
+     * @param {Buffer} buff Original data.
+     * @returns {Array<Array<number>>} Converted packets.
+     */
+    convertToSend (buff) {
+        if (this.protocol === 'midi') {
+            const data = convertFirmataToMidi(buff);
+            if (data.length === 0) return [];
+            return encodeBleMidiPackets(data, Date.now() & 0x1FFF);
+        }
+        const data = [...buff];
+        const packets = [];
+        for (let offset = 0; offset < data.length; offset += MAX_PACKET_SIZE) {
+            packets.push(data.slice(offset, offset + MAX_PACKET_SIZE));
+        }
+        return packets;
+    }
+
+    /**
+     * Convert the received packet to a Firmata data.
+     *
+     * @param {Uint8Array} packet Received packet.
+     * @returns {Uint8Array} Converted data.
+     */
+    convertFromReceived (packet) {
+        if (this.protocol === 'midi') {
+            return Uint8Array.from(decodeBleMidiPacket(packet));
+        }
+        return Uint8Array.from(packet);
+    }
+}
+
+export default BleDakoTransport;
@@ -48,12 +48,54 @@ const BME280_REG_CHIP_ID = 0xD0;
 // const BME280_REG_CAL26 = 0xE1;
 
 const BME280_REG_CONTROLHUMID = 0xF2;
+const BME280_REG_STATUS = 0xF3;
 const BME280_REG_CONTROL = 0xF4;
 const BME280_REG_CONFIG = 0xF5;
 const BME280_REG_PRESSUREDATA = 0xF7;
 const BME280_REG_TEMPDATA = 0xFA;
 const BME280_REG_HUMIDITYDATA = 0xFD;
 
+// operating modes in the control register
+const MODE_SLEEP = 0x00;
+const MODE_FORCED = 0x01;
+const MODE_NORMAL = 0x03;
+
+// measuring bit in the status register
+const STATUS_MEASURING = 0x08;
+
+/**
+ * Bits of the oversampling by the ratio, 0 skips the measurement.
+ */
+const OVERSAMPLING_BITS = {0: 0, 1: 1, 2: 2, 4: 3, 8: 4, 16: 5};
+
+/**
+ * Bits of the IIR filter by the coefficient, 0 is off.
+ */
+const FILTER_BITS = {0: 0, 2: 1, 4: 2, 8: 3, 16: 4};
+
+/**
+ * Bits of the standby time in the normal mode by the time [milliseconds].
+ */
+const STANDBY_BITS = {0.5: 0, 62.5: 1, 125: 2, 250: 3, 500: 4, 1000: 5};
+
+/**
+ * Settings of the measurement.
+ * @typedef {object} BME280Settings
+ * @property {string} mode - operating mode [normal | forced]
+ * @property {number} temperatureOversampling - oversampling of temperature [0 | 1 | 2 | 4 | 8 | 16]
+ * @property {number} pressureOversampling - oversampling of pressure [0 | 1 | 2 | 4 | 8 | 16]
+ * @property {number} humidityOversampling - oversampling of humidity [0 | 1 | 2 | 4 | 8 | 16]
+ * @property {number} filter - coefficient of the IIR filter [0 | 2 | 4 | 8 | 16]
+ * @property {number} standby - standby time in the normal mode [milliseconds]
+ */
+
+/**
+ * Return a Promise which resolves after the time.
+ * @param {number} time - waiting time [milliseconds]
+ * @returns {Promise} a Promise which resolves after the time
+ */
+const wait = time => new Promise(resolve => setTimeout(resolve, time));
+
 /**
  * This class is representing a ADXL345.
  */
@@ -100,6 +142,119 @@ export default class BME280 {
          * @type {number}
          */
         this.tUpdateIntervalTime = 1000;
+
+        /**
+         * Continuous reading of the data registers.
+         * @type {?I2CSubscription}
+         */
+        this.subscription = null;
+
+        /**
+         * Whether the continuous reading was requested, it runs only in the normal mode.
+         * @type {boolean}
+         */
+        this.continuous = false;
+
+        /**
+         * Settings of the measurement, the default is same as the previous fixed values.
+         * @type {BME280Settings}
+         */
+        this.settings = {
+            mode: 'normal',
+            temperatureOversampling: 2,
+            pressureOversampling: 4,
+            humidityOversampling: 1,
+            filter: 0,
+            standby: 125
+        };
+
+        /**
+         * Data registers which were read after the last measurement in the forced mode.
+         * @type {?Array<number>}
+         */
+        this.forcedData = null;
+
+        /**
+         * The time [millisecond] when the last measurement in the forced mode was finished.
+         * @type {number}
+         */
+        this.forcedDataTime = 0;
+
+        /**
+         * Measurement in the forced mode which is in progress.
+         * @type {?Promise<Array<number>>}
+         */
+        this.forcedMeasuring = null;
+
+        /**
+         * Interval time [millisecond] to reuse the measurement in the forced mode.
+         * @type {number}
+         */
+        this.forcedMeasurementInterval = 100;
+    }
+
+    /**
+     * Check if a BME280 or BMP280 is connected.
+     * @param {AkadakoBoard} board - connecting akadako board
+     * @returns {Promise<boolean>} A Promise which resolves true if the chip ID was matched, false otherwise.
+     */
+    static async isConnected (board) {
+        try {
+            const data = await board.i2cReadOnce(BME280_ADDRESS, BME280_REG_CHIP_ID, 1, 200);
+            return (data[0] === CHIP_ID_BME280) || (data[0] === CHIP_ID_BMP280);
+        } catch (error) {
+            return false;
+        }
+    }
+
+    /**
+     * Start continuous reading of the all data registers.
+     * The values are calculated from the latest data without requests after this.
+     */
+    subscribe () {
+        this.continuous = true;
+        if (this.subscription || this.settings.mode === 'forced') return;
+        // pressure, temperature and humidity in a burst
+        this.subscription = this.board.i2cSubscribe(this.address, BME280_REG_PRESSUREDATA, 8);
+        if (this.subscription) {
+            this.tUpdateIntervalTime = 0;
+        }
+    }
+
+    /**
+     * Stop the continuous reading.
+     */
+    unsubscribe () {
+        this.continuous = false;
+        this.stopSubscription();
+    }
+
+    /**
+     * Stop the continuous reading but keep the request to restart it in the normal mode.
+     */
+    stopSubscription () {
+        if (!this.subscription) return;
+        this.subscription.unsubscribe();
+        this.subscription = null;
+        this.tUpdateIntervalTime = 1000;
+    }
+
+    /**
+     * Read bytes from the registers.
+     * The latest data is used when the registers are in the continuous reading.
+     * @param {number} register - starting register
+     * @param {number} length - number of bytes
+     * @returns {Promise<Array<number>>} a Promise which resolves read data
+     */
+    readRegisters (register, length) {
+        if (this.settings.mode === 'forced' && register >= BME280_REG_PRESSUREDATA) {
+            return this.readForcedData()
+                .then(data => data.slice(register - BME280_REG_PRESSUREDATA,
+                    register - BME280_REG_PRESSUREDATA + length));
+        }
+        const latest = this.subscription ? this.subscription.dataAt(register, length) : null;
+        if (latest) return Promise.resolve(latest);
+        return this.board.i2cReadOnce(this.address, register, length, this.timeout);
     }
 
     /**
@@ -118,7 +273,7 @@ export default class BME280 {
      * @returns {Promise<number>} a Promise which resolves read value
      */
     readUint16BE (register) {
-        return this.board.i2cReadOnce(this.address, register, 2, this.timeout)
+        return this.readRegisters(register, 2)
             .then(data => {
                 const dataView = new DataView(new Uint8Array(data).buffer);
                 const value = dataView.getUint16(0, false);
@@ -160,8 +315,8 @@ export default class BME280 {
      * @returns {Promise<number>} a Promise which resolves read value
      */
     read24 (register) {
-        return this.board.i2cReadOnce(this.address, register, 3, this.timeout)
-            .then(data => (data[0] << 16) | (data[1] << 8) | data[0]);
+        return this.readRegisters(register, 3)
+            .then(data => (data[0] << 16) | (data[1] << 8) | data[2]);
     }
 
     /**
@@ -176,9 +331,10 @@ export default class BME280 {
 
     /**
      * Initialize the sensor
+     * @param {object} settings - some of BME280Settings to change from the default
      * @returns {Promise} a Promise which resolves when the sensor was initialized
      */
-    async init () {
+    async init (settings = {}) {
         const chipID = await this.read8(BME280_REG_CHIP_ID);
         if ((chipID !== CHIP_ID_BME280) && (chipID !== CHIP_ID_BMP280)) {
             return Promise.reject(
@@ -208,9 +364,79 @@ export default class BME280 {
             (0x0F & (await this.read8(BME280_REG_DIG_H5) >> 4));
         this.dig_H6 = await this.read8(BME280_REG_DIG_H6);
 
-        await this.write8(BME280_REG_CONTROLHUMID, 0x01); // humidity-oversampling:x1
-        await this.write8(BME280_REG_CONTROL, 0x4F); // temperature-oversampling:x2, pressure-oversampling:x8
-        await this.write8(BME280_REG_CONFIG, 0x40); // standby-duration:125ms
+        await this.configure(settings);
+    }
+
+    /**
+     * Change the settings of the measurement.
+     * The settings which are not given or not supported keep the current values.
+     * @param {object} settings - some of BME280Settings
+     * @returns {Promise} a Promise which resolves when the settings were written
+     */
+    async configure (settings = {}) {
+        const next = Object.assign({}, this.settings);
+        if (settings.mode === 'normal' || settings.mode === 'forced') next.mode = settings.mode;
+        ['temperatureOversampling', 'pressureOversampling', 'humidityOversampling'].forEach(key => {
+            if (settings[key] in OVERSAMPLING_BITS) next[key] = Number(settings[key]);
+        });
+        if (settings.filter in FILTER_BITS) next.filter = Number(settings.filter);
+        if (settings.standby in STANDBY_BITS) next.standby = Number(settings.standby);
+        this.settings = next;
+        const control = (OVERSAMPLING_BITS[next.temperatureOversampling] << 5) |
+            (OVERSAMPLING_BITS[next.pressureOversampling] << 2);
+        // the config register may ignore writings in the normal mode
+        await this.write8(BME280_REG_CONTROL, control | MODE_SLEEP);
+        await this.write8(BME280_REG_CONFIG, (STANDBY_BITS[next.standby] << 5) | (FILTER_BITS[next.filter] << 2));
+        // humidity is applied by the writing of the control register after this
+        await this.write8(BME280_REG_CONTROLHUMID, OVERSAMPLING_BITS[next.humidityOversampling]);
+        this.forcedData = null;
+        if (next.mode === 'forced') {
+            this.stopSubscription();
+            return;
+        }
+        await this.write8(BME280_REG_CONTROL, control | MODE_NORMAL);
+        if (this.continuous) this.subscribe();
+    }
+
+    /**
+     * Return the maximum time of a measurement by the datasheet.
+     * @returns {number} measurement time [milliseconds]
+     */
+    measurementTime () {
+        const settings = this.settings;
+        let time = 1.25 + (2.3 * settings.temperatureOversampling);
+        if (settings.pressureOversampling > 0) time += (2.3 * settings.pressureOversampling) + 0.575;
+        if (settings.humidityOversampling > 0) time += (2.3 * settings.humidityOversampling) + 0.575;
+        return Math.ceil(time);
+    }
+
+    /**
+     * Measure once in the forced mode and read the data registers.
+     * The measurement is reused in the interval and shared by the readings at the same time.
+     * @returns {Promise<Array<number>>} a Promise which resolves the data registers from the pressure
+     */
+    readForcedData () {
+        if (this.forcedData && (Date.now() - this.forcedDataTime) < this.forcedMeasurementInterval) {
+            return Promise.resolve(this.forcedData);
+        }
+        if (this.forcedMeasuring) return this.forcedMeasuring;
+        this.forcedMeasuring = (async () => {
+            const settings = this.settings;
+            await this.write8(BME280_REG_CONTROL,
+                (OVERSAMPLING_BITS[settings.temperatureOversampling] << 5) |
+                (OVERSAMPLING_BITS[settings.pressureOversampling] << 2) |
+                MODE_FORCED);
+            await wait(this.measurementTime());
+            const status = await this.read8(BME280_REG_STATUS);
+            if (status & STATUS_MEASURING) await wait(this.measurementTime());
+            this.forcedData = await this.board.i2cReadOnce(this.address, BME280_REG_PRESSUREDATA, 8, this.timeout);
+            this.forcedDataTime = Date.now();
+            return this.forcedData;
+        })()
+            .finally(() => {
+                this.forcedMeasuring = null;
+            });
+        return this.forcedMeasuring;
     }
 
     /**
@@ -0,0 +1,239 @@
+/**
+ * BMI088 API
+ * 6-axis IMU by Bosch which has the accelerometer and the gyroscope at separate I2C addresses
+ * This code refer to
+ * https://github.com/bolderflight/bmi088-arduino
+ */
+
+/**
+ * default I2C addresses
+ * @enum {number}
+ */
+const BMI088_ACCEL_ADDRESS = 0x18;
+const BMI088_GYRO_ADDRESS = 0x68;
+
+// registers of the accelerometer
+const ACC_CHIP_ID = 0x00;
+const ACC_X_LSB = 0x12;
+const ACC_CONF = 0x40;
+const ACC_RANGE = 0x41;
+const ACC_PWR_CONF = 0x7C;
+const ACC_PWR_CTRL = 0x7D;
+
+// registers of the gyroscope
+const GYRO_CHIP_ID = 0x00;
+const RATE_X_LSB = 0x02;
+const GYRO_RANGE = 0x0F;
+const GYRO_BANDWIDTH = 0x10;
+const GYRO_LPM1 = 0x11;
+
+const ACC_CHIP_ID_VALUE = 0x1E;
+const GYRO_CHIP_ID_VALUE = 0x0F;
+
+/**
+ * ACC_RANGE by the requested range [G], the nearest wider one of 3, 6, 12 and 24 G is used.
+ */
+const ACCELERATION_RANGES = {
+    2: {bits: 0x00, range: 3},
+    4: {bits: 0x01, range: 6},
+    8: {bits: 0x02, range: 12},
+    16: {bits: 0x03, range: 24}
+};
+
+/**
+ * Output data rate in ACC_CONF by the rate [Hz].
+ */
+const DATA_RATES = {
+    12.5: 0x05,
+    25: 0x06,
+    50: 0x07,
+    100: 0x08,
+    200: 0x09
+};
+
+/**
+ * Angular rate [degree/s] of a LSB in the range of 500 degree/s.
+ */
+const ANGULAR_RATE_SCALE = 500 / 32768;
+
+/**
+ * Return a Promise which resolves after the time.
+ * @param {number} time - waiting time [milliseconds]
+ * @returns {Promise} a Promise which resolves after the time
+ */
+const wait = time => new Promise(resolve => setTimeout(resolve, time));
+
+/**
+ * Decode 3 axes of int16 in little endian.
+ * @param {Array<number>} data - 6 bytes of X, Y and Z
+ * @param {number} scale - value of a LSB
+ * @returns {{x: number, y: number, z: number}} scaled values
+ */
+const decodeAxes = (data, scale) => {
+    const dataView = new DataView(new Uint8Array(data).buffer);
+    return {
+        x: dataView.getInt16(0, true) * scale,
+        y: dataView.getInt16(2, true) * scale,
+        z: dataView.getInt16(4, true) * scale
+    };
+};
+
+/**
+ * This class is representing a BMI088.
+ */
+export default class BMI088 {
+    /**
+     * Constructor of BMI088 instance.
+     * @param {AkaDakoBoard} board - connecting AkaDako board
+     * @param {number} accelAddress - I2C address of the accelerometer
+     * @param {number} gyroAddress - I2C address of the gyroscope
+     */
+    constructor (board, accelAddress = BMI088_ACCEL_ADDRESS, gyroAddress = BMI088_GYRO_ADDRESS) {
+
+        /**
+         * Connecting AkaDako board
+         * @type {import('./akadako-board').default}
+         */
+        this.board = board;
+
+        /**
+         * I2C address of the accelerometer
+         * @type {number}
+         */
+        this.accelAddress = accelAddress;
+
+        /**
+         * I2C address of the gyroscope
+         * @type {number}
+         */
+        this.gyroAddress = gyroAddress;
+
+        /**
+         * Timeout for readings in milliseconds.
+         * @type {number}
+         */
+        this.timeout = 200;
+
+        /**
+         * Acceleration [m/s^2] of a LSB.
+         * @type {number}
+         */
+        this.accelerationScale = 6 * 9.80665 / 32768;
+
+        /**
+         * Continuous reading of the acceleration.
+         * @type {?I2CSubscription}
+         */
+        this.accelSubscription = null;
+
+        /**
+         * Continuous reading of the angular rate.
+         * @type {?I2CSubscription}
+         */
+        this.gyroSubscription = null;
+    }
+
+    /**
+     * Check if a BMI088 is connected.
+     * @param {AkadakoBoard} board - connecting akadako board
+     * @returns {Promise<boolean>} A Promise which resolves true if the device is BMI088, false otherwise.
+     */
+    static async isConnected (board) {
+        try {
+            const bmi088 = new BMI088(board);
+            const ids = await bmi088.readIDs();
+            return ids.accel === ACC_CHIP_ID_VALUE && ids.gyro === GYRO_CHIP_ID_VALUE;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    /**
+     * Read IDs of the accelerometer and the gyroscope.
+     * @returns {Promise<{accel: number, gyro: number}>} a Promise which resolves the chip IDs
+     */
+    async readIDs () {
+        const accel = await this.board.i2cReadOnce(this.accelAddress, ACC_CHIP_ID, 1, this.timeout);
+        const gyro = await this.board.i2cReadOnce(this.gyroAddress, GYRO_CHIP_ID, 1, this.timeout);
+        return {accel: accel[0], gyro: gyro[0]};
+    }
+
+    /**
+     * Initialize the sensor, the gyroscope is in 100 Hz and 500 degree/s.
+     * @param {number} range - range [G] in 2, 4, 8 or 16, it is 4 (6 G) when it was not supported
+     * @param {number} dataRate - output data rate [Hz] in 12.5, 25, 50, 100 or 200, it is 100 when it was not supported
+     * @returns {Promise} a Promise which resolves when the sensor was initialized
+     */
+    async init (range, dataRate) {
+        const accelerationRange = (range in ACCELERATION_RANGES) ? ACCELERATION_RANGES[range] : ACCELERATION_RANGES[4];
+        const rateBits = (dataRate in DATA_RATES) ? DATA_RATES[dataRate] : DATA_RATES[100];
+        const ids = await this.readIDs();
+        if (ids.accel !== ACC_CHIP_ID_VALUE || ids.gyro !== GYRO_CHIP_ID_VALUE) {
+            return Promise.reject(`0x${this.accelAddress.toString(16)} and ` +
+                `0x${this.gyroAddress.toString(16)} are not BMI088`);
+        }
+        // the accelerometer is suspended after the power on
+        await this.board.i2cWrite(this.accelAddress, ACC_PWR_CTRL, 0x04);
+        await wait(50);
+        await this.board.i2cWrite(this.accelAddress, ACC_PWR_CONF, 0x00);
+        // normal filter
+        await this.board.i2cWrite(this.accelAddress, ACC_CONF, 0xA0 | rateBits);
+        await this.board.i2cWrite(this.accelAddress, ACC_RANGE, accelerationRange.bits);
+        this.accelerationScale = accelerationRange.range * 9.80665 / 32768;
+        await this.board.i2cWrite(this.gyroAddress, GYRO_RANGE, 0x02);
+        // 100 Hz and filter 32 Hz
+        await this.board.i2cWrite(this.gyroAddress, GYRO_BANDWIDTH, 0x07);
+        await this.board.i2cWrite(this.gyroAddress, GYRO_LPM1, 0x00);
+    }
+
+    /**
+     * Start continuous reading of the acceleration and the angular rate.
+     * The listener is called at the readings of the gyroscope with the latest acceleration.
+     * @param {?function(object)} listener - called with the decoded motion at every reading
+     */
+    subscribe (listener = null) {
+        if (this.gyroSubscription) return;
+        this.accelSubscription = this.board.i2cSubscribe(this.accelAddress, ACC_X_LSB, 6);
+        this.gyroSubscription = this.board.i2cSubscribe(this.gyroAddress, RATE_X_LSB, 6,
+            listener ? data => {
+                const accelData = this.accelSubscription ? this.accelSubscription.dataAt(ACC_X_LSB, 6) : null;
+                if (!accelData) return;
+                listener({
+                    acceleration: decodeAxes(accelData, this.accelerationScale),
+                    angularRate: decodeAxes(data, ANGULAR_RATE_SCALE)
+                });
+            } : null);
+    }
+
+    /**
+     * Stop the continuous reading.
+     */
+    unsubscribe () {
+        if (this.accelSubscription) this.accelSubscription.unsubscribe();
+        if (this.gyroSubscription) this.gyroSubscription.unsubscribe();
+        this.accelSubscription = null;
+        this.gyroSubscription = null;
+    }
+
+    /**
+     * Return latest acceleration.
+     * @returns {Promise<{x: number, y: number, z: number}>} a Promise which resolves acceleration [m/s^2]
+     */
+    async getAcceleration () {
+        const latest = this.accelSubscription ? this.accelSubscription.dataAt(ACC_X_LSB, 6) : null;
+        const data = latest ? latest :
+            await this.board.i2cReadOnce(this.accelAddress, ACC_X_LSB, 6, this.timeout);
+        return decodeAxes(data, this.accelerationScale);
+    }
+
+    /**
+     * Return latest angular rate.
+     * @returns {Promise<{x: number, y: number, z: number}>} a Promise which resolves angular rate [degree/s]
+     */
+    async getAngularRate () {
+        const latest = this.gyroSubscription ? this.gyroSubscription.dataAt(RATE_X_LSB, 6) : null;
+        const data = latest ? latest :
+            await this.board.i2cReadOnce(this.gyroAddress, RATE_X_LSB, 6, this.timeout);
+        return decodeAxes(data, ANGULAR_RATE_SCALE);
+    }
+}
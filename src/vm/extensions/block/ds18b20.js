@@ -0,0 +1,159 @@
+/**
+ * DS18B20 API
+ * waterproof temperature sensor on OneWire bus
+ * This code refer to
+ * https://www.analog.com/media/en/technical-documentation/data-sheets/DS18B20.pdf
+ */
+
+/**
+ * Family code in the first byte of the ROM code.
+ */
+const DS18B20_FAMILY_CODE = 0x28;
+
+// function commands
+const CONVERT_T = 0x44;
+const WRITE_SCRATCHPAD = 0x4E;
+const READ_SCRATCHPAD = 0xBE;
+
+/**
+ * Size of the scratchpad including CRC.
+ */
+const SCRATCHPAD_SIZE = 9;
+
+/**
+ * Maximum conversion time [milliseconds] for each resolution.
+ */
+const CONVERSION_TIME = {
+    9: 94,
+    10: 188,
+    11: 375,
+    12: 750
+};
+
+/**
+ * Return a Promise which resolves after the time.
+ * @param {number} time - waiting time [milliseconds]
+ * @returns {Promise} a Promise which resolves after the time
+ */
+const wait = time => new Promise(resolve => setTimeout(resolve, time));
+
+/**
+ * Calculate CRC-8 of the data by the Dallas/Maxim rule (polynomial x^8 + x^5 + x^4 + 1).
+ * @param {Array<number>} data - bytes to be checked
+ * @returns {number} CRC of the data
+ */
+export const crc8Maxim = data => {
+    let crc = 0;
+    data.forEach(byte => {
+        let value = byte;
+        for (let bit = 0; bit < 8; bit++) {
+            const mix = (crc ^ value) & 0x01;
+            crc >>= 1;
+            if (mix) crc ^= 0x8C;
+            value >>= 1;
+        }
+    });
+    return crc;
+};
+
+/**
+ * This class is representing a DS18B20 on a OneWire bus.
+ */
+export default class DS18B20 {
+    /**
+     * Constructor of DS18B20 instance.
+     * @param {AkaDakoBoard} board - connecting AkaDako board
+     * @param {number} pin - pin number of the OneWire bus
+     * @param {Array<number>} rom - ROM code of the sensor
+     */
+    constructor (board, pin, rom) {
+
+        /**
+         * Connecting AkaDako board
+         * @type {import('./akadako-board').default}
+         */
+        this.board = board;
+
+        /**
+         * Pin number of the OneWire bus.
+         * @type {number}
+         */
+        this.pin = pin;
+
+        /**
+         * ROM code of the sensor.
+         * @type {Array<number>}
+         */
+        this.rom = rom;
+
+        /**
+         * Timeout for readings in milliseconds.
+         * @type {number}
+         */
+        this.timeout = 1000;
+
+        /**
+         * Resolution of the temperature [9 - 12] bits.
+         * @type {number}
+         */
+        this.resolution = 12;
+    }
+
+    /**
+     * Return the ROM codes of DS18B20 on the bus.
+     * @param {AkadakoBoard} board - connecting akadako board
+     * @param {number} pin - pin number of the OneWire bus
+     * @param {boolean} refresh - search the bus again
+     * @returns {Promise<Array<Array<number>>>} a Promise which resolves ROM codes in the order of the search
+     */
+    static async findAll (board, pin, refresh = false) {
+        const devices = await board.searchOneWireDevices(pin, refresh);
+        return devices.filter(rom => rom[0] === DS18B20_FAMILY_CODE);
+    }
+
+    /**
+     * Read the scratchpad and check its CRC.
+     * @returns {Promise<Array<number>>} a Promise which resolves 9 bytes of the scratchpad
+     */
+    async readScratchpad () {
+        await this.board.sendOneWireReset(this.pin);
+        const data = await this.board.oneWireWriteAndRead(
+            this.pin, READ_SCRATCHPAD, SCRATCHPAD_SIZE, this.timeout, this.rom);
+        if (data.length < SCRATCHPAD_SIZE ||
+            crc8Maxim(data.slice(0, SCRATCHPAD_SIZE - 1)) !== data[SCRATCHPAD_SIZE - 1]) {
+            return Promise.reject('CRC error in the scratchpad of DS18B20');
+        }
+        return data;
+    }
+
+    /**
+     * Set the resolution of the temperature.
+     * The alarm triggers in the scratchpad are kept.
+     * @param {number} resolution - resolution [9 - 12] bits
+     * @returns {Promise} a Promise which resolves when the scratchpad was written
+     */
+    async setResolution (resolution) {
+        const bits = Math.min(12, Math.max(9, Math.round(resolution)));
+        const scratchpad = await this.readScratchpad();
+        const config = ((bits - 9) << 5) | 0x1F;
+        await this.board.sendOneWireReset(this.pin);
+        await this.board.oneWireWrite(this.pin, [WRITE_SCRATCHPAD, scratchpad[2], scratchpad[3], config], this.rom);
+        this.resolution = bits;
+    }
+
+    /**
+     * Start a conversion and read the temperature after it.
+     * @returns {Promise<number>} a Promise which resolves temperature [degree]
+     */
+    async readTemperature () {
+        await this.board.sendOneWireReset(this.pin);
+        await this.board.oneWireWrite(this.pin, CONVERT_T, this.rom);
+        await wait(CONVERSION_TIME[this.resolution]);
+        const scratchpad = await this.readScratchpad();
+        this.resolution = ((scratchpad[4] >> 5) & 0x03) + 9;
+        const dataView = new DataView(new Uint8Array(scratchpad).buffer);
+        // the lower bits are undefined in the lower resolution
+        const raw = dataView.getInt16(0, true) & ~((1 << (12 - this.resolution)) - 1);
+        return raw / 16;
+    }
+}
@@ -0,0 +1,191 @@
+/**
+ * I2C devices which are described by the user in a JSON device profile.
+ *
+ * A profile looks like this.
+ * {
+ *   "name": "ADT7410",
+ *   "address": "0x48",
+ *   "init": [{"register": "0x03", "data": ["0x80"]}],
+ *   "fields": {
+ *     "temperature": {"register": "0x00", "type": "Int16", "endian": "big", "scale": 0.0078125}
+ *   }
+ * }
+ * Numbers can be written in hexadecimal strings. "init" is optional.
+ * A field is decoded as raw * scale + offset.
+ */
+
+/**
+ * Number of bytes for each type of the numbers.
+ */
+const BYTES_OF_TYPE = {
+    Int8: 1,
+    Uint8: 1,
+    Int16: 2,
+    Uint16: 2,
+    Int32: 4,
+    Uint32: 4,
+    float: 4
+};
+
+/**
+ * Types of the numbers which can be decoded.
+ * @type {Array<string>}
+ */
+export const NUMBER_TYPES = Object.keys(BYTES_OF_TYPE);
+
+/**
+ * Read numbers as the type and endian from the array of 8 bit data.
+ * The rest of the bytes which is shorter than the type are ignored.
+ * @param {Array<number>} bytes - array of 8 bit data
+ * @param {string} type - type of the numbers in NUMBER_TYPES
+ * @param {boolean} littleEndian - true for little endian
+ * @returns {Array<number>} decoded numbers
+ */
+export const decodeBytes = (bytes, type, littleEndian) => {
+    const size = BYTES_OF_TYPE[type];
+    if (!size) throw new Error(`unknown type: ${type}`);
+    const dataView = new DataView(new Uint8Array(bytes).buffer);
+    const getter = {
+        Int8: offset => dataView.getInt8(offset),
+        Uint8: offset => dataView.getUint8(offset),
+        Int16: offset => dataView.getInt16(offset, littleEndian),
+        Uint16: offset => dataView.getUint16(offset, littleEndian),
+        Int32: offset => dataView.getInt32(offset, littleEndian),
+        Uint32: offset => dataView.getUint32(offset, littleEndian),
+        float: offset => dataView.getFloat32(offset, littleEndian)
+    }[type];
+    const result = [];
+    for (let index = 0; index < Math.floor(bytes.length / size); index++) {
+        result.push(getter(index * size));
+    }
+    return result;
+};
+
+/**
+ * Return the number which is written in a profile.
+ * @param {number|string} value - number or numeric string like '0x48'
+ * @param {string} name - name of the value to be shown in the error
+ * @returns {number} the number
+ */
+const toProfileNumber = (value, name) => {
+    const number = (typeof value === 'string') ? Number(value.trim()) : value;
+    if (typeof number !== 'number' || !Number.isFinite(number)) {
+        throw new Error(`${name} is not a number: ${JSON.stringify(value)}`);
+    }
+    return number;
+};
+
+/**
+ * Return the normalized field of a profile.
+ * @param {string} name - name of the field
+ * @param {object} source - field in the profile
+ * @returns {object} field with the default values
+ */
+const parseField = (name, source) => {
+    const type = (typeof source.type === 'undefined') ? 'Uint8' : source.type;
+    if (!BYTES_OF_TYPE[type]) {
+        throw new Error(`type of ${name} must be one of ${NUMBER_TYPES.join(', ')}: ${type}`);
+    }
+    const endian = (typeof source.endian === 'undefined') ? 'big' : source.endian;
+    if (endian !== 'big' && endian !== 'little') {
+        throw new Error(`endian of ${name} must be big or little: ${endian}`);
+    }
+    const length = (typeof source.length === 'undefined') ?
+        BYTES_OF_TYPE[type] :
+        toProfileNumber(source.length, `length of ${name}`);
+    if (length < BYTES_OF_TYPE[type]) {
+        throw new Error(`length of ${name} is shorter than ${type}`);
+    }
+    return {
+        register: toProfileNumber(source.register, `register of ${name}`),
+        length: length,
+        type: type,
+        littleEndian: (endian === 'little'),
+        scale: (typeof source.scale === 'undefined') ? 1 : toProfileNumber(source.scale, `scale of ${name}`),
+        offset: (typeof source.offset === 'undefined') ? 0 : toProfileNumber(source.offset, `offset of ${name}`)
+    };
+};
+
+/**
+ * Parse a device profile and return it with the default values.
+ * @param {string|object} source - JSON text or object of the profile
+ * @returns {{name: string, address: number, init: Array<object>, fields: Map<string, object>}} parsed profile
+ * @throws {Error} when the profile is not valid
+ */
+export const parseI2CDeviceProfile = source => {
+    const profile = (typeof source === 'string') ? JSON.parse(source) : source;
+    if (!profile || typeof profile !== 'object') throw new Error('profile must be an object');
+    if (typeof profile.name !== 'string' || profile.name.trim() === '') {
+        throw new Error('profile must have a name');
+    }
+    if (!profile.fields || typeof profile.fields !== 'object') {
+        throw new Error(`profile ${profile.name} must have fields`);
+    }
+    const fields = new Map();
+    Object.entries(profile.fields).forEach(([name, field]) => {
+        fields.set(name, parseField(name, field));
+    });
+    return {
+        name: profile.name.trim(),
+        address: toProfileNumber(profile.address, 'address'),
+        init: (profile.init || []).map((write, index) => ({
+            register: toProfileNumber(write.register, `register of init ${index}`),
+            data: [].concat(write.data).map(value => toProfileNumber(value, `data of init ${index}`))
+        })),
+        fields: fields
+    };
+};
+
+/**
+ * This class is representing an I2C device which is described in a profile.
+ */
+export default class I2CProfileDevice {
+    /**
+     * Constructor of the device.
+     * @param {AkadakoBoard} board - connecting akadako board
+     * @param {object} profile - parsed profile by parseI2CDeviceProfile()
+     */
+    constructor (board, profile) {
+
+        /**
+         * Connecting akadako board
+         * @type {import('./akadako-board').default}
+         */
+        this.board = board;
+
+        /**
+         * Profile of this device.
+         * @type {object}
+         */
+        this.profile = profile;
+
+        /**
+         * Timeout for readings in milliseconds.
+         * @type {number}
+         */
+        this.timeout = 200;
+    }
+
+    /**
+     * Initialize the device with the writes in the profile.
+     * @returns {Promise} a Promise which resolves when all writes were sent
+     */
+    async init () {
+        for (const write of this.profile.init) {
+            await this.board.i2cWrite(this.profile.address, write.register, write.data);
+        }
+    }
+
+    /**
+     * Read the field and return its value.
+     * @param {string} name - name of the field
+     * @returns {Promise<Array<number>>} a Promise which resolves the scaled numbers in the field
+     */
+    async readField (name) {
+        const field = this.profile.fields.get(name);
+        if (!field) return Promise.reject(`${this.profile.name} has no field ${name}`);
+        const data = await this.board.i2cReadOnce(this.profile.address, field.register, field.length, this.timeout);
+        return decodeBytes(data, field.type, field.littleEndian)
+            .map(raw => (raw * field.scale) + field.offset);
+    }
+}
@@ -0,0 +1,237 @@
+const I2C_REQUEST = 0x76;
+
+/**
+ * I2C mode to stop the continuous readings at the address.
+ */
+const I2C_STOP_READING = 0x03;
+
+/**
+ * Number of the continuous readings which StandardFirmata and ConfigurableFirmata can hold (MAX_QUERIES).
+ */
+const MAX_QUERIES = 8;
+
+/**
+ * A subscriber of a continuous I2C reading.
+ */
+class I2CSubscription {
+
+    /**
+     * Construct a subscription.
+     * @param {I2CSubscriptionManager} manager - manager which serves the reading
+     * @param {object} reading - shared reading on the board
+     * @param {?function(Array<number>)} listener - called with the data at every reply
+     */
+    constructor (manager, reading, listener) {
+        this.manager = manager;
+        this.reading = reading;
+        this.listener = listener;
+    }
+
+    /**
+     * Latest data from the first register of the reading.
+     * @type {?Array<number>}
+     */
+    get data () {
+        return this.reading.data;
+    }
+
+    /**
+     * Time when the latest data came [milliseconds].
+     * @type {number}
+     */
+    get updatedTime () {
+        return this.reading.updatedTime;
+    }
+
+    /**
+     * Return the latest data of the registers when they are in the reading.
+     * The data is not available when the replies stopped for some sampling intervals,
+     * then the caller reads the registers by itself to know whether the device is still there.
+     * @param {number} register - first register
+     * @param {number} length - number of bytes
+     * @returns {?Array<number>} data of the registers or null when it is not available
+     */
+    dataAt (register, length) {
+        const reading = this.reading;
+        if (!reading.data) return null;
+        if ((Date.now() - reading.updatedTime) > this.manager.staleTime()) return null;
+        const start = register - reading.register;
+        if (start < 0 || (start + length) > reading.data.length) return null;
+        return reading.data.slice(start, start + length);
+    }
+
+    /**
+     * Stop receiving the data.
+     */
+    unsubscribe () {
+        this.manager.unsubscribe(this);
+    }
+}
+
+/**
+ * Manager of the continuous I2C readings on a board.
+ *
+ * The board sends the registers at every sampling interval without requests.
+ * Subscribers of the same registers share one reading, and the reading stops when no one subscribes it.
+ * The readings over the limit of the firmware wait for a free query, their subscribers read by themselves meanwhile.
+ */
+class I2CSubscriptionManager {
+
+    /**
+     * Construct a manager for the board.
+     * @param {AkaDakoBoard} board - board which reads the registers
+     */
+    constructor (board) {
+        this.board = board;
+
+        /**
+         * Readings on the board by the key of address and register.
+         * @type {Map<string, object>}
+         */
+        this.readings = new Map();
+
+        /**
+         * Readings which the board holds as its queries, in the order of the requests.
+         * @type {Array<object>}
+         */
+        this.runningReadings = [];
+
+        /**
+         * Sampling interval [milliseconds] of the board which is assumed when it is not known.
+         * @type {number}
+         */
+        this.defaultSamplingInterval = 19;
+
+        /**
+         * Number of the sampling intervals without replies to regard the latest data as stale.
+         * @type {number}
+         */
+        this.staleIntervals = 10;
+    }
+
+    /**
+     * Return the age of the latest data when it is regarded as stale.
+     * The sampling interval of the board is not changed for the readings because it drives the analog reports too.
+     * @returns {number} age [milliseconds]
+     */
+    staleTime () {
+        const firmata = this.board.firmata;
+        const interval = (firmata && firmata.getSamplingInterval) ?
+            firmata.getSamplingInterval() : this.defaultSamplingInterval;
+        return interval * this.staleIntervals;
+    }
+
+    /**
+     * Start to receive data of the registers continuously.
+     * @param {number} address - I2C address
+     * @param {number} register - first register
+     * @param {number} length - number of bytes to read
+     * @param {?function(Array<number>)} listener - called with the data at every reply
+     * @returns {I2CSubscription} subscription
+     */
+    subscribe (address, register, length, listener = null) {
+        const key = `${address}-${register}`;
+        let reading = this.readings.get(key);
+        const isNewReading = !reading;
+        if (isNewReading) {
+            reading = {
+                address: address,
+                register: register,
+                length: length,
+                data: null,
+                updatedTime: 0,
+                subscriptions: new Set(),
+                onReply: null,
+                running: false
+            };
+            this.readings.set(key, reading);
+        }
+        const subscription = new I2CSubscription(this, reading, listener);
+        reading.subscriptions.add(subscription);
+        if (isNewReading) {
+            this.startReading(reading);
+        } else if (length > reading.length) {
+            reading.length = length;
+            reading.data = null;
+            // the board can not change the length of a running reading
+            if (reading.running) this.restartReadings(address);
+        }
+        return subscription;
+    }
+
+    /**
+     * Stop the subscription and the reading when no one subscribes it.
+     * @param {I2CSubscription} subscription - subscription to stop
+     */
+    unsubscribe (subscription) {
+        const reading = subscription.reading;
+        if (!reading.subscriptions.delete(subscription)) return;
+        if (reading.subscriptions.size > 0) return;
+        this.readings.delete(`${reading.address}-${reading.register}`);
+        if (reading.running) this.restartReadings(reading.address);
+    }
+
+    /**
+     * Request the board to send the registers continuously when it has a free query.
+     * @param {object} reading - reading to start
+     */
+    startReading (reading) {
+        const firmata = this.board.firmata;
+        if (!firmata) return;
+        if (this.runningReadings.length >= MAX_QUERIES) return;
+        reading.onReply = data => {
+            reading.data = data;
+            reading.updatedTime = Date.now();
+            reading.subscriptions.forEach(subscription => {
+                if (subscription.listener) subscription.listener(data);
+            });
+        };
+        firmata.i2cRead(reading.address, reading.register, reading.length, reading.onReply);
+        reading.running = true;
+        this.runningReadings.push(reading);
+    }
+
+    /**
+     * Stop all readings at the address on the board then start the subscribed ones which are not running.
+     * @param {number} address - I2C address
+     */
+    restartReadings (address) {
+        const firmata = this.board.firmata;
+        if (!firmata) return;
+        // The firmware removes only the first query of the address by a stop, so it is sent for each query.
+        // firmata.i2cStop() is not used because it removes the listeners of the other addresses.
+        this.runningReadings
+            .filter(reading => reading.address === address)
+            .forEach(reading => {
+                firmata.sysexCommand([I2C_REQUEST, address & 0x7F, (I2C_STOP_READING << 3) | ((address >> 7) & 0x07)]);
+                this.removeReplyListener(reading);
+                reading.running = false;
+            });
+        this.runningReadings = this.runningReadings.filter(reading => reading.running);
+        this.readings.forEach(reading => {
+            if (!reading.running) this.startReading(reading);
+        });
+    }
+
+    /**
+     * Remove the listener of the reading from the Firmata.
+     * @param {object} reading - reading to stop listening
+     */
+    removeReplyListener (reading) {
+        const firmata = this.board.firmata;
+        if (firmata && reading.onReply) {
+            firmata.removeListener(`I2C-reply-${reading.address}-${reading.register}`, reading.onReply);
+        }
+        reading.onReply = null;
+    }
+
+    /**
+     * Forget all readings, it is used when the board was released.
+     */
+    clear () {
+        this.readings.clear();
+        this.runningReadings = [];
+    }
+}
+
+export default I2CSubscriptionManager;
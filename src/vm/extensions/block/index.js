@@ -7,11 +7,27 @@ import blockIcon from './block-icon.png';
 import Long from 'long';
 
 import {AkaDakoConnector, getAkaDakoConnector} from './akadako-connector';
+import {collectDiagnostics, formatDiagnosticsReport} from './akadako-diagnostics';
 import VL53L0X from './vl53l0x';
+import VL53L1X from './vl53l1x';
 import ADXL345 from './adxl345';
+import BMI088 from './bmi088';
 import BME280 from './bme280';
+import SHT from './sht';
+import ADT7410 from './adt7410';
+import APDS9960, {colorToRGB} from './apds9960';
+import SCD4x from './scd4x';
+import SGP30 from './sgp30';
+import SSD1306 from './ssd1306';
+import TM1637 from './tm1637';
+import MY9221 from './my9221';
+import DS18B20 from './ds18b20';
 import KXTJ3 from './kxtj3';
+import LSM6DS3 from './lsm6ds3';
+import MPU6050 from './mpu6050';
+import OrientationFilter, {accelerationToPitch, accelerationToRoll} from './orientation-filter';
 import LTR303 from './ltr303';
+import I2CProfileDevice, {decodeBytes, parseI2CDeviceProfile} from './i2c-device-profile';
 import chroma from 'chroma-js';
 
 /**
@@ -45,6 +61,109 @@ const integer64From = (valueInput, unsigned) => {
     return Long.fromValue(value, unsigned);
 };
 
+/**
+ * The second pin of the digital connectors by the first pin.
+ * @type {Object<number, number>}
+ */
+const SECOND_PIN_OF_CONNECTOR = {
+    10: 11,
+    6: 9
+};
+
+/**
+ * Standard gravity [m/s^2] which the calibrated accelerometer reports on the vertical axis.
+ * @type {number}
+ */
+const STANDARD_GRAVITY = 9.80665;
+
+/**
+ * Return altitude by the barometric formula in the international standard atmosphere.
+ * @param {number} pressure - pressure [hPa]
+ * @param {number} seaLevelPressure - pressure at the sea level [hPa]
+ * @returns {number} altitude [m]
+ */
+export const altitudeOf = (pressure, seaLevelPressure) =>
+    44330 * (1 - ((pressure / seaLevelPressure) ** (1 / 5.255)));
+
+/**
+ * Return dew point by the Magnus formula.
+ * @param {number} temperature - temperature [℃]
+ * @param {number} humidity - relative humidity [%]
+ * @returns {?number} dew point [℃] or null when the humidity is 0
+ */
+export const dewPointOf = (temperature, humidity) => {
+    if (humidity <= 0) return null;
+    const gamma = Math.log(humidity / 100) + ((17.62 * temperature) / (243.12 + temperature));
+    return (243.12 * gamma) / (17.62 - gamma);
+};
+
+/**
+ * Return absolute humidity from the saturation vapor pressure by the Magnus formula.
+ * @param {number} temperature - temperature [℃]
+ * @param {number} humidity - relative humidity [%]
+ * @returns {number} absolute humidity [g/m^3]
+ */
+export const absoluteHumidityOf = (temperature, humidity) => {
+    const saturation = 6.112 * Math.exp((17.67 * temperature) / (temperature + 243.5)); // [hPa]
+    return (saturation * humidity * 2.1674) / (273.15 + temperature);
+};
+
+/**
+ * Return acceleration which the offsets were subtracted from.
+ * @param {{x: number, y: number, z: number}} acceleration - measured acceleration [m/s^2]
+ * @param {?{x: number, y: number, z: number}} offset - offsets by the calibration [m/s^2]
+ * @returns {{x: number, y: number, z: number}} calibrated acceleration [m/s^2]
+ */
+export const calibrateAcceleration = (acceleration, offset) => {
+    if (!offset) return acceleration;
+    return {
+        x: acceleration.x - offset.x,
+        y: acceleration.y - offset.y,
+        z: acceleration.z - offset.z
+    };
+};
+
+/**
+ * Return the offsets which make the average of still samples to the gravity on the nearest axis.
+ * @param {Array<{x: number, y: number, z: number}>} samples - acceleration while keeping still [m/s^2]
+ * @returns {{x: number, y: number, z: number}} offsets of the axes [m/s^2]
+ */
+export const accelerationOffsetOf = samples => {
+    const average = {x: 0, y: 0, z: 0};
+    samples.forEach(sample => {
+        average.x += sample.x / samples.length;
+        average.y += sample.y / samples.length;
+        average.z += sample.z / samples.length;
+    });
+    const vertical = ['x', 'y', 'z'].reduce((axis, other) =>
+        ((Math.abs(average[other]) > Math.abs(average[axis])) ? other : axis));
+    const offset = Object.assign({}, average);
+    offset[vertical] -= Math.sign(average[vertical]) * STANDARD_GRAVITY;
+    return offset;
+};
+
+/**
+ * Return the median of the values, the upper one of the middle two for an even number of values.
+ * @param {Array<number>} values - values to be sorted
+ * @returns {?number} median or null when there is no value
+ */
+export const medianOf = values => {
+    if (values.length < 1) return null;
+    const sorted = [...values].sort((a, b) => a - b);
+    return sorted[Math.floor(sorted.length / 2)];
+};
+
+/**
+ * Stop the continuous readings of the sensors in the cache which is discarded.
+ * SGP30 measures by its own timer, so it keeps accessing the board until this.
+ * @param {SensorCache} cache - cache of a removed board
+ */
+const releaseSensorCache = cache => {
+    Object.values(cache).forEach(value => {
+        if (value && typeof value.unsubscribe === 'function') value.unsubscribe();
+    });
+};
+
 /**
  * Make a String separated with ',' from a numeric Array
  * @param {Array} array - numeric array to be converted
@@ -78,6 +197,163 @@ const readAsNumericArray = stringExp => {
     return array;
 };
 
+/**
+ * Return the ROM code of a OneWire device in hexadecimal like 28FF641E0D0000A1.
+ * @param {Array<number>} rom - ROM code in 8 bytes
+ * @returns {string} hexadecimal expression
+ */
+const oneWireROMToString = rom => rom.map(byte => byte.toString(16).toUpperCase()
+    .padStart(2, '0')).join('');
+
+/**
+ * Returns the ROM code from the hexadecimal expression.
+ * Separators and '0x' prefixes between the bytes are ignored.
+ * @param {string} stringExp - ROM ID like 28FF641E0D0000A1 or 0x28, 0xFF, ...
+ * @returns {?Array<number>} ROM code in 8 bytes or null when it is not a ROM ID
+ */
+const parseOneWireROM = stringExp => {
+    const hex = stringExp.replaceAll(/0x/gi, '').replaceAll(/[^0-9a-f]/gi, '');
+    if (hex.length !== 16) return null;
+    const rom = [];
+    for (let index = 0; index < 16; index += 2) {
+        rom.push(parseInt(hex.slice(index, index + 2), 16));
+    }
+    return rom;
+};
+
+/**
+ * Sensors and their cached values on a board.
+ * @typedef {object} SensorCache
+ * @property {Map<number, object>} sonicDistances - cached distance, status, samples of the filter,
+ * updated time and updating flag of the ultrasonic sensor by the pin
+ * @property {Array<number>} opticalDistanceSamples - buffered optical distance values
+ * @property {?object} accelerometer - default accelerometer
+ * @property {?OrientationFilter} orientation - fused orientation when the accelerometer has a gyroscope
+ * @property {?{x: number, y: number, z: number}} accelerationOffset - offsets of the axes by the calibration
+ * @property {?{x: number, y: number, z: number}} acceleration - cached acceleration values
+ * @property {number} accelerationUpdatedTime - last updated time of acceleration [milliseconds]
+ * @property {?number} prevAccAbsolute - absolute acceleration at the previous shake detection
+ * @property {boolean} shaken - whether the accelerometer was shaken
+ * @property {?LTR303} brightnessSensor - brightness sensor
+ * @property {?number} brightness - cached brightness
+ * @property {number} brightnessUpdatedTime - last updated time of brightness [milliseconds]
+ * @property {?{threshold: number, above: boolean, time: number}} brightnessCrossing - side of the brightness
+ * to the threshold of the hat and the time when it crossed [milliseconds]
+ * @property {?APDS9960} apds9960 - proximity, color and gesture sensor APDS-9960
+ * @property {?{clear: number, red: number, green: number, blue: number}} apds9960Color - cached color
+ * @property {number} apds9960ColorUpdatedTime - last updated time of color [milliseconds]
+ * @property {?number} apds9960Proximity - cached proximity
+ * @property {number} apds9960ProximityUpdatedTime - last updated time of proximity [milliseconds]
+ * @property {?string} gesture - direction of the last gesture
+ * @property {number} gestureTime - time when the last gesture was detected [milliseconds]
+ * @property {?number} waterTempA - cached water temperature A
+ * @property {number} waterTempAUpdatedTime - last updated time of water temperature A [milliseconds]
+ * @property {?number} waterTempB - cached water temperature B
+ * @property {number} waterTempBUpdatedTime - last updated time of water temperature B [milliseconds]
+ * @property {Map<number, Array<DS18B20>>} ds18b20s - temperature sensors on each OneWire bus by the pin
+ * @property {Map<string, object>} waterTemps - cached temperature, updated time and updating flag
+ * by the key of the pin and the sensor number
+ * @property {?(BME280|SHT)} envSensor - environment sensor BME280 or SHT3x/SHT4x
+ * @property {?number} envTemperature - cached environment temperature
+ * @property {number} envTemperatureUpdatedTime - last updated time of environment temperature [milliseconds]
+ * @property {?number} envPressure - cached environment pressure
+ * @property {number} envPressureUpdatedTime - last updated time of environment pressure [milliseconds]
+ * @property {?number} envHumidity - cached environment humidity
+ * @property {number} envHumidityUpdatedTime - last updated time of environment humidity [milliseconds]
+ * @property {?SCD4x} scd4x - CO2 sensor SCD40/SCD41
+ * @property {?{co2: number, temperature: number, humidity: number}} co2Measurement - cached measurement by SCD4x
+ * @property {number} co2MeasurementUpdatedTime - last updated time of measurement by SCD4x [milliseconds]
+ * @property {?SGP30} sgp30 - air quality sensor SGP30
+ * @property {?{eco2: number, tvoc: number}} airQuality - cached measurement by SGP30
+ * @property {number} airQualityUpdatedTime - last updated time of measurement by SGP30 [milliseconds]
+ * @property {?ADT7410} adt7410 - temperature sensor ADT7410
+ * @property {?number} adt7410Temperature - cached temperature by ADT7410
+ * @property {number} adt7410TemperatureUpdatedTime - last updated time of temperature by ADT7410 [milliseconds]
+ * @property {?(VL53L0X | VL53L1X)} vl53l0x - distance sensor VL53L0X or VL53L1X
+ * @property {?number} opticalDistance - cached optical distance
+ * @property {number} opticalDistanceUpdatedTime - last updated time of optical distance [milliseconds]
+ * @property {?string} opticalDistanceStatus - range status of the last optical distance
+ * @property {?SSD1306} oled - OLED display SSD1306
+ * @property {Map<number, TM1637>} tm1637s - 4-digit displays by the first pin of the connector
+ * @property {Map<number, MY9221>} my9221s - LED bars by the first pin of the connector
+ * @property {Map<number, number>} analogLevelSetLastTimestampMap - last PWM writing time for each pin
+ * @property {Map<string, I2CProfileDevice>} i2cProfileDevices - initialized devices by the profile name
+ */
+
+/**
+ * Returns an empty sensor cache for a board.
+ * @returns {SensorCache} new sensor cache
+ */
+const createSensorCache = () => ({
+    sonicDistances: new Map(),
+    opticalDistanceSamples: [],
+    accelerometer: null,
+    orientation: null,
+    accelerationOffset: null,
+    acceleration: null,
+    accelerationUpdatedTime: 0,
+    accelerationUpdating: false,
+    prevAccAbsolute: null,
+    shaken: false,
+    shakeEventUpdating: false,
+    brightnessSensor: null,
+    brightness: null,
+    brightnessUpdatedTime: 0,
+    brightnessUpdating: false,
+    brightnessCrossing: null,
+    brightnessCrossingUpdating: false,
+    apds9960: null,
+    apds9960Color: null,
+    apds9960ColorUpdatedTime: 0,
+    apds9960ColorUpdating: false,
+    apds9960Proximity: null,
+    apds9960ProximityUpdatedTime: 0,
+    apds9960ProximityUpdating: false,
+    gesture: null,
+    gestureTime: 0,
+    gestureUpdating: false,
+    waterTempA: null,
+    waterTempAUpdatedTime: 0,
+    waterTempAUpdating: false,
+    waterTempB: null,
+    waterTempBUpdatedTime: 0,
+    waterTempBUpdating: false,
+    ds18b20s: new Map(),
+    waterTemps: new Map(),
+    envSensor: null,
+    envTemperature: null,
+    envTemperatureUpdatedTime: 0,
+    envTemperatureUpdating: false,
+    envPressure: null,
+    envPressureUpdatedTime: 0,
+    envPressureUpdating: false,
+    envHumidity: null,
+    envHumidityUpdatedTime: 0,
+    envHumidityUpdating: false,
+    scd4x: null,
+    co2Measurement: null,
+    co2MeasurementUpdatedTime: 0,
+    co2MeasurementUpdating: false,
+    sgp30: null,
+    airQuality: null,
+    airQualityUpdatedTime: 0,
+    airQualityUpdating: false,
+    adt7410: null,
+    adt7410Temperature: null,
+    adt7410TemperatureUpdatedTime: 0,
+    adt7410TemperatureUpdating: false,
+    vl53l0x: null,
+    opticalDistance: null,
+    opticalDistanceUpdatedTime: 0,
+    opticalDistanceUpdating: false,
+    opticalDistanceStatus: null,
+    oled: null,
+    tm1637s: new Map(),
+    my9221s: new Map(),
+    analogLevelSetLastTimestampMap: new Map(),
+    i2cProfileDevices: new Map()
+});
+
 /**
  * Formatter which is used for translation.
  * This will be replaced which is used in the runtime.
@@ -181,68 +457,70 @@ class ExtensionBlocks {
         this.board = null;
 
         /**
-         * Cached sonic distance A.
-         * @type {?number}
+         * Index of the board to be used in the boards of the connector.
+         * @type {number}
          */
-        this.sonicDistanceA = null;
+        this.boardIndex = 0;
 
         /**
-          * Last updated time of sonic distance A.
-          * @type {number} [milliseconds]
-          */
-        this.sonicDistanceAUpdatedTime = 0;
+         * Cached sensors and values for each board.
+         * @type {Map<import('./akadako-board').default, SensorCache>}
+         */
+        this.sensorCaches = new Map();
 
         /**
-          * Interval time for sonic distance updating A.
-          * @type {number} [milliseconds]
-          */
-        this.sonicDistanceAUpdateIntervalTime = 100;
+         * Interval time for sonic distance updating of each pin.
+         * @type {number} [milliseconds]
+         */
+        this.sonicDistanceUpdateIntervalTime = 100;
 
         /**
-         * Cached sonic distance B.
-         * @type {?number}
+         * Maximum range of the ultrasonic sensor, longer distance is reported as this.
+         * @type {number} [cm]
          */
-        this.sonicDistanceB = null;
+        this.sonicDistanceMax = 350;
 
         /**
-          * Last updated time of sonic distance B.
-          * @type {number} [milliseconds]
-          */
-        this.sonicDistanceBUpdatedTime = 0;
+         * Size of buffered ultrasonic distance values for each pin, 1 is no filter.
+         * @type {number}
+         */
+        this.sonicDistanceSamplesSize = 1;
 
         /**
-          * Interval time for sonic distance updating B.
-          * @type {number} [milliseconds]
-          */
-        this.sonicDistanceBUpdateIntervalTime = 100;
+         * Size of buffered optical distance values.
+         * @type {number}
+         */
+        this.opticalDistanceSamplesSize = 9;
 
         /**
-         * Buffered optical distance values.
+         * Range profile of the optical distance sensor.
+         * @type {string} 'LONG_RANGE' | 'HIGH_SPEED' | 'HIGH_ACCURACY'
          */
-        this.opticalDistanceSamples = [];
+        this.opticalDistanceRangeProfile = 'LONG_RANGE';
 
         /**
-         * Size of buffered optical distance values.
-         * @type {number}
+         * Offset which is added to the optical distance, null is the default of the sensor.
+         * @type {?number} [mm]
          */
-        this.opticalDistanceSamplesSize = 9;
+        this.opticalDistanceOffset = null;
 
         /**
-         * Default accelerometer
+         * Region of interest of VL53L1X in the SPAD array.
+         * @type {{width: number, height: number}}
          */
-        this.accelerometer = null;
+        this.opticalDistanceROI = {width: 16, height: 16};
 
         /**
-         * Cached acceleration values.
-         * @type {?{x: number y: number z: number}}
+         * Distance mode of VL53L1X, null to follow the range profile.
+         * @type {?string} 'SHORT' | 'MEDIUM' | 'LONG'
          */
-        this.acceleration = null;
+        this.opticalDistanceMode = null;
 
         /**
-         * Last updated time of acceleration.
-         * @type {number} [milliseconds]
+         * Timing budget of VL53L1X, null to follow the range profile.
+         * @type {?number} [milliseconds]
          */
-        this.accelerationUpdatedTime = 0;
+        this.opticalDistanceTimingBudget = null;
 
         /**
          * Interval time for acceleration updating.
@@ -251,22 +529,22 @@ class ExtensionBlocks {
         this.accelerationUpdateIntervalTime = 100;
 
         /**
-         * Brightness sensor
-         * @type {LTR303}
+         * Range of the accelerometer [G], null for the default of the sensor.
+         * @type {?number}
          */
-        this.brightnessSensor = null;
+        this.accelerometerRange = null;
 
         /**
-          * Cached brightness.
-          * @type {?number}
-          */
-        this.brightness = null;
+         * Output data rate of the accelerometer [Hz], null for the default of the sensor.
+         * @type {?number}
+         */
+        this.accelerometerDataRate = null;
 
         /**
-          * Last updated time of brightness.
-          * @type {number} [milliseconds]
-          */
-        this.brightnessUpdatedTime = 0;
+         * Number of the samples to calibrate the accelerometer.
+         * @type {number}
+         */
+        this.accelerometerCalibrationSamples = 10;
 
         /**
           * Interval time for brightness updating.
@@ -275,16 +553,16 @@ class ExtensionBlocks {
         this.brightnessUpdateIntervalTime = 100;
 
         /**
-          * Cached water temperature A.
-          * @type {?number}
-          */
-        this.waterTempA = null;
+         * Settings of LTR303 which were set by the user.
+         * @type {object} some of LTR303Settings
+         */
+        this.brightnessSensorSettings = {};
 
         /**
-           * Last updated time of water temperature A.
-           * @type {number} [milliseconds]
-           */
-        this.waterTempAUpdatedTime = 0;
+         * Time to keep the brightness crossing hat true after the brightness crossed.
+         * @type {number} [milliseconds]
+         */
+        this.brightnessCrossingHoldTime = 100;
 
         /**
            * Interval time for water temperature A updating.
@@ -292,18 +570,6 @@ class ExtensionBlocks {
            */
         this.waterTempAUpdateIntervalTime = 100;
 
-        /**
-          * Cached water temperature B.
-          * @type {?number}
-          */
-        this.waterTempB = null;
-
-        /**
-            * Last updated time of water temperature B.
-            * @type {number} [milliseconds]
-            */
-        this.waterTempBUpdatedTime = 0;
-
         /**
             * Interval time for water temperature B updating.
             * @type {number} [milliseconds]
@@ -311,40 +577,34 @@ class ExtensionBlocks {
         this.waterTempBUpdateIntervalTime = 100;
 
         /**
-         * Environment sensor BME280
-         * @type {BME280}
+         * Interval time for temperature updating of the sensors on OneWire bus.
+         * @type {number} [milliseconds]
          */
-        this.envSensor = null;
+        this.waterTempUpdateIntervalTime = 100;
 
         /**
-         * Cached environment temperature.
-         * @type {?number}
+         * Resolution [9 - 12] bits of DS18B20 which was set for each pin.
+         * @type {Map<number, number>}
          */
-        this.envTemperature = null;
-
-        /**
-          * Last updated time of environment temperature.
-          * @type {number} [milliseconds]
-          */
-        this.envTemperatureUpdatedTime = 0;
+        this.waterTempResolutions = new Map();
 
         /**
-           * Interval time for environment temperature updating.
-           * @type {number} [milliseconds]
-           */
-        this.envTemperatureUpdateIntervalTime = 100;
+         * Message of the error in the last OneWire block, empty when it succeeded.
+         * @type {string}
+         */
+        this.oneWireError = '';
 
         /**
-         * Cached environment pressure.
-         * @type {?number}
+         * Message of the error in the last connection through the bridge, empty when it succeeded.
+         * @type {string}
          */
-        this.envPressure = null;
+        this.bridgeError = '';
 
         /**
-           * Last updated time of environment pressure.
+           * Interval time for environment temperature updating.
            * @type {number} [milliseconds]
            */
-        this.envPressureUpdatedTime = 0;
+        this.envTemperatureUpdateIntervalTime = 100;
 
         /**
             * Interval time for environment pressure updating.
@@ -353,40 +613,95 @@ class ExtensionBlocks {
         this.envPressureUpdateIntervalTime = 100;
 
         /**
-         * Cached environment humidity.
-         * @type {?number}
+             * Interval time for environment humidity updating.
+             * @type {number} [milliseconds]
+             */
+        this.envHumidityUpdateIntervalTime = 100;
+
+        /**
+         * Repeatability of the measurement by SHT [high | medium | low].
+         * @type {string}
          */
-        this.envHumidity = null;
+        this.envSensorRepeatability = 'high';
 
         /**
-            * Last updated time of environment humidity.
-            * @type {number} [milliseconds]
-            */
-        this.envHumidityUpdatedTime = 0;
+         * Whether the heater of SHT is on.
+         * @type {boolean}
+         */
+        this.envSensorHeater = false;
 
         /**
-             * Interval time for environment humidity updating.
-             * @type {number} [milliseconds]
-             */
-        this.envHumidityUpdateIntervalTime = 100;
+         * Settings of the measurement by BME280 which were changed from the default.
+         * @type {object}
+         */
+        this.envSensorSettings = {};
+
+        /**
+         * Pressure at the sea level for the altitude [hPa].
+         * @type {number}
+         */
+        this.seaLevelPressure = 1013.25;
+
+        /**
+         * Interval time for color and proximity updating by APDS-9960.
+         * @type {number} [milliseconds]
+         */
+        this.apds9960UpdateIntervalTime = 100;
+
+        /**
+         * Time to keep the gesture hat true after the gesture was detected.
+         * @type {number} [milliseconds]
+         */
+        this.gestureHoldTime = 100;
 
         /**
-         * Distance sensor VL53L0X
-         * @type {VL53L0X}
+         * Interval time for CO2 updating by SCD4x.
+         * The sensor measures in every 5 seconds.
+         * @type {number} [milliseconds]
          */
-        this.vl53l0x = null;
+        this.co2UpdateIntervalTime = 1000;
 
         /**
-         * Cached optical distance.
+         * Altitude [m] for the compensation of SCD4x which was set by the user.
          * @type {?number}
          */
-        this.opticalDistance = null;
+        this.co2SensorAltitude = null;
+
+        /**
+         * Interval time for eCO2 and TVOC updating by SGP30.
+         * @type {number} [milliseconds]
+         */
+        this.airQualityUpdateIntervalTime = 1000;
 
         /**
-         * Last updated time of optical distance.
+         * Baseline of SGP30 to be restored when the sensor was initialized again.
+         * @type {?{eco2: number, tvoc: number}}
+         */
+        this.airQualityBaseline = null;
+
+        /**
+         * Interval time for temperature updating by ADT7410.
          * @type {number} [milliseconds]
          */
-        this.opticalDistanceUpdatedTime = 0;
+        this.adt7410TemperatureUpdateIntervalTime = 100;
+
+        /**
+         * Resolution of ADT7410 [13 | 16] bits.
+         * @type {number}
+         */
+        this.adt7410Resolution = 16;
+
+        /**
+         * Conversion mode of ADT7410 [continuous | one-shot].
+         * @type {string}
+         */
+        this.adt7410Mode = 'continuous';
+
+        /**
+         * Alarm thresholds of ADT7410 which were set by the user.
+         * @type {?{high: number, low: number}}
+         */
+        this.adt7410Thresholds = null;
 
         /**
          * Interval time for optical distance updating.
@@ -394,6 +709,18 @@ class ExtensionBlocks {
          */
         this.opticalDistanceUpdateIntervalTime = 100;
 
+        /**
+         * Loaded I2C device profiles by the name.
+         * @type {Map<string, object>}
+         */
+        this.i2cDeviceProfiles = new Map();
+
+        /**
+         * Message of the error in loading the last I2C device profile, empty when it was loaded.
+         * @type {string}
+         */
+        this.i2cDeviceProfileError = '';
+
         /**
          * Busy flag for color LED.
          * @type {boolean}
@@ -464,6 +791,10 @@ class ExtensionBlocks {
         this.boardConnector = getAkaDakoConnector(runtime);
         this.boardConnector.addListener(AkaDakoConnector.BOARD_ADDED, () => this.updateBoard());
         this.boardConnector.addListener(AkaDakoConnector.BOARD_REMOVED, () => this.updateBoard());
+        this.boardConnector.addListener(AkaDakoConnector.BOARD_LOST, () => this.updateBoard());
+        this.boardConnector.addListener(AkaDakoConnector.BOARD_RECONNECTED, () => {
+            this.runtime.startHats(`${EXTENSION_ID}_whenBoardReconnected`);
+        });
 
         /**
          * state holder of the all pins
@@ -477,8 +808,10 @@ class ExtensionBlocks {
         this.runtime.registerPeripheralExtension(EXTENSION_ID, this);
 
         this.runtime.on('PROJECT_STOP_ALL', async() => {
-            await this.resetPinMode();
-            await this.neoPixelClearAll();
+            for (const aBoard of this.boardConnector.boards) {
+                await this.resetPinMode(aBoard);
+                await this.neoPixelClearAll(aBoard);
+            }
         });
 
         this.runtime.on('PROJECT_START', () => {
@@ -500,63 +833,98 @@ class ExtensionBlocks {
         // eslint-disable-next-line no-unused-vars
         window.addEventListener('beforeunload', _e => {
             this.resetShareServer();
-            this.disconnectBoard();
+            this.boardConnector.disconnectAll();
         });
     }
 
     /**
      * Reset pin mode
+     * @param {import('./akadako-board').default} board - board to reset
      * @returns {undefined}
      */
-    async resetPinMode () {
-        if (!this.isConnected()) return;
+    async resetPinMode (board = this.board) {
+        if (!board || !board.isReady()) return;
         // デジタルピンのモードをINPUTにリセット
         for (const pin of [6, 9, 10, 11]) {
-            if(this.board.pins[pin].mode === this.board.MODES.PWM) {
-                await this.board.pwmWrite(pin, 0);
+            if(board.pins[pin].mode === board.MODES.PWM) {
+                await board.pwmWrite(pin, 0);
             }
-            await this.board.pinMode(pin, this.board.MODES.INPUT);
+            await board.pinMode(pin, board.MODES.INPUT);
         }
         // 3ピンが振動モーターとして利用されていた場合はデューティー比を0にリセット
-        if(this.board.pins[3].mode === this.board.MODES.PWM) {
-            await this.board.pwmWrite(3, 0);
+        if(board.pins[3].mode === board.MODES.PWM) {
+            await board.pwmWrite(3, 0);
         }
     }
 
     /**
      * Turn off the all NeoPixel strips.
+     * @param {import('./akadako-board').default} board - board to clear
      */
-    neoPixelClearAll () {
-        return this.neoPixelOperationWithLock({}, {}, () => this.board.neoPixelClearAll())
+    neoPixelClearAll (board = this.board) {
+        return this.neoPixelOperationWithLock({}, {}, () => board.neoPixelClearAll(), board);
     }
 
     /**
      * Update connected board
      */
     updateBoard () {
-        // biome-ignore lint/complexity/useOptionalChain: scratchのbuildはOptionalChainが使えない
-        if (this.board && this.board.isConnected()) return;
+        const boards = this.boardConnector.boards;
+        // discard caches of the removed boards and the lost ones, the sensors are set up again after reconnection
+        for (const cachedBoard of [...this.sensorCaches.keys()]) {
+            if (!boards.includes(cachedBoard) || !cachedBoard.isReady()) {
+                releaseSensorCache(this.sensorCaches.get(cachedBoard));
+                this.sensorCaches.delete(cachedBoard);
+            }
+        }
         const prev = this.board;
-        this.board = this.boardConnector.findBoard();
+        this.board = boards[this.boardIndex] || null;
         if (prev === this.board) return;
-        this.sonicDistanceAUpdating = false;
-        this.sonicDistanceBUpdating = false;
-        this.vl53l0x = null;
-        this.opticalDistanceUpdating = false;
-        this.envSensor = null;
-        this.envTemperatureUpdating = false;
-        this.envPressureUpdating = false;
-        this.envHumidityUpdating = false;
-        this.accelerometer = null;
-        this.accelerationUpdating = false;
-        this.shakeEventUpdating = false;
-        this.brightnessSensor = null;
-        this.brightnessUpdating = false;
-        this.waterTempAUpdating = false;
-        this.waterTempBUpdating = false;
         this.neoPixelBusy = false;
     }
 
+    /**
+     * Return the sensor cache of the board.
+     * @param {import('./akadako-board').default} board - board which has the sensors
+     * @returns {SensorCache} cache for the board
+     */
+    sensorCacheOf (board) {
+        let cache = this.sensorCaches.get(board);
+        if (!cache) {
+            cache = createSensorCache();
+            this.sensorCaches.set(board, cache);
+        }
+        return cache;
+    }
+
+    /**
+     * Select the board to be used by the blocks.
+     * @param {object} args - the block's arguments.
+     * @param {string} args.BOARD - number of the board start at 1
+     */
+    useBoard (args) {
+        const boardNumber = Math.floor(Cast.toNumber(args.BOARD));
+        if (boardNumber < 1) return;
+        this.boardIndex = boardNumber - 1;
+        this.updateBoard();
+    }
+
+    /**
+     * Return the number of the board which is used by the blocks.
+     * @returns {number} number of the board start at 1
+     */
+    usingBoardNumber () {
+        return this.boardIndex + 1;
+    }
+
+    /**
+     * Return the number of the connected boards.
+     * @returns {number} count of the boards
+     */
+    numberOfBoards () {
+        return this.boardConnector.boards.length;
+    }
+
     /**
      * Called by the runtime when user wants to scan for a peripheral.
      * @returns {Promise} - a Promise which resolves when a board was connected
@@ -578,6 +946,8 @@ class ExtensionBlocks {
      */
     isConnected () {
         if (!this.board) return false;
+        // the blocks wait for the lost board in its position instead of using another one
+        if (this.boardConnector.isReconnecting(this.board)) return false;
         return this.board.isReady();
     }
 
@@ -588,7 +958,11 @@ class ExtensionBlocks {
     connectBoard () {
         // biome-ignore lint/complexity/useOptionalChain: scratchのbuildはOptionalChainが使えない
         if (this.board && this.board.isConnected()) return; // Already connected
-        return this.boardConnector.connectedBoard(EXTENSION_ID)
+        // connect another board when the selected number is not connected yet
+        const request = (this.boardConnector.boards.length > 0) ?
+            this.boardConnector.connectNewBoard(EXTENSION_ID) :
+            this.boardConnector.connectedBoard(EXTENSION_ID);
+        return request
             .then(connectedBoard => {
                 this.runtime.emit(this.runtime.constructor.PERIPHERAL_CONNECTED, {
                     name: connectedBoard.name,
@@ -610,12 +984,72 @@ class ExtensionBlocks {
             });
     }
 
+    /**
+     * Connect a AkaDako board through the WebSocket bridge.
+     * @param {object} args - the block's arguments.
+     * The result is shown in the bridge error reporter.
+     * @param {string} args.URL - URL of the bridge
+     * @returns {?Promise} a promise which resolves when the connection was tried
+     */
+    connectBridge (args) {
+        const url = Cast.toString(args.URL).trim();
+        if (!/^wss?:\/\//.test(url)) {
+            this.bridgeError = `invalid URL: ${url}`;
+            return;
+        }
+        this.boardConnector.webSocketURL = url;
+        return this.boardConnector.connectWith('websocket', EXTENSION_ID)
+            .then(connectedBoard => {
+                this.runtime.emit(this.runtime.constructor.PERIPHERAL_CONNECTED, {
+                    name: connectedBoard.name,
+                    path: connectedBoard.portInfo
+                });
+                this.bridgeError = '';
+            })
+            .catch(reason => {
+                this.bridgeError = (reason instanceof Error) ? reason.message : String(reason);
+            });
+    }
+
+    /**
+     * Connect a simulated AkaDako board which needs no hardware.
+     * @returns {Promise} a promise which resolves when the connection was tried
+     */
+    connectSimulator () {
+        return this.boardConnector.connectWith('simulator', EXTENSION_ID)
+            .then(connectedBoard => {
+                this.runtime.emit(this.runtime.constructor.PERIPHERAL_CONNECTED, {
+                    name: connectedBoard.name,
+                    path: connectedBoard.portInfo
+                });
+            })
+            .catch(reason => {
+                console.log(reason);
+            });
+    }
+
+    /**
+     * Return the error in the last connection through the bridge.
+     * @returns {string} message of the error, or empty when it succeeded
+     */
+    getBridgeError () {
+        return this.bridgeError;
+    }
+
     /**
      * Disconnect from the current connected board.
      * @returns {undefined}
      */
     disconnectBoard () {
-        if (!this.board) return;
+        if (!this.board) {
+            // the lost board must not come back after user disconnected it
+            this.boardConnector.cancelReconnect();
+            return;
+        }
+        if (this.boardConnector.isReconnecting(this.board)) {
+            this.boardConnector.cancelReconnect(this.board);
+            return;
+        }
         return this.board.disconnect();
     }
 
@@ -630,46 +1064,218 @@ class ExtensionBlocks {
     }
 
     /**
-     * Return the version information of the connected board.
-     * @returns {string} version info
+     * Set whether to reconnect the board automatically when the connection was lost.
+     * @param {object} args - the block's arguments.
+     * @param {string} args.STATE - 'on' or 'off'
      */
-    boardVersion () {
-        if (!this.isConnected()) return '';
-        return this.board.boardVersion()
-            .catch(reason => {
-                console.log(`boardVersion() was rejected by ${reason}`);
-                return Promise.reject(reason);
-            });
+    setAutoReconnect (args) {
+        this.boardConnector.autoReconnect = (args.STATE === 'on');
     }
 
     /**
-     * Whether the current level of the connector is HIGH as digital input.
+     * Set the transport to be tried first when a new board is connected.
      * @param {object} args - the block's arguments.
-     * @param {number} args.CONNECTOR - pin number of the connector
-     * @returns {boolean} true for high
+     * @param {string} args.TRANSPORT - type of the transport [midi | serial | ble | websocket | simulator]
      */
-    digitalIsHigh (args) {
-        if (!this.isConnected()) return false;
-        let pin = null;
-        switch (args.CONNECTOR) {
-        case 'A':
-            pin = 6;
-            break;
-        case 'B':
-            pin = 9;
-            break;
-        case 'PIR':
-            pin = 9;
-            break;
-        default:
-            pin = parseInt(args.CONNECTOR, 10);
-            break;
-        }
-        return !!this.board.getDigitalValue(pin);
+    preferTransport (args) {
+        this.boardConnector.preferTransport(args.TRANSPORT);
     }
 
     /**
-     * The level [0|1] of digital A1 connector
+     * Collect the connection diagnostics and show them in a dialog.
+     * @returns {Promise} a Promise which resolves when the dialog was closed
+     */
+    showDiagnostics () {
+        return collectDiagnostics(this.boardConnector, this.board)
+            .then(report => this.openDiagnosticsDialog(formatDiagnosticsReport(report)))
+            .catch(reason => {
+                console.log(`diagnostics failed: ${reason}`);
+            });
+    }
+
+    /**
+     * Open dialog to show the diagnostics report.
+     * @param {string} reportText - report to be shown
+     * @returns {Promise} a Promise that resolves when the dialog closed.
+     */
+    openDiagnosticsDialog (reportText) {
+        if (this.diagnosticsDialogOpened) {
+            // prevent to open multiple dialogs
+            return Promise.resolve();
+        }
+        this.diagnosticsDialogOpened = true;
+        const reportDialog = document.createElement('dialog');
+        reportDialog.style.padding = '0px';
+        const dialogFace = document.createElement('div');
+        dialogFace.style.padding = '16px';
+        reportDialog.appendChild(dialogFace);
+        const label = document.createTextNode(formatMessage({
+            id: 'g2s.diagnosticsDialog.title',
+            default: 'connection diagnostics',
+            description: 'title of the diagnostics dialog for g2s'
+        }));
+        dialogFace.appendChild(label);
+        // Report
+        const reportView = document.createElement('pre');
+        reportView.textContent = reportText;
+        reportView.style.margin = '8px';
+        reportView.style.maxHeight = '60vh';
+        reportView.style.overflow = 'auto';
+        reportView.style.fontSize = '12px';
+        reportView.style.userSelect = 'text';
+        dialogFace.appendChild(reportView);
+        // Copy button
+        const copyButton = document.createElement('button');
+        copyButton.textContent = formatMessage({
+            id: 'g2s.diagnosticsDialog.copy',
+            default: 'copy report',
+            description: 'copy button on the diagnostics dialog for g2s'
+        });
+        copyButton.style.margin = '8px';
+        dialogFace.appendChild(copyButton);
+        // Close button
+        const closeButton = document.createElement('button');
+        closeButton.textContent = formatMessage({
+            id: 'g2s.diagnosticsDialog.close',
+            default: 'close',
+            description: 'close button on the diagnostics dialog for g2s'
+        });
+        closeButton.style.margin = '8px';
+        dialogFace.appendChild(closeButton);
+        return new Promise(resolve => {
+            copyButton.onclick = () => {
+                navigator.clipboard.writeText(reportText)
+                    .then(() => {
+                        copyButton.textContent = formatMessage({
+                            id: 'g2s.diagnosticsDialog.copied',
+                            default: 'copied',
+                            description: 'label of the copy button after copying the report'
+                        });
+                    })
+                    .catch(reason => {
+                        console.log(`could not copy the report: ${reason}`);
+                    });
+            };
+            closeButton.onclick = () => resolve();
+            reportDialog.addEventListener('keydown', e => {
+                if (e.code === 'Escape') {
+                    resolve();
+                }
+            });
+            document.body.appendChild(reportDialog);
+            reportDialog.showModal();
+        })
+            .finally(() => {
+                document.body.removeChild(reportDialog);
+                this.diagnosticsDialogOpened = false;
+            });
+    }
+
+    /**
+     * Set a value which the simulated board returns.
+     * @param {object} args - the block's arguments.
+     * @param {string} args.SENSOR - sensor to be simulated
+     * @param {string} args.VALUE - value in the same unit as the reporter of the sensor
+     */
+    setSimulatorValue (args) {
+        if (!this.isConnected() || !this.board.simulator) return;
+        const simulator = this.board.simulator;
+        const values = simulator.sensorValues;
+        const value = Cast.toNumber(args.VALUE);
+        switch (args.SENSOR) {
+        case 'temperature':
+            values.temperature = value;
+            break;
+        case 'humidity':
+            values.humidity = value;
+            break;
+        case 'pressure':
+            values.pressure = value;
+            break;
+        case 'brightness':
+            values.brightness = value;
+            break;
+        case 'accelerationX':
+        case 'accelerationY':
+        case 'accelerationZ':
+            values.acceleration[args.SENSOR.slice(-1).toLowerCase()] = value;
+            break;
+        case 'distanceLight':
+            // offset is added by the reporter
+            values.opticalDistance = (value * 10) -
+                this.opticalDistanceOffsetOf(this.sensorCacheOf(this.board).vl53l0x);
+            break;
+        case 'ultrasonicA':
+            values.ultrasonicDistance[10] = value * 10;
+            break;
+        case 'ultrasonicB':
+            values.ultrasonicDistance[6] = value * 10;
+            break;
+        case 'waterTempA':
+            values.waterTemperature[10] = value;
+            break;
+        case 'waterTempB':
+            values.waterTemperature[6] = value;
+            break;
+        default:
+            if (args.SENSOR.startsWith('analog')) {
+                simulator.setAnalogInput(Number(args.SENSOR.slice('analog'.length)), value);
+            } else if (args.SENSOR.startsWith('digital')) {
+                simulator.setDigitalInput(Number(args.SENSOR.slice('digital'.length)), value);
+            }
+            break;
+        }
+    }
+
+    /**
+     * Hat block which is started by the connector when a lost board was connected again.
+     * @returns {boolean} always true
+     */
+    whenBoardReconnected () {
+        return true;
+    }
+
+    /**
+     * Return the version information of the connected board.
+     * @returns {string} version info
+     */
+    boardVersion () {
+        if (!this.isConnected()) return '';
+        return this.board.boardVersion()
+            .catch(reason => {
+                console.log(`boardVersion() was rejected by ${reason}`);
+                return Promise.reject(reason);
+            });
+    }
+
+    /**
+     * Whether the current level of the connector is HIGH as digital input.
+     * @param {object} args - the block's arguments.
+     * @param {number} args.CONNECTOR - pin number of the connector
+     * @returns {boolean} true for high
+     */
+    digitalIsHigh (args) {
+        if (!this.isConnected()) return false;
+        let pin = null;
+        switch (args.CONNECTOR) {
+        case 'A':
+            pin = 6;
+            break;
+        case 'B':
+            pin = 9;
+            break;
+        case 'PIR':
+            pin = 9;
+            break;
+        default:
+            pin = parseInt(args.CONNECTOR, 10);
+            break;
+        }
+        return !!this.board.getDigitalValue(pin);
+    }
+
+    /**
+     * The level [0|1] of digital A1 connector
      * @returns {number | string} - digital level or empty string when disconnected
      */
     digitalLevelA1 () {
@@ -828,13 +1434,12 @@ class ExtensionBlocks {
         const percent = Math.min(Math.max(Cast.toNumber(args.LEVEL), 0), 100);
         const value = Math.round(this.board.RESOLUTION.PWM * (percent / 100));
         const minInterval = Cast.toNumber(args.MIN_INTERVAL);
-        // 前回の同一PINに対する書き込み時刻保存用マップがなければ初期化
-        if(typeof this.analogLevelSetLastTimestampMap === 'undefined') {
-            this.analogLevelSetLastTimestampMap = new Map()
-        }
+        // 前回の同一PINに対する書き込み時刻はボードごとに保存する
+        const board = this.board;
+        const lastTimestampMap = this.sensorCacheOf(board).analogLevelSetLastTimestampMap;
         // 実行からの最小インターバルが指定されており、かつ同一PINに対する前回の書き込み時刻からの時間がそれ以下であればsleepを入れる
         if(0 < minInterval) {
-            const lastTimestamp = this.analogLevelSetLastTimestampMap.get(pin)
+            const lastTimestamp = lastTimestampMap.get(pin)
             if(typeof lastTimestamp !== 'undefined') {
                 const interval = Date.now() - lastTimestamp;
                 if(interval < minInterval) {
@@ -843,10 +1448,10 @@ class ExtensionBlocks {
             }
         }
         // 書き込み時刻を保存
-        this.analogLevelSetLastTimestampMap.set(pin, Date.now());
+        lastTimestampMap.set(pin, Date.now());
         // 書き込み実行
-        this.board.pinMode(pin, this.board.MODES.PWM);
-        return this.board.pwmWrite(pin, value);
+        board.pinMode(pin, board.MODES.PWM);
+        return board.pwmWrite(pin, value);
     }
 
     /**
@@ -914,6 +1519,131 @@ class ExtensionBlocks {
             });
     }
 
+    /**
+     * Return the addresses of the I2C devices on the bus.
+     * @returns {Promise<string>} a Promise which resolves the addresses as a numeric array string
+     */
+    scanI2C () {
+        if (!this.isConnected()) return '';
+        return this.board.scanI2C()
+            .then(addresses => numericArrayToString(addresses))
+            .catch(reason => {
+                console.log(`scanI2C() was rejected by ${reason}`);
+                return '';
+            });
+    }
+
+    /**
+     * Return the name of the known I2C device at the address.
+     * @param {object} args - the block's arguments.
+     * @param {number} args.ADDRESS - I2C address
+     * @returns {Promise<string>} a Promise which resolves the name or empty for an unknown device
+     */
+    i2cDeviceName (args) {
+        if (!this.isConnected()) return '';
+        const address = Number(args.ADDRESS);
+        return this.board.identifyI2CDevice(address)
+            .then(name => (name ? name : ''))
+            .catch(reason => {
+                console.log(`identifyI2CDevice(${address}) was rejected by ${reason}`);
+                return '';
+            });
+    }
+
+    /**
+     * Load an I2C device profile to read its fields.
+     * The device is initialized again at the next reading when a profile of the same name was loaded.
+     * @param {object} args - the block's arguments.
+     * @param {string} args.PROFILE - profile in JSON
+     */
+    loadI2CDeviceProfile (args) {
+        try {
+            const profile = parseI2CDeviceProfile(Cast.toString(args.PROFILE));
+            this.i2cDeviceProfiles.set(profile.name, profile);
+            this.i2cDeviceProfileError = '';
+        } catch (error) {
+            this.i2cDeviceProfileError = (error instanceof Error) ? error.message : String(error);
+        }
+    }
+
+    /**
+     * Return the error in loading the last I2C device profile.
+     * @returns {string} message of the error, or empty when it was loaded
+     */
+    getI2CDeviceProfileError () {
+        return this.i2cDeviceProfileError;
+    }
+
+    /**
+     * Return the device of the profile on the board which was initialized.
+     * @param {string} name - name of the profile
+     * @param {import('./akadako-board').default} board - board which the device is connected to
+     * @returns {Promise<I2CProfileDevice>} a Promise which resolves the device
+     */
+    async getI2CProfileDevice (name, board = this.board) {
+        const profile = this.i2cDeviceProfiles.get(name);
+        if (!profile) return Promise.reject(`I2C device profile ${name} is not loaded`);
+        const devices = this.sensorCacheOf(board).i2cProfileDevices;
+        let device = devices.get(name);
+        if (!device || device.profile !== profile) {
+            device = new I2CProfileDevice(board, profile);
+            await device.init();
+            devices.set(name, device);
+        }
+        return device;
+    }
+
+    /**
+     * Read the field of the I2C device which was described in a profile.
+     * @param {object} args - the block's arguments.
+     * @param {string} args.FIELD - name of the field
+     * @param {string} args.DEVICE - name of the profile
+     * @returns {Promise<number|string>} a Promise which resolves the value or numeric array of the values
+     */
+    readI2CDeviceField (args) {
+        if (!this.isConnected()) return '';
+        const name = Cast.toString(args.DEVICE).trim();
+        const field = Cast.toString(args.FIELD).trim();
+        return this.getI2CProfileDevice(name)
+            .then(device => device.readField(field))
+            .then(values => ((values.length === 1) ? values[0] : numericArrayToString(values)))
+            .catch(reason => {
+                console.log(`reading ${field} of ${name} was rejected by ${reason}`);
+                return '';
+            });
+    }
+
+    /**
+     * Keep the result of the OneWire block to show it in the error reporter.
+     * @param {?(string|Error)} reason - reason of the error, or null when it succeeded
+     */
+    setOneWireError (reason) {
+        if (!reason) {
+            this.oneWireError = '';
+            return;
+        }
+        this.oneWireError = (reason instanceof Error) ? reason.message : String(reason);
+    }
+
+    /**
+     * Return the ROM code of the OneWire device.
+     * @param {number} pin - pin number of the bus
+     * @param {string} deviceExp - number of the device in the search order or its ROM ID
+     * @returns {Promise<Array<number>>} a Promise which resolves the ROM code
+     */
+    async findOneWireDevice (pin, deviceExp) {
+        const exp = Cast.toString(deviceExp).trim();
+        if (/^\d{1,3}$/.test(exp)) {
+            const devices = await this.board.searchOneWireDevices(pin);
+            const rom = devices[Number(exp) - 1];
+            if (!rom) return Promise.reject(`no OneWire device #${exp} on pin ${pin}`);
+            return rom;
+        }
+        const rom = parseOneWireROM(exp);
+        if (!rom) return Promise.reject(`invalid OneWire ROM ID: ${exp}`);
+        return rom;
+    }
+
     /**
      * Reset OneWire modules on the pin
      * @param {object} args - the block's arguments.
@@ -923,13 +1653,16 @@ class ExtensionBlocks {
     oneWireReset (args) {
         if (!this.isConnected()) return;
         const pin = Number.parseInt(args.CONNECTOR, 10);
-        return this.board.sendOneWireReset(pin);
+        return this.board.sendOneWireReset(pin)
+            .then(() => this.setOneWireError(null))
+            .catch(reason => this.setOneWireError(reason));
     }
 
     /**
-     * Writ data to the first OneWire module.
+     * Write data to the OneWire module.
      * @param {object} args - the block's arguments.
      * @param {number} args.CONNECTOR - pin number of the connector
+     * @param {string} args.DEVICE - number of the device in the search order or its ROM ID
      * @param {Array<string>} args.DATA - bytes to be written
      * @returns {Promise} a Promise which resolves when the message was sent
      */
@@ -937,27 +1670,32 @@ class ExtensionBlocks {
         if (!this.isConnected()) return;
         const pin = Number.parseInt(args.CONNECTOR, 10);
         const data = readAsNumericArray(args.DATA);
-        return this.board.oneWireWrite(pin, data)
-            .catch(error => {
-                console.log(error);
-                return error.message ? error.message : error;
-            });
+        return this.findOneWireDevice(pin, args.DEVICE)
+            .then(rom => this.board.oneWireWrite(pin, data, rom))
+            .then(() => this.setOneWireError(null))
+            .catch(reason => this.setOneWireError(reason));
     }
 
     /**
      * Read on OneWire.
      * @param {object} args - the block's arguments.
      * @param {number} args.CONNECTOR - pin number of the connector
+     * @param {string} args.DEVICE - number of the device in the search order or its ROM ID
+     * @param {number} args.LENGTH - byte size to read
      * @returns {Promise<string>} return a Promise which will resolve with read data
      */
     oneWireRead (args) {
         if (!this.isConnected()) return Promise.resolve('');
         const pin = Number.parseInt(args.CONNECTOR, 10);
         const length = Number.parseInt(Cast.toNumber(args.LENGTH), 10);
-        return this.board.oneWireRead(pin, length)
-            .then(readData => numericArrayToString(readData))
+        return this.findOneWireDevice(pin, args.DEVICE)
+            .then(rom => this.board.oneWireRead(pin, length, null, rom))
+            .then(readData => {
+                this.setOneWireError(null);
+                return numericArrayToString(readData);
+            })
             .catch(reason => {
-                console.log(`oneWireRead(${pin}, ${length}) was rejected by ${reason}`);
+                this.setOneWireError(reason);
                 return '';
             });
     }
@@ -966,7 +1704,9 @@ class ExtensionBlocks {
      * Write then read on OneWire.
      * @param {object} args - the block's arguments.
      * @param {number} args.CONNECTOR - pin number of the connector
-     * @param {BlockUtility} util - utility object provided by the runtime.
+     * @param {string} args.DEVICE - number of the device in the search order or its ROM ID
+     * @param {Array<string>} args.DATA - bytes to be written
+     * @param {number} args.LENGTH - byte size to read
      * @returns {Promise<string>} return a Promise which will resolve with read data
      */
     oneWireWriteAndRead (args) {
@@ -974,14 +1714,45 @@ class ExtensionBlocks {
         const pin = Number.parseInt(args.CONNECTOR, 10);
         const data = readAsNumericArray(args.DATA);
         const readLength = Number.parseInt(Cast.toNumber(args.LENGTH), 10);
-        return this.board.oneWireWriteAndRead(pin, data, readLength)
-            .then(readData => numericArrayToString(readData))
+        return this.findOneWireDevice(pin, args.DEVICE)
+            .then(rom => this.board.oneWireWriteAndRead(pin, data, readLength, null, rom))
+            .then(readData => {
+                this.setOneWireError(null);
+                return numericArrayToString(readData);
+            })
+            .catch(reason => {
+                this.setOneWireError(reason);
+                return '';
+            });
+    }
+
+    /**
+     * Search the OneWire bus and return ROM IDs of the found devices.
+     * @param {object} args - the block's arguments.
+     * @param {number} args.CONNECTOR - pin number of the connector
+     * @returns {Promise<string>} a Promise which resolves ROM IDs separated by ','
+     */
+    oneWireDevices (args) {
+        if (!this.isConnected()) return Promise.resolve('');
+        const pin = Number.parseInt(args.CONNECTOR, 10);
+        return this.board.searchOneWireDevices(pin, true)
+            .then(devices => {
+                this.setOneWireError(null);
+                return devices.map(rom => oneWireROMToString(rom)).join(', ');
+            })
             .catch(reason => {
-                console.log(`oneWireWriteAndRead(${pin}, ${data}, ${readLength}) was rejected by ${reason}`);
+                this.setOneWireError(reason);
                 return '';
             });
     }
 
+    /**
+     * Return the error in the last OneWire block.
+     * @returns {string} message of the error, or empty when it succeeded
+     */
+    getOneWireError () {
+        return this.oneWireError;
+    }
 
     /**
      * Configure a NeoPixel module on the pin.
@@ -1097,12 +1868,13 @@ class ExtensionBlocks {
      * @param {BlockUtility} util - utility object provided by the runtime.
      * @param {string} args.CONNECTOR - pin number of the connector
      * @param {(pin: number | null) => Promise} operation
+     * @param {import('./akadako-board').default} board - board to operate, the selected one by default
      * @returns {Promise} result of operation
      */
-    neoPixelOperationWithLock(args, util, operation) {
-        if (!this.isConnected()) return;
+    neoPixelOperationWithLock(args, util, operation, board = this.board) {
+        if (!board || !board.isReady()) return;
         let pin = Number.parseInt(args.CONNECTOR, 10);
-        if (this.board.version.type === 2) {
+        if (board.version.type === 2) {
             // STEAM Tool
             if (pin === 6 || pin === 9) {
                 // These pins are used for on-board buttons in the STEAM tool.
@@ -1148,42 +1920,248 @@ class ExtensionBlocks {
         });
     }
 
-    async getOpticalDistanceSensor () {
-        if (!this.vl53l0x) {
+    /**
+     * Get instance of the OLED display which was initialized.
+     * @param {import('./akadako-board').default} board - board which the display is connected to
+     * @returns {Promise<SSD1306>} a Promise which resolves the display
+     */
+    async getOLED (board = this.board) {
+        const cache = this.sensorCacheOf(board);
+        if (!cache.oled) {
+            const newDisplay = new SSD1306(board);
+            await newDisplay.init();
+            cache.oled = newDisplay;
+        }
+        return cache.oled;
+    }
+
+    /**
+     * Draw on the framebuffer of the OLED display then send the changes.
+     * @param {function(SSD1306)} drawing - function to draw on the display
+     * @returns {Promise} a Promise which resolves when the changes were sent
+     */
+    drawOnOLED (drawing) {
+        if (!this.isConnected()) return;
+        const board = this.board;
+        return this.getOLED(board)
+            .then(oled => {
+                drawing(oled);
+                return oled.display();
+            })
+            .catch(reason => {
+                console.log(`drawing on OLED was rejected by ${reason}`);
+                this.sensorCacheOf(board).oled = null;
+            });
+    }
+
+    /**
+     * Clear the OLED display.
+     * @returns {Promise} a Promise which resolves when the display was cleared
+     */
+    oledClear () {
+        return this.drawOnOLED(oled => oled.clear());
+    }
+
+    /**
+     * Draw a text on the OLED display.
+     * @param {object} args - the block's arguments.
+     * @param {string} args.TEXT - text to draw
+     * @param {number} args.X - column of the left
+     * @param {number} args.Y - row of the top
+     * @param {number} args.SIZE - magnification of the font
+     * @returns {Promise} a Promise which resolves when the text was drawn
+     */
+    oledText (args) {
+        return this.drawOnOLED(oled => oled.drawText(
+            Cast.toString(args.TEXT),
+            Cast.toNumber(args.X),
+            Cast.toNumber(args.Y),
+            Cast.toNumber(args.SIZE)));
+    }
+
+    /**
+     * Draw a line on the OLED display.
+     * @param {object} args - the block's arguments.
+     * @param {number} args.X1 - column of the start
+     * @param {number} args.Y1 - row of the start
+     * @param {number} args.X2 - column of the end
+     * @param {number} args.Y2 - row of the end
+     * @returns {Promise} a Promise which resolves when the line was drawn
+     */
+    oledLine (args) {
+        return this.drawOnOLED(oled => oled.drawLine(
+            Cast.toNumber(args.X1),
+            Cast.toNumber(args.Y1),
+            Cast.toNumber(args.X2),
+            Cast.toNumber(args.Y2)));
+    }
+
+    /**
+     * Draw a rectangle on the OLED display.
+     * @param {object} args - the block's arguments.
+     * @param {number} args.X - column of the left
+     * @param {number} args.Y - row of the top
+     * @param {number} args.WIDTH - width
+     * @param {number} args.HEIGHT - height
+     * @param {string} args.FILL - style [outline | fill]
+     * @returns {Promise} a Promise which resolves when the rectangle was drawn
+     */
+    oledRect (args) {
+        return this.drawOnOLED(oled => oled.drawRect(
+            Cast.toNumber(args.X),
+            Cast.toNumber(args.Y),
+            Cast.toNumber(args.WIDTH),
+            Cast.toNumber(args.HEIGHT),
+            args.FILL === 'fill'));
+    }
+
+    /**
+     * Turn a pixel on the OLED display on or off.
+     * @param {object} args - the block's arguments.
+     * @param {number} args.X - column
+     * @param {number} args.Y - row
+     * @param {string} args.STATE - pixel state [on | off]
+     * @returns {Promise} a Promise which resolves when the pixel was drawn
+     */
+    oledPixel (args) {
+        return this.drawOnOLED(oled => oled.drawPixel(
+            Cast.toNumber(args.X),
+            Cast.toNumber(args.Y),
+            args.STATE !== 'off'));
+    }
+
+    /**
+     * Show a value with its label in large letters on the whole OLED display.
+     * @param {object} args - the block's arguments.
+     * @param {string} args.LABEL - label of the value
+     * @param {string} args.VALUE - value to show
+     * @returns {Promise} a Promise which resolves when the value was shown
+     */
+    oledShowValue (args) {
+        return this.drawOnOLED(oled => {
+            oled.clear();
+            oled.drawText(Cast.toString(args.LABEL), 0, 0, 2);
+            oled.drawText(Cast.toString(args.VALUE), 0, 24, 3);
+        });
+    }
+
+    /**
+     * Show a number on the 4-digit display (TM1637).
+     * CLK is on the first pin and DIO is on the second pin of the connector.
+     * @param {object} args - the block's arguments.
+     * @param {string} args.CONNECTOR - first pin of the connector
+     * @param {number} args.NUMBER - number to show
+     * @returns {Promise} a Promise which resolves when the number was sent
+     */
+    displayNumber (args) {
+        if (!this.isConnected()) return;
+        const pin = Number.parseInt(args.CONNECTOR, 10);
+        if (!(pin in SECOND_PIN_OF_CONNECTOR)) return;
+        const cache = this.sensorCacheOf(this.board);
+        let display = cache.tm1637s.get(pin);
+        if (!display) {
+            display = new TM1637(this.board, pin, SECOND_PIN_OF_CONNECTOR[pin]);
+            cache.tm1637s.set(pin, display);
+        }
+        const text = Cast.toString(args.NUMBER).trim();
+        const request = (text === '') ? display.clear() : display.showNumber(Cast.toNumber(text));
+        return request
+            .catch(reason => {
+                console.log(`displaying number was rejected by ${reason}`);
+            });
+    }
+
+    /**
+     * Light the LED bar (MY9221) to the level.
+     * DI is on the first pin and DCKI is on the second pin of the connector.
+     * @param {object} args - the block's arguments.
+     * @param {string} args.CONNECTOR - first pin of the connector
+     * @param {number} args.LEVEL - number of the LEDs to light [0 - 10]
+     * @returns {Promise} a Promise which resolves when the level was sent
+     */
+    setLEDBarLevel (args) {
+        if (!this.isConnected()) return;
+        const pin = Number.parseInt(args.CONNECTOR, 10);
+        if (!(pin in SECOND_PIN_OF_CONNECTOR)) return;
+        const cache = this.sensorCacheOf(this.board);
+        let ledBar = cache.my9221s.get(pin);
+        if (!ledBar) {
+            ledBar = new MY9221(this.board, SECOND_PIN_OF_CONNECTOR[pin], pin);
+            cache.my9221s.set(pin, ledBar);
+        }
+        return ledBar.setLevel(Cast.toNumber(args.LEVEL))
+            .catch(reason => {
+                console.log(`setting LED bar level was rejected by ${reason}`);
+            });
+    }
+
+    /**
+     * Get instance of the optical distance sensor on the board.
+     * VL53L1X is used when VL53L0X of STEAM Tool was not found.
+     * @param {import('./akadako-board').default} board - board which the sensor is connected to
+     * @returns {Promise<?(VL53L0X | VL53L1X)>} a Promise which resolves a sensor or null if it was not found
+     */
+    async getOpticalDistanceSensor (board = this.board) {
+        const cache = this.sensorCacheOf(board);
+        if (!cache.vl53l0x) {
             let address = 0x08; // STEAM Tool v2.0.1 or later
-            if ((this.board.version.type <= 1) ||
-            (this.board.version.type === 2 && this.board.version.major === 0 && this.board.version.minor === 0)) {
+            if ((board.version.type <= 1) ||
+            (board.version.type === 2 && board.version.major === 0 && board.version.minor === 0)) {
                 address = null;
             }
-            const newSensor = new VL53L0X(this.board, address);
-            const found = await newSensor.init(true);
+            let newSensor = new VL53L0X(board, address);
+            const found = await newSensor.init(true)
+                .catch(() => false);
             if (!found) {
-                console.log('Distance sensor (laser) is not found.');
-                return null;
+                if (!(await VL53L1X.isConnected(board))) {
+                    console.log('Distance sensor (laser) is not found.');
+                    return null;
+                }
+                newSensor = new VL53L1X(board);
+                await newSensor.init();
+                await newSensor.setROISize(this.opticalDistanceROI.width, this.opticalDistanceROI.height);
+            }
+            await newSensor.setRangeProfile(this.opticalDistanceRangeProfile);
+            if (newSensor instanceof VL53L1X) {
+                if (this.opticalDistanceMode) await newSensor.setDistanceMode(this.opticalDistanceMode);
+                if (this.opticalDistanceTimingBudget) {
+                    await newSensor.setMeasurementTimingBudget(this.opticalDistanceTimingBudget * 1000);
+                }
             }
-            await newSensor.setRangeProfile('LONG_RANGE');
             await newSensor.startContinuous();
-            this.vl53l0x = newSensor;
+            cache.vl53l0x = newSensor;
         }
-        return this.vl53l0x;
+        return cache.vl53l0x;
+    }
+
+    /**
+     * Return the offset which is added to the distance by the sensor.
+     * @param {?(VL53L0X | VL53L1X)} sensor - optical distance sensor
+     * @returns {number} offset [mm]
+     */
+    opticalDistanceOffsetOf (sensor) {
+        if (this.opticalDistanceOffset !== null) return this.opticalDistanceOffset;
+        // supplement of STEAM Tool
+        return (sensor instanceof VL53L1X) ? 0 : -50;
     }
 
     /**
      * Reduce noise of the value of the ToF distance sensor.
      * @param {number} value - value of the ToF distance sensor
+     * @param {SensorCache} cache - sensor cache which has the samples
      * @returns {number} processed value
      */
-    reduceNoiseOfOpticalDistance (value) {
-        if (this.opticalDistanceSamples.length >= this.opticalDistanceSamplesSize) {
-            this.opticalDistanceSamples.shift();
+    reduceNoiseOfOpticalDistance (value, cache = this.sensorCacheOf(this.board)) {
+        const samples = cache.opticalDistanceSamples;
+        if (samples.length >= this.opticalDistanceSamplesSize) {
+            samples.shift();
         }
-        this.opticalDistanceSamples.push(value);
-        const sorted = [...this.opticalDistanceSamples].sort((a, b) => a - b);
-        return sorted[Math.floor(sorted.length / 2)];
+        samples.push(value);
+        return medianOf(samples);
     }
 
     /**
-     * Measure distance using ToF sensor VL53L0X.
+     * Measure distance using ToF sensor VL53L0X or VL53L1X.
      *
      * @param {object} _args - the block's arguments.
      * @param {BlockUtility} util - utility object provided by the runtime.
@@ -1191,167 +2169,433 @@ class ExtensionBlocks {
      */
     measureDistanceWithLight (_args, util) {
         if (!this.isConnected()) return Promise.resolve('');
-        let measureRequest = Promise.resolve(this.opticalDistance);
-        if ((Date.now() - this.opticalDistanceUpdatedTime) > this.opticalDistanceUpdateIntervalTime) {
-            if (this.opticalDistanceUpdating) {
+        const board = this.board;
+        const cache = this.sensorCacheOf(board);
+        let measureRequest = Promise.resolve(cache.opticalDistance);
+        if ((Date.now() - cache.opticalDistanceUpdatedTime) > this.opticalDistanceUpdateIntervalTime) {
+            if (cache.opticalDistanceUpdating) {
                 util.yield(); // re-try this call after a while.
                 return; // Do not return Promise to re-try.
             }
-            this.opticalDistanceUpdating = true;
+            cache.opticalDistanceUpdating = true;
             measureRequest = measureRequest
-                .then(() => this.getOpticalDistanceSensor())
-                .then(sensor => sensor.readRangeContinuousMillimeters())
-                .then(distance => {
-                    // STEAM Tool supplement: - 50[mm]
-                    distance = distance - 50;
-                    // STEAM Tool limit: 100 - 2000[mm]
-                    return Math.max(100, Math.min(distance, 2000));
-                })
-                .then(distance => {
-                    this.opticalDistance = distance;
-                    return distance;
-                })
+                .then(() => this.getOpticalDistanceSensor(board))
+                .then(sensor => sensor.readRangeContinuousMillimeters()
+                    .then(distance => {
+                        const corrected = distance + this.opticalDistanceOffsetOf(sensor);
+                        // STEAM Tool limit: 100 - 2000[mm], VL53L1X: 40 - 4000[mm]
+                        const limit = (sensor instanceof VL53L1X) ? {min: 40, max: 4000} : {min: 100, max: 2000};
+                        const limited = Math.max(limit.min, Math.min(corrected, limit.max));
+                        cache.opticalDistanceStatus = (sensor.range_status === 'VALID' && limited !== corrected) ?
+                            'OUT_OF_RANGE' : sensor.range_status;
+                        cache.opticalDistance = limited;
+                        return limited;
+                    }))
                 .finally(() => {
-                    this.opticalDistanceUpdating = false;
+                    cache.opticalDistanceUpdating = false;
                 });
         }
         return measureRequest
             .then(distance => distance / 10) // convert unit [mm] to [cm]
-            .then(distance => this.reduceNoiseOfOpticalDistance(distance))
+            .then(distance => this.reduceNoiseOfOpticalDistance(distance, cache))
             .catch(reason => {
                 console.log(`measureDistanceWithLight was rejected by ${reason}`);
-                this.opticalDistance = null;
+                cache.opticalDistance = null;
+                cache.opticalDistanceStatus = null;
                 return '';
             });
     }
 
     /**
-     * Measure distance using ultrasonic sensor on Digital A.
-     * @param {object} _args - the block's arguments.
+     * Get range status of the optical distance sensor by a new measurement.
+     * @param {object} args - the block's arguments.
      * @param {BlockUtility} util - utility object provided by the runtime.
-     * @returns {Promise<number | string>} a Promise which resolves distance [cm] or empty string if it was fail
+     * @returns {?Promise<string>} a Promise which resolves the status or empty string if it was fail
      */
-    measureDistanceWithUltrasonicA (_args, util) {
-        if (!this.isConnected()) return Promise.resolve('');
-        let getter = Promise.resolve(this.sonicDistanceA);
-        if ((Date.now() - this.sonicDistanceAUpdatedTime) > this.sonicDistanceAUpdateIntervalTime) {
-            if (this.sonicDistanceAUpdating) {
-                util.yield(); // re-try this call after a while.
-                return; // Do not return Promise to re-try.
-            }
-            this.sonicDistanceAUpdating = true;
-            const pin = 10;
-            getter = getter.then(() => this.board.getDistanceByUltrasonic(pin))
-                .then(value => {
-                    this.sonicDistanceA = value;
-                    this.sonicDistanceAUpdatedTime = Date.now();
-                    return this.sonicDistanceA;
-                })
-                .finally(() => {
-                    this.sonicDistanceAUpdating = false;
-                });
-        }
-        return getter
-            .then(value => Math.min(350, Math.round(value / 10)))
+    getOpticalDistanceStatus (args, util) {
+        const measuring = this.measureDistanceWithLight(args, util);
+        if (typeof measuring === 'undefined') return; // Do not return Promise to re-try after the yield.
+        return measuring.then(distance => {
+            if (distance === '') return '';
+            const status = this.sensorCacheOf(this.board).opticalDistanceStatus;
+            return status ? status : '';
+        });
+    }
+
+    /**
+     * Set the range profile of the optical distance sensor.
+     * The distance mode and the timing budget of VL53L1X which were set by the blocks are replaced with the profile.
+     * @param {object} args - the block's arguments.
+     * @param {string} args.PROFILE - profile 'LONG_RANGE' | 'HIGH_SPEED' | 'HIGH_ACCURACY'
+     * @returns {Promise} a Promise which resolves when the profile was set
+     */
+    setOpticalDistanceProfile (args) {
+        this.opticalDistanceRangeProfile = args.PROFILE;
+        this.opticalDistanceMode = null;
+        this.opticalDistanceTimingBudget = null;
+        if (!this.isConnected()) return;
+        const cache = this.sensorCacheOf(this.board);
+        const sensor = cache.vl53l0x;
+        if (!sensor) return;
+        cache.opticalDistanceSamples = [];
+        return Promise.resolve(sensor.stopContinuous())
+            .then(() => sensor.setRangeProfile(this.opticalDistanceRangeProfile))
+            .then(() => sensor.startContinuous())
             .catch(reason => {
-                console.log(`ultrasonic distance A was rejected by ${reason}`);
-                return '';
+                console.log(`setOpticalDistanceProfile was rejected by ${reason}`);
+                cache.vl53l0x = null;
             });
     }
 
     /**
-     * Measure distance using ultrasonic sensor on Digital B.
-     * @param {object} _args - the block's arguments.
+     * Set the distance mode of VL53L1X, a shorter one is more robust to the ambient light.
+     * @param {object} args - the block's arguments.
+     * @param {string} args.MODE - distance mode 'SHORT' | 'MEDIUM' | 'LONG'
+     * @returns {Promise} a Promise which resolves when the mode was set
+     */
+    setOpticalDistanceMode (args) {
+        if (!['SHORT', 'MEDIUM', 'LONG'].includes(args.MODE)) return;
+        this.opticalDistanceMode = args.MODE;
+        if (!this.isConnected()) return;
+        const cache = this.sensorCacheOf(this.board);
+        const sensor = cache.vl53l0x;
+        if (!(sensor instanceof VL53L1X)) return;
+        cache.opticalDistanceSamples = [];
+        return sensor.stopContinuous()
+            .then(() => sensor.setDistanceMode(this.opticalDistanceMode))
+            .then(() => sensor.startContinuous())
+            .catch(reason => {
+                console.log(`setOpticalDistanceMode was rejected by ${reason}`);
+                cache.vl53l0x = null;
+            });
+    }
+
+    /**
+     * Set the timing budget of VL53L1X, a longer one is more accurate and slower.
+     * @param {object} args - the block's arguments.
+     * @param {string} args.BUDGET - time for a measurement in 20-1000 [milliseconds]
+     * @returns {Promise} a Promise which resolves when the timing budget was set
+     */
+    setOpticalDistanceTimingBudget (args) {
+        this.opticalDistanceTimingBudget = Math.max(20, Math.min(1000, Math.round(Cast.toNumber(args.BUDGET))));
+        if (!this.isConnected()) return;
+        const cache = this.sensorCacheOf(this.board);
+        const sensor = cache.vl53l0x;
+        if (!(sensor instanceof VL53L1X)) return;
+        cache.opticalDistanceSamples = [];
+        return sensor.stopContinuous()
+            .then(() => sensor.setMeasurementTimingBudget(this.opticalDistanceTimingBudget * 1000))
+            .then(() => sensor.startContinuous())
+            .catch(reason => {
+                console.log(`setOpticalDistanceTimingBudget was rejected by ${reason}`);
+                cache.vl53l0x = null;
+            });
+    }
+
+    /**
+     * Set the region of interest of VL53L1X, a smaller one narrows the field of view.
+     * @param {object} args - the block's arguments.
+     * @param {string} args.WIDTH - columns of the SPAD array in 4-16
+     * @param {string} args.HEIGHT - rows of the SPAD array in 4-16
+     * @returns {Promise} a Promise which resolves when the region was set
+     */
+    setOpticalDistanceROI (args) {
+        this.opticalDistanceROI = {
+            width: Math.max(4, Math.min(16, Math.round(Cast.toNumber(args.WIDTH)))),
+            height: Math.max(4, Math.min(16, Math.round(Cast.toNumber(args.HEIGHT))))
+        };
+        if (!this.isConnected()) return;
+        const cache = this.sensorCacheOf(this.board);
+        const sensor = cache.vl53l0x;
+        if (!(sensor instanceof VL53L1X)) return;
+        cache.opticalDistanceSamples = [];
+        return sensor.stopContinuous()
+            .then(() => sensor.setROISize(this.opticalDistanceROI.width, this.opticalDistanceROI.height))
+            .then(() => sensor.startContinuous())
+            .catch(reason => {
+                console.log(`setOpticalDistanceROI was rejected by ${reason}`);
+                cache.vl53l0x = null;
+            });
+    }
+
+    /**
+     * Set the offset which is added to the optical distance.
+     * @param {object} args - the block's arguments.
+     * @param {string} args.OFFSET - offset [cm]
+     */
+    setOpticalDistanceOffset (args) {
+        this.opticalDistanceOffset = Cast.toNumber(args.OFFSET) * 10;
+        if (!this.isConnected()) return;
+        this.sensorCacheOf(this.board).opticalDistanceSamples = [];
+    }
+
+    /**
+     * Set the number of samples of the median filter for the optical distance.
+     * @param {object} args - the block's arguments.
+     * @param {string} args.SIZE - number of samples in 1-31, 1 is no filter
+     */
+    setOpticalDistanceFilter (args) {
+        this.opticalDistanceSamplesSize = Math.max(1, Math.min(31, Math.round(Cast.toNumber(args.SIZE))));
+        if (!this.isConnected()) return;
+        const samples = this.sensorCacheOf(this.board).opticalDistanceSamples;
+        samples.splice(0, Math.max(0, samples.length - this.opticalDistanceSamplesSize));
+    }
+
+    /**
+     * Measure distance using ultrasonic sensor on the connector.
+     * No echo, out of the maximum range and a failure of the sensor are recorded in the status of the pin,
+     * they are not added to the samples of the median filter.
+     * No echo resolves 0 and out of the range resolves the maximum range as the Digital A/B blocks have done.
+     * @param {object} args - the block's arguments.
+     * @param {string} args.CONNECTOR - pin number of the sensor
      * @param {BlockUtility} util - utility object provided by the runtime.
-     * @returns {Promise<number | string>} a Promise which resolves distance [cm] or empty string if it was fail
+     * @returns {?Promise<number | string>} a Promise which resolves distance [cm] or empty string if it was fail
      */
-    measureDistanceWithUltrasonicB (_args, util) {
+    measureDistanceWithUltrasonic (args, util) {
         if (!this.isConnected()) return Promise.resolve('');
-        if (this.board.version.type === 2) {
+        const board = this.board;
+        const pin = parseInt(args.CONNECTOR, 10);
+        if (board.version.type === 2) {
             // STEAM Tool
-            // This pin is used for on-board buttons in the STEAM tool.
-            return Promise.resolve('');
+            if (pin === 6 || pin === 9) {
+                // These pins are used for on-board buttons in the STEAM tool.
+                return Promise.resolve('');
+            }
         }
-        let getter = Promise.resolve(this.sonicDistanceB);
-        if ((Date.now() - this.sonicDistanceBUpdatedTime) > this.sonicDistanceBUpdateIntervalTime) {
-            if (this.sonicDistanceBUpdating) {
+        const cache = this.sensorCacheOf(board);
+        let state = cache.sonicDistances.get(pin);
+        if (!state) {
+            state = {distance: null, status: null, samples: [], updatedTime: 0, updating: false};
+            cache.sonicDistances.set(pin, state);
+        }
+        let getter = Promise.resolve(state.distance);
+        if ((Date.now() - state.updatedTime) > this.sonicDistanceUpdateIntervalTime) {
+            if (state.updating) {
                 util.yield(); // re-try this call after a while.
                 return; // Do not return Promise to re-try.
             }
-            this.sonicDistanceBUpdating = true;
-            const pin = 6;
-            getter = getter.then(() => this.board.getDistanceByUltrasonic(pin))
+            state.updating = true;
+            getter = getter.then(() => board.getDistanceByUltrasonic(pin))
                 .then(value => {
-                    this.sonicDistanceB = value;
-                    this.sonicDistanceBUpdatedTime = Date.now();
-                    return this.sonicDistanceB;
+                    const distance = value / 10; // convert unit [mm] to [cm]
+                    if (distance <= 0) {
+                        state.status = 'NO_ECHO';
+                        state.distance = 0;
+                    } else if (distance > this.sonicDistanceMax) {
+                        state.status = 'OUT_OF_RANGE';
+                        state.distance = this.sonicDistanceMax;
+                    } else {
+                        state.status = 'VALID';
+                        if (state.samples.length >= this.sonicDistanceSamplesSize) {
+                            state.samples.shift();
+                        }
+                        state.samples.push(distance);
+                        state.distance = Math.round(medianOf(state.samples));
+                    }
+                    state.updatedTime = Date.now();
+                    return state.distance;
                 })
                 .finally(() => {
-                    this.sonicDistanceBUpdating = false;
+                    state.updating = false;
                 });
         }
         return getter
-            .then(value => Math.min(350, Math.round(value / 10)))
+            .then(distance => ((distance === null) ? '' : distance))
             .catch(reason => {
-                console.log(`ultrasonic distance B was rejected by ${reason}`);
+                console.log(`ultrasonic distance on pin ${pin} was rejected by ${reason}`);
+                state.distance = null;
+                state.status = 'NOT_AVAILABLE';
                 return '';
             });
     }
 
+    /**
+     * Measure distance using ultrasonic sensor on Digital A.
+     * @param {object} _args - the block's arguments.
+     * @param {BlockUtility} util - utility object provided by the runtime.
+     * @returns {?Promise<number | string>} a Promise which resolves distance [cm] or empty string if it was fail
+     */
+    measureDistanceWithUltrasonicA (_args, util) {
+        return this.measureDistanceWithUltrasonic({CONNECTOR: '10'}, util);
+    }
+
+    /**
+     * Measure distance using ultrasonic sensor on Digital B.
+     * @param {object} _args - the block's arguments.
+     * @param {BlockUtility} util - utility object provided by the runtime.
+     * @returns {?Promise<number | string>} a Promise which resolves distance [cm] or empty string if it was fail
+     */
+    measureDistanceWithUltrasonicB (_args, util) {
+        return this.measureDistanceWithUltrasonic({CONNECTOR: '6'}, util);
+    }
+
+    /**
+     * Get status of the ultrasonic sensor on the connector by a new measurement.
+     * @param {object} args - the block's arguments.
+     * @param {string} args.CONNECTOR - pin number of the sensor
+     * @param {BlockUtility} util - utility object provided by the runtime.
+     * @returns {?Promise<string>} a Promise which resolves 'VALID' | 'OUT_OF_RANGE' | 'NO_ECHO' | 'NOT_AVAILABLE'
+     * or empty string when it was not measured
+     */
+    getUltrasonicDistanceStatus (args, util) {
+        const measuring = this.measureDistanceWithUltrasonic(args, util);
+        if (typeof measuring === 'undefined') return; // Do not return Promise to re-try after the yield.
+        return measuring.then(() => {
+            if (!this.isConnected()) return '';
+            const state = this.sensorCacheOf(this.board).sonicDistances.get(parseInt(args.CONNECTOR, 10));
+            return (state && state.status) ? state.status : '';
+        });
+    }
+
+    /**
+     * Set the maximum range of the ultrasonic sensors.
+     * @param {object} args - the block's arguments.
+     * @param {string} args.RANGE - maximum distance [cm]
+     */
+    setUltrasonicDistanceMax (args) {
+        const range = Cast.toNumber(args.RANGE);
+        if (range <= 0) return;
+        this.sonicDistanceMax = range;
+    }
+
+    /**
+     * Set the number of samples of the median filter for the ultrasonic sensors.
+     * @param {object} args - the block's arguments.
+     * @param {string} args.SIZE - number of samples in 1-31, 1 is no filter
+     */
+    setUltrasonicDistanceFilter (args) {
+        this.sonicDistanceSamplesSize = Math.max(1, Math.min(31, Math.round(Cast.toNumber(args.SIZE))));
+        if (!this.isConnected()) return;
+        this.sensorCacheOf(this.board).sonicDistances.forEach(state => {
+            state.samples.splice(0, Math.max(0, state.samples.length - this.sonicDistanceSamplesSize));
+        });
+    }
+
     /**
      * Get instance of an accelerometer.
      *
+     * @param {import('./akadako-board').default} board - board which the sensor is connected to
      * @returns {Promise} A Promise which resolves an accelerometer.
      */
-    async getAccelerometer () {
-        if (!this.accelerometer) {
+    async getAccelerometer (board = this.board) {
+        const cache = this.sensorCacheOf(board);
+        if (!cache.accelerometer) {
             let newSensor = null;
-            const isKXTJ3Connected = await KXTJ3.isConnected(this.board);
-            if (isKXTJ3Connected) {
-                newSensor = new KXTJ3(this.board);
+            // The common accelerometers come first not to wait for the timeouts of the IMUs on every board.
+            if (await KXTJ3.isConnected(board)) {
+                newSensor = new KXTJ3(board);
+            } else if (await ADXL345.isConnected(board)) {
+                newSensor = new ADXL345(board);
+            } else if (await MPU6050.isConnected(board)) {
+                newSensor = new MPU6050(board);
+            } else if (await BMI088.isConnected(board)) {
+                newSensor = new BMI088(board);
+            } else if (await LSM6DS3.isConnected(board)) {
+                newSensor = new LSM6DS3(board);
             } else {
-                const isADXL345Connected = await ADXL345.isConnected(this.board);
-                if (isADXL345Connected) {
-                    newSensor = new ADXL345(this.board);
-                } else {
-                    throw new Error('No supported accelerometer found');
-                }
+                throw new Error('No supported accelerometer found');
             }
-            await newSensor.init();
-            this.accelerometer = newSensor;
+            await newSensor.init(this.accelerometerRange, this.accelerometerDataRate);
+            if (newSensor.getAngularRate) {
+                const orientation = new OrientationFilter();
+                newSensor.subscribe(motion => orientation.update(
+                    calibrateAcceleration(motion.acceleration, cache.accelerationOffset),
+                    motion.angularRate));
+                cache.orientation = orientation;
+            } else {
+                newSensor.subscribe();
+                cache.orientation = null;
+            }
+            cache.accelerometer = newSensor;
         }
-        return this.accelerometer;
+        return cache.accelerometer;
     }
 
     /**
      * Get acceleration [m/s^2] for the axis.
      *
+     * @param {import('./akadako-board').default} board - board which the sensor is connected to
      * @returns {Promise<?{x: number, y: number, z: number}>} a Promise which resolves acceleration
      */
-    async getAcceleration () {
+    async getAcceleration (board = this.board) {
+        const cache = this.sensorCacheOf(board);
         try {
-            const sensor = await this.getAccelerometer();
-            this.acceleration = await sensor.getAcceleration();
-            this.accelerationUpdatedTime = Date.now();
-            return this.acceleration;
+            const sensor = await this.getAccelerometer(board);
+            cache.acceleration = calibrateAcceleration(await sensor.getAcceleration(), cache.accelerationOffset);
+            cache.accelerationUpdatedTime = Date.now();
+            return cache.acceleration;
         } catch (reason) {
             console.log(`getAcceleration() was rejected by ${reason}`);
-            this.acceleration = null;
+            cache.acceleration = null;
             return null;
         }
     }
 
+    /**
+     * Release the accelerometer to initialize it with the new settings at the next access.
+     *
+     * @param {import('./akadako-board').default} board - board which the sensor is connected to
+     */
+    releaseAccelerometer (board = this.board) {
+        const cache = this.sensorCacheOf(board);
+        if (cache.accelerometer) cache.accelerometer.unsubscribe();
+        cache.accelerometer = null;
+        cache.orientation = null;
+        cache.acceleration = null;
+        cache.accelerationUpdatedTime = 0;
+    }
+
+    /**
+     * Set range and output data rate of the accelerometer.
+     *
+     * @param {object} args - the block's arguments.
+     * @param {string} args.RANGE - range [G]
+     * @param {string} args.RATE - output data rate [Hz]
+     */
+    setAccelerometerConfig (args) {
+        this.accelerometerRange = Cast.toNumber(args.RANGE);
+        this.accelerometerDataRate = Cast.toNumber(args.RATE);
+        if (!this.isConnected()) return;
+        this.releaseAccelerometer();
+    }
+
+    /**
+     * Measure the acceleration while keeping still and save the offsets of the axes.
+     * The axis which is the nearest to the vertical keeps the gravity.
+     *
+     * @returns {Promise} a Promise which resolves when the calibration was finished
+     */
+    async calibrateAccelerometer () {
+        if (!this.isConnected()) return;
+        const board = this.board;
+        const cache = this.sensorCacheOf(board);
+        try {
+            const sensor = await this.getAccelerometer(board);
+            const samples = [];
+            for (let count = 0; count < this.accelerometerCalibrationSamples; count++) {
+                samples.push(await sensor.getAcceleration());
+                await new Promise(resolve => setTimeout(resolve, this.accelerationUpdateIntervalTime));
+            }
+            cache.accelerationOffset = accelerationOffsetOf(samples);
+            cache.accelerationUpdatedTime = 0;
+        } catch (reason) {
+            console.log(`calibrateAccelerometer() was rejected by ${reason}`);
+        }
+    }
+
     updateAcceleration (util) {
-        let getRequest = Promise.resolve(this.acceleration);
-        if ((Date.now() - this.accelerationUpdatedTime) > this.accelerationUpdateIntervalTime) {
-            if (this.accelerationUpdating) {
+        const board = this.board;
+        const cache = this.sensorCacheOf(board);
+        let getRequest = Promise.resolve(cache.acceleration);
+        if ((Date.now() - cache.accelerationUpdatedTime) > this.accelerationUpdateIntervalTime) {
+            if (cache.accelerationUpdating) {
                 util.yield(); // re-try this call after a while.
                 return; // Do not return Promise to re-try.
             }
-            this.accelerationUpdating = true;
-            getRequest = getRequest.then(() => this.getAcceleration())
+            cache.accelerationUpdating = true;
+            getRequest = getRequest.then(() => this.getAcceleration(board))
                 .finally(() => {
-                    this.accelerationUpdating = false;
+                    cache.accelerationUpdating = false;
                 });
         }
         return getRequest;
@@ -1434,6 +2678,21 @@ class ExtensionBlocks {
             });
     }
 
+    /**
+     * Return the orientation fused with the gyroscope, or by the gravity when the sensor has no gyroscope.
+     *
+     * @param {{x: number, y: number, z: number}} acc - latest acceleration [m/s^2]
+     * @param {import('./akadako-board').default} board - board which the sensor is connected to
+     * @returns {{roll: number, pitch: number, yaw: ?number}} orientation [degree], yaw is null without gyroscope
+     */
+    orientationOf (acc, board = this.board) {
+        const orientation = this.sensorCacheOf(board).orientation;
+        if (orientation && orientation.isUpdated()) {
+            return {roll: orientation.roll, pitch: orientation.pitch, yaw: orientation.yaw};
+        }
+        return {roll: accelerationToRoll(acc), pitch: accelerationToPitch(acc), yaw: null};
+    }
+
     /**
      * Get roll [degree] from accelerometer.
      *
@@ -1448,7 +2707,7 @@ class ExtensionBlocks {
         return updateAcc
             .then(acc => {
                 if (!acc) return '';
-                const roll = Math.atan2(acc.y, acc.z) * 180.0 / Math.PI;
+                const roll = this.orientationOf(acc).roll;
                 return (Math.round(roll * 100)) / 100;
             });
     }
@@ -1467,1084 +2726,2720 @@ class ExtensionBlocks {
         return updateAcc
             .then(acc => {
                 if (!acc) return '';
-                const angle = Math.atan2(
-                    acc.x,
-                    Math.sqrt((acc.y * acc.y) + (acc.z * acc.z))
-                ) * 180.0 / Math.PI;
-                let pitch = angle;
-                if (acc.z < 0) {
-                    pitch = ((angle > 0) ? 180 : -180) - angle;
-                }
+                const pitch = this.orientationOf(acc).pitch;
                 return (Math.round(pitch * 100)) / 100;
             });
     }
 
-
     /**
-     * Get instance of an environment sensor.
+     * Get yaw [degree] from gyroscope.
      *
-     * @returns {Promise} A Promise which resolves a sensor.
-     */
-    async getEnvSensor () {
-        if (!this.envSensor) {
-            const newSensor = new BME280(this.board);
-            await newSensor.init();
-            this.envSensor = newSensor;
-        }
-        return this.envSensor;
-    }
-
-    /**
-     * Get temperature [℃] from environment sensor.
      * @param {object} _args - the block's arguments.
      * @param {BlockUtility} util - utility object provided by the runtime.
-     * @returns {Promise<number | string>} a Promise which resolves temp or empty string if it was fail
+     * @returns {?Promise<number | string>} a Promise which resolves yaw or empty string without gyroscope
      */
-    async getEvnTemperature (_args, util) {
-        if (!this.isConnected()) return Promise.resolve('');
-        let getter = Promise.resolve(this.envTemperature);
-        if ((Date.now() - this.envTemperatureUpdatedTime) > this.envTemperatureUpdateIntervalTime) {
-            if (this.envTemperatureUpdating) {
-                util.yield(); // re-try this call after a while.
-                return; // Do not return Promise to re-try.
-            }
-            this.envTemperatureUpdating = true;
-            getter = getter
-                .then(() => this.getEnvSensor())
-                .then(() => this.envSensor.readTemperature())
-                .then(envTemperature => {
-                    this.envTemperature = envTemperature;
-                    this.envTemperatureUpdatedTime = Date.now();
-                    return envTemperature;
-                })
-                .finally(() => {
-                    this.envTemperatureUpdating = false;
-                });
-        }
-        return getter
-            .then(envTemperature => (Math.round(envTemperature * 100) / 100))
-            .catch(reason => {
-                console.log(`getting environment temperature was rejected by ${reason}`);
-                this.envTemperature = null;
-                this.envSensor = null;
-                return '';
+    getYaw (_args, util) {
+        if (!this.isConnected()) return '';
+        const updateAcc = this.updateAcceleration(util);
+        if ((typeof updateAcc) === 'undefined') return; // re-try thread
+        return updateAcc
+            .then(acc => {
+                if (!acc) return '';
+                const yaw = this.orientationOf(acc).yaw;
+                if (yaw === null) return '';
+                return (Math.round(yaw * 100)) / 100;
             });
     }
 
     /**
-     * Get pressure [hPa] from environment sensor.
-     * @param {object} _args - the block's arguments.
-     * @param {BlockUtility} util - utility object provided by the runtime.
-     * @returns {Promise<number | string>} a Promise which resolves pressure or empty string if it was fail
+     * Set the current yaw to zero.
      */
-    async getEvnPressure (_args, util) {
-        let getter = Promise.resolve(this.envPressure);
-        if ((Date.now() - this.envPressureUpdatedTime) > this.envPressureUpdateIntervalTime) {
-            if (this.envPressureUpdating) {
-                util.yield(); // re-try this call after a while.
-                return; // Do not return Promise to re-try.
-            }
-            this.envPressureUpdating = true;
-            getter = getter
-                .then(() => this.getEnvSensor())
-                .then(() => this.envSensor.readPressure())
-                .then(envPressure => {
-                    this.envPressure = envPressure;
-                    this.envPressureUpdatedTime = Date.now();
-                    return envPressure;
-                })
-                .finally(() => {
-                    this.envPressureUpdating = false;
-                });
-        }
-        return getter
-            .then(envPressure => (Math.round(envPressure * 100) / 10000))
-            .catch(reason => {
-                console.log(`getting environment pressure was rejected by ${reason}`);
-                this.envPressure = null;
-                this.envSensor = null;
-                return '';
-            });
+    resetYaw () {
+        if (!this.isConnected()) return;
+        const orientation = this.sensorCacheOf(this.board).orientation;
+        if (orientation) orientation.resetYaw();
     }
 
     /**
-     * Get humidity [%] from environment sensor.
-     * @param {object} _args - the block's arguments.
+     * Get angular rate [degree/s] for the axis from gyroscope.
+     *
+     * @param {object} args - the block's arguments.
+     * @param {string} args.AXIS - axis [X | Y | Z]
      * @param {BlockUtility} util - utility object provided by the runtime.
-     * @returns {Promise<number | string>} a Promise which resolves value of humidity or empty string if it was fail
+     * @returns {?Promise<number | string>} a Promise which resolves angular rate or empty string without gyroscope
      */
-    async getEnvHumidity (_args, util) {
-        let getter = Promise.resolve(this.envHumidity);
-        if ((Date.now() - this.envHumidityUpdatedTime) > this.envHumidityUpdateIntervalTime) {
-            if (this.envHumidityUpdating) {
-                util.yield(); // re-try this call after a while.
-                return; // Do not return Promise to re-try.
-            }
-            this.envHumidityUpdating = true;
-            getter = getter
-                .then(() => this.getEnvSensor())
-                .then(() => this.envSensor.readHumidity())
-                .then(envHumidity => {
-                    this.envHumidity = envHumidity;
-                    this.envHumidityUpdatedTime = Date.now();
-                    return envHumidity;
-                })
-                .finally(() => {
-                    this.envHumidityUpdating = false;
-                });
-        }
-        return getter
-            .then(envHumidity => (Math.round(envHumidity * 100) / 100))
-            .catch(reason => {
-                console.log(`getting environment humidity was rejected by ${reason}`);
-                this.envHumidity = null;
-                this.envSensor = null;
-                return '';
+    getAngularRate (args, util) {
+        if (!this.isConnected()) return '';
+        const updateAcc = this.updateAcceleration(util);
+        if ((typeof updateAcc) === 'undefined') return; // re-try thread
+        return updateAcc
+            .then(acc => {
+                if (!acc) return '';
+                const orientation = this.sensorCacheOf(this.board).orientation;
+                if (!orientation || !orientation.isUpdated()) return '';
+                const rate = orientation.angularRate[String(args.AXIS).toLowerCase()];
+                if (typeof rate !== 'number') return '';
+                return (Math.round(rate * 100)) / 100;
             });
     }
 
+
     /**
-     * Get instance of a brightness sensor.
+     * Get instance of an environment sensor.
      *
+     * @param {import('./akadako-board').default} board - board which the sensor is connected to
      * @returns {Promise} A Promise which resolves a sensor.
      */
-    async getBrightnessSensor () {
-        if (!this.brightnessSensor) {
-            const newSensor = new LTR303(this.board);
-            await newSensor.init();
-            this.brightnessSensor = newSensor;
+    async getEnvSensor (board = this.board) {
+        const cache = this.sensorCacheOf(board);
+        if (!cache.envSensor) {
+            let newSensor = null;
+            const isBME280Connected = await BME280.isConnected(board);
+            if (isBME280Connected) {
+                newSensor = new BME280(board);
+                await newSensor.init(this.envSensorSettings);
+            } else {
+                const isSHTConnected = await SHT.isConnected(board);
+                if (isSHTConnected) {
+                    newSensor = new SHT(board);
+                    await newSensor.init();
+                    newSensor.setRepeatability(this.envSensorRepeatability);
+                    if (this.envSensorHeater) await newSensor.setHeater(true);
+                } else {
+                    throw new Error('No supported environment sensor found');
+                }
+            }
+            newSensor.subscribe();
+            cache.envSensor = newSensor;
         }
-        return this.brightnessSensor;
+        return cache.envSensor;
     }
 
     /**
-     * Get brightness [lx] from LTR-303 on I2C
-     * @param {object} _args - the block's arguments.
-     * @param {BlockUtility} util - utility object provided by the runtime.
-     * @returns {Promise<number | string>} a Promise which resolves value of brightness or empty string if it was fail
+     * Turn the heater of the environment sensor on or off.
+     * It works only on SHT3x/SHT4x.
+     * @param {object} args - the block's arguments.
+     * @param {string} args.STATE - heater state [on | off]
+     * @returns {Promise} a Promise which resolves when the setting was sent
      */
-    async getBrightness (_args, util) {
-        if (!this.isConnected()) return Promise.resolve('');
-        let getter = Promise.resolve(this.brightness);
-        if ((Date.now() - this.brightnessUpdatedTime) > this.brightnessUpdateIntervalTime) {
-            if (this.brightnessUpdating) {
-                util.yield(); // re-try this call after a while.
-                return; // Do not return Promise to re-try.
-            }
-            this.brightnessUpdating = true;
-            getter = getter
-                .then(() => this.getBrightnessSensor())
-                .then(() => this.brightnessSensor.getBrightness())
-                .then(brightness => {
-                    this.brightness = brightness;
-                    this.brightnessUpdatedTime = Date.now();
-                    return brightness;
-                })
-                .finally(() => {
-                    this.brightnessUpdating = false;
-                });
-        }
-        return getter
-            .then(brightness => Math.min(64000, (Math.round(brightness * 10) / 10))) // Ignore too big value
+    setEnvSensorHeater (args) {
+        this.envSensorHeater = (args.STATE === 'on');
+        if (!this.isConnected()) return;
+        const sensor = this.sensorCacheOf(this.board).envSensor;
+        if (!(sensor instanceof SHT)) return;
+        return sensor.setHeater(this.envSensorHeater)
             .catch(reason => {
-                console.log(`getting brightness was rejected by ${reason}`);
-                this.brightness = null;
-                this.brightnessSensor = null;
-                return '';
+                console.log(`setting heater of environment sensor was rejected by ${reason}`);
             });
     }
 
     /**
-     * Get temperature using DS18B20 on the pin.
-     * @param {number} pin - pin number to use
-     * @returns {Promise<number>} a Promise which resolves value of temperature [℃]
+     * Set the repeatability of the measurement by the environment sensor.
+     * It works only on SHT3x/SHT4x.
+     * @param {object} args - the block's arguments.
+     * @param {string} args.REPEATABILITY - repeatability [high | medium | low]
      */
-    getTemperatureDS18B20 (pin) {
-        return this.board.sendOneWireReset(pin)
-            .then(() => this.board.oneWireWrite(pin, 0x44))
-            .then(() => this.board.sendOneWireReset(pin))
-            .then(() => this.board.oneWireWriteAndRead(pin, 0xBE, 9))
-            .then(readData => {
-                const buffer = new Uint8Array(readData).buffer;
-                const dataView = new DataView(buffer);
-                const rawTemp = dataView.getInt16(0, true);
-                return Math.round((rawTemp / 16) * 10) / 10;
-            });
+    setEnvSensorRepeatability (args) {
+        this.envSensorRepeatability = args.REPEATABILITY;
+        if (!this.isConnected()) return;
+        const sensor = this.sensorCacheOf(this.board).envSensor;
+        if (!(sensor instanceof SHT)) return;
+        sensor.setRepeatability(this.envSensorRepeatability);
     }
 
     /**
-     * Get water temp [℃] by sensor on the pin.
-     * @param {number} pin - pin number for the sensor
-     * @returns {Promise<number>} a Promise which resolves temperature [℃]
+     * Change the settings of BME280 and keep them for the sensors after this.
+     * @param {object} settings - some of BME280Settings
+     * @returns {Promise} a Promise which resolves when the settings were written
      */
-    getWaterTemp (pin) {
-        if ((this.board.version.type === 0)) {
-            return this.getTemperatureDS18B20(pin);
-        }
-        // MidiDako v1.0.0 or later
-        return this.board.getWaterTemp(pin)
-            .then(data => data / 10);
+    configureEnvSensor (settings) {
+        Object.assign(this.envSensorSettings, settings);
+        if (!this.isConnected()) return;
+        const cache = this.sensorCacheOf(this.board);
+        const sensor = cache.envSensor;
+        if (!(sensor instanceof BME280)) return;
+        return sensor.configure(this.envSensorSettings)
+            .then(() => {
+                // values by the previous settings are not used
+                cache.envTemperatureUpdatedTime = 0;
+                cache.envPressureUpdatedTime = 0;
+                cache.envHumidityUpdatedTime = 0;
+            })
+            .catch(reason => {
+                console.log(`setting BME280 was rejected by ${reason}`);
+            });
     }
 
     /**
-     * Get water temperature on Digital A1.
+     * Set the operating mode, the IIR filter and the standby time of the environment sensor.
+     * It works only on BME280/BMP280.
+     * @param {object} args - the block's arguments.
+     * @param {string} args.MODE - operating mode [normal | forced]
+     * @param {string} args.FILTER - coefficient of the IIR filter, 0 is off
+     * @param {string} args.STANDBY - standby time in the normal mode [milliseconds]
+     * @returns {Promise} a Promise which resolves when the settings were written
+     */
+    setEnvSensorMode (args) {
+        return this.configureEnvSensor({
+            mode: args.MODE,
+            filter: Cast.toNumber(args.FILTER),
+            standby: Cast.toNumber(args.STANDBY)
+        });
+    }
+
+    /**
+     * Set the oversampling of each measurement by the environment sensor.
+     * It works only on BME280/BMP280.
+     * @param {object} args - the block's arguments.
+     * @param {string} args.TEMPERATURE - oversampling of temperature, 0 skips the measurement
+     * @param {string} args.PRESSURE - oversampling of pressure, 0 skips the measurement
+     * @param {string} args.HUMIDITY - oversampling of humidity, 0 skips the measurement
+     * @returns {Promise} a Promise which resolves when the settings were written
+     */
+    setEnvSensorOversampling (args) {
+        return this.configureEnvSensor({
+            temperatureOversampling: Cast.toNumber(args.TEMPERATURE),
+            pressureOversampling: Cast.toNumber(args.PRESSURE),
+            humidityOversampling: Cast.toNumber(args.HUMIDITY)
+        });
+    }
+
+    /**
+     * Set the pressure at the sea level for the altitude.
+     * @param {object} args - the block's arguments.
+     * @param {string} args.PRESSURE - pressure at the sea level [hPa]
+     */
+    setSeaLevelPressure (args) {
+        const pressure = Cast.toNumber(args.PRESSURE);
+        if (pressure <= 0) return;
+        this.seaLevelPressure = pressure;
+    }
+
+    /**
+     * Get altitude [m] by the pressure of the environment sensor.
+     * @param {object} args - the block's arguments.
+     * @param {BlockUtility} util - utility object provided by the runtime.
+     * @returns {?Promise<number | string>} a Promise which resolves altitude or empty string if it was fail
+     */
+    getEnvAltitude (args, util) {
+        const reading = this.getEvnPressure(args, util);
+        if (typeof reading === 'undefined') return; // Do not return Promise to re-try after the yield.
+        return reading.then(pressure => {
+            if (typeof pressure !== 'number') return pressure;
+            const envPressure = this.sensorCacheOf(this.board).envPressure;
+            const altitude = altitudeOf(envPressure / 100, this.seaLevelPressure);
+            return Math.round(altitude * 100) / 100;
+        });
+    }
+
+    /**
+     * Read temperature and humidity of the environment sensor for a derived value.
+     * It returns nothing when one of them is updating by another thread, to re-try after the yield.
+     * @param {object} args - the block's arguments.
+     * @param {BlockUtility} util - utility object provided by the runtime.
+     * @returns {?Promise<?{temperature: number, humidity: number}>} a Promise which resolves
+     * the raw values or null if it was fail
+     */
+    readEnvTemperatureAndHumidity (args, util) {
+        const temperatureReading = this.getEvnTemperature(args, util);
+        if (typeof temperatureReading === 'undefined') return;
+        const humidityReading = this.getEnvHumidity(args, util);
+        if (typeof humidityReading === 'undefined') return;
+        return Promise.all([temperatureReading, humidityReading])
+            .then(([temperature, humidity]) => {
+                if (typeof temperature !== 'number' || typeof humidity !== 'number') return null;
+                const cache = this.sensorCacheOf(this.board);
+                return {temperature: cache.envTemperature, humidity: cache.envHumidity};
+            });
+    }
+
+    /**
+     * Get dew point [℃] by the temperature and the humidity of the environment sensor.
+     * @param {object} args - the block's arguments.
+     * @param {BlockUtility} util - utility object provided by the runtime.
+     * @returns {?Promise<number | string>} a Promise which resolves dew point or empty string if it was fail
+     */
+    getEnvDewPoint (args, util) {
+        const reading = this.readEnvTemperatureAndHumidity(args, util);
+        if (typeof reading === 'undefined') return; // Do not return Promise to re-try after the yield.
+        return reading.then(values => {
+            if (values === null) return '';
+            const dewPoint = dewPointOf(values.temperature, values.humidity);
+            if (dewPoint === null) return '';
+            return Math.round(dewPoint * 100) / 100;
+        });
+    }
+
+    /**
+     * Get absolute humidity [g/m^3] by the temperature and the humidity of the environment sensor.
+     * @param {object} args - the block's arguments.
+     * @param {BlockUtility} util - utility object provided by the runtime.
+     * @returns {?Promise<number | string>} a Promise which resolves absolute humidity or empty string if it was fail
+     */
+    getEnvAbsoluteHumidity (args, util) {
+        const reading = this.readEnvTemperatureAndHumidity(args, util);
+        if (typeof reading === 'undefined') return; // Do not return Promise to re-try after the yield.
+        return reading.then(values => {
+            if (values === null) return '';
+            const absoluteHumidity = absoluteHumidityOf(values.temperature, values.humidity);
+            return Math.round(absoluteHumidity * 100) / 100;
+        });
+    }
+
+    /**
+     * Get instance of SCD4x which is measuring periodically.
      *
-     * @param {object} _args - the block's arguments.
+     * @param {import('./akadako-board').default} board - board which the sensor is connected to
+     * @returns {Promise<SCD4x>} A Promise which resolves the sensor.
+     */
+    async getSCD4x (board = this.board) {
+        const cache = this.sensorCacheOf(board);
+        if (!cache.scd4x) {
+            const newSensor = new SCD4x(board);
+            await newSensor.init();
+            if (this.co2SensorAltitude !== null) await newSensor.setAltitude(this.co2SensorAltitude);
+            cache.scd4x = newSensor;
+        }
+        return cache.scd4x;
+    }
+
+    /**
+     * Send the pressure by the environment sensor to SCD4x for the compensation.
+     * Nothing is sent until the environment sensor was used.
+     * @param {SCD4x} sensor - CO2 sensor to be compensated
+     * @param {import('./akadako-board').default} board - board which the sensors are connected to
+     * @returns {Promise} a Promise which resolves when the compensation was done or skipped
+     */
+    async compensateCO2Sensor (sensor, board) {
+        const cache = this.sensorCacheOf(board);
+        if (!cache.envSensor) return;
+        try {
+            const pressure = await cache.envSensor.readPressure();
+            if (pressure) await sensor.setAmbientPressure(pressure / 100);
+        } catch (reason) {
+            // keep the last compensation
+        }
+    }
+
+    /**
+     * Get a measurement by SCD4x.
+     * @param {object} args - the block's arguments.
+     * @param {string} args.MEASUREMENT - kind of the measurement [co2 | temperature | humidity]
      * @param {BlockUtility} util - utility object provided by the runtime.
-     * @returns {?Promise<number | string>} a Promise which resolves temperature [℃] or empty string if it was fail
+     * @returns {Promise<number | string>} a Promise which resolves the value or empty string if it was fail
      */
-    getWaterTemperatureA (_args, util) {
+    getCO2Sensor (args, util) {
         if (!this.isConnected()) return Promise.resolve('');
-        let getter = Promise.resolve(this.waterTempA);
-        if ((Date.now() - this.waterTempAUpdatedTime) > this.waterTempAUpdateIntervalTime) {
-            if (this.waterTempAUpdating) {
+        const board = this.board;
+        const cache = this.sensorCacheOf(board);
+        let getter = Promise.resolve(cache.co2Measurement);
+        if ((Date.now() - cache.co2MeasurementUpdatedTime) > this.co2UpdateIntervalTime) {
+            if (cache.co2MeasurementUpdating) {
                 util.yield(); // re-try this call after a while.
                 return; // Do not return Promise to re-try.
             }
-            this.waterTempAUpdating = true;
+            cache.co2MeasurementUpdating = true;
             getter = getter
-                .then(() => this.getWaterTemp(10, util)) // Digital A1: 10
-                .then(waterTempA => {
-                    this.waterTempA = waterTempA;
-                    this.waterTempAUpdatedTime = Date.now();
-                    return waterTempA;
+                .then(() => this.getSCD4x(board))
+                .then(sensor => this.compensateCO2Sensor(sensor, board)
+                    .then(() => sensor.update()))
+                .then(measurement => {
+                    cache.co2Measurement = measurement;
+                    cache.co2MeasurementUpdatedTime = Date.now();
+                    return measurement;
                 })
                 .finally(() => {
-                    this.waterTempAUpdating = false;
+                    cache.co2MeasurementUpdating = false;
                 });
         }
         return getter
+            .then(measurement => {
+                // no measurement in the first 5 seconds
+                if (!measurement || !(args.MEASUREMENT in measurement)) return '';
+                return Math.round(measurement[args.MEASUREMENT] * 100) / 100;
+            })
             .catch(reason => {
-                console.log(`getting water temperature A was rejected by ${reason}`);
-                this.waterTempA = null;
+                console.log(`getting measurement of SCD4x was rejected by ${reason}`);
+                cache.co2Measurement = null;
+                cache.scd4x = null;
                 return '';
             });
     }
 
     /**
-     * Get water temperature on Digital B1.
+     * Set the altitude for the compensation of SCD4x.
+     * @param {object} args - the block's arguments.
+     * @param {number} args.ALTITUDE - altitude above sea level [m]
+     * @returns {Promise} a Promise which resolves when the setting was sent
+     */
+    setCO2SensorAltitude (args) {
+        this.co2SensorAltitude = Math.max(0, Cast.toNumber(args.ALTITUDE));
+        if (!this.isConnected()) return;
+        const cache = this.sensorCacheOf(this.board);
+        if (!cache.scd4x) return;
+        return cache.scd4x.setAltitude(this.co2SensorAltitude)
+            .catch(reason => {
+                console.log(`setting altitude of SCD4x was rejected by ${reason}`);
+            });
+    }
+
+    /**
+     * Get instance of SGP30 which is measuring in every second.
      *
-     * @param {object} _args - the block's arguments.
+     * @param {import('./akadako-board').default} board - board which the sensor is connected to
+     * @returns {Promise<SGP30>} A Promise which resolves the sensor.
+     */
+    async getSGP30 (board = this.board) {
+        const cache = this.sensorCacheOf(board);
+        if (!cache.sgp30) {
+            const newSensor = new SGP30(board);
+            await newSensor.init(this.airQualityBaseline);
+            newSensor.subscribe();
+            cache.sgp30 = newSensor;
+        }
+        return cache.sgp30;
+    }
+
+    /**
+     * Get a measurement by SGP30.
+     * @param {object} args - the block's arguments.
+     * @param {string} args.MEASUREMENT - kind of the measurement [eco2 | tvoc]
      * @param {BlockUtility} util - utility object provided by the runtime.
-     * @returns {?Promise<number | string>} a Promise which resolves temperature [℃] or empty string if it was fail
+     * @returns {Promise<number | string>} a Promise which resolves the value or empty string if it was fail
      */
-    getWaterTemperatureB (_args, util) {
+    getAirQuality (args, util) {
         if (!this.isConnected()) return Promise.resolve('');
-        let getter = Promise.resolve(this.waterTempB);
-        if ((Date.now() - this.waterTempBUpdatedTime) > this.waterTempBUpdateIntervalTime) {
-            if (this.waterTempBUpdating) {
+        const board = this.board;
+        const cache = this.sensorCacheOf(board);
+        let getter = Promise.resolve(cache.airQuality);
+        if ((Date.now() - cache.airQualityUpdatedTime) > this.airQualityUpdateIntervalTime) {
+            if (cache.airQualityUpdating) {
                 util.yield(); // re-try this call after a while.
                 return; // Do not return Promise to re-try.
             }
-            this.waterTempBUpdating = true;
+            cache.airQualityUpdating = true;
             getter = getter
-                .then(() => this.getWaterTemp(6, util)) // Digital B1: 6;
-                .then(waterTempB => {
-                    this.waterTempB = waterTempB;
-                    this.waterTempBUpdatedTime = Date.now();
-                    return waterTempB;
+                .then(() => this.getSGP30(board))
+                .then(sensor => sensor.readAirQuality())
+                .then(airQuality => {
+                    cache.airQuality = airQuality;
+                    cache.airQualityUpdatedTime = Date.now();
+                    return airQuality;
                 })
                 .finally(() => {
-                    this.waterTempBUpdating = false;
+                    cache.airQualityUpdating = false;
                 });
         }
         return getter
+            .then(airQuality => {
+                if (!airQuality || !(args.MEASUREMENT in airQuality)) return '';
+                return airQuality[args.MEASUREMENT];
+            })
             .catch(reason => {
-                console.log(`getting water temperature A was rejected by ${reason}`);
-                this.waterTempB = null;
+                console.log(`getting air quality of SGP30 was rejected by ${reason}`);
+                cache.airQuality = null;
+                if (cache.sgp30) cache.sgp30.unsubscribe();
+                cache.sgp30 = null;
                 return '';
             });
     }
 
     /**
-     * Return whether the accelerometer was shaken.
+     * Get the baseline which SGP30 has learned.
+     * The baseline is kept to be restored when the sensor was initialized again.
+     * @returns {Promise<string>} a Promise which resolves 'eCO2, TVOC' or empty string if it was fail
+     */
+    getAirQualityBaseline () {
+        if (!this.isConnected()) return Promise.resolve('');
+        return this.getSGP30()
+            .then(sensor => sensor.getBaseline())
+            .then(baseline => {
+                this.airQualityBaseline = baseline;
+                return numericArrayToString([baseline.eco2, baseline.tvoc]);
+            })
+            .catch(reason => {
+                console.log(`getting baseline of SGP30 was rejected by ${reason}`);
+                return '';
+            });
+    }
+
+    /**
+     * Restore the baseline of SGP30.
+     * @param {object} args - the block's arguments.
+     * @param {string} args.BASELINE - baseline in 'eCO2, TVOC' which was reported before
+     * @returns {Promise} a Promise which resolves when the baseline was sent
+     */
+    setAirQualityBaseline (args) {
+        const [eco2, tvoc] = readAsNumericArray(Cast.toString(args.BASELINE));
+        if (!Number.isInteger(eco2) || !Number.isInteger(tvoc)) return;
+        this.airQualityBaseline = {eco2, tvoc};
+        if (!this.isConnected()) return;
+        return this.getSGP30()
+            .then(sensor => sensor.setBaseline(this.airQualityBaseline))
+            .catch(reason => {
+                console.log(`setting baseline of SGP30 was rejected by ${reason}`);
+            });
+    }
+
+    /**
+     * Get instance of ADT7410 which was set up with the settings.
      *
-     * @param {object} _args - the block's arguments.
-     * @param {BlockUtility} util - utility object provided by the runtime.
-     * @returns {boolean} true when the accelerometer was shaken
+     * @param {import('./akadako-board').default} board - board which the sensor is connected to
+     * @returns {Promise<ADT7410>} A Promise which resolves the sensor.
      */
-    whenShaken (_args, util) {
-        if (!this.shakeEventUpdating) {
-            const updater = this.getAccelerationAbsolute(null, util);
-            if (updater) {
-                if (((typeof this.prevAccAbsolute) !== 'undefined') && (this.prevAccAbsolute !== null)) {
-                    this.shakeEventUpdating = true;
-                    setTimeout(() => {
-                        updater.then(currentAcc => {
-                            if (currentAcc === '') {
-                                this.shakeEventUpdating = false;
-                                return;
-                            }
-                            this.shaken = ((currentAcc - this.prevAccAbsolute) > this.shakeEventThreshold);
-                            this.prevAccAbsolute = currentAcc;
-                            setTimeout(() => {
-                                this.shakeEventUpdating = false;
-                            }, this.runtime.currentStepTime);
-                        })
-                            .catch(reason => {
-                                this.shakeEventUpdating = false;
-                                console.log(`promise rejected on whenShake: ${reason}`);
-                                return;
-                            });
-                    }, this.shakeEventInterval);
-                } else {
-                    updater.then(currentAcc => {
-                        if (currentAcc === '') {
-                            return;
-                        }
-                        this.prevAccAbsolute = currentAcc;
-                    });
-                }
+    async getADT7410 (board = this.board) {
+        const cache = this.sensorCacheOf(board);
+        if (!cache.adt7410) {
+            const newSensor = new ADT7410(board);
+            newSensor.resolution = this.adt7410Resolution;
+            newSensor.mode = this.adt7410Mode;
+            await newSensor.init();
+            if (this.adt7410Thresholds) {
+                await newSensor.setThresholds(this.adt7410Thresholds.high, this.adt7410Thresholds.low);
             }
+            newSensor.subscribe();
+            cache.adt7410 = newSensor;
         }
-        return !!this.shaken;
+        return cache.adt7410;
     }
 
     /**
-     * Return a number at the index [one-based] in the numeric array.
-     * @param {object} args - the block's arguments.
-     * @param {string} args.ARRAY - numeric array
-     * @returns {string} a number at the index
+     * Get temperature [℃] from ADT7410.
+     * @param {object} _args - the block's arguments.
+     * @param {BlockUtility} util - utility object provided by the runtime.
+     * @returns {Promise<number | string>} a Promise which resolves temperature or empty string if it was fail
      */
-    numberAtIndex (args) {
-        const array = readAsNumericArray(args.ARRAY);
-        if (!array.length) return '';
-        let index = Cast.toNumber(args.INDEX);
-        index = Math.min(array.length, Math.max(1, index));
-        index = Math.min(array.length, Math.max(1, index));
-        index = Math.floor(index);
-        return array[index - 1];
+    async getADT7410Temperature (_args, util) {
+        if (!this.isConnected()) return Promise.resolve('');
+        const board = this.board;
+        const cache = this.sensorCacheOf(board);
+        let getter = Promise.resolve(cache.adt7410Temperature);
+        if ((Date.now() - cache.adt7410TemperatureUpdatedTime) > this.adt7410TemperatureUpdateIntervalTime) {
+            if (cache.adt7410TemperatureUpdating) {
+                util.yield(); // re-try this call after a while.
+                return; // Do not return Promise to re-try.
+            }
+            cache.adt7410TemperatureUpdating = true;
+            getter = getter
+                .then(() => this.getADT7410(board))
+                .then(sensor => sensor.readTemperature())
+                .then(temperature => {
+                    cache.adt7410Temperature = temperature;
+                    cache.adt7410TemperatureUpdatedTime = Date.now();
+                    return temperature;
+                })
+                .finally(() => {
+                    cache.adt7410TemperatureUpdating = false;
+                });
+        }
+        return getter
+            .then(temperature => (Math.round(temperature * 10000) / 10000))
+            .catch(reason => {
+                console.log(`getting temperature of ADT7410 was rejected by ${reason}`);
+                cache.adt7410Temperature = null;
+                if (cache.adt7410) cache.adt7410.unsubscribe();
+                cache.adt7410 = null;
+                return '';
+            });
     }
 
     /**
-     * Remove or replace numbers and/or add new numbers at the index in the numeric array.
+     * Set the resolution of ADT7410.
      * @param {object} args - the block's arguments.
-     * @param {string} args.ARRAY - numeric array
-     * @param {string} args.INDEX - index to operate
-     * @param {string} args.DELETE - count to be deleted
-     * @param {string} args.INSERT - numeric array to be inserted
-     * @returns {string} the modified numeric array
+     * @param {string} args.RESOLUTION - resolution [13 | 16] bits
+     * @returns {Promise} a Promise which resolves when the setting was sent
      */
-    spliceNumbers (args) {
-        const array = readAsNumericArray(args.ARRAY);
-        let index = Cast.toNumber(args.INDEX);
-        index = Math.floor(index);
-        let deleteCount = Cast.toNumber(args.DELETE);
-        deleteCount = Math.min(array.length, Math.max(0, deleteCount));
-        deleteCount = Math.floor(deleteCount);
-        const newNumbers = readAsNumericArray(args.INSERT);
-        array.splice(((index > 0) ? index - 1 : index), deleteCount, ...newNumbers);
-        return numericArrayToString(array);
+    setADT7410Resolution (args) {
+        this.adt7410Resolution = (Cast.toNumber(args.RESOLUTION) === 13) ? 13 : 16;
+        if (!this.isConnected()) return;
+        const cache = this.sensorCacheOf(this.board);
+        if (!cache.adt7410) return;
+        cache.adt7410TemperatureUpdatedTime = 0;
+        return cache.adt7410.setResolution(this.adt7410Resolution)
+            .catch(reason => {
+                console.log(`setting resolution of ADT7410 was rejected by ${reason}`);
+            });
     }
 
     /**
-     * Return the length of the numeric array.
+     * Set the conversion mode of ADT7410.
      * @param {object} args - the block's arguments.
-     * @param {string} args.ARRAY - numeric array
-     * @returns {number} length of the numeric array
+     * @param {string} args.MODE - conversion mode [continuous | one-shot]
+     * @returns {Promise} a Promise which resolves when the setting was sent
      */
-    lengthOfNumbers (args) {
-        const array = readAsNumericArray(args.ARRAY);
-        return array.length;
+    setADT7410Mode (args) {
+        this.adt7410Mode = (args.MODE === 'one-shot') ? 'one-shot' : 'continuous';
+        if (!this.isConnected()) return;
+        const cache = this.sensorCacheOf(this.board);
+        if (!cache.adt7410) return;
+        cache.adt7410TemperatureUpdatedTime = 0;
+        return cache.adt7410.setMode(this.adt7410Mode)
+            .catch(reason => {
+                console.log(`setting conversion mode of ADT7410 was rejected by ${reason}`);
+            });
     }
 
     /**
-     * Read numbers as the type and endian from the array of 8 bit data.
+     * Set the thresholds for the temperature alarms of ADT7410.
      * @param {object} args - the block's arguments.
-     * @param {string} args.ARRAY - numeric array of 8 bit data
-     * @param {string} args.ENDIAN - endian [little|big] of the number
-     * @param {string} args.TYPE - type [Int16|Uint16] of the number
-     * @returns {string} a numeric array of the converted numbers
+     * @param {number} args.HIGH - over temperature threshold [℃]
+     * @param {number} args.LOW - under temperature threshold [℃]
+     * @returns {Promise} a Promise which resolves when the thresholds were written
      */
-    readBytesAs (args) {
-        try {
-            const array = readAsNumericArray(args.ARRAY);
-            const buffer = new Uint8Array(array).buffer;
-            const dataView = new DataView(buffer);
-            const little = (args.ENDIAN === 'little');
-            const result = [];
-            if (args.TYPE === 'Int16') {
-                if (array.length < 2) return '';
-                for (let index = 0; index < Math.floor(array.length / 2); index++) {
-                    const element = dataView.getInt16(index * 2, little);
-                    result[index] = element;
-                }
-                return numericArrayToString(result);
-            }
-            if (args.TYPE === 'Uint16') {
-                if (array.length < 2) return '';
-                for (let index = 0; index < Math.floor(array.length / 2); index++) {
-                    const element = dataView.getUint16(index * 2, little);
-                    result[index] = element;
-                }
-                return numericArrayToString(result);
-            }
-        } catch (error) {
-            console.log(error);
-        }
-        return '';
+    setADT7410Thresholds (args) {
+        this.adt7410Thresholds = {
+            high: Cast.toNumber(args.HIGH),
+            low: Cast.toNumber(args.LOW)
+        };
+        if (!this.isConnected()) return;
+        return this.getADT7410()
+            .then(sensor => sensor.setThresholds(this.adt7410Thresholds.high, this.adt7410Thresholds.low))
+            .catch(reason => {
+                console.log(`setting thresholds of ADT7410 was rejected by ${reason}`);
+            });
     }
 
     /**
-     * Do the arithmetic operator with the arguments in 64 bit integer.
+     * Return whether the temperature by ADT7410 is beyond the threshold.
      * @param {object} args - the block's arguments.
-     * @param {string} args.OP - operator
-     * @param {string} args.LEFT - left side value
-     * @param {string} args.RIGHT - right side value
-     * @returns {string} result of this operation
+     * @param {string} args.LIMIT - threshold to check [high | low]
+     * @returns {Promise<boolean>} a Promise which resolves true when the alarm is on
      */
-    int64Operation (args) {
-        const op = args.OP;
-        const left = integer64From(args.LEFT);
-        const right = integer64From(args.RIGHT);
-        if (op === '＋') {
-            return left.add(right).toString(10);
-        }
-        if (op === '－') {
-            return left.subtract(right).toString(10);
-        }
-        if (op === '✕') {
-            return left.multiply(right).toString(10);
-        }
-        if (op === '÷') {
-            return left.divide(right).toString(10);
-        }
-        if (op === 'mod') {
-            return left.modulo(right).toString(10);
-        }
+    isADT7410Alarmed (args) {
+        if (!this.isConnected()) return false;
+        return this.getADT7410()
+            .then(sensor => sensor.readAlarms())
+            .then(alarms => ((args.LIMIT === 'low') ? alarms.low : alarms.high))
+            .catch(reason => {
+                console.log(`reading alarms of ADT7410 was rejected by ${reason}`);
+                return false;
+            });
     }
 
     /**
-     * Do the bitwise operation with the arguments in 64 bit integer.
-     * @param {object} args - the block's arguments.
-     * @param {string} args.OP - operator
-     * @param {string} args.LEFT - left side value
-     * @param {string} args.RIGHT - right side value
-     * @returns {string} result of this operation
+     * Get temperature [℃] from environment sensor.
+     * @param {object} _args - the block's arguments.
+     * @param {BlockUtility} util - utility object provided by the runtime.
+     * @returns {?Promise<number | string>} a Promise which resolves temp or empty string if it was fail
      */
-    bitOperation (args) {
-        const op = args.OP;
-        const left = integer64From(args.LEFT);
-        const right = integer64From(args.RIGHT);
-        if (op === '<<') {
-            return left.shiftLeft(right).toString(10);
-        }
-        if (op === '>>') {
-            return left.shiftRight(right).toString(10);
-        }
-        if (op === '&') {
-            return left.and(right).toString(10);
-        }
-        if (op === '|') {
-            return left.or(right).toString(10);
-        }
-        if (op === '^') {
-            return left.xor(right).toString(10);
+    getEvnTemperature (_args, util) {
+        if (!this.isConnected()) return Promise.resolve('');
+        const board = this.board;
+        const cache = this.sensorCacheOf(board);
+        let getter = Promise.resolve(cache.envTemperature);
+        if ((Date.now() - cache.envTemperatureUpdatedTime) > this.envTemperatureUpdateIntervalTime) {
+            if (cache.envTemperatureUpdating) {
+                util.yield(); // re-try this call after a while.
+                return; // Do not return Promise to re-try.
+            }
+            cache.envTemperatureUpdating = true;
+            getter = getter
+                .then(() => this.getEnvSensor(board))
+                .then(sensor => sensor.readTemperature())
+                .then(envTemperature => {
+                    cache.envTemperature = envTemperature;
+                    cache.envTemperatureUpdatedTime = Date.now();
+                    return envTemperature;
+                })
+                .finally(() => {
+                    cache.envTemperatureUpdating = false;
+                });
         }
+        return getter
+            .then(envTemperature => (Math.round(envTemperature * 100) / 100))
+            .catch(reason => {
+                console.log(`getting environment temperature was rejected by ${reason}`);
+                cache.envTemperature = null;
+                if (cache.envSensor) cache.envSensor.unsubscribe();
+                cache.envSensor = null;
+                return '';
+            });
     }
 
     /**
-     * Returns the bitwise NOT in 64 bit integer.
-     * @param {object} args - the block's arguments.
-     * @param {string} args.VALUE - value to be operated
-     * @returns {string} result of this operation
-     */
-    bitNot (args) {
-        const bits = integer64From(args.VALUE);
-        return bits.not().toString();
-    }
-
-    /**
-     * Reset parameters for data sharing.
+     * Get pressure [hPa] from environment sensor.
+     * @param {object} _args - the block's arguments.
+     * @param {BlockUtility} util - utility object provided by the runtime.
+     * @returns {?Promise<number | string>} a Promise which resolves pressure or empty string if it was fail
      */
-    resetShareServer () {
-        this.shareGroupID = null;
-        this.shareDataSending = false;
-        this.sharedData = {};
-        this.prevSharedData = {};
-        this.shareServerBackoffAttempt = 0;
-        if (this.shareServer) {
-            const server = this.shareServer;
-            this.shareServer = null;
-            server.close();
+    getEvnPressure (_args, util) {
+        if (!this.isConnected()) return Promise.resolve('');
+        const board = this.board;
+        const cache = this.sensorCacheOf(board);
+        let getter = Promise.resolve(cache.envPressure);
+        if ((Date.now() - cache.envPressureUpdatedTime) > this.envPressureUpdateIntervalTime) {
+            if (cache.envPressureUpdating) {
+                util.yield(); // re-try this call after a while.
+                return; // Do not return Promise to re-try.
+            }
+            cache.envPressureUpdating = true;
+            getter = getter
+                .then(() => this.getEnvSensor(board))
+                .then(sensor => sensor.readPressure())
+                .then(envPressure => {
+                    cache.envPressure = envPressure;
+                    cache.envPressureUpdatedTime = Date.now();
+                    return envPressure;
+                })
+                .finally(() => {
+                    cache.envPressureUpdating = false;
+                });
         }
-        this.dataSharingWasCanceled = false;
+        return getter
+            .then(envPressure => {
+                // the sensor has no pressure sensor
+                if (envPressure === null) return '';
+                return Math.round(envPressure * 100) / 10000;
+            })
+            .catch(reason => {
+                console.log(`getting environment pressure was rejected by ${reason}`);
+                cache.envPressure = null;
+                if (cache.envSensor) cache.envSensor.unsubscribe();
+                cache.envSensor = null;
+                return '';
+            });
     }
 
     /**
-     * Open dialog to input groupID by user.
-     * @return {?Promise} a Promise that resolves when the dialog closed.
+     * Get humidity [%] from environment sensor.
+     * @param {object} _args - the block's arguments.
+     * @param {BlockUtility} util - utility object provided by the runtime.
+     * @returns {?Promise<number | string>} a Promise which resolves value of humidity or empty string if it was fail
      */
-    openShareGroupIDDialog () {
-        if (this.shareGroupIDDialogOpened) {
-            // prevent to open multiple dialogs
-            return Promise.resolve(null);
-        }
-        this.dataSharingWasCanceled = false;
-        this.shareGroupIDDialogOpened = true;
-        const inputDialog = document.createElement('dialog');
-        inputDialog.style.padding = '0px';
-        const dialogFace = document.createElement('div');
-        dialogFace.style.padding = '16px';
-        inputDialog.appendChild(dialogFace);
-        const label = document.createTextNode(formatMessage({
-            id: 'g2s.shareGroupIDDialog.message',
-            default: 'set communication group ID',
-            description: 'label of groupID input dialog for g2s'
-        }));
-        dialogFace.appendChild(label);
-        // Dialog form
-        const groupIDForm = document.createElement('form');
-        groupIDForm.setAttribute('method', 'dialog');
-        groupIDForm.style.margin = '8px';
-        groupIDForm.addEventListener('submit', e => {
-            e.preventDefault();
-        });
-        dialogFace.appendChild(groupIDForm);
-        // API select
-        const groupIDInput = document.createElement('input');
-        groupIDInput.setAttribute('type', 'text');
-        groupIDInput.setAttribute('id', 'groupID');
-        groupIDInput.setAttribute('size', '10');
-        if (this.prevShareGroupID) {
-            groupIDInput.setAttribute('value', this.prevShareGroupID);
+    getEnvHumidity (_args, util) {
+        if (!this.isConnected()) return Promise.resolve('');
+        const board = this.board;
+        const cache = this.sensorCacheOf(board);
+        let getter = Promise.resolve(cache.envHumidity);
+        if ((Date.now() - cache.envHumidityUpdatedTime) > this.envHumidityUpdateIntervalTime) {
+            if (cache.envHumidityUpdating) {
+                util.yield(); // re-try this call after a while.
+                return; // Do not return Promise to re-try.
+            }
+            cache.envHumidityUpdating = true;
+            getter = getter
+                .then(() => this.getEnvSensor(board))
+                .then(sensor => sensor.readHumidity())
+                .then(envHumidity => {
+                    cache.envHumidity = envHumidity;
+                    cache.envHumidityUpdatedTime = Date.now();
+                    return envHumidity;
+                })
+                .finally(() => {
+                    cache.envHumidityUpdating = false;
+                });
         }
-        groupIDForm.appendChild(groupIDInput);
-        // Cancel button
-        const cancelButton = document.createElement('button');
-        cancelButton.textContent = formatMessage({
-            id: 'g2s.shareGroupIDDialog.cancel',
-            default: 'cancel',
-            description: 'cancel button on groupID input dialog for g2s'
-        });
-        cancelButton.style.margin = '8px';
-        dialogFace.appendChild(cancelButton);
-        // OK button
-        const confirmButton = document.createElement('button');
-        confirmButton.textContent = formatMessage({
-            id: 'g2s.shareGroupIDDialog.set',
-            default: 'set',
-            description: 'set button on groupID input dialog for g2s'
-        });
-        confirmButton.style.margin = '8px';
-        dialogFace.appendChild(confirmButton);
-        return new Promise(resolve => {
-            const resolveID = groupID => {
-                resolve(groupID);
-            };
-            // Add onClick action
-            const confirmed = () => {
-                const inputValue = groupIDInput.value.trim();
-                if (inputValue === '') {
-                    console.info('Empty group ID is not acceptable.');
-                    return;
-                }
-                resolveID(inputValue);
-            };
-            confirmButton.onclick = confirmed;
-            const canceled = () => {
-                this.dataSharingWasCanceled = true;
-                resolveID('');
-            };
-            cancelButton.onclick = canceled;
-            inputDialog.addEventListener('keydown', e => {
-                if (e.code === 'Enter') {
-                    confirmed();
-                }
-                if (e.code === 'Escape') {
-                    canceled();
-                }
-            });
-            document.body.appendChild(inputDialog);
-            inputDialog.showModal();
-        })
-            .finally(() => {
-                document.body.removeChild(inputDialog);
-                this.shareGroupIDDialogOpened = false;
+        return getter
+            .then(envHumidity => (Math.round(envHumidity * 100) / 100))
+            .catch(reason => {
+                console.log(`getting environment humidity was rejected by ${reason}`);
+                cache.envHumidity = null;
+                if (cache.envSensor) cache.envSensor.unsubscribe();
+                cache.envSensor = null;
+                return '';
             });
     }
 
     /**
-     * Return data sharing group ID. This will request for user to input group ID if it was not set.
-     * @returns {Promise<string>} a Promise that resolves group ID
+     * Get instance of a brightness sensor.
+     *
+     * @param {import('./akadako-board').default} board - board which the sensor is connected to
+     * @returns {Promise} A Promise which resolves a sensor.
      */
-    getShareGroupID () {
-        let getter;
-        if (typeof this.shareGroupID === 'undefined' || this.shareGroupID === null) {
-            getter = this.openShareGroupIDDialog();
-        } else {
-            getter = Promise.resolve(this.shareGroupID);
+    async getBrightnessSensor (board = this.board) {
+        const cache = this.sensorCacheOf(board);
+        if (!cache.brightnessSensor) {
+            const newSensor = new LTR303(board);
+            await newSensor.init(this.brightnessSensorSettings);
+            await newSensor.subscribe();
+            cache.brightnessSensor = newSensor;
         }
-        return getter;
+        return cache.brightnessSensor;
     }
 
     /**
-     * Return the share group ID for reporter value.
-     * @returns {string} group ID
+     * Get brightness [lx] from LTR-303 on I2C
+     * @param {object} _args - the block's arguments.
+     * @param {BlockUtility} util - utility object provided by the runtime.
+     * @returns {Promise<number | string>} a Promise which resolves value of brightness or empty string if it was fail
      */
-    reportShareGroupID () {
-        if (typeof this.shareGroupID === 'undefined' || this.shareGroupID === null) {
-            return '';
+    async getBrightness (_args, util) {
+        if (!this.isConnected()) return Promise.resolve('');
+        const board = this.board;
+        const cache = this.sensorCacheOf(board);
+        let getter = Promise.resolve(cache.brightness);
+        if ((Date.now() - cache.brightnessUpdatedTime) > this.brightnessUpdateIntervalTime) {
+            if (cache.brightnessUpdating) {
+                util.yield(); // re-try this call after a while.
+                return; // Do not return Promise to re-try.
+            }
+            cache.brightnessUpdating = true;
+            getter = getter
+                .then(() => this.getBrightnessSensor(board))
+                .then(sensor => sensor.getBrightness())
+                .then(brightness => {
+                    cache.brightness = brightness;
+                    cache.brightnessUpdatedTime = Date.now();
+                    return brightness;
+                })
+                .finally(() => {
+                    cache.brightnessUpdating = false;
+                });
         }
-        return this.shareGroupID;
+        return getter
+            .then(brightness => Math.round(brightness * 10) / 10)
+            .catch(reason => {
+                console.log(`getting brightness was rejected by ${reason}`);
+                cache.brightness = null;
+                if (cache.brightnessSensor) cache.brightnessSensor.unsubscribe();
+                cache.brightnessSensor = null;
+                return '';
+            });
     }
 
     /**
-     * Open WebSocket for data sharing and return the socket.
-     * @returns {Promise<?WebSocket>} a Promise that resolves a server socket or null when timeout occurred
+     * Set gain, integration time and measurement rate of the brightness sensor.
+     * @param {object} args - the block's arguments.
+     * @param {string} args.GAIN - gain [1 | 2 | 4 | 8 | 48 | 96] or 'auto'
+     * @param {string} args.INTEGRATION - integration time [milliseconds]
+     * @param {string} args.RATE - measurement rate [milliseconds], it is the integration time at least
+     * @returns {Promise} a Promise which resolves when the settings were written
      */
-    openSocketForShareServer () {
-        const url = this.shareServerURL + encodeURIComponent(this.shareGroupID);
-        const connecting = new Promise(resolve => {
-            const server = new WebSocket(url);
-            server.onmessage = event => {
-                console.debug(`${url}: received ${event.data}`);
-                const received = JSON.parse(event.data);
-                this.sharedData[received.key] =
-                {
-                    content: received.value,
-                    timestamp: Date.now()
-                };
-            };
-            server.onclose = () => {
-                console.info(`ShareServer closed ${url}`);
-            };
-            server.onopen = () => {
-                console.info(`ShareServer opened ${url}`);
-                this.shareServer = server;
-                this.shareServerBackoffAttempt = 0;
-                resolve(server);
-            };
+    setBrightnessSensorConfig (args) {
+        Object.assign(this.brightnessSensorSettings, {
+            gain: args.GAIN,
+            integrationTime: Cast.toNumber(args.INTEGRATION),
+            measurementRate: Cast.toNumber(args.RATE)
         });
-        return Promise.race([connecting, new Promise(resolve => {
-            setTimeout(() => {
-                resolve(null);
-            }, this.shareServerConnectWaitingTime);
-        })]);
+        if (!this.isConnected()) return;
+        const cache = this.sensorCacheOf(this.board);
+        const sensor = cache.brightnessSensor;
+        if (!sensor) return;
+        return sensor.configure(this.brightnessSensorSettings)
+            .then(() => {
+                cache.brightnessUpdatedTime = 0;
+            })
+            .catch(reason => {
+                console.log(`setting LTR303 was rejected by ${reason}`);
+            });
     }
 
     /**
-     * Whether the data sharing server is open or not.
-     * @returns {boolean} true when it was opened
+     * Return whether the last brightness was saturated, it is not correct in the saturation.
+     * @returns {boolean} true when a channel of the sensor was saturated
      */
-    isShareServerConnected () {
-        return !!(this.shareServer && (this.shareServer.readyState === WebSocket.OPEN));
+    isBrightnessSaturated () {
+        if (!this.isConnected()) return false;
+        const sensor = this.sensorCacheOf(this.board).brightnessSensor;
+        return sensor ? sensor.saturated : false;
     }
 
     /**
-     * Return a connected server for data sharing.
-     *
-     * @returns {Promise<?WebSocket>} which resolves a server or null during connection or timeout occurred
+     * Return whether the brightness crossed the threshold.
+     * The interrupt of LTR303 watches the other side of the threshold, so short changes between
+     * the readings are caught.
+     * @param {object} args - the block's arguments.
+     * @param {string} args.THRESHOLD - threshold [lx]
+     * @returns {boolean} true just after the brightness crossed
      */
-    getShareServer () {
-        if (this.shareServerGetting) {
-            return Promise.resolve(null);
-        }
-        this.shareServerGetting = true;
-        if (this.shareServer) {
-            if (!this.isShareServerConnected()) {
-                // re-connect using the same group ID
-                // Using backoff with equal jitter
-                const jitter = Math.min(
-                    this.shareServerBackoffCap,
-                    this.shareServerBackoffBase * (2 ** this.shareServerBackoffAttempt));
-                this.shareServerBackoffAttempt++;
-                return new Promise(resolve => {
-                    setTimeout(() => {
-                        resolve();
-                    }, ((jitter / 2) + (Math.random() * (jitter / 2))));
+    whenBrightnessCrosses (args) {
+        if (!this.isConnected()) return false;
+        const board = this.board;
+        const cache = this.sensorCacheOf(board);
+        const threshold = Cast.toNumber(args.THRESHOLD);
+        if (!cache.brightnessCrossingUpdating) {
+            cache.brightnessCrossingUpdating = true;
+            this.getBrightnessSensor(board)
+                .then(async sensor => {
+                    const above = (await sensor.getBrightness()) > threshold;
+                    const crossing = cache.brightnessCrossing;
+                    if (!crossing || crossing.threshold !== threshold) {
+                        cache.brightnessCrossing = {threshold: threshold, above: above, time: 0};
+                    } else if (sensor.takeInterrupt() || crossing.above !== above) {
+                        crossing.above = above;
+                        crossing.time = Date.now();
+                    } else {
+                        return;
+                    }
+                    await sensor.setInterruptThresholds(above ? Infinity : threshold, above ? threshold : 0);
                 })
-                    .then(() => this.openSocketForShareServer())
-                    .finally(() => {
-                        this.shareServerGetting = false;
-                    });
-            }
-            this.shareServerGetting = false;
-            return Promise.resolve(this.shareServer);
+                .catch(reason => {
+                    console.log(`watching brightness of LTR303 was rejected by ${reason}`);
+                    if (cache.brightnessSensor) cache.brightnessSensor.unsubscribe();
+                    cache.brightnessSensor = null;
+                    cache.brightnessCrossing = null;
+                })
+                .finally(() => {
+                    cache.brightnessCrossingUpdating = false;
+                });
         }
-        return this.openShareGroupIDDialog()
-            .then(groupID => {
-                if (typeof groupID === 'undefined' || groupID === null) {
-                    // Prevent to connect when the groupID was invalid.
-                    return null;
-                }
-                this.shareGroupID = normalizeID(groupID);
-                if (groupID === '') {
-                    return null;
-                }
-                this.prevShareGroupID = normalizeID(groupID);
-                return this.openSocketForShareServer();
-            })
-            .finally(() => {
-                this.shareServerGetting = false;
-            });
+        const crossing = cache.brightnessCrossing;
+        return !!crossing && (crossing.threshold === threshold) &&
+            ((Date.now() - crossing.time) < this.brightnessCrossingHoldTime);
     }
 
     /**
-     * Connect to data sharing server.
+     * Get instance of APDS-9960 which was initialized.
      *
-     * @param {object} args - the block's arguments.
+     * @param {import('./akadako-board').default} board - board which the sensor is connected to
+     * @returns {Promise<APDS9960>} A Promise which resolves the sensor.
+     */
+    async getAPDS9960 (board = this.board) {
+        const cache = this.sensorCacheOf(board);
+        if (!cache.apds9960) {
+            const newSensor = new APDS9960(board);
+            await newSensor.init();
+            newSensor.subscribe();
+            cache.apds9960 = newSensor;
+        }
+        return cache.apds9960;
+    }
+
+    /**
+     * Forget the APDS-9960 to initialize it again at the next access.
+     * @param {import('./akadako-board').default} board - board which the sensor is connected to
+     */
+    releaseAPDS9960 (board) {
+        const cache = this.sensorCacheOf(board);
+        if (cache.apds9960) cache.apds9960.unsubscribe();
+        cache.apds9960 = null;
+    }
+
+    /**
+     * Get the ambient color from APDS-9960.
      * @param {BlockUtility} util - utility object provided by the runtime.
-     * @return {?Promise<string>} a Promise that resolves when connected or undefined if this process was yield.
+     * @returns {?Promise<?{clear: number, red: number, green: number, blue: number}>} a Promise which resolves
+     * raw counts of the channels or null if it was fail, or undefined to re-try
      */
-    connectToShareServer (args, util) {
-        if (!this.isConnected()) return Promise.resolve('AkaDako was not connected');
-        if (this.shareServerGetting) {
-            util.yield(); // re-try this call after a while.
-            return; // Do not return Promise to re-try.
+    getAPDS9960Color (util) {
+        if (!this.isConnected()) return Promise.resolve(null);
+        const board = this.board;
+        const cache = this.sensorCacheOf(board);
+        let getter = Promise.resolve(cache.apds9960Color);
+        if ((Date.now() - cache.apds9960ColorUpdatedTime) > this.apds9960UpdateIntervalTime) {
+            if (cache.apds9960ColorUpdating) {
+                util.yield(); // re-try this call after a while.
+                return; // Do not return Promise to re-try.
+            }
+            cache.apds9960ColorUpdating = true;
+            getter = getter
+                .then(() => this.getAPDS9960(board))
+                .then(sensor => sensor.readColor())
+                .then(color => {
+                    cache.apds9960Color = color;
+                    cache.apds9960ColorUpdatedTime = Date.now();
+                    return color;
+                })
+                .finally(() => {
+                    cache.apds9960ColorUpdating = false;
+                });
         }
-        return this.getShareServer()
-            .then(server => {
-                if (server) {
-                    return 'Connected to the communication server.';
-                }
-                if (this.dataSharingWasCanceled) return 'Data sharing was canceled by user.';
-                return 'Could not connect to the communication server.';
-            })
+        return getter
             .catch(reason => {
-                console.info(reason);
-                return reason.toString();
+                console.log(`getting color of APDS-9960 was rejected by ${reason}`);
+                cache.apds9960Color = null;
+                this.releaseAPDS9960(board);
+                return null;
             });
     }
 
+    /**
+     * Get the ambient color in RGB which can be used for the color LED.
+     * @param {object} _args - the block's arguments.
+     * @param {BlockUtility} util - utility object provided by the runtime.
+     * @returns {Promise<string>} a Promise which resolves 'R, G, B' in 0-255 or empty string if it was fail
+     */
+    getColorSensorRGB (_args, util) {
+        const getter = this.getAPDS9960Color(util);
+        if (!getter) return;
+        return getter.then(color => (color ? numericArrayToString(colorToRGB(color)) : ''));
+    }
 
     /**
-     * Send data to share server.
-     *
+     * Get a channel of the ambient color.
      * @param {object} args - the block's arguments.
-     * @param {string} args.LABEL - label of the data
-     * @param {string} args.DATA - content of the data
+     * @param {string} args.CHANNEL - channel [red | green | blue | clear]
      * @param {BlockUtility} util - utility object provided by the runtime.
-     * @return {?Promise} a Promise that resolves when sending done or undefined if this process was yield.
+     * @returns {Promise<number | string>} a Promise which resolves raw count or empty string if it was fail
      */
-    sendSharedData (args, util) {
-        if (!this.isConnected()) return Promise.resolve('AkaDako was not connected');
-        if (this.dataSharingWasCanceled) return Promise.resolve('Data sharing was canceled by user.');
-        if (!this.isShareServerConnected()) return Promise.resolve('Share server was not connected.');
-        if (this.shareDataSending || this.shareServerGetting) {
-            util.yield(); // re-try this call after a while.
-            return; // Do not return Promise to re-try.
-        }
-        return this.getShareServer()
-            .then(server => {
-                if (!server) {
-                    throw new Error('Share server was not set.');
-                }
-                this.shareDataSending = true;
-                return fetch(this.shareServerSendingURL + encodeURIComponent(this.shareGroupID), {
-                    method: 'POST',
-                    mode: 'cors',
-                    headers: {
-                        'Content-Type': 'application/json'
-                    },
-                    body: JSON.stringify({
-                        groupId: encodeURIComponent(this.shareGroupID),
-                        key: normalizeID(Cast.toString(args.LABEL)),
-                        value: Cast.toString(args.DATA)
-                    })
+    getColorSensorChannel (args, util) {
+        const getter = this.getAPDS9960Color(util);
+        if (!getter) return;
+        return getter.then(color => ((color && (args.CHANNEL in color)) ? color[args.CHANNEL] : ''));
+    }
+
+    /**
+     * Get proximity from APDS-9960.
+     * @param {object} _args - the block's arguments.
+     * @param {BlockUtility} util - utility object provided by the runtime.
+     * @returns {Promise<number | string>} a Promise which resolves proximity [0 - 255] or empty string if it was fail
+     */
+    getProximity (_args, util) {
+        if (!this.isConnected()) return Promise.resolve('');
+        const board = this.board;
+        const cache = this.sensorCacheOf(board);
+        let getter = Promise.resolve(cache.apds9960Proximity);
+        if ((Date.now() - cache.apds9960ProximityUpdatedTime) > this.apds9960UpdateIntervalTime) {
+            if (cache.apds9960ProximityUpdating) {
+                util.yield(); // re-try this call after a while.
+                return; // Do not return Promise to re-try.
+            }
+            cache.apds9960ProximityUpdating = true;
+            getter = getter
+                .then(() => this.getAPDS9960(board))
+                .then(sensor => sensor.readProximity())
+                .then(proximity => {
+                    cache.apds9960Proximity = proximity;
+                    cache.apds9960ProximityUpdatedTime = Date.now();
+                    return proximity;
+                })
+                .finally(() => {
+                    cache.apds9960ProximityUpdating = false;
                 });
-            })
-            .then(response => {
-                if (!response.ok) {
-                    throw new Error(`Share server returns: ${response.status}`);
-                }
-            })
-            .then(() => new Promise(resolve => {
-                setTimeout(() => {
-                    this.shareDataSending = false;
-                    resolve();
-                }, this.shareDataSendingIntervalTime);
-            }))
+        }
+        return getter
             .catch(reason => {
-                this.shareDataSending = false;
-                console.info(reason);
-                return reason.toString();
+                console.log(`getting proximity of APDS-9960 was rejected by ${reason}`);
+                cache.apds9960Proximity = null;
+                this.releaseAPDS9960(board);
+                return '';
             });
     }
 
     /**
-     * Rerutn the last content of the messge or undefined if the data which has the label is not received.
+     * Return whether the gesture in the direction was detected.
+     * The gesture FIFO is read while this hat is running.
      * @param {object} args - the block's arguments.
-     * @param {number} args.LABEL - label of the data.
-     * @return {?(string | number)} - content of the data or empty string when the data was null
+     * @param {string} args.GESTURE - direction [UP | DOWN | LEFT | RIGHT]
+     * @returns {boolean} true just after the gesture was detected
      */
-    getSharedDataLabeled (args) {
-        if (!this.isShareServerConnected()) return '';
-        const label = normalizeID(Cast.toString(args.LABEL));
-        if (this.sharedData[label]) {
-            return this.sharedData[label].content;
+    whenGesture (args) {
+        if (!this.isConnected()) return false;
+        const board = this.board;
+        const cache = this.sensorCacheOf(board);
+        if (!cache.gestureUpdating) {
+            cache.gestureUpdating = true;
+            this.getAPDS9960(board)
+                .then(sensor => sensor.readGesture())
+                .then(direction => {
+                    if (!direction) return;
+                    cache.gesture = direction;
+                    cache.gestureTime = Date.now();
+                })
+                .catch(reason => {
+                    console.log(`reading gesture of APDS-9960 was rejected by ${reason}`);
+                    this.releaseAPDS9960(board);
+                })
+                .finally(() => {
+                    cache.gestureUpdating = false;
+                });
         }
-        return '';
+        return (cache.gesture === args.GESTURE) && ((Date.now() - cache.gestureTime) < this.gestureHoldTime);
     }
 
     /**
-     * Update the previous occurred time of all received data.
+     * Get temperature using DS18B20 on the pin.
+     * @param {number} pin - pin number to use
+     * @param {import('./akadako-board').default} board - board which the sensor is connected to
+     * @returns {Promise<number>} a Promise which resolves value of temperature [℃]
      */
-    updatePrevSharedData () {
-        this.prevSharedData = {};
-        for (const [label, contentObject] of Object.entries(this.sharedData)) {
-            this.prevSharedData[label] = {};
-            for (const [key, value] of Object.entries(contentObject)) {
-                this.prevSharedData[label][key] = value;
+    getTemperatureDS18B20 (pin, board = this.board) {
+        return this.getDS18B20s(pin, board)
+            .then(sensors => {
+                if (sensors.length < 1) return Promise.reject(`no DS18B20 on pin ${pin}`);
+                return sensors[0].readTemperature();
+            })
+            .then(temperature => Math.round(temperature * 10) / 10);
+    }
+
+    /**
+     * Get the DS18B20 sensors on the OneWire bus in the order of the search.
+     * @param {number} pin - pin number of the bus
+     * @param {import('./akadako-board').default} board - board which the sensors are connected to
+     * @returns {Promise<Array<DS18B20>>} a Promise which resolves the sensors
+     */
+    async getDS18B20s (pin, board = this.board) {
+        const cache = this.sensorCacheOf(board);
+        if (!cache.ds18b20s.has(pin)) {
+            const roms = await DS18B20.findAll(board, pin, true);
+            const sensors = roms.map(rom => new DS18B20(board, pin, rom));
+            const resolution = this.waterTempResolutions.get(pin);
+            if (resolution) {
+                for (const sensor of sensors) {
+                    await sensor.setResolution(resolution);
+                }
             }
+            cache.ds18b20s.set(pin, sensors);
         }
+        return cache.ds18b20s.get(pin);
     }
 
     /**
-     * Test whether the data received which had the label.
-     * @param {object} args - the block's arguments.
-     * @param {number} args.LABEL - label of the data.
-     * @return {boolean} - true if the data received.
+     * Get water temp [℃] by sensor on the pin.
+     * @param {number} pin - pin number for the sensor
+     * @param {import('./akadako-board').default} board - board which the sensor is connected to
+     * @returns {Promise<number>} a Promise which resolves temperature [℃]
      */
-    whenSharedDataReceived (args) {
-        if (!this.isConnected()) return false;
-        if (!this.isShareServerConnected()) return false;
-        if (!this.updateLastSharedDataTimer) {
-            this.updateLastSharedDataTimer = setTimeout(() => {
-                this.updatePrevSharedData();
-                this.updateLastSharedDataTimer = null;
-            }, this.runtime.currentStepTime);
+    getWaterTemp (pin, board = this.board) {
+        if ((board.version.type === 0)) {
+            return this.getTemperatureDS18B20(pin, board);
         }
-        const label = normalizeID(Cast.toString(args.LABEL));
-        if (!this.sharedData[label]) return false;
-        const lastTimestamp = this.sharedData[label].timestamp;
-        if (!this.prevSharedData[label]) return true;
-        const prevTimestamp = this.prevSharedData[label].timestamp;
-        return lastTimestamp !== prevTimestamp;
+        // MidiDako v1.0.0 or later
+        return board.getWaterTemp(pin)
+            .then(data => data / 10);
     }
 
     /**
-     * 赤外線リモコンのコマンドを送信します。
-     * 内部的にはアナログA1にデューティー比を送信しています。
-     * @param {object} args - ブロックの引数。
-     * @param {number} args.CONNECTOR - 赤外線リモコンの接続ポートを示す値。10=アナログA1、999=内蔵。
-     * @param {number} args.N - コマンド番号。1から9の整数。
-     * @returns {Promise<void>}
+     * Get water temperature on Digital A1.
+     *
+     * @param {object} _args - the block's arguments.
+     * @param {BlockUtility} util - utility object provided by the runtime.
+     * @returns {?Promise<number | string>} a Promise which resolves temperature [℃] or empty string if it was fail
      */
-    async sendIrRemote (args, ...argsRest) {
-        const n = Cast.toNumber(args.N);
-        if (n < 1 || 9 < n) {
-            throw new Error(`Invalid button number: ${n}. Valid numbers are 1-9`);
-        };
-        // CONNECTORの値がメニューに存在しない場合はデフォルト(セレクターの最初の選択肢)の値を使用する
-        const connectorInput = Cast.toNumber(args.CONNECTOR);
-        const connectorValues = this.getIrRemoteMenuConnector().map(item => Cast.toNumber(item.value));
-        const CONNECTOR = connectorValues.includes(connectorInput) ? connectorInput : connectorValues[0];
-        // 「内蔵」を選択した場合は現在は何もしない
-        if (CONNECTOR === 999) {
-            await this.board.firmata.sysexCommand([0x03, n]);
-            return;
+    getWaterTemperatureA (_args, util) {
+        if (!this.isConnected()) return Promise.resolve('');
+        const board = this.board;
+        const cache = this.sensorCacheOf(board);
+        let getter = Promise.resolve(cache.waterTempA);
+        if ((Date.now() - cache.waterTempAUpdatedTime) > this.waterTempAUpdateIntervalTime) {
+            if (cache.waterTempAUpdating) {
+                util.yield(); // re-try this call after a while.
+                return; // Do not return Promise to re-try.
+            }
+            cache.waterTempAUpdating = true;
+            getter = getter
+                .then(() => this.getWaterTemp(10, board)) // Digital A1: 10
+                .then(waterTempA => {
+                    cache.waterTempA = waterTempA;
+                    cache.waterTempAUpdatedTime = Date.now();
+                    return waterTempA;
+                })
+                .finally(() => {
+                    cache.waterTempAUpdating = false;
+                });
         }
-        // デューティー比5%未満でコマンド入力待機の状態となるので。初期化のために1を送る。続いてのデューティー比の変化でコマンドが決定される仕様です。
-        // デューティー比の10の桁の数がコマンド番号になります。10%, 20%, 30%, 40%, 50%, 60%, 70%, 80%, 90% の9種類のコマンドが識別できることを確認しています。
-        // 同一コネクタに対する analogLevelSet の呼び出し間隔は100ms以上にする必要がある。
-        const MIN_INTERVAL = 100;
-        await this.analogLevelSet({CONNECTOR, LEVEL: 1, MIN_INTERVAL}); // デューティー比5%未満でコマンド入力待機の状態となるので。初期化のために1を送る。
-        await this.analogLevelSet({CONNECTOR, LEVEL: 10 * n, MIN_INTERVAL}); // ボタン1=10%, ボタン2=20%, ...
+        return getter
+            .catch(reason => {
+                console.log(`getting water temperature A was rejected by ${reason}`);
+                cache.waterTempA = null;
+                return '';
+            });
     }
 
     /**
-     * @returns {object} metadata for this extension and its blocks.
+     * Get water temperature on Digital B1.
+     *
+     * @param {object} _args - the block's arguments.
+     * @param {BlockUtility} util - utility object provided by the runtime.
+     * @returns {?Promise<number | string>} a Promise which resolves temperature [℃] or empty string if it was fail
      */
-    getInfo () {
-        setupTranslations();
-        return {
-            id: ExtensionBlocks.EXTENSION_ID,
-            name: ExtensionBlocks.EXTENSION_NAME,
+    getWaterTemperatureB (_args, util) {
+        if (!this.isConnected()) return Promise.resolve('');
+        const board = this.board;
+        const cache = this.sensorCacheOf(board);
+        let getter = Promise.resolve(cache.waterTempB);
+        if ((Date.now() - cache.waterTempBUpdatedTime) > this.waterTempBUpdateIntervalTime) {
+            if (cache.waterTempBUpdating) {
+                util.yield(); // re-try this call after a while.
+                return; // Do not return Promise to re-try.
+            }
+            cache.waterTempBUpdating = true;
+            getter = getter
+                .then(() => this.getWaterTemp(6, board)) // Digital B1: 6;
+                .then(waterTempB => {
+                    cache.waterTempB = waterTempB;
+                    cache.waterTempBUpdatedTime = Date.now();
+                    return waterTempB;
+                })
+                .finally(() => {
+                    cache.waterTempBUpdating = false;
+                });
+        }
+        return getter
+            .catch(reason => {
+                console.log(`getting water temperature A was rejected by ${reason}`);
+                cache.waterTempB = null;
+                return '';
+            });
+    }
+
+    /**
+     * Get temperature [℃] by the sensor of the number on the OneWire bus.
+     * Every sensor is read by the host through OneWire, so the resolution set by the block applies to all of them.
+     * @param {object} args - the block's arguments.
+     * @param {number} args.N - number of the sensor starting from 1
+     * @param {string} args.CONNECTOR - pin number of the bus
+     * @param {BlockUtility} util - utility object provided by the runtime.
+     * @returns {?Promise<number | string>} a Promise which resolves temperature [℃] or empty string if it was fail
+     */
+    getWaterTemperatureOf (args, util) {
+        if (!this.isConnected()) return Promise.resolve('');
+        const board = this.board;
+        const pin = parseInt(args.CONNECTOR, 10);
+        const index = Math.round(Cast.toNumber(args.N)) - 1;
+        if (index < 0) return Promise.resolve('');
+        const cache = this.sensorCacheOf(board);
+        const key = `${pin}-${index}`;
+        let state = cache.waterTemps.get(key);
+        if (!state) {
+            state = {temperature: null, updatedTime: 0, updating: false};
+            cache.waterTemps.set(key, state);
+        }
+        let getter = Promise.resolve(state.temperature);
+        if ((Date.now() - state.updatedTime) > this.waterTempUpdateIntervalTime) {
+            if (state.updating) {
+                util.yield(); // re-try this call after a while.
+                return; // Do not return Promise to re-try.
+            }
+            state.updating = true;
+            getter = getter
+                .then(() => this.getDS18B20s(pin, board))
+                .then(sensors => {
+                    if (!sensors[index]) return Promise.reject(`no DS18B20 #${index + 1} on pin ${pin}`);
+                    return sensors[index].readTemperature();
+                })
+                .then(temperature => Math.round(temperature * 10) / 10)
+                .then(temperature => {
+                    state.temperature = temperature;
+                    state.updatedTime = Date.now();
+                    return temperature;
+                })
+                .finally(() => {
+                    state.updating = false;
+                });
+        }
+        return getter
+            .catch(reason => {
+                console.log(`getting water temperature #${index + 1} on pin ${pin} was rejected by ${reason}`);
+                state.temperature = null;
+                // search the bus again at the next time
+                cache.ds18b20s.delete(pin);
+                return '';
+            });
+    }
+
+    /**
+     * Set the resolution of all DS18B20 on the OneWire bus.
+     * @param {object} args - the block's arguments.
+     * @param {string} args.RESOLUTION - resolution [9 - 12] bits
+     * @param {string} args.CONNECTOR - pin number of the bus
+     * @returns {Promise} a Promise which resolves when the resolution was written
+     */
+    setWaterTemperatureResolution (args) {
+        const pin = parseInt(args.CONNECTOR, 10);
+        const resolution = Math.min(12, Math.max(9, Math.round(Cast.toNumber(args.RESOLUTION))));
+        this.waterTempResolutions.set(pin, resolution);
+        if (!this.isConnected()) return;
+        const cache = this.sensorCacheOf(this.board);
+        if (!cache.ds18b20s.has(pin)) return;
+        return Promise.all(cache.ds18b20s.get(pin).map(sensor => sensor.setResolution(resolution)))
+            .catch(reason => {
+                console.log(`setting resolution of DS18B20 on pin ${pin} was rejected by ${reason}`);
+            });
+    }
+
+    /**
+     * Return whether the accelerometer was shaken.
+     *
+     * @param {object} _args - the block's arguments.
+     * @param {BlockUtility} util - utility object provided by the runtime.
+     * @returns {boolean} true when the accelerometer was shaken
+     */
+    whenShaken (_args, util) {
+        const cache = this.sensorCacheOf(this.board);
+        if (!cache.shakeEventUpdating) {
+            const updater = this.getAccelerationAbsolute(null, util);
+            if (updater) {
+                if (((typeof cache.prevAccAbsolute) !== 'undefined') && (cache.prevAccAbsolute !== null)) {
+                    cache.shakeEventUpdating = true;
+                    setTimeout(() => {
+                        updater.then(currentAcc => {
+                            if (currentAcc === '') {
+                                cache.shakeEventUpdating = false;
+                                return;
+                            }
+                            cache.shaken = ((currentAcc - cache.prevAccAbsolute) > this.shakeEventThreshold);
+                            cache.prevAccAbsolute = currentAcc;
+                            setTimeout(() => {
+                                cache.shakeEventUpdating = false;
+                            }, this.runtime.currentStepTime);
+                        })
+                            .catch(reason => {
+                                cache.shakeEventUpdating = false;
+                                console.log(`promise rejected on whenShake: ${reason}`);
+                                return;
+                            });
+                    }, this.shakeEventInterval);
+                } else {
+                    updater.then(currentAcc => {
+                        if (currentAcc === '') {
+                            return;
+                        }
+                        cache.prevAccAbsolute = currentAcc;
+                    });
+                }
+            }
+        }
+        return !!cache.shaken;
+    }
+
+    /**
+     * Return a number at the index [one-based] in the numeric array.
+     * @param {object} args - the block's arguments.
+     * @param {string} args.ARRAY - numeric array
+     * @returns {string} a number at the index
+     */
+    numberAtIndex (args) {
+        const array = readAsNumericArray(args.ARRAY);
+        if (!array.length) return '';
+        let index = Cast.toNumber(args.INDEX);
+        index = Math.min(array.length, Math.max(1, index));
+        index = Math.min(array.length, Math.max(1, index));
+        index = Math.floor(index);
+        return array[index - 1];
+    }
+
+    /**
+     * Remove or replace numbers and/or add new numbers at the index in the numeric array.
+     * @param {object} args - the block's arguments.
+     * @param {string} args.ARRAY - numeric array
+     * @param {string} args.INDEX - index to operate
+     * @param {string} args.DELETE - count to be deleted
+     * @param {string} args.INSERT - numeric array to be inserted
+     * @returns {string} the modified numeric array
+     */
+    spliceNumbers (args) {
+        const array = readAsNumericArray(args.ARRAY);
+        let index = Cast.toNumber(args.INDEX);
+        index = Math.floor(index);
+        let deleteCount = Cast.toNumber(args.DELETE);
+        deleteCount = Math.min(array.length, Math.max(0, deleteCount));
+        deleteCount = Math.floor(deleteCount);
+        const newNumbers = readAsNumericArray(args.INSERT);
+        array.splice(((index > 0) ? index - 1 : index), deleteCount, ...newNumbers);
+        return numericArrayToString(array);
+    }
+
+    /**
+     * Return the length of the numeric array.
+     * @param {object} args - the block's arguments.
+     * @param {string} args.ARRAY - numeric array
+     * @returns {number} length of the numeric array
+     */
+    lengthOfNumbers (args) {
+        const array = readAsNumericArray(args.ARRAY);
+        return array.length;
+    }
+
+    /**
+     * Read numbers as the type and endian from the array of 8 bit data.
+     * @param {object} args - the block's arguments.
+     * @param {string} args.ARRAY - numeric array of 8 bit data
+     * @param {string} args.ENDIAN - endian [little|big] of the number
+     * @param {string} args.TYPE - type [Int16|Uint16|Int32|float] of the number
+     * @returns {string} a numeric array of the converted numbers
+     */
+    readBytesAs (args) {
+        try {
+            const array = readAsNumericArray(args.ARRAY);
+            const result = decodeBytes(array, args.TYPE, args.ENDIAN === 'little');
+            if (result.length === 0) return '';
+            return numericArrayToString(result);
+        } catch (error) {
+            console.log(error);
+        }
+        return '';
+    }
+
+    /**
+     * Do the arithmetic operator with the arguments in 64 bit integer.
+     * @param {object} args - the block's arguments.
+     * @param {string} args.OP - operator
+     * @param {string} args.LEFT - left side value
+     * @param {string} args.RIGHT - right side value
+     * @returns {string} result of this operation
+     */
+    int64Operation (args) {
+        const op = args.OP;
+        const left = integer64From(args.LEFT);
+        const right = integer64From(args.RIGHT);
+        if (op === '＋') {
+            return left.add(right).toString(10);
+        }
+        if (op === '－') {
+            return left.subtract(right).toString(10);
+        }
+        if (op === '✕') {
+            return left.multiply(right).toString(10);
+        }
+        if (op === '÷') {
+            return left.divide(right).toString(10);
+        }
+        if (op === 'mod') {
+            return left.modulo(right).toString(10);
+        }
+    }
+
+    /**
+     * Do the bitwise operation with the arguments in 64 bit integer.
+     * @param {object} args - the block's arguments.
+     * @param {string} args.OP - operator
+     * @param {string} args.LEFT - left side value
+     * @param {string} args.RIGHT - right side value
+     * @returns {string} result of this operation
+     */
+    bitOperation (args) {
+        const op = args.OP;
+        const left = integer64From(args.LEFT);
+        const right = integer64From(args.RIGHT);
+        if (op === '<<') {
+            return left.shiftLeft(right).toString(10);
+        }
+        if (op === '>>') {
+            return left.shiftRight(right).toString(10);
+        }
+        if (op === '&') {
+            return left.and(right).toString(10);
+        }
+        if (op === '|') {
+            return left.or(right).toString(10);
+        }
+        if (op === '^') {
+            return left.xor(right).toString(10);
+        }
+    }
+
+    /**
+     * Returns the bitwise NOT in 64 bit integer.
+     * @param {object} args - the block's arguments.
+     * @param {string} args.VALUE - value to be operated
+     * @returns {string} result of this operation
+     */
+    bitNot (args) {
+        const bits = integer64From(args.VALUE);
+        return bits.not().toString();
+    }
+
+    /**
+     * Reset parameters for data sharing.
+     */
+    resetShareServer () {
+        this.shareGroupID = null;
+        this.shareDataSending = false;
+        this.sharedData = {};
+        this.prevSharedData = {};
+        this.shareServerBackoffAttempt = 0;
+        if (this.shareServer) {
+            const server = this.shareServer;
+            this.shareServer = null;
+            server.close();
+        }
+        this.dataSharingWasCanceled = false;
+    }
+
+    /**
+     * Open dialog to input groupID by user.
+     * @return {?Promise} a Promise that resolves when the dialog closed.
+     */
+    openShareGroupIDDialog () {
+        if (this.shareGroupIDDialogOpened) {
+            // prevent to open multiple dialogs
+            return Promise.resolve(null);
+        }
+        this.dataSharingWasCanceled = false;
+        this.shareGroupIDDialogOpened = true;
+        const inputDialog = document.createElement('dialog');
+        inputDialog.style.padding = '0px';
+        const dialogFace = document.createElement('div');
+        dialogFace.style.padding = '16px';
+        inputDialog.appendChild(dialogFace);
+        const label = document.createTextNode(formatMessage({
+            id: 'g2s.shareGroupIDDialog.message',
+            default: 'set communication group ID',
+            description: 'label of groupID input dialog for g2s'
+        }));
+        dialogFace.appendChild(label);
+        // Dialog form
+        const groupIDForm = document.createElement('form');
+        groupIDForm.setAttribute('method', 'dialog');
+        groupIDForm.style.margin = '8px';
+        groupIDForm.addEventListener('submit', e => {
+            e.preventDefault();
+        });
+        dialogFace.appendChild(groupIDForm);
+        // API select
+        const groupIDInput = document.createElement('input');
+        groupIDInput.setAttribute('type', 'text');
+        groupIDInput.setAttribute('id', 'groupID');
+        groupIDInput.setAttribute('size', '10');
+        if (this.prevShareGroupID) {
+            groupIDInput.setAttribute('value', this.prevShareGroupID);
+        }
+        groupIDForm.appendChild(groupIDInput);
+        // Cancel button
+        const cancelButton = document.createElement('button');
+        cancelButton.textContent = formatMessage({
+            id: 'g2s.shareGroupIDDialog.cancel',
+            default: 'cancel',
+            description: 'cancel button on groupID input dialog for g2s'
+        });
+        cancelButton.style.margin = '8px';
+        dialogFace.appendChild(cancelButton);
+        // OK button
+        const confirmButton = document.createElement('button');
+        confirmButton.textContent = formatMessage({
+            id: 'g2s.shareGroupIDDialog.set',
+            default: 'set',
+            description: 'set button on groupID input dialog for g2s'
+        });
+        confirmButton.style.margin = '8px';
+        dialogFace.appendChild(confirmButton);
+        return new Promise(resolve => {
+            const resolveID = groupID => {
+                resolve(groupID);
+            };
+            // Add onClick action
+            const confirmed = () => {
+                const inputValue = groupIDInput.value.trim();
+                if (inputValue === '') {
+                    console.info('Empty group ID is not acceptable.');
+                    return;
+                }
+                resolveID(inputValue);
+            };
+            confirmButton.onclick = confirmed;
+            const canceled = () => {
+                this.dataSharingWasCanceled = true;
+                resolveID('');
+            };
+            cancelButton.onclick = canceled;
+            inputDialog.addEventListener('keydown', e => {
+                if (e.code === 'Enter') {
+                    confirmed();
+                }
+                if (e.code === 'Escape') {
+                    canceled();
+                }
+            });
+            document.body.appendChild(inputDialog);
+            inputDialog.showModal();
+        })
+            .finally(() => {
+                document.body.removeChild(inputDialog);
+                this.shareGroupIDDialogOpened = false;
+            });
+    }
+
+    /**
+     * Return data sharing group ID. This will request for user to input group ID if it was not set.
+     * @returns {Promise<string>} a Promise that resolves group ID
+     */
+    getShareGroupID () {
+        let getter;
+        if (typeof this.shareGroupID === 'undefined' || this.shareGroupID === null) {
+            getter = this.openShareGroupIDDialog();
+        } else {
+            getter = Promise.resolve(this.shareGroupID);
+        }
+        return getter;
+    }
+
+    /**
+     * Return the share group ID for reporter value.
+     * @returns {string} group ID
+     */
+    reportShareGroupID () {
+        if (typeof this.shareGroupID === 'undefined' || this.shareGroupID === null) {
+            return '';
+        }
+        return this.shareGroupID;
+    }
+
+    /**
+     * Open WebSocket for data sharing and return the socket.
+     * @returns {Promise<?WebSocket>} a Promise that resolves a server socket or null when timeout occurred
+     */
+    openSocketForShareServer () {
+        const url = this.shareServerURL + encodeURIComponent(this.shareGroupID);
+        const connecting = new Promise(resolve => {
+            const server = new WebSocket(url);
+            server.onmessage = event => {
+                console.debug(`${url}: received ${event.data}`);
+                const received = JSON.parse(event.data);
+                this.sharedData[received.key] =
+                {
+                    content: received.value,
+                    timestamp: Date.now()
+                };
+            };
+            server.onclose = () => {
+                console.info(`ShareServer closed ${url}`);
+            };
+            server.onopen = () => {
+                console.info(`ShareServer opened ${url}`);
+                this.shareServer = server;
+                this.shareServerBackoffAttempt = 0;
+                resolve(server);
+            };
+        });
+        return Promise.race([connecting, new Promise(resolve => {
+            setTimeout(() => {
+                resolve(null);
+            }, this.shareServerConnectWaitingTime);
+        })]);
+    }
+
+    /**
+     * Whether the data sharing server is open or not.
+     * @returns {boolean} true when it was opened
+     */
+    isShareServerConnected () {
+        return !!(this.shareServer && (this.shareServer.readyState === WebSocket.OPEN));
+    }
+
+    /**
+     * Return a connected server for data sharing.
+     *
+     * @returns {Promise<?WebSocket>} which resolves a server or null during connection or timeout occurred
+     */
+    getShareServer () {
+        if (this.shareServerGetting) {
+            return Promise.resolve(null);
+        }
+        this.shareServerGetting = true;
+        if (this.shareServer) {
+            if (!this.isShareServerConnected()) {
+                // re-connect using the same group ID
+                // Using backoff with equal jitter
+                const jitter = Math.min(
+                    this.shareServerBackoffCap,
+                    this.shareServerBackoffBase * (2 ** this.shareServerBackoffAttempt));
+                this.shareServerBackoffAttempt++;
+                return new Promise(resolve => {
+                    setTimeout(() => {
+                        resolve();
+                    }, ((jitter / 2) + (Math.random() * (jitter / 2))));
+                })
+                    .then(() => this.openSocketForShareServer())
+                    .finally(() => {
+                        this.shareServerGetting = false;
+                    });
+            }
+            this.shareServerGetting = false;
+            return Promise.resolve(this.shareServer);
+        }
+        return this.openShareGroupIDDialog()
+            .then(groupID => {
+                if (typeof groupID === 'undefined' || groupID === null) {
+                    // Prevent to connect when the groupID was invalid.
+                    return null;
+                }
+                this.shareGroupID = normalizeID(groupID);
+                if (groupID === '') {
+                    return null;
+                }
+                this.prevShareGroupID = normalizeID(groupID);
+                return this.openSocketForShareServer();
+            })
+            .finally(() => {
+                this.shareServerGetting = false;
+            });
+    }
+
+    /**
+     * Connect to data sharing server.
+     *
+     * @param {object} args - the block's arguments.
+     * @param {BlockUtility} util - utility object provided by the runtime.
+     * @return {?Promise<string>} a Promise that resolves when connected or undefined if this process was yield.
+     */
+    connectToShareServer (args, util) {
+        if (!this.isConnected()) return Promise.resolve('AkaDako was not connected');
+        if (this.shareServerGetting) {
+            util.yield(); // re-try this call after a while.
+            return; // Do not return Promise to re-try.
+        }
+        return this.getShareServer()
+            .then(server => {
+                if (server) {
+                    return 'Connected to the communication server.';
+                }
+                if (this.dataSharingWasCanceled) return 'Data sharing was canceled by user.';
+                return 'Could not connect to the communication server.';
+            })
+            .catch(reason => {
+                console.info(reason);
+                return reason.toString();
+            });
+    }
+
+
+    /**
+     * Send data to share server.
+     *
+     * @param {object} args - the block's arguments.
+     * @param {string} args.LABEL - label of the data
+     * @param {string} args.DATA - content of the data
+     * @param {BlockUtility} util - utility object provided by the runtime.
+     * @return {?Promise} a Promise that resolves when sending done or undefined if this process was yield.
+     */
+    sendSharedData (args, util) {
+        if (!this.isConnected()) return Promise.resolve('AkaDako was not connected');
+        if (this.dataSharingWasCanceled) return Promise.resolve('Data sharing was canceled by user.');
+        if (!this.isShareServerConnected()) return Promise.resolve('Share server was not connected.');
+        if (this.shareDataSending || this.shareServerGetting) {
+            util.yield(); // re-try this call after a while.
+            return; // Do not return Promise to re-try.
+        }
+        return this.getShareServer()
+            .then(server => {
+                if (!server) {
+                    throw new Error('Share server was not set.');
+                }
+                this.shareDataSending = true;
+                return fetch(this.shareServerSendingURL + encodeURIComponent(this.shareGroupID), {
+                    method: 'POST',
+                    mode: 'cors',
+                    headers: {
+                        'Content-Type': 'application/json'
+                    },
+                    body: JSON.stringify({
+                        groupId: encodeURIComponent(this.shareGroupID),
+                        key: normalizeID(Cast.toString(args.LABEL)),
+                        value: Cast.toString(args.DATA)
+                    })
+                });
+            })
+            .then(response => {
+                if (!response.ok) {
+                    throw new Error(`Share server returns: ${response.status}`);
+                }
+            })
+            .then(() => new Promise(resolve => {
+                setTimeout(() => {
+                    this.shareDataSending = false;
+                    resolve();
+                }, this.shareDataSendingIntervalTime);
+            }))
+            .catch(reason => {
+                this.shareDataSending = false;
+                console.info(reason);
+                return reason.toString();
+            });
+    }
+
+    /**
+     * Rerutn the last content of the messge or undefined if the data which has the label is not received.
+     * @param {object} args - the block's arguments.
+     * @param {number} args.LABEL - label of the data.
+     * @return {?(string | number)} - content of the data or empty string when the data was null
+     */
+    getSharedDataLabeled (args) {
+        if (!this.isShareServerConnected()) return '';
+        const label = normalizeID(Cast.toString(args.LABEL));
+        if (this.sharedData[label]) {
+            return this.sharedData[label].content;
+        }
+        return '';
+    }
+
+    /**
+     * Update the previous occurred time of all received data.
+     */
+    updatePrevSharedData () {
+        this.prevSharedData = {};
+        for (const [label, contentObject] of Object.entries(this.sharedData)) {
+            this.prevSharedData[label] = {};
+            for (const [key, value] of Object.entries(contentObject)) {
+                this.prevSharedData[label][key] = value;
+            }
+        }
+    }
+
+    /**
+     * Test whether the data received which had the label.
+     * @param {object} args - the block's arguments.
+     * @param {number} args.LABEL - label of the data.
+     * @return {boolean} - true if the data received.
+     */
+    whenSharedDataReceived (args) {
+        if (!this.isConnected()) return false;
+        if (!this.isShareServerConnected()) return false;
+        if (!this.updateLastSharedDataTimer) {
+            this.updateLastSharedDataTimer = setTimeout(() => {
+                this.updatePrevSharedData();
+                this.updateLastSharedDataTimer = null;
+            }, this.runtime.currentStepTime);
+        }
+        const label = normalizeID(Cast.toString(args.LABEL));
+        if (!this.sharedData[label]) return false;
+        const lastTimestamp = this.sharedData[label].timestamp;
+        if (!this.prevSharedData[label]) return true;
+        const prevTimestamp = this.prevSharedData[label].timestamp;
+        return lastTimestamp !== prevTimestamp;
+    }
+
+    /**
+     * 赤外線リモコンのコマンドを送信します。
+     * 内部的にはアナログA1にデューティー比を送信しています。
+     * @param {object} args - ブロックの引数。
+     * @param {number} args.CONNECTOR - 赤外線リモコンの接続ポートを示す値。10=アナログA1、999=内蔵。
+     * @param {number} args.N - コマンド番号。1から9の整数。
+     * @returns {Promise<void>}
+     */
+    async sendIrRemote (args, ...argsRest) {
+        const n = Cast.toNumber(args.N);
+        if (n < 1 || 9 < n) {
+            throw new Error(`Invalid button number: ${n}. Valid numbers are 1-9`);
+        };
+        // CONNECTORの値がメニューに存在しない場合はデフォルト(セレクターの最初の選択肢)の値を使用する
+        const connectorInput = Cast.toNumber(args.CONNECTOR);
+        const connectorValues = this.getIrRemoteMenuConnector().map(item => Cast.toNumber(item.value));
+        const CONNECTOR = connectorValues.includes(connectorInput) ? connectorInput : connectorValues[0];
+        // 「内蔵」を選択した場合は現在は何もしない
+        if (CONNECTOR === 999) {
+            await this.board.firmata.sysexCommand([0x03, n]);
+            return;
+        }
+        // デューティー比5%未満でコマンド入力待機の状態となるので。初期化のために1を送る。続いてのデューティー比の変化でコマンドが決定される仕様です。
+        // デューティー比の10の桁の数がコマンド番号になります。10%, 20%, 30%, 40%, 50%, 60%, 70%, 80%, 90% の9種類のコマンドが識別できることを確認しています。
+        // 同一コネクタに対する analogLevelSet の呼び出し間隔は100ms以上にする必要がある。
+        const MIN_INTERVAL = 100;
+        await this.analogLevelSet({CONNECTOR, LEVEL: 1, MIN_INTERVAL}); // デューティー比5%未満でコマンド入力待機の状態となるので。初期化のために1を送る。
+        await this.analogLevelSet({CONNECTOR, LEVEL: 10 * n, MIN_INTERVAL}); // ボタン1=10%, ボタン2=20%, ...
+    }
+
+    /**
+     * @returns {object} metadata for this extension and its blocks.
+     */
+    getInfo () {
+        setupTranslations();
+        return {
+            id: ExtensionBlocks.EXTENSION_ID,
+            name: ExtensionBlocks.EXTENSION_NAME,
             extensionURL: ExtensionBlocks.extensionURL,
             blockIconURI: blockIcon,
             showStatusButton: true,
             blocks: [
                 {
-                    opcode: 'connectBoard',
-                    blockType: BlockType.COMMAND,
+                    opcode: 'connectBoard',
+                    blockType: BlockType.COMMAND,
+                    text: formatMessage({
+                        id: 'g2s.connectBoard',
+                        default: 'connect board',
+                        description: 'open serial port and connect a board'
+                    }),
+                    arguments: {
+                    }
+                },
+                {
+                    opcode: 'connectBridge',
+                    blockType: BlockType.COMMAND,
+                    text: formatMessage({
+                        id: 'g2s.connectBridge',
+                        default: 'connect board via bridge [URL]',
+                        description: 'connect a board through the WebSocket bridge'
+                    }),
+                    arguments: {
+                        URL: {
+                            type: ArgumentType.STRING,
+                            defaultValue: 'ws://localhost:8080'
+                        }
+                    }
+                },
+                {
+                    opcode: 'getBridgeError',
+                    blockType: BlockType.REPORTER,
+                    text: formatMessage({
+                        id: 'g2s.getBridgeError',
+                        default: 'bridge error',
+                        description: 'error in the last connection through the bridge'
+                    }),
+                    arguments: {
+                    }
+                },
+                {
+                    opcode: 'boardStateChanged',
+                    blockType: BlockType.HAT,
+                    text: formatMessage({
+                        id: 'g2s.boardStateChanged',
+                        default: 'When board is [STATE]',
+                        description: 'catch event when the board state was changed'
+                    }),
+                    arguments: {
+                        STATE: {
+                            type: ArgumentType.STRING,
+                            menu: 'boardStateMenu'
+                        }
+                    }
+                },
+                {
+                    opcode: 'disconnectBoard',
+                    blockType: BlockType.COMMAND,
+                    blockAllThreads: false,
+                    text: formatMessage({
+                        id: 'g2s.disconnectBoard',
+                        default: 'disconnect board',
+                        description: 'disconnect the board'
+                    }),
+                    arguments: {
+                    }
+                },
+                {
+                    opcode: 'isConnected',
+                    blockType: BlockType.BOOLEAN,
+                    text: formatMessage({
+                        id: 'g2s.isConnected',
+                        default: 'board is connected',
+                        description: 'whether a board is connected'
+                    }),
+                    arguments: {
+                    }
+                },
+                {
+                    opcode: 'setAutoReconnect',
+                    blockType: BlockType.COMMAND,
+                    text: formatMessage({
+                        id: 'g2s.setAutoReconnect',
+                        default: 'auto reconnect [STATE]',
+                        description: 'enable or disable automatic reconnection'
+                    }),
+                    arguments: {
+                        STATE: {
+                            type: ArgumentType.STRING,
+                            menu: 'onOffMenu',
+                            defaultValue: 'on'
+                        }
+                    }
+                },
+                {
+                    opcode: 'preferTransport',
+                    blockType: BlockType.COMMAND,
+                    text: formatMessage({
+                        id: 'g2s.preferTransport',
+                        default: 'connect with [TRANSPORT] first',
+                        description: 'set the transport to be tried first'
+                    }),
+                    arguments: {
+                        TRANSPORT: {
+                            type: ArgumentType.STRING,
+                            menu: 'transportMenu',
+                            defaultValue: 'ble'
+                        }
+                    }
+                },
+                {
+                    opcode: 'showDiagnostics',
+                    blockType: BlockType.COMMAND,
+                    text: formatMessage({
+                        id: 'g2s.showDiagnostics',
+                        default: 'show connection diagnostics',
+                        description: 'show a dialog with the diagnostics of the connection'
+                    }),
+                    arguments: {
+                    }
+                },
+                {
+                    opcode: 'connectSimulator',
+                    blockType: BlockType.COMMAND,
+                    text: formatMessage({
+                        id: 'g2s.connectSimulator',
+                        default: 'connect simulator board',
+                        description: 'connect a simulated board without hardware'
+                    }),
+                    arguments: {
+                    }
+                },
+                {
+                    opcode: 'setSimulatorValue',
+                    blockType: BlockType.COMMAND,
+                    text: formatMessage({
+                        id: 'g2s.setSimulatorValue',
+                        default: 'set simulator [SENSOR] to [VALUE]',
+                        description: 'set a value which the simulated board returns'
+                    }),
+                    arguments: {
+                        SENSOR: {
+                            type: ArgumentType.STRING,
+                            menu: 'simulatorSensorMenu',
+                            defaultValue: 'temperature'
+                        },
+                        VALUE: {
+                            type: ArgumentType.NUMBER,
+                            defaultValue: '25'
+                        }
+                    }
+                },
+                {
+                    opcode: 'whenBoardReconnected',
+                    blockType: BlockType.HAT,
+                    isEdgeActivated: false,
+                    text: formatMessage({
+                        id: 'g2s.whenBoardReconnected',
+                        default: 'When board is reconnected',
+                        description: 'catch event when a lost board was connected again'
+                    }),
+                    arguments: {
+                    }
+                },
+                {
+                    opcode: 'useBoard',
+                    blockType: BlockType.COMMAND,
+                    text: formatMessage({
+                        id: 'g2s.useBoard',
+                        default: 'use board [BOARD]',
+                        description: 'select the board to be used by the blocks'
+                    }),
+                    arguments: {
+                        BOARD: {
+                            type: ArgumentType.NUMBER,
+                            defaultValue: '1'
+                        }
+                    }
+                },
+                {
+                    opcode: 'usingBoardNumber',
+                    blockType: BlockType.REPORTER,
+                    disableMonitor: false,
+                    text: formatMessage({
+                        id: 'g2s.usingBoardNumber',
+                        default: 'using board number',
+                        description: 'number of the board which is used by the blocks'
+                    }),
+                    arguments: {
+                    }
+                },
+                {
+                    opcode: 'numberOfBoards',
+                    blockType: BlockType.REPORTER,
+                    disableMonitor: false,
+                    text: formatMessage({
+                        id: 'g2s.numberOfBoards',
+                        default: 'number of connected boards',
+                        description: 'count of the connected boards'
+                    }),
+                    arguments: {
+                    }
+                },
+                '---',
+                {
+                    opcode: 'servoTurn',
+                    blockType: BlockType.COMMAND,
+                    text: formatMessage({
+                        id: 'g2s.servoTurn',
+                        default: 'Servo [CONNECTOR] turn [ANGLE] degrees [SPEED] % speed',
+                        description: 'turn servo motor'
+                    }),
+                    arguments: {
+                        CONNECTOR: {
+                            type: ArgumentType.STRING,
+                            menu: 'servoConnectorMenu'
+                        },
+                        ANGLE: {
+                            type: ArgumentType.ANGLE
+                        },
+                        SPEED: {
+                            type: ArgumentType.NUMBER,
+                            defaultValue: '100'
+                        }
+                    }
+                },
+                '---',
+                {
+                    opcode: 'measureDistanceWithUltrasonic',
+                    blockType: BlockType.REPORTER,
+                    disableMonitor: false,
+                    text: formatMessage({
+                        id: 'g2s.measureDistanceWithUltrasonic',
+                        default: 'distance by ultrasonic on [CONNECTOR] (cm)',
+                        description: 'report distance by ultrasonic on the connector'
+                    }),
+                    arguments: {
+                        CONNECTOR: {
+                            type: ArgumentType.STRING,
+                            menu: 'ultrasonicConnectorMenu',
+                            defaultValue: '10'
+                        }
+                    }
+                },
+                {
+                    opcode: 'getUltrasonicDistanceStatus',
+                    blockType: BlockType.REPORTER,
+                    text: formatMessage({
+                        id: 'g2s.getUltrasonicDistanceStatus',
+                        default: 'ultrasonic status on [CONNECTOR]',
+                        description: 'report status of the distance by ultrasonic on the connector'
+                    }),
+                    arguments: {
+                        CONNECTOR: {
+                            type: ArgumentType.STRING,
+                            menu: 'ultrasonicConnectorMenu',
+                            defaultValue: '10'
+                        }
+                    }
+                },
+                {
+                    opcode: 'setUltrasonicDistanceMax',
+                    blockType: BlockType.COMMAND,
+                    text: formatMessage({
+                        id: 'g2s.setUltrasonicDistanceMax',
+                        default: 'set ultrasonic max range to [RANGE] cm',
+                        description: 'set maximum range of the distance by ultrasonic'
+                    }),
+                    arguments: {
+                        RANGE: {
+                            type: ArgumentType.NUMBER,
+                            defaultValue: 350
+                        }
+                    }
+                },
+                {
+                    opcode: 'setUltrasonicDistanceFilter',
+                    blockType: BlockType.COMMAND,
+                    text: formatMessage({
+                        id: 'g2s.setUltrasonicDistanceFilter',
+                        default: 'set ultrasonic distance filter to [SIZE] samples',
+                        description: 'set number of samples of the median filter for the distance by ultrasonic'
+                    }),
+                    arguments: {
+                        SIZE: {
+                            type: ArgumentType.NUMBER,
+                            defaultValue: 5
+                        }
+                    }
+                },
+                {
+                    opcode: 'measureDistanceWithUltrasonicA',
+                    func: 'measureDistanceWithUltrasonicA',
+                    blockType: BlockType.REPORTER,
+                    hideFromPalette: true,
+                    disableMonitor: false,
+                    text: formatMessage({
+                        id: 'g2s.measureDistanceWithUltrasonicA',
+                        default: 'distance by ultrasonic on Digital A (cm)',
+                        description: 'report distance by ultrasonic on Digital A'
+                    }),
+                    arguments: {
+                    }
+                },
+                {
+                    opcode: 'measureDistanceWithUltrasonicB',
+                    func: 'measureDistanceWithUltrasonicB',
+                    blockType: BlockType.REPORTER,
+                    hideFromPalette: true,
+                    disableMonitor: false,
+                    text: formatMessage({
+                        id: 'g2s.measureDistanceWithUltrasonicB',
+                        default: 'distance by ultrasonic on Digital B (cm)',
+                        description: 'report distance by ultrasonic on Digital B'
+                    }),
+                    arguments: {
+                    }
+                },
+                {
+                    opcode: 'measureDistanceWithLight',
+                    func: 'measureDistanceWithLight',
+                    blockType: BlockType.REPORTER,
+                    disableMonitor: false,
+                    text: formatMessage({
+                        id: 'g2s.measureDistanceWithLight',
+                        default: 'distance by laser on I2C (cm)',
+                        description: 'report distance by light'
+                    }),
+                    arguments: {
+                    }
+                },
+                {
+                    opcode: 'getOpticalDistanceStatus',
+                    blockType: BlockType.REPORTER,
+                    disableMonitor: false,
+                    text: formatMessage({
+                        id: 'g2s.getOpticalDistanceStatus',
+                        default: 'range status by laser on I2C',
+                        description: 'report range status of the distance by light'
+                    }),
+                    arguments: {
+                    }
+                },
+                {
+                    opcode: 'setOpticalDistanceProfile',
+                    blockType: BlockType.COMMAND,
+                    text: formatMessage({
+                        id: 'g2s.setOpticalDistanceProfile',
+                        default: 'set laser distance profile to [PROFILE]',
+                        description: 'set range profile of the distance sensor by light'
+                    }),
+                    arguments: {
+                        PROFILE: {
+                            type: ArgumentType.STRING,
+                            menu: 'opticalDistanceProfileMenu',
+                            defaultValue: 'LONG_RANGE'
+                        }
+                    }
+                },
+                {
+                    opcode: 'setOpticalDistanceMode',
+                    blockType: BlockType.COMMAND,
+                    text: formatMessage({
+                        id: 'g2s.setOpticalDistanceMode',
+                        default: 'set laser distance mode to [MODE] (VL53L1X)',
+                        description: 'set distance mode of VL53L1X'
+                    }),
+                    arguments: {
+                        MODE: {
+                            type: ArgumentType.STRING,
+                            menu: 'opticalDistanceModeMenu',
+                            defaultValue: 'LONG'
+                        }
+                    }
+                },
+                {
+                    opcode: 'setOpticalDistanceTimingBudget',
+                    blockType: BlockType.COMMAND,
+                    text: formatMessage({
+                        id: 'g2s.setOpticalDistanceTimingBudget',
+                        default: 'set laser timing budget to [BUDGET] ms (VL53L1X)',
+                        description: 'set timing budget of VL53L1X'
+                    }),
+                    arguments: {
+                        BUDGET: {
+                            type: ArgumentType.NUMBER,
+                            defaultValue: 50
+                        }
+                    }
+                },
+                {
+                    opcode: 'setOpticalDistanceROI',
+                    blockType: BlockType.COMMAND,
+                    text: formatMessage({
+                        id: 'g2s.setOpticalDistanceROI',
+                        default: 'set laser field of view to width [WIDTH] height [HEIGHT] (VL53L1X)',
+                        description: 'set region of interest of VL53L1X'
+                    }),
+                    arguments: {
+                        WIDTH: {
+                            type: ArgumentType.NUMBER,
+                            defaultValue: 16
+                        },
+                        HEIGHT: {
+                            type: ArgumentType.NUMBER,
+                            defaultValue: 16
+                        }
+                    }
+                },
+                {
+                    opcode: 'setOpticalDistanceOffset',
+                    blockType: BlockType.COMMAND,
+                    text: formatMessage({
+                        id: 'g2s.setOpticalDistanceOffset',
+                        default: 'set laser distance offset to [OFFSET] cm',
+                        description: 'set offset of the distance by light'
+                    }),
+                    arguments: {
+                        OFFSET: {
+                            type: ArgumentType.NUMBER,
+                            defaultValue: -5
+                        }
+                    }
+                },
+                {
+                    opcode: 'setOpticalDistanceFilter',
+                    blockType: BlockType.COMMAND,
+                    text: formatMessage({
+                        id: 'g2s.setOpticalDistanceFilter',
+                        default: 'set laser distance filter to [SIZE] samples',
+                        description: 'set number of samples of the median filter for the distance by light'
+                    }),
+                    arguments: {
+                        SIZE: {
+                            type: ArgumentType.NUMBER,
+                            defaultValue: 9
+                        }
+                    }
+                },
+                {
+                    opcode: 'motionSensorValue',
+                    func: 'digitalLevelB2',
+                    blockType: BlockType.REPORTER,
+                    disableMonitor: false,
+                    text: formatMessage({
+                        id: 'g2s.motionSensorValue',
+                        default: 'value of motion sensor on Tool',
+                        description: 'report value of motion sensor on Tool'
+                    }),
+                    arguments: {
+                    }
+                },
+                '---',
+                {
+                    opcode: 'getBrightness',
+                    func: 'getBrightness',
+                    blockType: BlockType.REPORTER,
+                    disableMonitor: false,
+                    text: formatMessage({
+                        id: 'g2s.getBrightness',
+                        default: 'light I2C brightness (lx)',
+                        description: 'report brightness'
+                    }),
+                    arguments: {
+                    }
+                },
+                {
+                    opcode: 'isBrightnessSaturated',
+                    blockType: BlockType.BOOLEAN,
+                    disableMonitor: true,
                     text: formatMessage({
-                        id: 'g2s.connectBoard',
-                        default: 'connect board',
-                        description: 'open serial port and connect a board'
+                        id: 'g2s.isBrightnessSaturated',
+                        default: 'light I2C saturated',
+                        description: 'whether the brightness sensor was saturated'
                     }),
                     arguments: {
                     }
                 },
                 {
-                    opcode: 'boardStateChanged',
+                    opcode: 'whenBrightnessCrosses',
                     blockType: BlockType.HAT,
                     text: formatMessage({
-                        id: 'g2s.boardStateChanged',
-                        default: 'When board is [STATE]',
-                        description: 'catch event when the board state was changed'
+                        id: 'g2s.whenBrightnessCrosses',
+                        default: 'When light I2C brightness crosses [THRESHOLD] lx',
+                        description: 'catch event when the brightness crossed the threshold'
                     }),
                     arguments: {
-                        STATE: {
-                            type: ArgumentType.STRING,
-                            menu: 'boardStateMenu'
+                        THRESHOLD: {
+                            type: ArgumentType.NUMBER,
+                            defaultValue: 100
                         }
                     }
                 },
                 {
-                    opcode: 'disconnectBoard',
+                    opcode: 'setBrightnessSensorConfig',
                     blockType: BlockType.COMMAND,
-                    blockAllThreads: false,
                     text: formatMessage({
-                        id: 'g2s.disconnectBoard',
-                        default: 'disconnect board',
-                        description: 'disconnect the board'
+                        id: 'g2s.setBrightnessSensorConfig',
+                        default: 'light I2C gain [GAIN] integration [INTEGRATION] ms interval [RATE] ms',
+                        description: 'set gain, integration time and measurement rate of LTR303'
                     }),
                     arguments: {
+                        GAIN: {
+                            type: ArgumentType.STRING,
+                            menu: 'brightnessGainMenu',
+                            defaultValue: '1'
+                        },
+                        INTEGRATION: {
+                            type: ArgumentType.STRING,
+                            menu: 'brightnessIntegrationMenu',
+                            defaultValue: '100'
+                        },
+                        RATE: {
+                            type: ArgumentType.STRING,
+                            menu: 'brightnessRateMenu',
+                            defaultValue: '500'
+                        }
                     }
                 },
                 {
-                    opcode: 'isConnected',
-                    blockType: BlockType.BOOLEAN,
+                    opcode: 'getAnalogBrightness',
+                    func: 'analogLevelB2',
+                    blockType: BlockType.REPORTER,
+                    disableMonitor: false,
                     text: formatMessage({
-                        id: 'g2s.isConnected',
-                        default: 'board is connected',
-                        description: 'whether a board is connected'
+                        id: 'g2s.getAnalogBrightness',
+                        default: 'light Analog brightness',
+                        description: 'report brightness by analog sensor'
                     }),
                     arguments: {
                     }
                 },
                 '---',
                 {
-                    opcode: 'servoTurn',
-                    blockType: BlockType.COMMAND,
+                    opcode: 'getColorSensorRGB',
+                    blockType: BlockType.REPORTER,
+                    disableMonitor: false,
                     text: formatMessage({
-                        id: 'g2s.servoTurn',
-                        default: 'Servo [CONNECTOR] turn [ANGLE] degrees [SPEED] % speed',
-                        description: 'turn servo motor'
+                        id: 'g2s.getColorSensorRGB',
+                        default: 'color sensor I2C color',
+                        description: 'report color by APDS-9960 in R, G, B'
                     }),
                     arguments: {
-                        CONNECTOR: {
+                    }
+                },
+                {
+                    opcode: 'getColorSensorChannel',
+                    blockType: BlockType.REPORTER,
+                    disableMonitor: false,
+                    text: formatMessage({
+                        id: 'g2s.getColorSensorChannel',
+                        default: 'color sensor I2C [CHANNEL]',
+                        description: 'report a channel of the color by APDS-9960'
+                    }),
+                    arguments: {
+                        CHANNEL: {
                             type: ArgumentType.STRING,
-                            menu: 'servoConnectorMenu'
-                        },
-                        ANGLE: {
-                            type: ArgumentType.ANGLE
-                        },
-                        SPEED: {
-                            type: ArgumentType.NUMBER,
-                            defaultValue: '100'
+                            menu: 'colorChannelMenu',
+                            defaultValue: 'red'
+                        }
+                    }
+                },
+                {
+                    opcode: 'getProximity',
+                    blockType: BlockType.REPORTER,
+                    disableMonitor: false,
+                    text: formatMessage({
+                        id: 'g2s.getProximity',
+                        default: 'proximity I2C',
+                        description: 'report proximity by APDS-9960'
+                    }),
+                    arguments: {
+                    }
+                },
+                {
+                    opcode: 'whenGesture',
+                    blockType: BlockType.HAT,
+                    text: formatMessage({
+                        id: 'g2s.whenGesture',
+                        default: 'When gesture [GESTURE]',
+                        description: 'catch event when the gesture was detected by APDS-9960'
+                    }),
+                    arguments: {
+                        GESTURE: {
+                            type: ArgumentType.STRING,
+                            menu: 'gestureMenu',
+                            defaultValue: 'UP'
                         }
                     }
                 },
                 '---',
                 {
-                    opcode: 'measureDistanceWithUltrasonicA',
-                    func: 'measureDistanceWithUltrasonicA',
+                    opcode: 'getTemperature',
+                    func: 'getEvnTemperature',
                     blockType: BlockType.REPORTER,
                     disableMonitor: false,
                     text: formatMessage({
-                        id: 'g2s.measureDistanceWithUltrasonicA',
-                        default: 'distance by ultrasonic on Digital A (cm)',
-                        description: 'report distance by ultrasonic on Digital A'
+                        id: 'g2s.getTemperature',
+                        default: 'environment I2C temperature (°C)',
+                        description: 'report temperature'
                     }),
                     arguments: {
                     }
                 },
                 {
-                    opcode: 'measureDistanceWithUltrasonicB',
-                    func: 'measureDistanceWithUltrasonicB',
+                    opcode: 'getPressure',
+                    func: 'getEvnPressure',
                     blockType: BlockType.REPORTER,
                     disableMonitor: false,
                     text: formatMessage({
-                        id: 'g2s.measureDistanceWithUltrasonicB',
-                        default: 'distance by ultrasonic on Digital B (cm)',
-                        description: 'report distance by ultrasonic on Digital B'
+                        id: 'g2s.getPressure',
+                        default: 'environment I2C pressure (hPa)',
+                        description: 'report pressure'
                     }),
                     arguments: {
                     }
                 },
                 {
-                    opcode: 'measureDistanceWithLight',
-                    func: 'measureDistanceWithLight',
+                    opcode: 'getHumidity',
+                    func: 'getEnvHumidity',
                     blockType: BlockType.REPORTER,
                     disableMonitor: false,
                     text: formatMessage({
-                        id: 'g2s.measureDistanceWithLight',
-                        default: 'distance by laser on I2C (cm)',
-                        description: 'report distance by light'
+                        id: 'g2s.getHumidity',
+                        default: 'environment I2C humidity (%)',
+                        description: 'report humidity'
                     }),
                     arguments: {
                     }
                 },
                 {
-                    opcode: 'motionSensorValue',
-                    func: 'digitalLevelB2',
+                    opcode: 'getEnvAltitude',
                     blockType: BlockType.REPORTER,
                     disableMonitor: false,
                     text: formatMessage({
-                        id: 'g2s.motionSensorValue',
-                        default: 'value of motion sensor on Tool',
-                        description: 'report value of motion sensor on Tool'
+                        id: 'g2s.getEnvAltitude',
+                        default: 'environment I2C altitude (m)',
+                        description: 'report altitude by the pressure'
                     }),
                     arguments: {
                     }
                 },
+                {
+                    opcode: 'setSeaLevelPressure',
+                    blockType: BlockType.COMMAND,
+                    text: formatMessage({
+                        id: 'g2s.setSeaLevelPressure',
+                        default: 'environment I2C sea level pressure [PRESSURE] hPa',
+                        description: 'set pressure at the sea level for the altitude'
+                    }),
+                    arguments: {
+                        PRESSURE: {
+                            type: ArgumentType.NUMBER,
+                            defaultValue: 1013.25
+                        }
+                    }
+                },
+                {
+                    opcode: 'getEnvDewPoint',
+                    blockType: BlockType.REPORTER,
+                    disableMonitor: false,
+                    text: formatMessage({
+                        id: 'g2s.getEnvDewPoint',
+                        default: 'environment I2C dew point (°C)',
+                        description: 'report dew point by the temperature and the humidity'
+                    }),
+                    arguments: {
+                    }
+                },
+                {
+                    opcode: 'getEnvAbsoluteHumidity',
+                    blockType: BlockType.REPORTER,
+                    disableMonitor: false,
+                    text: formatMessage({
+                        id: 'g2s.getEnvAbsoluteHumidity',
+                        default: 'environment I2C absolute humidity (g/m^3)',
+                        description: 'report absolute humidity by the temperature and the humidity'
+                    }),
+                    arguments: {
+                    }
+                },
+                {
+                    opcode: 'setEnvSensorMode',
+                    blockType: BlockType.COMMAND,
+                    text: formatMessage({
+                        id: 'g2s.setEnvSensorMode',
+                        default: 'environment I2C mode [MODE] filter [FILTER] standby [STANDBY] ms',
+                        description: 'set operating mode, IIR filter and standby time of BME280'
+                    }),
+                    arguments: {
+                        MODE: {
+                            type: ArgumentType.STRING,
+                            menu: 'envModeMenu',
+                            defaultValue: 'normal'
+                        },
+                        FILTER: {
+                            type: ArgumentType.STRING,
+                            menu: 'envFilterMenu',
+                            defaultValue: '0'
+                        },
+                        STANDBY: {
+                            type: ArgumentType.STRING,
+                            menu: 'envStandbyMenu',
+                            defaultValue: '125'
+                        }
+                    }
+                },
+                {
+                    opcode: 'setEnvSensorOversampling',
+                    blockType: BlockType.COMMAND,
+                    text: formatMessage({
+                        id: 'g2s.setEnvSensorOversampling',
+                        default: 'environment I2C oversampling temperature [TEMPERATURE] ' +
+                            'pressure [PRESSURE] humidity [HUMIDITY]',
+                        description: 'set oversampling of each measurement by BME280'
+                    }),
+                    arguments: {
+                        TEMPERATURE: {
+                            type: ArgumentType.STRING,
+                            menu: 'envOversamplingMenu',
+                            defaultValue: '2'
+                        },
+                        PRESSURE: {
+                            type: ArgumentType.STRING,
+                            menu: 'envOversamplingMenu',
+                            defaultValue: '4'
+                        },
+                        HUMIDITY: {
+                            type: ArgumentType.STRING,
+                            menu: 'envOversamplingMenu',
+                            defaultValue: '1'
+                        }
+                    }
+                },
+                {
+                    opcode: 'setEnvSensorRepeatability',
+                    blockType: BlockType.COMMAND,
+                    text: formatMessage({
+                        id: 'g2s.setEnvSensorRepeatability',
+                        default: 'environment I2C repeatability [REPEATABILITY]',
+                        description: 'set repeatability of the measurement by SHT'
+                    }),
+                    arguments: {
+                        REPEATABILITY: {
+                            type: ArgumentType.STRING,
+                            menu: 'envRepeatabilityMenu',
+                            defaultValue: 'high'
+                        }
+                    }
+                },
+                {
+                    opcode: 'setEnvSensorHeater',
+                    blockType: BlockType.COMMAND,
+                    text: formatMessage({
+                        id: 'g2s.setEnvSensorHeater',
+                        default: 'environment I2C heater [STATE]',
+                        description: 'turn the heater of SHT on or off'
+                    }),
+                    arguments: {
+                        STATE: {
+                            type: ArgumentType.STRING,
+                            menu: 'onOffMenu',
+                            defaultValue: 'off'
+                        }
+                    }
+                },
                 '---',
                 {
-                    opcode: 'getBrightness',
-                    func: 'getBrightness',
+                    opcode: 'getCO2Sensor',
                     blockType: BlockType.REPORTER,
                     disableMonitor: false,
                     text: formatMessage({
-                        id: 'g2s.getBrightness',
-                        default: 'light I2C brightness (lx)',
-                        description: 'report brightness'
+                        id: 'g2s.getCO2Sensor',
+                        default: 'CO2 sensor I2C [MEASUREMENT]',
+                        description: 'report a measurement by SCD4x'
                     }),
                     arguments: {
+                        MEASUREMENT: {
+                            type: ArgumentType.STRING,
+                            menu: 'co2MeasurementMenu',
+                            defaultValue: 'co2'
+                        }
                     }
                 },
                 {
-                    opcode: 'getAnalogBrightness',
-                    func: 'analogLevelB2',
+                    opcode: 'setCO2SensorAltitude',
+                    blockType: BlockType.COMMAND,
+                    text: formatMessage({
+                        id: 'g2s.setCO2SensorAltitude',
+                        default: 'CO2 sensor I2C altitude [ALTITUDE] m',
+                        description: 'set altitude for the compensation of SCD4x'
+                    }),
+                    arguments: {
+                        ALTITUDE: {
+                            type: ArgumentType.NUMBER,
+                            defaultValue: 0
+                        }
+                    }
+                },
+                {
+                    opcode: 'getAirQuality',
                     blockType: BlockType.REPORTER,
                     disableMonitor: false,
                     text: formatMessage({
-                        id: 'g2s.getAnalogBrightness',
-                        default: 'light Analog brightness',
-                        description: 'report brightness by analog sensor'
+                        id: 'g2s.getAirQuality',
+                        default: 'air quality I2C [MEASUREMENT]',
+                        description: 'report a measurement by SGP30'
+                    }),
+                    arguments: {
+                        MEASUREMENT: {
+                            type: ArgumentType.STRING,
+                            menu: 'airQualityMeasurementMenu',
+                            defaultValue: 'eco2'
+                        }
+                    }
+                },
+                {
+                    opcode: 'getAirQualityBaseline',
+                    blockType: BlockType.REPORTER,
+                    disableMonitor: true,
+                    text: formatMessage({
+                        id: 'g2s.getAirQualityBaseline',
+                        default: 'air quality I2C baseline',
+                        description: 'report the baseline of SGP30'
+                    }),
+                    arguments: {
+                    }
+                },
+                {
+                    opcode: 'setAirQualityBaseline',
+                    blockType: BlockType.COMMAND,
+                    text: formatMessage({
+                        id: 'g2s.setAirQualityBaseline',
+                        default: 'air quality I2C set baseline [BASELINE]',
+                        description: 'restore the baseline of SGP30'
+                    }),
+                    arguments: {
+                        BASELINE: {
+                            type: ArgumentType.STRING,
+                            defaultValue: ' '
+                        }
+                    }
+                },
+                '---',
+                {
+                    opcode: 'getADT7410Temperature',
+                    blockType: BlockType.REPORTER,
+                    disableMonitor: false,
+                    text: formatMessage({
+                        id: 'g2s.getADT7410Temperature',
+                        default: 'ADT7410 temperature (°C)',
+                        description: 'report temperature by ADT7410'
+                    }),
+                    arguments: {
+                    }
+                },
+                {
+                    opcode: 'setADT7410Resolution',
+                    blockType: BlockType.COMMAND,
+                    text: formatMessage({
+                        id: 'g2s.setADT7410Resolution',
+                        default: 'ADT7410 resolution [RESOLUTION] bits',
+                        description: 'set resolution of ADT7410'
                     }),
                     arguments: {
+                        RESOLUTION: {
+                            type: ArgumentType.STRING,
+                            menu: 'adt7410ResolutionMenu',
+                            defaultValue: '16'
+                        }
                     }
                 },
-                '---',
                 {
-                    opcode: 'getTemperature',
-                    func: 'getEvnTemperature',
-                    blockType: BlockType.REPORTER,
-                    disableMonitor: false,
+                    opcode: 'setADT7410Mode',
+                    blockType: BlockType.COMMAND,
                     text: formatMessage({
-                        id: 'g2s.getTemperature',
-                        default: 'environment I2C temperature (°C)',
-                        description: 'report temperature'
+                        id: 'g2s.setADT7410Mode',
+                        default: 'ADT7410 conversion [MODE]',
+                        description: 'set conversion mode of ADT7410'
                     }),
                     arguments: {
+                        MODE: {
+                            type: ArgumentType.STRING,
+                            menu: 'adt7410ModeMenu',
+                            defaultValue: 'continuous'
+                        }
                     }
                 },
                 {
-                    opcode: 'getPressure',
-                    func: 'getEvnPressure',
-                    blockType: BlockType.REPORTER,
-                    disableMonitor: false,
+                    opcode: 'setADT7410Thresholds',
+                    blockType: BlockType.COMMAND,
                     text: formatMessage({
-                        id: 'g2s.getPressure',
-                        default: 'environment I2C pressure (hPa)',
-                        description: 'report pressure'
+                        id: 'g2s.setADT7410Thresholds',
+                        default: 'ADT7410 alarm over [HIGH] °C under [LOW] °C',
+                        description: 'set thresholds of the temperature alarms of ADT7410'
                     }),
                     arguments: {
+                        HIGH: {
+                            type: ArgumentType.NUMBER,
+                            defaultValue: 30
+                        },
+                        LOW: {
+                            type: ArgumentType.NUMBER,
+                            defaultValue: 10
+                        }
                     }
                 },
                 {
-                    opcode: 'getHumidity',
-                    func: 'getEnvHumidity',
-                    blockType: BlockType.REPORTER,
-                    disableMonitor: false,
+                    opcode: 'isADT7410Alarmed',
+                    blockType: BlockType.BOOLEAN,
+                    disableMonitor: true,
                     text: formatMessage({
-                        id: 'g2s.getHumidity',
-                        default: 'environment I2C humidity (%)',
-                        description: 'report humidity'
+                        id: 'g2s.isADT7410Alarmed',
+                        default: 'ADT7410 alarm [LIMIT]',
+                        description: 'whether the temperature by ADT7410 is beyond the threshold'
                     }),
                     arguments: {
+                        LIMIT: {
+                            type: ArgumentType.STRING,
+                            menu: 'adt7410AlarmMenu',
+                            defaultValue: 'high'
+                        }
                     }
                 },
                 '---',
@@ -2574,6 +5469,47 @@ class ExtensionBlocks {
                     arguments: {
                     }
                 },
+                {
+                    opcode: 'getWaterTemperatureOf',
+                    blockType: BlockType.REPORTER,
+                    text: formatMessage({
+                        id: 'g2s.getWaterTemperatureOf',
+                        default: 'water temperature of sensor [N] on [CONNECTOR] (°C)',
+                        description: 'report water temperature by the sensor of the number on the connector'
+                    }),
+                    arguments: {
+                        N: {
+                            type: ArgumentType.NUMBER,
+                            defaultValue: 1
+                        },
+                        CONNECTOR: {
+                            type: ArgumentType.STRING,
+                            menu: 'waterTempConnectorMenu',
+                            defaultValue: '10'
+                        }
+                    }
+                },
+                {
+                    opcode: 'setWaterTemperatureResolution',
+                    blockType: BlockType.COMMAND,
+                    text: formatMessage({
+                        id: 'g2s.setWaterTemperatureResolution',
+                        default: 'water temperature resolution [RESOLUTION] bits on [CONNECTOR]',
+                        description: 'set resolution of the water temperature sensors on the connector'
+                    }),
+                    arguments: {
+                        RESOLUTION: {
+                            type: ArgumentType.STRING,
+                            menu: 'waterTempResolutionMenu',
+                            defaultValue: '12'
+                        },
+                        CONNECTOR: {
+                            type: ArgumentType.STRING,
+                            menu: 'waterTempConnectorMenu',
+                            defaultValue: '10'
+                        }
+                    }
+                },
                 '---',
                 {
                     opcode: 'whenShaken',
@@ -2613,6 +5549,48 @@ class ExtensionBlocks {
                     arguments: {
                     }
                 },
+                {
+                    opcode: 'getYaw',
+                    func: 'getYaw',
+                    blockType: BlockType.REPORTER,
+                    disableMonitor: false,
+                    text: formatMessage({
+                        id: 'g2s.getYaw',
+                        default: 'gyro I2C yaw (degree)',
+                        description: 'report yaw angle by the gyroscope'
+                    }),
+                    arguments: {
+                    }
+                },
+                {
+                    opcode: 'resetYaw',
+                    blockType: BlockType.COMMAND,
+                    text: formatMessage({
+                        id: 'g2s.resetYaw',
+                        default: 'reset gyro I2C yaw',
+                        description: 'set the current yaw to zero'
+                    }),
+                    arguments: {
+                    }
+                },
+                {
+                    opcode: 'getAngularRate',
+                    func: 'getAngularRate',
+                    blockType: BlockType.REPORTER,
+                    disableMonitor: true,
+                    text: formatMessage({
+                        id: 'g2s.getAngularRate',
+                        default: 'gyro I2C angular rate [AXIS] (degree/s)',
+                        description: 'report angular rate by the gyroscope'
+                    }),
+                    arguments: {
+                        AXIS: {
+                            type: ArgumentType.STRING,
+                            menu: 'axisMenu',
+                            defaultValue: 'X'
+                        }
+                    }
+                },
                 {
                     opcode: 'getAccelerationX',
                     func: 'getAccelerationX',
@@ -2665,6 +5643,38 @@ class ExtensionBlocks {
                     arguments: {
                     }
                 },
+                {
+                    opcode: 'setAccelerometerConfig',
+                    blockType: BlockType.COMMAND,
+                    text: formatMessage({
+                        id: 'g2s.setAccelerometerConfig',
+                        default: 'acceleration I2C range [RANGE] G data rate [RATE] Hz',
+                        description: 'set range and output data rate of the accelerometer'
+                    }),
+                    arguments: {
+                        RANGE: {
+                            type: ArgumentType.STRING,
+                            menu: 'accelerometerRangeMenu',
+                            defaultValue: '8'
+                        },
+                        RATE: {
+                            type: ArgumentType.STRING,
+                            menu: 'accelerometerDataRateMenu',
+                            defaultValue: '50'
+                        }
+                    }
+                },
+                {
+                    opcode: 'calibrateAccelerometer',
+                    blockType: BlockType.COMMAND,
+                    text: formatMessage({
+                        id: 'g2s.calibrateAccelerometer',
+                        default: 'calibrate acceleration I2C (keep still)',
+                        description: 'save offsets of the accelerometer while keeping still'
+                    }),
+                    arguments: {
+                    }
+                },
                 '---',
                 {
                     opcode: 'neoPixelConfigStrip',
@@ -2694,133 +5704,315 @@ class ExtensionBlocks {
                         description: 'set color LED color'
                     }),
                     arguments: {
-                        CONNECTOR: {
+                        CONNECTOR: {
+                            type: ArgumentType.STRING,
+                            menu: 'neoPixelConnectorMenu'
+                        },
+                        POSITION: {
+                            type: ArgumentType.NUMBER,
+                            defaultValue: '1'
+                        },
+                        COLOR: {
+                            type: ArgumentType.STRING,
+                            menu: 'neoPixelColorMenuSimple'
+                        },
+                        BRIGHTNESS: {
+                            type: ArgumentType.NUMBER,
+                            defaultValue: '50'
+                        }
+                    }
+                },
+                {
+                    opcode: 'neoPixelFillColor',
+                    blockType: BlockType.COMMAND,
+                    text: formatMessage({
+                        id: 'g2s.neoPixelFillColor',
+                        default: 'color LED [CONNECTOR] set all color [COLOR] brightness [BRIGHTNESS]',
+                        description: 'set color LED color'
+                    }),
+                    arguments: {
+                        CONNECTOR: {
+                            type: ArgumentType.STRING,
+                            menu: 'neoPixelConnectorMenu'
+                        },
+                        COLOR: {
+                            type: ArgumentType.STRING,
+                            menu: 'neoPixelColorMenu'
+                        },
+                        BRIGHTNESS: {
+                            type: ArgumentType.NUMBER,
+                            defaultValue: '50'
+                        }
+                    }
+                },
+                {
+                    opcode: 'neoPixelShiftColor',
+                    blockType: BlockType.COMMAND,
+                    text: formatMessage({
+                        id: 'g2s.neoPixelShiftColor',
+                        default: 'color LED [CONNECTOR] shift color settings by [N] ([LOOP_MODE])',
+                        description: 'shift color LED settings'
+                    }),
+                    arguments: {
+                        CONNECTOR: {
+                            type: ArgumentType.STRING,
+                            menu: 'neoPixelConnectorMenu'
+                        },
+                        N: {
+                            type: ArgumentType.NUMBER,
+                            defaultValue: '1'
+                        },
+                        LOOP_MODE: {
+                            type: ArgumentType.STRING,
+                            defaultValue: 'true',
+                            menu: 'neoPixelShiftColorLoopModeMenu'
+                        }
+                    }
+                },
+                {
+                    opcode: 'neoPixelColor',
+                    blockType: BlockType.REPORTER,
+                    text: formatMessage({
+                        id: 'g2s.neoPixelColor',
+                        default: 'color LED color R [RED] G [GREEN] B [BLUE]',
+                        description: 'color LED color values'
+                    }),
+                    arguments: {
+                        RED: {
+                            type: ArgumentType.STRING,
+                            defaultValue: '255'
+                        },
+                        GREEN: {
+                            type: ArgumentType.STRING,
+                            defaultValue: '255'
+                        },
+                        BLUE: {
+                            type: ArgumentType.STRING,
+                            defaultValue: '255'
+                        }
+                    }
+                },
+                {
+                    opcode: 'neoPixelColorMode',
+                    blockType: BlockType.REPORTER,
+                    hideFromPalette: true, //拡張のブロック一覧に表示しない
+                    text: formatMessage({
+                        id: 'g2s.neoPixelColorMode',
+                        default: 'color LED [MODE]',
+                        description: 'color LED color mode'
+                    }),
+                    arguments: {
+                        MODE: {
+                            type: ArgumentType.STRING,
+                            menu: 'neoPixelColorModeMenu'
+                        }
+                    }
+                },
+                {
+                    opcode: 'neoPixelShow',
+                    blockType: BlockType.COMMAND,
+                    text: formatMessage({
+                        id: 'g2s.neoPixelShow',
+                        default: 'color LED show',
+                        description: 'show color LED'
+                    }),
+                    arguments: {
+                    }
+                },
+                {
+                    opcode: 'neoPixelClear',
+                    blockType: BlockType.COMMAND,
+                    text: formatMessage({
+                        id: 'g2s.neoPixelClear',
+                        default: 'color LED [CONNECTOR] clear',
+                        description: 'clear color LED'
+                    }),
+                    arguments: {
+                        CONNECTOR: {
+                            type: ArgumentType.STRING,
+                            menu: 'neoPixelConnectorMenu'
+                        }
+                    }
+                },
+                '---',
+                {
+                    opcode: 'oledShowValue',
+                    blockType: BlockType.COMMAND,
+                    text: formatMessage({
+                        id: 'g2s.oledShowValue',
+                        default: 'OLED show [LABEL] [VALUE]',
+                        description: 'show a value with its label on the OLED display'
+                    }),
+                    arguments: {
+                        LABEL: {
+                            type: ArgumentType.STRING,
+                            defaultValue: 'CO2'
+                        },
+                        VALUE: {
+                            type: ArgumentType.STRING,
+                            defaultValue: '400'
+                        }
+                    }
+                },
+                {
+                    opcode: 'oledText',
+                    blockType: BlockType.COMMAND,
+                    text: formatMessage({
+                        id: 'g2s.oledText',
+                        default: 'OLED text [TEXT] at x:[X] y:[Y] size:[SIZE]',
+                        description: 'draw a text on the OLED display'
+                    }),
+                    arguments: {
+                        TEXT: {
                             type: ArgumentType.STRING,
-                            menu: 'neoPixelConnectorMenu'
+                            defaultValue: 'Hello'
                         },
-                        POSITION: {
+                        X: {
                             type: ArgumentType.NUMBER,
-                            defaultValue: '1'
+                            defaultValue: 0
                         },
-                        COLOR: {
-                            type: ArgumentType.STRING,
-                            menu: 'neoPixelColorMenuSimple'
+                        Y: {
+                            type: ArgumentType.NUMBER,
+                            defaultValue: 0
                         },
-                        BRIGHTNESS: {
+                        SIZE: {
                             type: ArgumentType.NUMBER,
-                            defaultValue: '50'
+                            defaultValue: 1
                         }
                     }
                 },
                 {
-                    opcode: 'neoPixelFillColor',
+                    opcode: 'oledLine',
                     blockType: BlockType.COMMAND,
                     text: formatMessage({
-                        id: 'g2s.neoPixelFillColor',
-                        default: 'color LED [CONNECTOR] set all color [COLOR] brightness [BRIGHTNESS]',
-                        description: 'set color LED color'
+                        id: 'g2s.oledLine',
+                        default: 'OLED line from x:[X1] y:[Y1] to x:[X2] y:[Y2]',
+                        description: 'draw a line on the OLED display'
                     }),
                     arguments: {
-                        CONNECTOR: {
-                            type: ArgumentType.STRING,
-                            menu: 'neoPixelConnectorMenu'
+                        X1: {
+                            type: ArgumentType.NUMBER,
+                            defaultValue: 0
                         },
-                        COLOR: {
-                            type: ArgumentType.STRING,
-                            menu: 'neoPixelColorMenu'
+                        Y1: {
+                            type: ArgumentType.NUMBER,
+                            defaultValue: 0
                         },
-                        BRIGHTNESS: {
+                        X2: {
                             type: ArgumentType.NUMBER,
-                            defaultValue: '50'
+                            defaultValue: 127
+                        },
+                        Y2: {
+                            type: ArgumentType.NUMBER,
+                            defaultValue: 63
                         }
                     }
                 },
                 {
-                    opcode: 'neoPixelShiftColor',
+                    opcode: 'oledRect',
                     blockType: BlockType.COMMAND,
                     text: formatMessage({
-                        id: 'g2s.neoPixelShiftColor',
-                        default: 'color LED [CONNECTOR] shift color settings by [N] ([LOOP_MODE])',
-                        description: 'shift color LED settings'
+                        id: 'g2s.oledRect',
+                        default: 'OLED rectangle x:[X] y:[Y] width:[WIDTH] height:[HEIGHT] [FILL]',
+                        description: 'draw a rectangle on the OLED display'
                     }),
                     arguments: {
-                        CONNECTOR: {
-                            type: ArgumentType.STRING,
-                            menu: 'neoPixelConnectorMenu'
+                        X: {
+                            type: ArgumentType.NUMBER,
+                            defaultValue: 0
                         },
-                        N: {
+                        Y: {
                             type: ArgumentType.NUMBER,
-                            defaultValue: '1'
+                            defaultValue: 0
                         },
-                        LOOP_MODE: {
+                        WIDTH: {
+                            type: ArgumentType.NUMBER,
+                            defaultValue: 20
+                        },
+                        HEIGHT: {
+                            type: ArgumentType.NUMBER,
+                            defaultValue: 10
+                        },
+                        FILL: {
                             type: ArgumentType.STRING,
-                            defaultValue: 'true',
-                            menu: 'neoPixelShiftColorLoopModeMenu'
+                            menu: 'oledFillMenu',
+                            defaultValue: 'outline'
                         }
                     }
                 },
                 {
-                    opcode: 'neoPixelColor',
-                    blockType: BlockType.REPORTER,
+                    opcode: 'oledPixel',
+                    blockType: BlockType.COMMAND,
                     text: formatMessage({
-                        id: 'g2s.neoPixelColor',
-                        default: 'color LED color R [RED] G [GREEN] B [BLUE]',
-                        description: 'color LED color values'
+                        id: 'g2s.oledPixel',
+                        default: 'OLED pixel x:[X] y:[Y] [STATE]',
+                        description: 'turn a pixel on the OLED display on or off'
                     }),
                     arguments: {
-                        RED: {
-                            type: ArgumentType.STRING,
-                            defaultValue: '255'
+                        X: {
+                            type: ArgumentType.NUMBER,
+                            defaultValue: 0
                         },
-                        GREEN: {
-                            type: ArgumentType.STRING,
-                            defaultValue: '255'
+                        Y: {
+                            type: ArgumentType.NUMBER,
+                            defaultValue: 0
                         },
-                        BLUE: {
+                        STATE: {
                             type: ArgumentType.STRING,
-                            defaultValue: '255'
+                            menu: 'onOffMenu',
+                            defaultValue: 'on'
                         }
                     }
                 },
                 {
-                    opcode: 'neoPixelColorMode',
-                    blockType: BlockType.REPORTER,
-                    hideFromPalette: true, //拡張のブロック一覧に表示しない
+                    opcode: 'oledClear',
+                    blockType: BlockType.COMMAND,
                     text: formatMessage({
-                        id: 'g2s.neoPixelColorMode',
-                        default: 'color LED [MODE]',
-                        description: 'color LED color mode'
+                        id: 'g2s.oledClear',
+                        default: 'OLED clear',
+                        description: 'clear the OLED display'
                     }),
                     arguments: {
-                        MODE: {
-                            type: ArgumentType.STRING,
-                            menu: 'neoPixelColorModeMenu'
-                        }
                     }
                 },
+                '---',
                 {
-                    opcode: 'neoPixelShow',
+                    opcode: 'displayNumber',
                     blockType: BlockType.COMMAND,
                     text: formatMessage({
-                        id: 'g2s.neoPixelShow',
-                        default: 'color LED show',
-                        description: 'show color LED'
+                        id: 'g2s.displayNumber',
+                        default: 'display number [NUMBER] on [CONNECTOR]',
+                        description: 'show a number on the 4-digit display TM1637'
                     }),
                     arguments: {
+                        NUMBER: {
+                            type: ArgumentType.NUMBER,
+                            defaultValue: 1234
+                        },
+                        CONNECTOR: {
+                            type: ArgumentType.STRING,
+                            menu: 'digitalPortMenu',
+                            defaultValue: '10'
+                        }
                     }
                 },
                 {
-                    opcode: 'neoPixelClear',
+                    opcode: 'setLEDBarLevel',
                     blockType: BlockType.COMMAND,
                     text: formatMessage({
-                        id: 'g2s.neoPixelClear',
-                        default: 'color LED [CONNECTOR] clear',
-                        description: 'clear color LED'
+                        id: 'g2s.setLEDBarLevel',
+                        default: 'set LED bar [CONNECTOR] level [LEVEL]',
+                        description: 'light the LED bar MY9221 to the level'
                     }),
                     arguments: {
                         CONNECTOR: {
                             type: ArgumentType.STRING,
-                            menu: 'neoPixelConnectorMenu'
+                            menu: 'digitalPortMenu',
+                            defaultValue: '10'
+                        },
+                        LEVEL: {
+                            type: ArgumentType.NUMBER,
+                            defaultValue: 5
                         }
                     }
                 },
@@ -3070,183 +6262,297 @@ class ExtensionBlocks {
                 {
                     opcode: 'getSharedDataLabeled',
                     text: formatMessage({
-                        id: 'g2s.getSharedDataLabeled',
-                        default: 'data of label [LABEL]',
-                        description: 'the last data which has the label'
+                        id: 'g2s.getSharedDataLabeled',
+                        default: 'data of label [LABEL]',
+                        description: 'the last data which has the label'
+                    }),
+                    blockType: BlockType.REPORTER,
+                    arguments: {
+                        LABEL: {
+                            type: ArgumentType.STRING,
+                            defaultValue: 'x'
+                        }
+                    }
+                },
+                {
+                    opcode: 'sendSharedData',
+                    text: formatMessage({
+                        id: 'g2s.sendSharedData',
+                        default: 'send data [DATA] with label [LABEL] to server',
+                        description: 'send data content with label to server'
+                    }),
+                    blockType: BlockType.COMMAND,
+                    arguments: {
+                        LABEL: {
+                            type: ArgumentType.STRING,
+                            defaultValue: 'x'
+                        },
+                        DATA: {
+                            type: ArgumentType.STRING,
+                            defaultValue: 'data'
+                        }
+                    }
+                },
+                '---',
+                {
+                    opcode: 'sendIrRemote',
+                    text: formatMessage({
+                        id: 'g2s.sendIrRemote',
+                        default: 'Send built-in button [N]',
+                        description: 'Execute the built-in button of IR remote control'
+                    }),
+                    blockType: BlockType.COMMAND,
+                    arguments: {
+                        CONNECTOR: {
+                            type: ArgumentType.NUMBER,
+                            menu: 'irRemoteMenuConnector',
+                        },
+                        N: {
+                            type: ArgumentType.NUMBER,
+                            menu: 'irRemoteMenuN',
+                            defaultValue: 1
+                        }
+                    }
+                },
+                '---',
+                {
+                    opcode: 'i2cWrite',
+                    blockType: BlockType.COMMAND,
+                    text: formatMessage({
+                        id: 'g2s.i2cWrite',
+                        default: 'I2C write on [ADDRESS] register [REGISTER] with [DATA]',
+                        description: 'write I2C data to the connector'
+                    }),
+                    arguments: {
+                        ADDRESS: {
+                            type: ArgumentType.STRING,
+                            defaultValue: '0x00'
+                        },
+                        REGISTER: {
+                            type: ArgumentType.STRING,
+                            defaultValue: '0x00'
+                        },
+                        DATA: {
+                            type: ArgumentType.STRING,
+                            defaultValue: '0x00, 0x00'
+                        }
+                    }
+                },
+                {
+                    opcode: 'i2cReadOnce',
+                    blockType: BlockType.REPORTER,
+                    text: formatMessage({
+                        id: 'g2s.i2cReadOnce',
+                        default: 'I2C read [LENGTH] bytes from [ADDRESS] register [REGISTER]',
+                        description: 'read I2C data from the connector'
+                    }),
+                    arguments: {
+                        ADDRESS: {
+                            type: ArgumentType.STRING,
+                            defaultValue: '0x00'
+                        },
+                        REGISTER: {
+                            type: ArgumentType.STRING,
+                            defaultValue: '0x00'
+                        },
+                        LENGTH: {
+                            type: ArgumentType.NUMBER,
+                            defaultValue: 1
+                        }
+                    }
+                },
+                {
+                    opcode: 'scanI2C',
+                    blockType: BlockType.REPORTER,
+                    text: formatMessage({
+                        id: 'g2s.scanI2C',
+                        default: 'I2C devices on the bus',
+                        description: 'addresses of the I2C devices which responded'
+                    }),
+                    arguments: {
+                    }
+                },
+                {
+                    opcode: 'i2cDeviceName',
+                    blockType: BlockType.REPORTER,
+                    text: formatMessage({
+                        id: 'g2s.i2cDeviceName',
+                        default: 'name of I2C device at [ADDRESS]',
+                        description: 'name of the known I2C device at the address'
+                    }),
+                    arguments: {
+                        ADDRESS: {
+                            type: ArgumentType.STRING,
+                            defaultValue: '0x76'
+                        }
+                    }
+                },
+                {
+                    opcode: 'loadI2CDeviceProfile',
+                    blockType: BlockType.COMMAND,
+                    text: formatMessage({
+                        id: 'g2s.loadI2CDeviceProfile',
+                        default: 'load I2C device profile [PROFILE]',
+                        description: 'load a JSON profile of an I2C device'
+                    }),
+                    arguments: {
+                        PROFILE: {
+                            type: ArgumentType.STRING,
+                            defaultValue: '{"name": "ADT7410", "address": "0x48", "fields": {"temperature": ' +
+                                '{"register": "0x00", "type": "Int16", "endian": "big", "scale": 0.0078125}}}'
+                        }
+                    }
+                },
+                {
+                    opcode: 'getI2CDeviceProfileError',
+                    blockType: BlockType.REPORTER,
+                    text: formatMessage({
+                        id: 'g2s.getI2CDeviceProfileError',
+                        default: 'I2C device profile error',
+                        description: 'error in loading the last I2C device profile'
+                    }),
+                    arguments: {
+                    }
+                },
+                {
+                    opcode: 'readI2CDeviceField',
+                    blockType: BlockType.REPORTER,
+                    text: formatMessage({
+                        id: 'g2s.readI2CDeviceField',
+                        default: 'read [FIELD] of I2C device [DEVICE]',
+                        description: 'read a field of the I2C device in the loaded profile'
+                    }),
+                    arguments: {
+                        FIELD: {
+                            type: ArgumentType.STRING,
+                            defaultValue: 'temperature'
+                        },
+                        DEVICE: {
+                            type: ArgumentType.STRING,
+                            defaultValue: 'ADT7410'
+                        }
+                    }
+                },
+                '---',
+                {
+                    opcode: 'oneWireReset',
+                    blockType: BlockType.COMMAND,
+                    text: formatMessage({
+                        id: 'g2s.oneWireReset',
+                        default: 'OneWire [CONNECTOR] reset',
+                        description: 'Reset OneWire on the connector'
+                    }),
+                    arguments: {
+                        CONNECTOR: {
+                            type: ArgumentType.STRING,
+                            menu: 'oneWireConnectorMenu',
+                            defaultValue: '10'
+                        }
+                    }
+                },
+                {
+                    opcode: 'oneWireDevices',
+                    blockType: BlockType.REPORTER,
+                    text: formatMessage({
+                        id: 'g2s.oneWireDevices',
+                        default: 'OneWire devices on [CONNECTOR]',
+                        description: 'ROM IDs of the OneWire devices on the connector'
                     }),
-                    blockType: BlockType.REPORTER,
                     arguments: {
-                        LABEL: {
+                        CONNECTOR: {
                             type: ArgumentType.STRING,
-                            defaultValue: 'x'
+                            menu: 'oneWireConnectorMenu',
+                            defaultValue: '10'
                         }
                     }
                 },
                 {
-                    opcode: 'sendSharedData',
+                    opcode: 'oneWireWrite',
+                    blockType: BlockType.COMMAND,
                     text: formatMessage({
-                        id: 'g2s.sendSharedData',
-                        default: 'send data [DATA] with label [LABEL] to server',
-                        description: 'send data content with label to server'
+                        id: 'g2s.oneWireWrite',
+                        default: 'OneWire [CONNECTOR] device [DEVICE] write [DATA]',
+                        description: 'write OneWire data to the connector'
                     }),
-                    blockType: BlockType.COMMAND,
                     arguments: {
-                        LABEL: {
+                        CONNECTOR: {
                             type: ArgumentType.STRING,
-                            defaultValue: 'x'
+                            menu: 'oneWireConnectorMenu',
+                            defaultValue: '10'
+                        },
+                        DEVICE: {
+                            type: ArgumentType.STRING,
+                            defaultValue: '1'
                         },
                         DATA: {
                             type: ArgumentType.STRING,
-                            defaultValue: 'data'
+                            defaultValue: '0x00, 0x00'
                         }
                     }
                 },
-                '---',
                 {
-                    opcode: 'sendIrRemote',
+                    opcode: 'oneWireRead',
+                    blockType: BlockType.REPORTER,
                     text: formatMessage({
-                        id: 'g2s.sendIrRemote',
-                        default: 'Send built-in button [N]',
-                        description: 'Execute the built-in button of IR remote control'
+                        id: 'g2s.oneWireRead',
+                        default: 'OneWire [CONNECTOR] device [DEVICE] read [LENGTH] bytes',
+                        description: 'read OneWire data from the device on the connector'
                     }),
-                    blockType: BlockType.COMMAND,
                     arguments: {
                         CONNECTOR: {
-                            type: ArgumentType.NUMBER,
-                            menu: 'irRemoteMenuConnector',
+                            type: ArgumentType.STRING,
+                            menu: 'oneWireConnectorMenu',
+                            defaultValue: '10'
                         },
-                        N: {
+                        DEVICE: {
+                            type: ArgumentType.STRING,
+                            defaultValue: '1'
+                        },
+                        LENGTH: {
                             type: ArgumentType.NUMBER,
-                            menu: 'irRemoteMenuN',
                             defaultValue: 1
                         }
                     }
                 },
-                '---',
                 {
-                    opcode: 'i2cWrite',
-                    blockType: BlockType.COMMAND,
+                    opcode: 'oneWireWriteAndRead',
+                    blockType: BlockType.REPORTER,
                     text: formatMessage({
-                        id: 'g2s.i2cWrite',
-                        default: 'I2C write on [ADDRESS] register [REGISTER] with [DATA]',
-                        description: 'write I2C data to the connector'
+                        id: 'g2s.oneWireWriteAndRead',
+                        default: 'OneWire [CONNECTOR] device [DEVICE] write [DATA] then read [LENGTH] bytes',
+                        description: 'write OneWire data then read at the device on the connector'
                     }),
                     arguments: {
-                        ADDRESS: {
+                        CONNECTOR: {
                             type: ArgumentType.STRING,
-                            defaultValue: '0x00'
+                            menu: 'oneWireConnectorMenu',
+                            defaultValue: '10'
                         },
-                        REGISTER: {
+                        DEVICE: {
                             type: ArgumentType.STRING,
-                            defaultValue: '0x00'
+                            defaultValue: '1'
                         },
                         DATA: {
                             type: ArgumentType.STRING,
                             defaultValue: '0x00, 0x00'
+                        },
+                        LENGTH: {
+                            type: ArgumentType.NUMBER,
+                            defaultValue: 1
                         }
                     }
                 },
                 {
-                    opcode: 'i2cReadOnce',
+                    opcode: 'getOneWireError',
                     blockType: BlockType.REPORTER,
                     text: formatMessage({
-                        id: 'g2s.i2cReadOnce',
-                        default: 'I2C read [LENGTH] bytes from [ADDRESS] register [REGISTER]',
-                        description: 'read I2C data from the connector'
+                        id: 'g2s.getOneWireError',
+                        default: 'OneWire error',
+                        description: 'error in the last OneWire block'
                     }),
                     arguments: {
-                        ADDRESS: {
-                            type: ArgumentType.STRING,
-                            defaultValue: '0x00'
-                        },
-                        REGISTER: {
-                            type: ArgumentType.STRING,
-                            defaultValue: '0x00'
-                        },
-                        LENGTH: {
-                            type: ArgumentType.NUMBER,
-                            defaultValue: 1
-                        }
                     }
                 },
-                // // comment out for future reference
-                // '---',
-                // {
-                //     opcode: 'oneWireReset',
-                //     blockType: BlockType.COMMAND,
-                //     text: formatMessage({
-                //         id: 'g2s.oneWireReset',
-                //         default: 'reset OneWire [CONNECTOR]',
-                //         description: 'Reset OneWire on the connector'
-                //     }),
-                //     arguments: {
-                //         CONNECTOR: {
-                //             type: ArgumentType.STRING,
-                //             menu: 'digitalConnectorMenu'
-                //         }
-                //     }
-                // },
-                // {
-                //     opcode: 'oneWireWrite',
-                //     blockType: BlockType.COMMAND,
-                //     text: formatMessage({
-                //         id: 'g2s.oneWireWrite',
-                //         default: 'OneWire [CONNECTOR] write [DATA]',
-                //         description: 'write OneWire data to the connector'
-                //     }),
-                //     arguments: {
-                //         CONNECTOR: {
-                //             type: ArgumentType.STRING,
-                //             menu: 'digitalConnectorMenu'
-                //         },
-                //         DATA: {
-                //             type: ArgumentType.STRING,
-                //             defaultValue: '0x00, 0x00'
-                //         }
-                //     }
-                // },
-                // {
-                //     opcode: 'oneWireRead',
-                //     blockType: BlockType.REPORTER,
-                //     text: formatMessage({
-                //         id: 'g2s.oneWireRead',
-                //         default: 'OneWire [CONNECTOR] read [LENGTH] bytes',
-                //         description: 'read OneWire data from the device on the connector'
-                //     }),
-                //     arguments: {
-                //         CONNECTOR: {
-                //             type: ArgumentType.STRING,
-                //             menu: 'digitalConnectorMenu'
-                //         },
-                //         LENGTH: {
-                //             type: ArgumentType.NUMBER,
-                //             defaultValue: 1
-                //         }
-                //     }
-                // },
-                // {
-                //     opcode: 'oneWireWriteAndRead',
-                //     blockType: BlockType.REPORTER,
-                //     text: formatMessage({
-                //         id: 'g2s.oneWireWriteAndRead',
-                //         default: 'OneWire [CONNECTOR] write [DATA] then read [LENGTH] bytes',
-                //         description: 'write OneWire data then read at the device on the connector'
-                //     }),
-                //     arguments: {
-                //         CONNECTOR: {
-                //             type: ArgumentType.STRING,
-                //             menu: 'digitalConnectorMenu'
-                //         },
-                //         DATA: {
-                //             type: ArgumentType.STRING,
-                //             defaultValue: '0x00, 0x00'
-                //         },
-                //         LENGTH: {
-                //             type: ArgumentType.NUMBER,
-                //             defaultValue: 1
-                //         }
-                //     }
-                // },
                 '---',
                 {
                     opcode: 'numberAtIndex',
@@ -3411,6 +6717,34 @@ class ExtensionBlocks {
                     acceptReporters: false,
                     items: this.getBoardStateMenu()
                 },
+                axisMenu: {
+                    acceptReporters: false,
+                    items: ['X', 'Y', 'Z']
+                },
+                accelerometerRangeMenu: {
+                    acceptReporters: false,
+                    items: ['2', '4', '8', '16']
+                },
+                accelerometerDataRateMenu: {
+                    acceptReporters: false,
+                    items: ['12.5', '25', '50', '100', '200']
+                },
+                oledFillMenu: {
+                    acceptReporters: false,
+                    items: this.getOLEDFillMenu()
+                },
+                onOffMenu: {
+                    acceptReporters: false,
+                    items: this.getOnOffMenu()
+                },
+                transportMenu: {
+                    acceptReporters: false,
+                    items: this.getTransportMenu()
+                },
+                simulatorSensorMenu: {
+                    acceptReporters: false,
+                    items: this.getSimulatorSensorMenu()
+                },
                 digitalConnectorMenu: {
                     acceptReporters: false,
                     items: this.getDigitalConnectorMenu()
@@ -3459,9 +6793,97 @@ class ExtensionBlocks {
                     acceptReporters: true,
                     items: this.getNeoPixelColorModeMenu()
                 },
+                envRepeatabilityMenu: {
+                    acceptReporters: false,
+                    items: this.getEnvRepeatabilityMenu()
+                },
+                envModeMenu: {
+                    acceptReporters: false,
+                    items: this.getEnvModeMenu()
+                },
+                brightnessGainMenu: {
+                    acceptReporters: false,
+                    items: this.getBrightnessGainMenu()
+                },
+                brightnessIntegrationMenu: {
+                    acceptReporters: false,
+                    items: ['50', '100', '150', '200', '250', '300', '350', '400']
+                },
+                brightnessRateMenu: {
+                    acceptReporters: false,
+                    items: ['50', '100', '200', '500', '1000', '2000']
+                },
+                opticalDistanceProfileMenu: {
+                    acceptReporters: false,
+                    items: this.getOpticalDistanceProfileMenu()
+                },
+                opticalDistanceModeMenu: {
+                    acceptReporters: false,
+                    items: this.getOpticalDistanceModeMenu()
+                },
+                envFilterMenu: {
+                    acceptReporters: false,
+                    items: this.getEnvFilterMenu()
+                },
+                envStandbyMenu: {
+                    acceptReporters: false,
+                    items: ['0.5', '62.5', '125', '250', '500', '1000']
+                },
+                envOversamplingMenu: {
+                    acceptReporters: false,
+                    items: this.getEnvOversamplingMenu()
+                },
+                co2MeasurementMenu: {
+                    acceptReporters: false,
+                    items: this.getCO2MeasurementMenu()
+                },
+                airQualityMeasurementMenu: {
+                    acceptReporters: false,
+                    items: this.getAirQualityMeasurementMenu()
+                },
+                oneWireConnectorMenu: {
+                    acceptReporters: false,
+                    items: this.getDigitalConnectorMenu().filter(item => !isNaN(Number(item.value)))
+                },
+                ultrasonicConnectorMenu: {
+                    acceptReporters: false,
+                    items: this.getDigitalConnectorMenu().filter(item => !isNaN(Number(item.value)))
+                },
+                waterTempConnectorMenu: {
+                    acceptReporters: false,
+                    items: this.getDigitalPortMenu()
+                },
+                digitalPortMenu: {
+                    acceptReporters: false,
+                    items: this.getDigitalPortMenu()
+                },
+                waterTempResolutionMenu: {
+                    acceptReporters: false,
+                    items: ['9', '10', '11', '12']
+                },
+                colorChannelMenu: {
+                    acceptReporters: false,
+                    items: this.getColorChannelMenu()
+                },
+                gestureMenu: {
+                    acceptReporters: false,
+                    items: this.getGestureMenu()
+                },
+                adt7410ResolutionMenu: {
+                    acceptReporters: false,
+                    items: ['13', '16']
+                },
+                adt7410ModeMenu: {
+                    acceptReporters: false,
+                    items: this.getADT7410ModeMenu()
+                },
+                adt7410AlarmMenu: {
+                    acceptReporters: false,
+                    items: this.getADT7410AlarmMenu()
+                },
                 bytesTypeMenu: {
                     acceptReporters: false,
-                    items: ['Int16', 'Uint16']
+                    items: ['Int16', 'Uint16', 'Int32', 'float']
                 },
                 endianMenu: {
                     acceptReporters: false,
@@ -3484,28 +6906,600 @@ class ExtensionBlocks {
                     items: ['1', '2', '3', '4', '5', '6', '7', '8', '9']
                 }
             }
-        };
+        };
+    }
+
+    /**
+     * Returns menu items for board state.
+     * @returns {Array<object>} menu items
+     */
+    getBoardStateMenu () {
+        return [
+            {
+                text: formatMessage({
+                    id: 'g2s.boardState.connected',
+                    default: 'connected'
+                }),
+                value: 'connected'
+            },
+            {
+                text: formatMessage({
+                    id: 'g2s.boardState.disconnected',
+                    default: 'disconnected'
+                }),
+                value: 'disconnected'
+            }
+        ];
+    }
+
+    /**
+     * Returns menu items for the style of the rectangle on the OLED display.
+     * @returns {Array<object>} menu items
+     */
+    getOLEDFillMenu () {
+        return [
+            {
+                text: formatMessage({
+                    id: 'g2s.oledFillMenu.outline',
+                    default: 'outline'
+                }),
+                value: 'outline'
+            },
+            {
+                text: formatMessage({
+                    id: 'g2s.oledFillMenu.fill',
+                    default: 'fill'
+                }),
+                value: 'fill'
+            }
+        ];
+    }
+
+    /**
+     * Returns menu items for on or off.
+     * @returns {Array<object>} menu items
+     */
+    getOnOffMenu () {
+        return [
+            {
+                text: formatMessage({
+                    id: 'g2s.onOff.on',
+                    default: 'on'
+                }),
+                value: 'on'
+            },
+            {
+                text: formatMessage({
+                    id: 'g2s.onOff.off',
+                    default: 'off'
+                }),
+                value: 'off'
+            }
+        ];
+    }
+
+    /**
+     * Returns menu items for repeatability of the environment sensor.
+     * @returns {Array<object>} menu items
+     */
+    getEnvRepeatabilityMenu () {
+        return [
+            {
+                text: formatMessage({
+                    id: 'g2s.envRepeatabilityMenu.high',
+                    default: 'high'
+                }),
+                value: 'high'
+            },
+            {
+                text: formatMessage({
+                    id: 'g2s.envRepeatabilityMenu.medium',
+                    default: 'medium'
+                }),
+                value: 'medium'
+            },
+            {
+                text: formatMessage({
+                    id: 'g2s.envRepeatabilityMenu.low',
+                    default: 'low'
+                }),
+                value: 'low'
+            }
+        ];
+    }
+
+    /**
+     * Returns menu items for range profile of VL53L0X.
+     * @returns {Array<object>} menu items
+     */
+    getOpticalDistanceProfileMenu () {
+        return [
+            {
+                text: formatMessage({
+                    id: 'g2s.opticalDistanceProfileMenu.longRange',
+                    default: 'long range'
+                }),
+                value: 'LONG_RANGE'
+            },
+            {
+                text: formatMessage({
+                    id: 'g2s.opticalDistanceProfileMenu.highSpeed',
+                    default: 'high speed'
+                }),
+                value: 'HIGH_SPEED'
+            },
+            {
+                text: formatMessage({
+                    id: 'g2s.opticalDistanceProfileMenu.highAccuracy',
+                    default: 'high accuracy'
+                }),
+                value: 'HIGH_ACCURACY'
+            }
+        ];
+    }
+
+    /**
+     * Returns menu items for distance mode of VL53L1X.
+     * @returns {Array<object>} menu items
+     */
+    getOpticalDistanceModeMenu () {
+        return [
+            {
+                text: formatMessage({
+                    id: 'g2s.opticalDistanceModeMenu.short',
+                    default: 'short'
+                }),
+                value: 'SHORT'
+            },
+            {
+                text: formatMessage({
+                    id: 'g2s.opticalDistanceModeMenu.medium',
+                    default: 'medium'
+                }),
+                value: 'MEDIUM'
+            },
+            {
+                text: formatMessage({
+                    id: 'g2s.opticalDistanceModeMenu.long',
+                    default: 'long'
+                }),
+                value: 'LONG'
+            }
+        ];
+    }
+
+    /**
+     * Returns menu items for gain of LTR303.
+     * @returns {Array<object>} menu items
+     */
+    getBrightnessGainMenu () {
+        return [
+            {
+                text: formatMessage({
+                    id: 'g2s.brightnessGainMenu.auto',
+                    default: 'auto'
+                }),
+                value: 'auto'
+            },
+            ...['1', '2', '4', '8', '48', '96'].map(gain => ({text: `×${gain}`, value: gain}))
+        ];
+    }
+
+    /**
+     * Returns menu items for operating mode of BME280.
+     * @returns {Array<object>} menu items
+     */
+    getEnvModeMenu () {
+        return [
+            {
+                text: formatMessage({
+                    id: 'g2s.envModeMenu.normal',
+                    default: 'normal'
+                }),
+                value: 'normal'
+            },
+            {
+                text: formatMessage({
+                    id: 'g2s.envModeMenu.forced',
+                    default: 'forced'
+                }),
+                value: 'forced'
+            }
+        ];
     }
 
     /**
-     * Returns menu items for board state.
+     * Returns menu items for coefficient of the IIR filter of BME280.
      * @returns {Array<object>} menu items
      */
-    getBoardStateMenu () {
+    getEnvFilterMenu () {
         return [
             {
                 text: formatMessage({
-                    id: 'g2s.boardState.connected',
-                    default: 'connected'
+                    id: 'g2s.envFilterMenu.off',
+                    default: 'off'
                 }),
-                value: 'connected'
+                value: '0'
             },
+            ...['2', '4', '8', '16'].map(coefficient => ({text: coefficient, value: coefficient}))
+        ];
+    }
+
+    /**
+     * Returns menu items for oversampling of BME280.
+     * @returns {Array<object>} menu items
+     */
+    getEnvOversamplingMenu () {
+        return [
             {
                 text: formatMessage({
-                    id: 'g2s.boardState.disconnected',
-                    default: 'disconnected'
+                    id: 'g2s.envOversamplingMenu.skip',
+                    default: 'skip'
                 }),
-                value: 'disconnected'
+                value: '0'
+            },
+            ...['1', '2', '4', '8', '16'].map(ratio => ({text: `x${ratio}`, value: ratio}))
+        ];
+    }
+
+    /**
+     * Returns menu items to select Digital A or B connector by its first pin.
+     * @returns {Array<object>} menu items
+     */
+    getDigitalPortMenu () {
+        const digitalPrefix = formatMessage({
+            id: 'g2s.digitalConnector.prefix',
+            default: 'Digital'
+        });
+        return [
+            {
+                text: `${digitalPrefix}A`,
+                value: '10'
+            },
+            {
+                text: `${digitalPrefix}B`,
+                value: '6'
+            }
+        ];
+    }
+
+    /**
+     * Returns menu items for channels of the color sensor.
+     * @returns {Array<object>} menu items
+     */
+    getColorChannelMenu () {
+        return [
+            {
+                text: formatMessage({
+                    id: 'g2s.colorChannelMenu.red',
+                    default: 'red'
+                }),
+                value: 'red'
+            },
+            {
+                text: formatMessage({
+                    id: 'g2s.colorChannelMenu.green',
+                    default: 'green'
+                }),
+                value: 'green'
+            },
+            {
+                text: formatMessage({
+                    id: 'g2s.colorChannelMenu.blue',
+                    default: 'blue'
+                }),
+                value: 'blue'
+            },
+            {
+                text: formatMessage({
+                    id: 'g2s.colorChannelMenu.clear',
+                    default: 'clear'
+                }),
+                value: 'clear'
+            }
+        ];
+    }
+
+    /**
+     * Returns menu items for directions of the gesture.
+     * @returns {Array<object>} menu items
+     */
+    getGestureMenu () {
+        return [
+            {
+                text: formatMessage({
+                    id: 'g2s.gestureMenu.UP',
+                    default: 'up'
+                }),
+                value: 'UP'
+            },
+            {
+                text: formatMessage({
+                    id: 'g2s.gestureMenu.DOWN',
+                    default: 'down'
+                }),
+                value: 'DOWN'
+            },
+            {
+                text: formatMessage({
+                    id: 'g2s.gestureMenu.LEFT',
+                    default: 'left'
+                }),
+                value: 'LEFT'
+            },
+            {
+                text: formatMessage({
+                    id: 'g2s.gestureMenu.RIGHT',
+                    default: 'right'
+                }),
+                value: 'RIGHT'
+            }
+        ];
+    }
+
+    /**
+     * Returns menu items for measurements of the CO2 sensor.
+     * @returns {Array<object>} menu items
+     */
+    getCO2MeasurementMenu () {
+        return [
+            {
+                text: formatMessage({
+                    id: 'g2s.co2MeasurementMenu.co2',
+                    default: 'CO2 (ppm)'
+                }),
+                value: 'co2'
+            },
+            {
+                text: formatMessage({
+                    id: 'g2s.co2MeasurementMenu.temperature',
+                    default: 'temperature (°C)'
+                }),
+                value: 'temperature'
+            },
+            {
+                text: formatMessage({
+                    id: 'g2s.co2MeasurementMenu.humidity',
+                    default: 'humidity (%)'
+                }),
+                value: 'humidity'
+            }
+        ];
+    }
+
+    /**
+     * Returns menu items for measurements of the air quality sensor.
+     * @returns {Array<object>} menu items
+     */
+    getAirQualityMeasurementMenu () {
+        return [
+            {
+                text: formatMessage({
+                    id: 'g2s.airQualityMeasurementMenu.eco2',
+                    default: 'eCO2 (ppm)'
+                }),
+                value: 'eco2'
+            },
+            {
+                text: formatMessage({
+                    id: 'g2s.airQualityMeasurementMenu.tvoc',
+                    default: 'TVOC (ppb)'
+                }),
+                value: 'tvoc'
+            }
+        ];
+    }
+
+    /**
+     * Returns menu items for conversion mode of ADT7410.
+     * @returns {Array<object>} menu items
+     */
+    getADT7410ModeMenu () {
+        return [
+            {
+                text: formatMessage({
+                    id: 'g2s.adt7410ModeMenu.continuous',
+                    default: 'continuous'
+                }),
+                value: 'continuous'
+            },
+            {
+                text: formatMessage({
+                    id: 'g2s.adt7410ModeMenu.oneShot',
+                    default: 'one-shot'
+                }),
+                value: 'one-shot'
+            }
+        ];
+    }
+
+    /**
+     * Returns menu items for alarms of ADT7410.
+     * @returns {Array<object>} menu items
+     */
+    getADT7410AlarmMenu () {
+        return [
+            {
+                text: formatMessage({
+                    id: 'g2s.adt7410AlarmMenu.high',
+                    default: 'over'
+                }),
+                value: 'high'
+            },
+            {
+                text: formatMessage({
+                    id: 'g2s.adt7410AlarmMenu.low',
+                    default: 'under'
+                }),
+                value: 'low'
+            }
+        ];
+    }
+
+    /**
+     * Returns menu items to select a transport.
+     * @returns {Array<object>} menu items
+     */
+    getTransportMenu () {
+        return [
+            {
+                text: 'USB MIDI',
+                value: 'midi'
+            },
+            {
+                text: formatMessage({
+                    id: 'g2s.transport.serial',
+                    default: 'USB serial'
+                }),
+                value: 'serial'
+            },
+            {
+                text: 'Bluetooth',
+                value: 'ble'
+            },
+            {
+                text: 'WebSocket',
+                value: 'websocket'
+            },
+            {
+                text: formatMessage({
+                    id: 'g2s.transport.simulator',
+                    default: 'simulator'
+                }),
+                value: 'simulator'
+            }
+        ];
+    }
+
+    /**
+     * Returns menu items to select a sensor of the simulator.
+     * @returns {Array<object>} menu items
+     */
+    getSimulatorSensorMenu () {
+        const digitalPrefix = formatMessage({
+            id: 'g2s.digitalConnector.prefix',
+            default: 'Digital'
+        });
+        const analogPrefix = formatMessage({
+            id: 'g2s.analogConnector.prefix',
+            default: 'Analog'
+        });
+        return [
+            {
+                text: formatMessage({
+                    id: 'g2s.simulatorSensor.temperature',
+                    default: 'temperature (℃)'
+                }),
+                value: 'temperature'
+            },
+            {
+                text: formatMessage({
+                    id: 'g2s.simulatorSensor.humidity',
+                    default: 'humidity (%)'
+                }),
+                value: 'humidity'
+            },
+            {
+                text: formatMessage({
+                    id: 'g2s.simulatorSensor.pressure',
+                    default: 'pressure (hPa)'
+                }),
+                value: 'pressure'
+            },
+            {
+                text: formatMessage({
+                    id: 'g2s.simulatorSensor.brightness',
+                    default: 'brightness (lx)'
+                }),
+                value: 'brightness'
+            },
+            {
+                text: formatMessage({
+                    id: 'g2s.simulatorSensor.accelerationX',
+                    default: 'acceleration X (m/s^2)'
+                }),
+                value: 'accelerationX'
+            },
+            {
+                text: formatMessage({
+                    id: 'g2s.simulatorSensor.accelerationY',
+                    default: 'acceleration Y (m/s^2)'
+                }),
+                value: 'accelerationY'
+            },
+            {
+                text: formatMessage({
+                    id: 'g2s.simulatorSensor.accelerationZ',
+                    default: 'acceleration Z (m/s^2)'
+                }),
+                value: 'accelerationZ'
+            },
+            {
+                text: formatMessage({
+                    id: 'g2s.simulatorSensor.distanceLight',
+                    default: 'distance by laser (cm)'
+                }),
+                value: 'distanceLight'
+            },
+            {
+                text: formatMessage({
+                    id: 'g2s.simulatorSensor.ultrasonicA',
+                    default: 'ultrasonic on A (cm)'
+                }),
+                value: 'ultrasonicA'
+            },
+            {
+                text: formatMessage({
+                    id: 'g2s.simulatorSensor.ultrasonicB',
+                    default: 'ultrasonic on B (cm)'
+                }),
+                value: 'ultrasonicB'
+            },
+            {
+                text: formatMessage({
+                    id: 'g2s.simulatorSensor.waterTempA',
+                    default: 'water temperature on A (℃)'
+                }),
+                value: 'waterTempA'
+            },
+            {
+                text: formatMessage({
+                    id: 'g2s.simulatorSensor.waterTempB',
+                    default: 'water temperature on B (℃)'
+                }),
+                value: 'waterTempB'
+            },
+            {
+                text: `${digitalPrefix}A (A1)`,
+                value: 'digital10'
+            },
+            {
+                text: `${digitalPrefix}A (A2)`,
+                value: 'digital11'
+            },
+            {
+                text: `${digitalPrefix}B (B1)`,
+                value: 'digital6'
+            },
+            {
+                text: `${digitalPrefix}B (B2)`,
+                value: 'digital9'
+            },
+            {
+                text: `${analogPrefix}0`,
+                value: 'analog0'
+            },
+            {
+                text: `${analogPrefix}1`,
+                value: 'analog1'
+            },
+            {
+                text: `${analogPrefix}2`,
+                value: 'analog2'
+            },
+            {
+                text: `${analogPrefix}3`,
+                value: 'analog3'
             }
         ];
     }
@@ -3986,5 +7980,14 @@ const toHankakuAlnum = s => s.replace(/[\uFF10-\uFF19\uFF21-\uFF3A\uFF41-\uFF5A]
 
 export {
     ExtensionBlocks as default,
-    ExtensionBlocks as blockClass
+    ExtensionBlocks as blockClass,
+    integer64From,
+    numericArrayToString,
+    readAsNumericArray,
+    getRainbowColor,
+    parseColor,
+    normalizeID,
+    toHankakuAlnum,
+    oneWireROMToString,
+    parseOneWireROM
 };
@@ -24,6 +24,17 @@ const KXTJ3_DATA_CNTL_OSA_50HZ = (2 << 0);
 const KXTJ3_WAI_VAL = (0x35);
 const KXTJ3_DATA_CNTL_VAL = KXTJ3_DATA_CNTL_OSA_50HZ;
 
+/**
+ * Output data rate settings by the rate [Hz].
+ */
+const KXTJ3_DATA_CNTL_BY_RATE = {
+    12.5: 0x00,
+    25: 0x01,
+    50: 0x02,
+    100: 0x03,
+    200: 0x04
+};
+
 const KXTJ3_CNTL1_EN16GMASK = 0x04;
 const KXTJ3_CNTL1_GSELMASK = 0x18;
 const KXTJ3_CNTL1_GSEL_14BIT = 0x18;
@@ -74,6 +85,37 @@ export default class KXTJ3 {
          * @type {number}
          */
         this.regCtrl1 = 0;
+
+        /**
+         * Value of register data control.
+         *
+         * @type {number}
+         */
+        this.regDataCtrl = KXTJ3_DATA_CNTL_VAL;
+
+        /**
+         * Continuous reading of the acceleration data.
+         *
+         * @type {?I2CSubscription}
+         */
+        this.subscription = null;
+    }
+
+    /**
+     * Start continuous reading of the acceleration data.
+     */
+    subscribe () {
+        if (this.subscription) return;
+        this.subscription = this.board.i2cSubscribe(this.address, KXTJ3_XOUT_L, KXTJ3_READ_DATA_SIZE);
+    }
+
+    /**
+     * Stop the continuous reading.
+     */
+    unsubscribe () {
+        if (!this.subscription) return;
+        this.subscription.unsubscribe();
+        this.subscription = null;
     }
 
     /**
@@ -96,9 +138,10 @@ export default class KXTJ3 {
      * Initialize the device.
      *
      * @param {number} range Range of gravity sensing. [ 2 | 4 | 8 | 16 ]
+     * @param {number} dataRate Output data rate [Hz]. [ 12.5 | 25 | 50 | 100 | 200 ]
      */
-    async init (range) {
-        const ctrl1 = await this.initDevice(range);
+    async init (range, dataRate) {
+        const ctrl1 = await this.initDevice(range, dataRate);
         this.setupParameters(ctrl1);
         await this.start();
     }
@@ -107,9 +150,10 @@ export default class KXTJ3 {
      * Set initial settings for the device.
      *
      * @param {number} range Range of gravity sensing. [ 2 | 4 | 8 | 16 ]
+     * @param {number} dataRate Output data rate [Hz], 50 Hz when it is not supported.
      * @returns {Promise<number | string>} Resolves control register 1 or error message.
      */
-    async initDevice (range){
+    async initDevice (range, dataRate){
         if (KXTJ3_WAI_VAL !== (await this.read(KXTJ3_WHO_AM_I, 1))[0]) throw new Error('not KXTJ3');
         let gSelection = 0;
         switch (range) {
@@ -131,7 +175,10 @@ export default class KXTJ3 {
         }
         const ctrl1Value = (KXTJ3_CNTL1_RES_LOWPOWER | gSelection);
         await this.write(KXTJ3_CNTL1, [ctrl1Value]);
-        await this.write(KXTJ3_DATA_CNTL, [KXTJ3_DATA_CNTL_VAL]);
+        this.regDataCtrl = (dataRate in KXTJ3_DATA_CNTL_BY_RATE) ?
+            KXTJ3_DATA_CNTL_BY_RATE[dataRate] :
+            KXTJ3_DATA_CNTL_VAL;
+        await this.write(KXTJ3_DATA_CNTL, [this.regDataCtrl]);
         const data = await this.read(KXTJ3_CNTL1, 1);
         return data[0];
     }
@@ -146,7 +193,7 @@ export default class KXTJ3 {
         const resolution = (ctrl1 & KXTJ3_CNTL1_RES_MASK);
         const gSelection = (ctrl1 & KXTJ3_CNTL1_GSELMASK);
         const en16g = (ctrl1 & KXTJ3_CNTL1_EN16GMASK);
-        const outputDataRate = (KXTJ3_DATA_CNTL_OSAA_CLEAR & KXTJ3_DATA_CNTL_VAL);
+        const outputDataRate = (KXTJ3_DATA_CNTL_OSAA_CLEAR & this.regDataCtrl);
         if (resolution === KXTJ3_CNTL1_RES_LOWPOWER) {
             if ((gSelection === KXTJ3_CNTL1_GSEL_14BIT) || (outputDataRate > KXTJ3_DATA_CNTL_ODRCHECK)) {
                 throw new Error('KXTJ3 setting parameter error');
@@ -208,6 +255,8 @@ export default class KXTJ3 {
      * @returns {Promise<number>} a Promise which resolves read value
      */
     read (register, readLength) {
+        const latest = this.subscription ? this.subscription.dataAt(register, readLength) : null;
+        if (latest) return Promise.resolve(latest);
         return this.board.i2cReadOnce(this.address, register, readLength);
     }
 
@@ -0,0 +1,211 @@
+/**
+ * LSM6DS3 API
+ * 6-axis accelerometer and gyroscope by STMicroelectronics
+ * This code refer to
+ * https://github.com/adafruit/Adafruit_LSM6DS
+ */
+
+/**
+ * default I2C address
+ * @enum {number}
+ */
+const LSM6DS3_ADDRESS = 0x6A;
+
+// registers
+const LSM6DS3_REG_WHO_AM_I = 0x0F;
+const LSM6DS3_REG_CTRL1_XL = 0x10;
+const LSM6DS3_REG_CTRL2_G = 0x11;
+const LSM6DS3_REG_CTRL3_C = 0x12;
+const LSM6DS3_REG_OUTX_L_G = 0x22;
+
+/**
+ * WHO_AM_I of LSM6DS3 and LSM6DS3TR-C / LSM6DSO which have the same registers.
+ */
+const LSM6DS3_IDS = [0x69, 0x6A, 0x6C];
+
+/**
+ * FS_XL of CTRL1_XL and the sensitivity [mG/LSB] by the range [G].
+ */
+const ACCELERATION_RANGES = {
+    2: {bits: 0x00, sensitivity: 0.061},
+    4: {bits: 0x08, sensitivity: 0.122},
+    8: {bits: 0x0C, sensitivity: 0.244},
+    16: {bits: 0x04, sensitivity: 0.488}
+};
+
+/**
+ * ODR of CTRL1_XL and CTRL2_G by the rate [Hz], the nearest one is used.
+ */
+const DATA_RATES = {
+    12.5: 0x10,
+    25: 0x20,
+    50: 0x30,
+    100: 0x40,
+    200: 0x50
+};
+
+/**
+ * Angular rate [degree/s] of a LSB in the range of 500 degree/s.
+ */
+const ANGULAR_RATE_SCALE = 17.5 / 1000;
+
+/**
+ * Return a Promise which resolves after the time.
+ * @param {number} time - waiting time [milliseconds]
+ * @returns {Promise} a Promise which resolves after the time
+ */
+const wait = time => new Promise(resolve => setTimeout(resolve, time));
+
+/**
+ * This class is representing a LSM6DS3.
+ */
+export default class LSM6DS3 {
+    /**
+     * Constructor of LSM6DS3 instance.
+     * @param {AkaDakoBoard} board - connecting AkaDako board
+     * @param {number} address - I2C address
+     */
+    constructor (board, address = LSM6DS3_ADDRESS) {
+
+        /**
+         * Connecting AkaDako board
+         * @type {import('./akadako-board').default}
+         */
+        this.board = board;
+
+        /**
+         * I2C address
+         * @type {number}
+         */
+        this.address = address;
+
+        /**
+         * Timeout for readings in milliseconds.
+         * @type {number}
+         */
+        this.timeout = 200;
+
+        /**
+         * Acceleration [m/s^2] of a LSB.
+         * @type {number}
+         */
+        this.accelerationScale = ACCELERATION_RANGES[8].sensitivity * 9.80665 / 1000;
+
+        /**
+         * Continuous reading of the angular rate and the acceleration.
+         * @type {?I2CSubscription}
+         */
+        this.subscription = null;
+    }
+
+    /**
+     * Check if a LSM6DS3 is connected.
+     * @param {AkadakoBoard} board - connecting akadako board
+     * @returns {Promise<boolean>} A Promise which resolves true if the device is LSM6DS3, false otherwise.
+     */
+    static async isConnected (board) {
+        try {
+            const lsm6ds3 = new LSM6DS3(board);
+            return LSM6DS3_IDS.includes(await lsm6ds3.readID());
+        } catch (error) {
+            return false;
+        }
+    }
+
+    /**
+     * Read ID of the sensor.
+     * @returns {Promise<number>} a Promise which resolves device ID
+     */
+    async readID () {
+        const data = await this.board.i2cReadOnce(this.address, LSM6DS3_REG_WHO_AM_I, 1, this.timeout);
+        return data[0];
+    }
+
+    /**
+     * Initialize the sensor, the gyroscope is in 500 degree/s.
+     * The data rate is the nearest one of 12.5, 26, 52, 104 or 208 Hz.
+     * @param {number} range - range [G] in 2, 4, 8 or 16, it is 8 when it was not supported
+     * @param {number} dataRate - output data rate [Hz] in 12.5, 25, 50, 100 or 200, it is 100 when it was not supported
+     * @returns {Promise} a Promise which resolves when the sensor was initialized
+     */
+    async init (range, dataRate) {
+        const accelerationRange = (range in ACCELERATION_RANGES) ? ACCELERATION_RANGES[range] : ACCELERATION_RANGES[8];
+        const rateBits = (dataRate in DATA_RATES) ? DATA_RATES[dataRate] : DATA_RATES[100];
+        const id = await this.readID();
+        if (!LSM6DS3_IDS.includes(id)) return Promise.reject(`0x${this.address.toString(16)} is not LSM6DS3`);
+        // software reset
+        await this.board.i2cWrite(this.address, LSM6DS3_REG_CTRL3_C, 0x01);
+        await wait(10);
+        // block data update and auto increment of the address
+        await this.board.i2cWrite(this.address, LSM6DS3_REG_CTRL3_C, 0x44);
+        await this.board.i2cWrite(this.address, LSM6DS3_REG_CTRL1_XL, rateBits | accelerationRange.bits);
+        // 500 degree/s
+        await this.board.i2cWrite(this.address, LSM6DS3_REG_CTRL2_G, rateBits | 0x04);
+        this.accelerationScale = accelerationRange.sensitivity * 9.80665 / 1000;
+    }
+
+    /**
+     * Decode the registers from OUTX_L_G.
+     * @param {Array<number>} data - 12 bytes of angular rate and acceleration
+     * @returns {{acceleration: {x: number, y: number, z: number}, angularRate: {x: number, y: number, z: number}}}
+     * acceleration [m/s^2] and angular rate [degree/s]
+     */
+    decode (data) {
+        const dataView = new DataView(new Uint8Array(data).buffer);
+        const axes = (offset, scale) => ({
+            x: dataView.getInt16(offset, true) * scale,
+            y: dataView.getInt16(offset + 2, true) * scale,
+            z: dataView.getInt16(offset + 4, true) * scale
+        });
+        return {
+            acceleration: axes(6, this.accelerationScale),
+            angularRate: axes(0, ANGULAR_RATE_SCALE)
+        };
+    }
+
+    /**
+     * Start continuous reading of the angular rate and the acceleration.
+     * @param {?function(object)} listener - called with the decoded motion at every reading
+     */
+    subscribe (listener = null) {
+        if (this.subscription) return;
+        this.subscription = this.board.i2cSubscribe(this.address, LSM6DS3_REG_OUTX_L_G, 12,
+            listener ? data => listener(this.decode(data)) : null);
+    }
+
+    /**
+     * Stop the continuous reading.
+     */
+    unsubscribe () {
+        if (!this.subscription) return;
+        this.subscription.unsubscribe();
+        this.subscription = null;
+    }
+
+    /**
+     * Read the latest acceleration and angular rate.
+     * @returns {Promise<{acceleration: object, angularRate: object}>} a Promise which resolves the motion
+     */
+    async readMotion () {
+        const latest = this.subscription ? this.subscription.dataAt(LSM6DS3_REG_OUTX_L_G, 12) : null;
+        const data = latest ? latest :
+            await this.board.i2cReadOnce(this.address, LSM6DS3_REG_OUTX_L_G, 12, this.timeout);
+        return this.decode(data);
+    }
+
+    /**
+     * Return latest acceleration.
+     * @returns {Promise<{x: number, y: number, z: number}>} a Promise which resolves acceleration [m/s^2]
+     */
+    async getAcceleration () {
+        return (await this.readMotion()).acceleration;
+    }
+
+    /**
+     * Return latest angular rate.
+     * @returns {Promise<{x: number, y: number, z: number}>} a Promise which resolves angular rate [degree/s]
+     */
+    async getAngularRate () {
+        return (await this.readMotion()).angularRate;
+    }
+}
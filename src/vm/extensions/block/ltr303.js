@@ -1,10 +1,88 @@
 /**
- * acceleration sensor LTR303 API
+ * ambient light sensor LTR303 API
  */
 
 const ADDR = 0x29;
 const ID_REG = 0x86;
 const ID = 0xA0;
+const MANUFAC_ID_REG = 0x87;
+const MANUFAC_ID = 0x05;
+
+// registers
+const ALS_CONTR = 0x80;
+const ALS_MEAS_RATE = 0x85;
+const ALS_DATA_CH1_0 = 0x88;
+const INTERRUPT = 0x8F;
+const ALS_THRES_UP_0 = 0x97;
+const ALS_THRES_LOW_0 = 0x99;
+const INTERRUPT_PERSIST = 0x9E;
+
+/**
+ * ALS_GAIN bits of ALS_CONTR and ALS_STATUS by the gain.
+ */
+const GAIN_BITS = {
+    1: 0x00,
+    2: 0x01,
+    4: 0x02,
+    8: 0x03,
+    48: 0x06,
+    96: 0x07
+};
+
+/**
+ * Gains in order for the automatic gain ranging.
+ */
+const GAINS = [1, 2, 4, 8, 48, 96];
+
+/**
+ * ALS_INT bits of ALS_MEAS_RATE by the integration time [milliseconds].
+ */
+const INTEGRATION_TIME_BITS = {
+    50: 0x01,
+    100: 0x00,
+    150: 0x04,
+    200: 0x02,
+    250: 0x05,
+    300: 0x06,
+    350: 0x07,
+    400: 0x03
+};
+
+/**
+ * ALS_MEAS_RATE bits of ALS_MEAS_RATE by the measurement rate [milliseconds].
+ */
+const MEASUREMENT_RATE_BITS = {
+    50: 0x00,
+    100: 0x01,
+    200: 0x02,
+    500: 0x03,
+    1000: 0x04,
+    2000: 0x05
+};
+
+/**
+ * Maximum count of the channels, it means the channel was saturated.
+ */
+const MAX_COUNT = 0xFFFF;
+
+/**
+ * Counts of CH0 to change the gain in the automatic gain ranging.
+ * The gain is lowered above the upper and raised when the raised one would be below the upper.
+ */
+const AUTO_GAIN_UPPER_COUNT = 0xC000;
+
+/**
+ * Coefficient of CH0 for lux when the ratio of CH1 is small, it is used to convert lux to the thresholds.
+ */
+const CH0_LUX_COEFFICIENT = 1.7743;
+
+/**
+ * @typedef {object} LTR303Settings
+ * @property {number | string} gain - gain [1 | 2 | 4 | 8 | 48 | 96] or 'auto' for the automatic gain ranging
+ * @property {number} integrationTime - integration time [50 | 100 | 150 | 200 | 250 | 300 | 350 | 400 ms]
+ * @property {number} measurementRate - measurement rate [50 | 100 | 200 | 500 | 1000 | 2000 ms],
+ * it is the integration time at least
+ */
 
 /**
  * This class is representing a LTR303.
@@ -33,15 +111,132 @@ export default class LTR303 {
          * @type {number}
          */
         this.timeout = 200;
+
+        /**
+         * Continuous reading of the channel data.
+         * @type {?I2CSubscription}
+         */
+        this.subscription = null;
+
+        /**
+         * Current settings.
+         * @type {LTR303Settings}
+         */
+        this.settings = {
+            gain: 1,
+            integrationTime: 100,
+            measurementRate: 500
+        };
+
+        /**
+         * Gain which is set to the sensor.
+         * @type {number}
+         */
+        this.gain = 1;
+
+        /**
+         * Whether a channel of the last reading was saturated.
+         * @type {boolean}
+         */
+        this.saturated = false;
+
+        /**
+         * Thresholds of the interrupt [lx], null when the interrupt is off.
+         * @type {?{upper: number, lower: number}}
+         */
+        this.thresholds = null;
+
+        /**
+         * Whether the interrupt was asserted in the readings after the last takeInterrupt().
+         * @type {boolean}
+         */
+        this.interrupted = false;
     }
 
     /**
-     * Initialize the sensor
+     * Activate the sensor and start continuous reading of the channel data and the status.
+     * @returns {Promise} a Promise which resolves when the reading was requested
+     */
+    async subscribe () {
+        if (this.subscription) return;
+        // CH1, CH0 and ALS_STATUS in a burst
+        this.subscription = this.board.i2cSubscribe(this.address, ALS_DATA_CH1_0, 5, data => {
+            // the interrupt is cleared by the reading, so it is kept until it was taken
+            if (data[4] & 0x08) this.interrupted = true;
+        });
+    }
+
+    /**
+     * Stop the continuous reading.
+     */
+    unsubscribe () {
+        if (!this.subscription) return;
+        this.subscription.unsubscribe();
+        this.subscription = null;
+    }
+
+    /**
+     * Check if a LTR303 is connected by the part ID and the manufacturer ID.
+     * Only 8-bit registers are read, so a device of the other type at the address is not changed.
+     * @param {AkadakoBoard} board - connecting akadako board
+     * @param {number} address - I2C address to check
+     * @returns {Promise<boolean>} A Promise which resolves true if the device is LTR303, false otherwise.
+     */
+    static async isConnected (board, address = ADDR) {
+        try {
+            const partID = await board.i2cReadOnce(address, ID_REG, 1, 200);
+            if ((partID[0] & 0xF0) !== ID) return false;
+            const manufacID = await board.i2cReadOnce(address, MANUFAC_ID_REG, 1, 200);
+            return manufacID[0] === MANUFAC_ID;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    /**
+     * Initialize the sensor and activate it.
+     * @param {object} settings - some of LTR303Settings to change from the default
      * @returns {Promise} a Promise which resolves when the sensor was initialized
      */
-    async init () {
+    async init (settings = {}) {
         const id = await this.readID();
         if (id !== ID) return Promise.reject(`0x${this.address.toString(16)} is not LTR303`);
+        await this.configure(settings);
+    }
+
+    /**
+     * Change the settings and write them.
+     * Unsupported values are ignored.
+     * @param {object} settings - some of LTR303Settings
+     * @returns {Promise} a Promise which resolves when the settings were written
+     */
+    async configure (settings = {}) {
+        const next = Object.assign({}, this.settings);
+        if (settings.gain === 'auto' || settings.gain in GAIN_BITS) {
+            next.gain = (settings.gain === 'auto') ? 'auto' : Number(settings.gain);
+        }
+        if (settings.integrationTime in INTEGRATION_TIME_BITS) next.integrationTime = Number(settings.integrationTime);
+        if (settings.measurementRate in MEASUREMENT_RATE_BITS) next.measurementRate = Number(settings.measurementRate);
+        // the measurement rate must not be shorter than the integration time
+        next.measurementRate = Object.keys(MEASUREMENT_RATE_BITS)
+            .map(Number)
+            .find(rate => rate >= Math.max(next.measurementRate, next.integrationTime));
+        this.settings = next;
+        await this.board.i2cWrite(this.address, ALS_MEAS_RATE,
+            (INTEGRATION_TIME_BITS[next.integrationTime] << 3) | MEASUREMENT_RATE_BITS[next.measurementRate]);
+        await this.setGain((next.gain === 'auto') ? this.gain : next.gain);
+    }
+
+    /**
+     * Set the gain and activate the sensor.
+     * The thresholds of the interrupt are rewritten in the new gain.
+     * @param {number} gain - gain [1 | 2 | 4 | 8 | 48 | 96]
+     * @returns {Promise} a Promise which resolves when the gain was written
+     */
+    async setGain (gain) {
+        await this.board.i2cWrite(this.address, ALS_CONTR, (GAIN_BITS[gain] << 2) | 0x01);
+        this.gain = gain;
+        if (this.thresholds) await this.writeThresholds();
     }
 
     /**
@@ -53,25 +248,99 @@ export default class LTR303 {
         return partID[0] & 0xF0;
     }
 
+    /**
+     * Convert lux to the count of CH0 in the current gain and integration time.
+     * @param {number} lux - brightness [lx]
+     * @returns {number} count in 0-65535
+     */
+    luxToCount (lux) {
+        const count = lux * this.gain * (this.settings.integrationTime / 100) / CH0_LUX_COEFFICIENT;
+        return Math.max(0, Math.min(MAX_COUNT, Math.round(count)));
+    }
+
+    /**
+     * Write the thresholds of the interrupt in the counts of the current gain.
+     * @returns {Promise} a Promise which resolves when the thresholds were written
+     */
+    async writeThresholds () {
+        const upperCount = this.luxToCount(this.thresholds.upper);
+        const lowerCount = this.luxToCount(this.thresholds.lower);
+        await this.board.i2cWrite(this.address, ALS_THRES_UP_0, [upperCount & 0xFF, upperCount >> 8]);
+        await this.board.i2cWrite(this.address, ALS_THRES_LOW_0, [lowerCount & 0xFF, lowerCount >> 8]);
+    }
+
+    /**
+     * Set the thresholds of the interrupt and enable it.
+     * The interrupt is asserted when CH0 is out of the thresholds, they are converted from lux
+     * as the light has small infrared.
+     * @param {number} upper - upper threshold [lx]
+     * @param {number} lower - lower threshold [lx]
+     * @returns {Promise} a Promise which resolves when the thresholds were written
+     */
+    async setInterruptThresholds (upper, lower) {
+        this.thresholds = {upper, lower};
+        await this.writeThresholds();
+        // asserted at every measurement out of the thresholds
+        await this.board.i2cWrite(this.address, INTERRUPT_PERSIST, 0x00);
+        await this.board.i2cWrite(this.address, INTERRUPT, 0x02);
+        this.interrupted = false;
+    }
+
+    /**
+     * Return whether the interrupt was asserted after the last call and clear it.
+     * @returns {boolean} true when the brightness was out of the thresholds
+     */
+    takeInterrupt () {
+        const interrupted = this.interrupted;
+        this.interrupted = false;
+        return interrupted;
+    }
+
+    /**
+     * Change the gain to keep CH0 in the range for the automatic gain ranging.
+     * @param {number} ch0 - count of CH0
+     * @param {number} gain - gain of the count
+     * @returns {Promise} a Promise which resolves when the gain was changed
+     */
+    async adjustGain (ch0, gain) {
+        if (gain !== this.gain) return; // the count in the new gain is not yet read
+        const index = GAINS.indexOf(gain);
+        let next = gain;
+        if (this.saturated || ch0 > AUTO_GAIN_UPPER_COUNT) {
+            next = GAINS[Math.max(0, index - 1)];
+        } else if (index < GAINS.length - 1 && (ch0 * GAINS[index + 1] / gain) < AUTO_GAIN_UPPER_COUNT) {
+            next = GAINS[index + 1];
+        }
+        if (next !== gain) await this.setGain(next);
+    }
+
     /**
      * Return value of brightness.
+     * It is lowered by the gain and the integration time.
      * @returns {promise<number>} a Promise which resolves brightness
      */
     async getBrightness () {
-        await this.board.i2cWrite(this.address, 0x80, 1);
-        const ch1data = await this.board.i2cReadOnce(this.address, 0x88, 2, this.timeout);
-        const ch1 = ch1data[0] | (ch1data[1] << 8);
-        const ch0data = await this.board.i2cReadOnce(this.address, 0x8A, 2, this.timeout);
-        const ch0 = ch0data[0] | (ch0data[1] << 8);
+        let data = this.subscription ? this.subscription.dataAt(ALS_DATA_CH1_0, 5) : null;
+        if (!data) {
+            data = await this.board.i2cReadOnce(this.address, ALS_DATA_CH1_0, 5, this.timeout);
+            if (data[4] & 0x08) this.interrupted = true;
+        }
+        const ch1 = data[0] | (data[1] << 8);
+        const ch0 = data[2] | (data[3] << 8);
+        const gainBits = (data[4] >> 4) & 0x07;
+        const gain = GAINS.find(value => GAIN_BITS[value] === gainBits) || 1;
+        this.saturated = (ch0 >= MAX_COUNT || ch1 >= MAX_COUNT);
+        if (this.settings.gain === 'auto') await this.adjustGain(ch0, gain);
         const ratio = ch1 / (ch0 + ch1);
         let lux = 0;
         if (ratio < 0.45) {
-            lux = ((1.7743 * ch0) + (1.1059 * ch1));
+            lux = ((CH0_LUX_COEFFICIENT * ch0) + (1.1059 * ch1));
         } else if (ratio < 0.64 && ratio >= 0.45) {
             lux = ((4.2785 * ch0) - (1.9548 * ch1));
         } else if (ratio < 0.85 && ratio >= 0.64) {
             lux = ((0.5926 * ch0) + (0.1185 * ch1));
         }
+        lux = lux / gain / (this.settings.integrationTime / 100);
         return Math.round(lux * 10) / 10;
     }
 }
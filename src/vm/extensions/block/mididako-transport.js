@@ -1,5 +1,32 @@
 import {EventEmitter} from 'events';
 
+/**
+ * Convert the original Firmata data to a MIDI data which is acceptable for MidiDako.
+ *
+ * @param {Buffer} buff Original data.
+ * @returns {Array<number>} Converted data.
+ */
+export const convertFirmataToMidi = buff => {
+    const data = [...buff];
+    if (data[0] === 0xF9) { // report version
+        // do nothing cause WebMIDI reserved status is not allowed [0xF9]
+        return [];
+    }
+    if (data[0] === 0xF4) { // set PinMode
+        // changed cause WebMIDI reserved status is not allowed [0xF4]
+        return [0xA0, data[1], data[2]];
+    }
+    if (data[0] === 0xF0 && data[1] === 0x79) { // query firmware
+        // do nothing cause the board freeze
+        return [];
+    }
+    if ((data.length === 3) && (data[0] === 0xF0) && (data[2] === 0xF7)) { // one byte SysEx
+        // add a dummy byte cause Windows Chrome(v105) WebMIDI does not send one byte SysEx.
+        data.splice(2, 0, 0x00);
+        return data;
+    }
+    return data;
+};
 
 /**
  * This class represents a transport layer using WebMIDI for firmata.js.
@@ -129,25 +156,7 @@ class MidiDakoTransport extends EventEmitter {
      * @returns {Uint8Array} Converted data.
      */
     convertToSend (buff) {
-        const data = [...buff];
-        if (data[0] === 0xF9) { // report version
-            // do nothing cause WebMIDI reserved status is not allowed [0xF9]
-            return [];
-        }
-        if (data[0] === 0xF4) { // set PinMode
-            // changed cause WebMIDI reserved status is not allowed [0xF4]
-            return [0xA0, data[1], data[2]];
-        }
-        if (data[0] === 0xF0 && data[1] === 0x79) { // query firmware
-            // do nothing cause the board freeze
-            return [];
-        }
-        if ((data.length === 3) && (data[0] === 0xF0) && (data[2] === 0xF7)) { // one byte SysEx
-            // add a dummy byte cause Windows Chrome(v105) WebMIDI does not send one byte SysEx.
-            data.splice(2, 0, 0x00);
-            return data;
-        }
-        return data;
+        return convertFirmataToMidi(buff);
     }
 
     /**
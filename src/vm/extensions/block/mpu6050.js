@@ -0,0 +1,207 @@
+/**
+ * MPU-6050 API
+ * 6-axis accelerometer and gyroscope by InvenSense
+ * This code refer to
+ * https://github.com/adafruit/Adafruit_MPU6050
+ */
+
+/**
+ * default I2C address
+ * @enum {number}
+ */
+const MPU6050_ADDRESS = 0x68;
+
+// registers
+const MPU6050_REG_SMPLRT_DIV = 0x19;
+const MPU6050_REG_CONFIG = 0x1A;
+const MPU6050_REG_GYRO_CONFIG = 0x1B;
+const MPU6050_REG_ACCEL_CONFIG = 0x1C;
+const MPU6050_REG_ACCEL_XOUT_H = 0x3B;
+const MPU6050_REG_PWR_MGMT_1 = 0x6B;
+const MPU6050_REG_WHO_AM_I = 0x75;
+
+/**
+ * WHO_AM_I of MPU-6050 and MPU-6500 / MPU-9250 which have the same registers.
+ */
+const MPU6050_IDS = [0x68, 0x70, 0x71];
+
+/**
+ * AFS_SEL of ACCEL_CONFIG by the range [G].
+ */
+const ACCELERATION_RANGES = {
+    2: 0,
+    4: 1,
+    8: 2,
+    16: 3
+};
+
+/**
+ * Sample rates [Hz] which are made by SMPLRT_DIV from 1 kHz.
+ */
+const DATA_RATES = [12.5, 25, 50, 100, 200];
+
+/**
+ * Angular rate [degree/s] of a LSB in the range of 500 degree/s.
+ */
+const ANGULAR_RATE_SCALE = 1 / 65.5;
+
+/**
+ * Return a Promise which resolves after the time.
+ * @param {number} time - waiting time [milliseconds]
+ * @returns {Promise} a Promise which resolves after the time
+ */
+const wait = time => new Promise(resolve => setTimeout(resolve, time));
+
+/**
+ * This class is representing a MPU-6050.
+ */
+export default class MPU6050 {
+    /**
+     * Constructor of MPU6050 instance.
+     * @param {AkaDakoBoard} board - connecting AkaDako board
+     * @param {number} address - I2C address
+     */
+    constructor (board, address = MPU6050_ADDRESS) {
+
+        /**
+         * Connecting AkaDako board
+         * @type {import('./akadako-board').default}
+         */
+        this.board = board;
+
+        /**
+         * I2C address
+         * @type {number}
+         */
+        this.address = address;
+
+        /**
+         * Timeout for readings in milliseconds.
+         * @type {number}
+         */
+        this.timeout = 200;
+
+        /**
+         * Acceleration [m/s^2] of a LSB.
+         * @type {number}
+         */
+        this.accelerationScale = 9.80665 / 4096;
+
+        /**
+         * Continuous reading of the acceleration and the angular rate.
+         * @type {?I2CSubscription}
+         */
+        this.subscription = null;
+    }
+
+    /**
+     * Check if a MPU-6050 is connected.
+     * @param {AkadakoBoard} board - connecting akadako board
+     * @returns {Promise<boolean>} A Promise which resolves true if the device is MPU-6050, false otherwise.
+     */
+    static async isConnected (board) {
+        try {
+            const mpu6050 = new MPU6050(board);
+            return MPU6050_IDS.includes(await mpu6050.readID());
+        } catch (error) {
+            return false;
+        }
+    }
+
+    /**
+     * Read ID of the sensor.
+     * @returns {Promise<number>} a Promise which resolves device ID
+     */
+    async readID () {
+        const data = await this.board.i2cReadOnce(this.address, MPU6050_REG_WHO_AM_I, 1, this.timeout);
+        return data[0];
+    }
+
+    /**
+     * Initialize the sensor, the gyroscope is in 500 degree/s.
+     * @param {number} range - range [G] in 2, 4, 8 or 16, it is 8 when it was not supported
+     * @param {number} dataRate - sample rate [Hz] in 12.5, 25, 50, 100 or 200, it is 100 when it was not supported
+     * @returns {Promise} a Promise which resolves when the sensor was initialized
+     */
+    async init (range, dataRate) {
+        const rangeSelection = (range in ACCELERATION_RANGES) ? ACCELERATION_RANGES[range] : ACCELERATION_RANGES[8];
+        const rate = DATA_RATES.includes(dataRate) ? dataRate : 100;
+        const id = await this.readID();
+        if (!MPU6050_IDS.includes(id)) return Promise.reject(`0x${this.address.toString(16)} is not MPU-6050`);
+        // reset then wake up with the clock of the gyroscope
+        await this.board.i2cWrite(this.address, MPU6050_REG_PWR_MGMT_1, 0x80);
+        await wait(100);
+        await this.board.i2cWrite(this.address, MPU6050_REG_PWR_MGMT_1, 0x01);
+        // low pass filter 44Hz then 1kHz / (1 + SMPLRT_DIV)
+        await this.board.i2cWrite(this.address, MPU6050_REG_CONFIG, 0x03);
+        await this.board.i2cWrite(this.address, MPU6050_REG_SMPLRT_DIV, Math.round(1000 / rate) - 1);
+        await this.board.i2cWrite(this.address, MPU6050_REG_GYRO_CONFIG, 0x08);
+        await this.board.i2cWrite(this.address, MPU6050_REG_ACCEL_CONFIG, rangeSelection << 3);
+        this.accelerationScale = 9.80665 / (16384 >> rangeSelection);
+    }
+
+    /**
+     * Decode the registers from ACCEL_XOUT_H.
+     * @param {Array<number>} data - 14 bytes of acceleration, temperature and angular rate
+     * @returns {{acceleration: {x: number, y: number, z: number}, angularRate: {x: number, y: number, z: number}}}
+     * acceleration [m/s^2] and angular rate [degree/s]
+     */
+    decode (data) {
+        const dataView = new DataView(new Uint8Array(data).buffer);
+        const axes = (offset, scale) => ({
+            x: dataView.getInt16(offset, false) * scale,
+            y: dataView.getInt16(offset + 2, false) * scale,
+            z: dataView.getInt16(offset + 4, false) * scale
+        });
+        return {
+            acceleration: axes(0, this.accelerationScale),
+            angularRate: axes(8, ANGULAR_RATE_SCALE)
+        };
+    }
+
+    /**
+     * Start continuous reading of the acceleration and the angular rate.
+     * @param {?function(object)} listener - called with the decoded motion at every reading
+     */
+    subscribe (listener = null) {
+        if (this.subscription) return;
+        this.subscription = this.board.i2cSubscribe(this.address, MPU6050_REG_ACCEL_XOUT_H, 14,
+            listener ? data => listener(this.decode(data)) : null);
+    }
+
+    /**
+     * Stop the continuous reading.
+     */
+    unsubscribe () {
+        if (!this.subscription) return;
+        this.subscription.unsubscribe();
+        this.subscription = null;
+    }
+
+    /**
+     * Read the latest acceleration and angular rate.
+     * @returns {Promise<{acceleration: object, angularRate: object}>} a Promise which resolves the motion
+     */
+    async readMotion () {
+        const latest = this.subscription ? this.subscription.dataAt(MPU6050_REG_ACCEL_XOUT_H, 14) : null;
+        const data = latest ? latest :
+            await this.board.i2cReadOnce(this.address, MPU6050_REG_ACCEL_XOUT_H, 14, this.timeout);
+        return this.decode(data);
+    }
+
+    /**
+     * Return latest acceleration.
+     * @returns {Promise<{x: number, y: number, z: number}>} a Promise which resolves acceleration [m/s^2]
+     */
+    async getAcceleration () {
+        return (await this.readMotion()).acceleration;
+    }
+
+    /**
+     * Return latest angular rate.
+     * @returns {Promise<{x: number, y: number, z: number}>} a Promise which resolves angular rate [degree/s]
+     */
+    async getAngularRate () {
+        return (await this.readMotion()).angularRate;
+    }
+}
@@ -0,0 +1,105 @@
+/**
+ * MY9221 API
+ * LED driver of Grove LED Bar which is driven by toggling two pins
+ * This code refer to
+ * https://github.com/Seeed-Studio/Grove_LED_Bar
+ */
+
+/**
+ * Command word for 8-bit grayscale.
+ */
+const COMMAND_MODE = 0x0000;
+
+/**
+ * Number of the LEDs on the bar.
+ */
+export const LED_COUNT = 10;
+
+/**
+ * Number of the channels of MY9221, the rest of the LEDs are not connected.
+ */
+const CHANNEL_COUNT = 12;
+
+/**
+ * Return the grayscale of each channel to light the bar to the level.
+ * The fraction of the level makes the last LED dim.
+ * @param {number} level - number of the LEDs to light [0 - 10]
+ * @returns {Array<number>} grayscale [0 - 255] of the channels from the first LED
+ */
+export const levelToChannels = level => {
+    const value = Math.max(0, Math.min(LED_COUNT, Number.isFinite(level) ? level : 0));
+    const channels = [];
+    for (let index = 0; index < CHANNEL_COUNT; index++) {
+        const lit = (index < LED_COUNT) ? Math.max(0, Math.min(1, value - index)) : 0;
+        channels.push(Math.round(lit * 0xFF));
+    }
+    return channels;
+};
+
+/**
+ * This class is representing a MY9221 on a digital connector.
+ */
+export default class MY9221 {
+    /**
+     * Constructor of MY9221 instance.
+     * @param {AkaDakoBoard} board - connecting AkaDako board
+     * @param {number} clockPin - pin number of DCKI
+     * @param {number} dataPin - pin number of DI
+     */
+    constructor (board, clockPin, dataPin) {
+
+        /**
+         * Connecting AkaDako board
+         * @type {import('./akadako-board').default}
+         */
+        this.board = board;
+
+        /**
+         * Pin number of DCKI.
+         * @type {number}
+         */
+        this.clockPin = clockPin;
+
+        /**
+         * Pin number of DI.
+         * @type {number}
+         */
+        this.dataPin = dataPin;
+
+        /**
+         * Level of DCKI, the data is taken at both edges.
+         * @type {number}
+         */
+        this.clockLevel = 0;
+    }
+
+    /**
+     * Return the steps to send the grayscale of the channels and latch them.
+     * @param {Array<number>} channels - grayscale [0 - 255] of the 12 channels
+     * @returns {Array<Array<number>>} [pin, level] in order
+     */
+    transferSteps (channels) {
+        const steps = [];
+        [COMMAND_MODE, ...channels].forEach(word => {
+            for (let bit = 15; bit >= 0; bit--) {
+                this.clockLevel ^= 1;
+                steps.push([this.dataPin, (word >> bit) & 0x01], [this.clockPin, this.clockLevel]);
+            }
+        });
+        // latch by 4 pulses on DI while DCKI is kept
+        steps.push([this.dataPin, 0]);
+        for (let pulse = 0; pulse < 4; pulse++) {
+            steps.push([this.dataPin, 1], [this.dataPin, 0]);
+        }
+        return steps;
+    }
+
+    /**
+     * Light the bar to the level.
+     * @param {number} level - number of the LEDs to light [0 - 10]
+     * @returns {Promise} a Promise which resolves when the data was sent
+     */
+    setLevel (level) {
+        return this.board.digitalWriteSequence(this.transferSteps(levelToChannels(level)));
+    }
+}
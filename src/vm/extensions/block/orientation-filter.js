@@ -0,0 +1,141 @@
+/**
+ * Orientation by a complementary filter of an accelerometer and a gyroscope.
+ * The gyroscope follows quick motions and the gravity corrects its drift slowly.
+ */
+
+/**
+ * Updates after this interval [milliseconds] restart from the gravity, because the gyroscope was not followed.
+ */
+const MAX_UPDATE_INTERVAL = 1000;
+
+/**
+ * Wrap the angle in -180 to 180.
+ * @param {number} angle - angle [degree]
+ * @returns {number} angle in -180 to 180 [degree]
+ */
+const wrapAngle = angle => {
+    const wrapped = angle % 360;
+    if (wrapped > 180) return wrapped - 360;
+    if (wrapped <= -180) return wrapped + 360;
+    return wrapped;
+};
+
+/**
+ * Return roll [degree] by the gravity.
+ * @param {{x: number, y: number, z: number}} acceleration - acceleration [m/s^2]
+ * @returns {number} roll in -180 to 180 [degree]
+ */
+export const accelerationToRoll = acceleration => Math.atan2(acceleration.y, acceleration.z) * 180.0 / Math.PI;
+
+/**
+ * Return pitch [degree] by the gravity.
+ * @param {{x: number, y: number, z: number}} acceleration - acceleration [m/s^2]
+ * @returns {number} pitch in -180 to 180 [degree], it exceeds 90 when the Z axis looks down
+ */
+export const accelerationToPitch = acceleration => {
+    const angle = Math.atan2(
+        acceleration.x,
+        Math.sqrt((acceleration.y * acceleration.y) + (acceleration.z * acceleration.z))
+    ) * 180.0 / Math.PI;
+    if (acceleration.z < 0) {
+        return ((angle > 0) ? 180 : -180) - angle;
+    }
+    return angle;
+};
+
+/**
+ * This class is fusing the acceleration and the angular rate into roll, pitch and yaw.
+ */
+export default class OrientationFilter {
+    /**
+     * Constructor of OrientationFilter instance.
+     * @param {number} gain - weight of the gyroscope in 0-1, larger is smoother but slower to correct
+     */
+    constructor (gain = 0.98) {
+
+        /**
+         * Weight of the gyroscope.
+         * @type {number}
+         */
+        this.gain = gain;
+
+        /**
+         * Roll [degree], it is null until the first update.
+         * @type {?number}
+         */
+        this.roll = null;
+
+        /**
+         * Pitch [degree], it is null until the first update.
+         * @type {?number}
+         */
+        this.pitch = null;
+
+        /**
+         * Yaw [degree] from the last reset, it drifts because nothing corrects it.
+         * @type {number}
+         */
+        this.yaw = 0;
+
+        /**
+         * Latest angular rate [degree/s].
+         * @type {?{x: number, y: number, z: number}}
+         */
+        this.angularRate = null;
+
+        /**
+         * Time of the last update [milliseconds].
+         * @type {number}
+         */
+        this.updatedTime = 0;
+    }
+
+    /**
+     * Update the orientation with a new sample.
+     * The rates are integrated on the axes of the sensor, so roll and pitch are accurate when the other is small.
+     * Yaw is integrated by the rate around the gravity to be independent of the tilt.
+     * @param {{x: number, y: number, z: number}} acceleration - acceleration [m/s^2]
+     * @param {{x: number, y: number, z: number}} angularRate - angular rate [degree/s]
+     * @param {number} time - time of the sample [milliseconds]
+     */
+    update (acceleration, angularRate, time = Date.now()) {
+        const gravityRoll = accelerationToRoll(acceleration);
+        const gravityPitch = accelerationToPitch(acceleration);
+        const interval = (time - this.updatedTime) / 1000;
+        this.angularRate = angularRate;
+        this.updatedTime = time;
+        if (this.roll === null || interval <= 0 || interval > (MAX_UPDATE_INTERVAL / 1000)) {
+            this.roll = gravityRoll;
+            this.pitch = gravityPitch;
+            return;
+        }
+        const gyroRoll = this.roll + (angularRate.x * interval);
+        // pitch by the gravity increases when the sensor rotates to minus around Y axis
+        const gyroPitch = this.pitch - (angularRate.y * interval);
+        this.roll = wrapAngle(gyroRoll + ((1 - this.gain) * wrapAngle(gravityRoll - gyroRoll)));
+        this.pitch = wrapAngle(gyroPitch + ((1 - this.gain) * wrapAngle(gravityPitch - gyroPitch)));
+        const gravity = Math.sqrt((acceleration.x ** 2) + (acceleration.y ** 2) + (acceleration.z ** 2));
+        if (gravity > 0) {
+            const verticalRate = ((angularRate.x * acceleration.x) +
+                (angularRate.y * acceleration.y) +
+                (angularRate.z * acceleration.z)) / gravity;
+            this.yaw = wrapAngle(this.yaw + (verticalRate * interval));
+        }
+    }
+
+    /**
+     * Whether the orientation was updated recently.
+     * @param {number} time - current time [milliseconds]
+     * @returns {boolean} true when the orientation is available
+     */
+    isUpdated (time = Date.now()) {
+        return this.roll !== null && (time - this.updatedTime) <= MAX_UPDATE_INTERVAL;
+    }
+
+    /**
+     * Set the current yaw to zero.
+     */
+    resetYaw () {
+        this.yaw = 0;
+    }
+}
@@ -0,0 +1,215 @@
+/**
+ * SCD40 / SCD41 API
+ * CO2, humidity and temperature sensor by Sensirion
+ * This code refer to
+ * https://github.com/Sensirion/arduino-i2c-scd4x
+ */
+
+import {crc8} from './sht';
+
+/**
+ * default I2C address
+ * @enum {number}
+ */
+const SCD4X_ADDRESS = 0x62;
+
+// commands in 16 bits
+const START_PERIODIC_MEASUREMENT = 0x21B1;
+const READ_MEASUREMENT = 0xEC05;
+const STOP_PERIODIC_MEASUREMENT = 0x3F86;
+const GET_DATA_READY_STATUS = 0xE4B8;
+const SET_SENSOR_ALTITUDE = 0x2427;
+const SET_AMBIENT_PRESSURE = 0xE000;
+const GET_SERIAL_NUMBER = 0x3682;
+
+/**
+ * Waiting time [milliseconds] until the sensor accepts commands after stopping the periodic measurement.
+ */
+const STOP_WAITING_TIME = 500;
+
+/**
+ * Return a Promise which resolves after the time.
+ * @param {number} time - waiting time [milliseconds]
+ * @returns {Promise} a Promise which resolves after the time
+ */
+const wait = time => new Promise(resolve => setTimeout(resolve, time));
+
+/**
+ * This class is representing a SCD40 or SCD41.
+ */
+export default class SCD4x {
+    /**
+     * Constructor of SCD4x instance.
+     * @param {AkaDakoBoard} board - connecting AkaDako board
+     * @param {number} address - I2C address
+     */
+    constructor (board, address = SCD4X_ADDRESS) {
+
+        /**
+         * Connecting AkaDako board
+         * @type {import('./akadako-board').default}
+         */
+        this.board = board;
+
+        /**
+         * I2C address
+         * @type {number}
+         */
+        this.address = address;
+
+        /**
+         * Timeout for readings in milliseconds.
+         * @type {number}
+         */
+        this.timeout = 200;
+
+        /**
+         * Whether the periodic measurement is running.
+         * @type {boolean}
+         */
+        this.measuring = false;
+
+        /**
+         * Latest measurement, it is null until the first measurement was ready.
+         * @type {?{co2: number, temperature: number, humidity: number}}
+         */
+        this.measurement = null;
+
+        /**
+         * Ambient pressure [hPa] which was sent for the compensation.
+         * @type {?number}
+         */
+        this.ambientPressure = null;
+    }
+
+    /**
+     * Check if a SCD4x is connected.
+     * @param {AkadakoBoard} board - connecting akadako board
+     * @returns {Promise<boolean>} A Promise which resolves true if the device is SCD4x, false otherwise.
+     */
+    static async isConnected (board) {
+        try {
+            // data ready status is available in both idle and periodic measurement
+            const scd4x = new SCD4x(board);
+            await scd4x.sendCommand(GET_DATA_READY_STATUS);
+            await wait(1);
+            await scd4x.readWords(1);
+            return true;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    /**
+     * Send a command with the words of arguments.
+     * @param {number} command - command in 16 bits
+     * @param {Array<number>} words - arguments in 16 bits
+     * @returns {Promise} a Promise which resolves when the command was sent
+     */
+    sendCommand (command, words = []) {
+        const data = [command & 0xFF];
+        words.forEach(word => {
+            const bytes = [(word >> 8) & 0xFF, word & 0xFF];
+            data.push(...bytes, crc8(bytes));
+        });
+        return this.board.i2cWrite(this.address, command >> 8, data);
+    }
+
+    /**
+     * Read 16-bit words which are followed by CRC.
+     * @param {number} count - number of the words
+     * @returns {Promise<Array<number>>} a Promise which resolves the words
+     */
+    async readWords (count) {
+        const data = await this.board.i2cReadOnce(this.address, null, count * 3, this.timeout);
+        const words = [];
+        for (let index = 0; index < count; index++) {
+            const bytes = data.slice(index * 3, (index * 3) + 2);
+            if (bytes.length < 2 || crc8(bytes) !== data[(index * 3) + 2]) {
+                return Promise.reject(`CRC error in data from SCD4x at 0x${this.address.toString(16)}`);
+            }
+            words.push((bytes[0] << 8) | bytes[1]);
+        }
+        return words;
+    }
+
+    /**
+     * Stop the periodic measurement to accept the settings.
+     * @returns {Promise} a Promise which resolves when the sensor became idle
+     */
+    async stopPeriodicMeasurement () {
+        await this.sendCommand(STOP_PERIODIC_MEASUREMENT);
+        await wait(STOP_WAITING_TIME);
+        this.measuring = false;
+    }
+
+    /**
+     * Start the periodic measurement in every 5 seconds.
+     * @returns {Promise} a Promise which resolves when the command was sent
+     */
+    async startPeriodicMeasurement () {
+        await this.sendCommand(START_PERIODIC_MEASUREMENT);
+        this.measuring = true;
+    }
+
+    /**
+     * Initialize the sensor and start the periodic measurement.
+     * @returns {Promise} a Promise which resolves when the sensor was initialized
+     */
+    async init () {
+        await this.stopPeriodicMeasurement();
+        await this.sendCommand(GET_SERIAL_NUMBER);
+        await wait(1);
+        await this.readWords(3);
+        this.measurement = null;
+        this.ambientPressure = null;
+        await this.startPeriodicMeasurement();
+    }
+
+    /**
+     * Set the altitude for the compensation.
+     * The periodic measurement is stopped while the setting.
+     * @param {number} altitude - altitude above sea level [m]
+     * @returns {Promise} a Promise which resolves when the setting was sent
+     */
+    async setAltitude (altitude) {
+        const wasMeasuring = this.measuring;
+        if (wasMeasuring) await this.stopPeriodicMeasurement();
+        await this.sendCommand(SET_SENSOR_ALTITUDE, [Math.max(0, Math.min(0xFFFF, Math.round(altitude)))]);
+        if (wasMeasuring) await this.startPeriodicMeasurement();
+    }
+
+    /**
+     * Set the ambient pressure for the compensation, this overrides the altitude.
+     * The command is not sent when the change is less than 1 hPa.
+     * @param {number} pressure - ambient pressure [hPa]
+     * @returns {Promise} a Promise which resolves when the setting was sent
+     */
+    async setAmbientPressure (pressure) {
+        const hPa = Math.max(700, Math.min(1200, Math.round(pressure)));
+        if (this.ambientPressure === hPa) return;
+        await this.sendCommand(SET_AMBIENT_PRESSURE, [hPa]);
+        this.ambientPressure = hPa;
+    }
+
+    /**
+     * Read the measurement if a new one is ready.
+     * @returns {Promise<?{co2: number, temperature: number, humidity: number}>} a Promise which resolves
+     * the latest measurement, or null when no measurement was ready yet
+     */
+    async update () {
+        await this.sendCommand(GET_DATA_READY_STATUS);
+        await wait(1);
+        const [status] = await this.readWords(1);
+        if ((status & 0x07FF) === 0) return this.measurement;
+        await this.sendCommand(READ_MEASUREMENT);
+        await wait(1);
+        const [co2, rawTemperature, rawHumidity] = await this.readWords(3);
+        this.measurement = {
+            co2: co2,
+            temperature: -45 + ((175 * rawTemperature) / 65535),
+            humidity: (100 * rawHumidity) / 65535
+        };
+        return this.measurement;
+    }
+}
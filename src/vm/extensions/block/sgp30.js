@@ -0,0 +1,208 @@
+/**
+ * SGP30 API
+ * air quality sensor by Sensirion which reports eCO2 and TVOC
+ * This code refer to
+ * https://github.com/adafruit/Adafruit_SGP30
+ */
+
+import {crc8} from './sht';
+
+/**
+ * default I2C address
+ * @enum {number}
+ */
+const SGP30_ADDRESS = 0x58;
+
+// commands in 16 bits and their waiting times [milliseconds]
+const INIT_AIR_QUALITY = {command: 0x2003, duration: 10};
+const MEASURE_AIR_QUALITY = {command: 0x2008, duration: 12};
+const GET_BASELINE = {command: 0x2015, duration: 10};
+const SET_BASELINE = {command: 0x201E, duration: 10};
+const GET_FEATURE_SET = {command: 0x202F, duration: 10};
+
+/**
+ * Product type in the upper 4 bits of the feature set.
+ */
+const SGP30_PRODUCT_TYPE = 0x0;
+
+/**
+ * Interval time [milliseconds] of the measurement which the baseline algorithm expects.
+ */
+const MEASUREMENT_INTERVAL = 1000;
+
+/**
+ * Return a Promise which resolves after the time.
+ * @param {number} time - waiting time [milliseconds]
+ * @returns {Promise} a Promise which resolves after the time
+ */
+const wait = time => new Promise(resolve => setTimeout(resolve, time));
+
+/**
+ * This class is representing a SGP30.
+ */
+export default class SGP30 {
+    /**
+     * Constructor of SGP30 instance.
+     * @param {AkaDakoBoard} board - connecting AkaDako board
+     * @param {number} address - I2C address
+     */
+    constructor (board, address = SGP30_ADDRESS) {
+
+        /**
+         * Connecting AkaDako board
+         * @type {import('./akadako-board').default}
+         */
+        this.board = board;
+
+        /**
+         * I2C address
+         * @type {number}
+         */
+        this.address = address;
+
+        /**
+         * Timeout for readings in milliseconds.
+         * @type {number}
+         */
+        this.timeout = 200;
+
+        /**
+         * Latest measurement.
+         * It is eCO2 400 ppm and TVOC 0 ppb in the first 15 seconds after the initialization.
+         * @type {?{eco2: number, tvoc: number}}
+         */
+        this.measurement = null;
+
+        /**
+         * Timer of the measurement in every second.
+         * @type {?number}
+         */
+        this.measurementTimer = null;
+
+        /**
+         * Communication in progress, the commands must not be interleaved.
+         * @type {Promise}
+         */
+        this.communicating = Promise.resolve();
+    }
+
+    /**
+     * Check if a SGP30 is connected.
+     * @param {AkadakoBoard} board - connecting akadako board
+     * @returns {Promise<boolean>} A Promise which resolves true if the device is SGP30, false otherwise.
+     */
+    static async isConnected (board) {
+        try {
+            const sgp30 = new SGP30(board);
+            const [featureSet] = await sgp30.request(GET_FEATURE_SET, [], 1);
+            return ((featureSet >> 12) & 0x0F) === SGP30_PRODUCT_TYPE;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    /**
+     * Send a command then read the words which are followed by CRC.
+     * The requests are serialized because the sensor handles one command at a time.
+     * @param {{command: number, duration: number}} command - command in 16 bits and its waiting time
+     * @param {Array<number>} words - arguments in 16 bits
+     * @param {number} count - number of the words to read
+     * @returns {Promise<Array<number>>} a Promise which resolves the words
+     */
+    request (command, words, count) {
+        const task = this.communicating.then(async () => {
+            const data = [command.command & 0xFF];
+            words.forEach(word => {
+                const bytes = [(word >> 8) & 0xFF, word & 0xFF];
+                data.push(...bytes, crc8(bytes));
+            });
+            await this.board.i2cWrite(this.address, command.command >> 8, data);
+            await wait(command.duration);
+            if (count === 0) return [];
+            const received = await this.board.i2cReadOnce(this.address, null, count * 3, this.timeout);
+            const result = [];
+            for (let index = 0; index < count; index++) {
+                const bytes = received.slice(index * 3, (index * 3) + 2);
+                if (bytes.length < 2 || crc8(bytes) !== received[(index * 3) + 2]) {
+                    return Promise.reject(`CRC error in data from SGP30 at 0x${this.address.toString(16)}`);
+                }
+                result.push((bytes[0] << 8) | bytes[1]);
+            }
+            return result;
+        });
+        this.communicating = task.catch(() => {});
+        return task;
+    }
+
+    /**
+     * Initialize the sensor and restore the baseline if it was given.
+     * @param {?{eco2: number, tvoc: number}} baseline - baseline which was saved before
+     * @returns {Promise} a Promise which resolves when the sensor was initialized
+     */
+    async init (baseline = null) {
+        const isSGP30 = await SGP30.isConnected(this.board);
+        if (!isSGP30) return Promise.reject(`0x${this.address.toString(16)} is not SGP30`);
+        await this.request(INIT_AIR_QUALITY, [], 0);
+        if (baseline) await this.setBaseline(baseline);
+        this.measurement = null;
+    }
+
+    /**
+     * Measure eCO2 and TVOC.
+     * @returns {Promise<{eco2: number, tvoc: number}>} a Promise which resolves the measurement
+     */
+    async measure () {
+        const [eco2, tvoc] = await this.request(MEASURE_AIR_QUALITY, [], 2);
+        this.measurement = {eco2, tvoc};
+        return this.measurement;
+    }
+
+    /**
+     * Start the measurement in every second for the baseline algorithm of the sensor.
+     */
+    subscribe () {
+        if (this.measurementTimer) return;
+        this.measurementTimer = setInterval(() => {
+            this.measure().catch(() => {
+                // the reporter will retry
+            });
+        }, MEASUREMENT_INTERVAL);
+    }
+
+    /**
+     * Stop the measurement in every second.
+     */
+    unsubscribe () {
+        if (!this.measurementTimer) return;
+        clearInterval(this.measurementTimer);
+        this.measurementTimer = null;
+    }
+
+    /**
+     * Return the latest measurement, or measure when it has not been measured yet.
+     * @returns {Promise<{eco2: number, tvoc: number}>} a Promise which resolves the measurement
+     */
+    readAirQuality () {
+        if (this.measurement) return Promise.resolve(this.measurement);
+        return this.measure();
+    }
+
+    /**
+     * Read the baseline which the sensor has learned.
+     * @returns {Promise<{eco2: number, tvoc: number}>} a Promise which resolves the baseline
+     */
+    async getBaseline () {
+        const [eco2, tvoc] = await this.request(GET_BASELINE, [], 2);
+        return {eco2, tvoc};
+    }
+
+    /**
+     * Restore the baseline.
+     * @param {{eco2: number, tvoc: number}} baseline - baseline which was read by getBaseline()
+     * @returns {Promise} a Promise which resolves when the baseline was sent
+     */
+    async setBaseline (baseline) {
+        // TVOC comes first in this command
+        await this.request(SET_BASELINE, [baseline.tvoc & 0xFFFF, baseline.eco2 & 0xFFFF], 0);
+    }
+}
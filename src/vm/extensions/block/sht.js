@@ -0,0 +1,328 @@
+/**
+ * SHT3x / SHT4x API
+ * humidity and temperature sensor by Sensirion
+ * This code refer to
+ * https://github.com/Seeed-Studio/Grove_SHT31_Temp_Humi_Sensor
+ * https://github.com/adafruit/Adafruit_SHT4X
+ */
+
+/**
+ * default I2C address
+ * @enum {number}
+ */
+const SHT_ADDRESS = 0x44;
+
+// SHT3x commands in 16 bits
+const SHT3X_SOFT_RESET = 0x30A2;
+const SHT3X_READ_STATUS = 0xF32D;
+const SHT3X_HEATER_ON = 0x306D;
+const SHT3X_HEATER_OFF = 0x3066;
+
+// SHT4x commands in 8 bits
+const SHT4X_SOFT_RESET = 0x94;
+const SHT4X_READ_SERIAL = 0x89;
+
+/**
+ * Measurement commands and their waiting times [milliseconds] for each repeatability.
+ */
+const MEASUREMENTS = {
+    SHT3x: {
+        // single shot without clock stretching
+        high: {command: 0x2400, duration: 16},
+        medium: {command: 0x240B, duration: 7},
+        low: {command: 0x2416, duration: 5}
+    },
+    SHT4x: {
+        high: {command: 0xFD, duration: 9},
+        medium: {command: 0xF6, duration: 5},
+        low: {command: 0xE0, duration: 2}
+    }
+};
+
+/**
+ * SHT4x has no heater which keeps on, so the measurement is done after a short heating pulse.
+ * 110 mW for 0.1 s then measure in high repeatability.
+ */
+const SHT4X_HEATED_MEASUREMENT = {command: 0x24, duration: 111};
+
+/**
+ * Return a Promise which resolves after the time.
+ * @param {number} time - waiting time [milliseconds]
+ * @returns {Promise} a Promise which resolves after the time
+ */
+const wait = time => new Promise(resolve => setTimeout(resolve, time));
+
+/**
+ * Calculate CRC-8 of the data by the Sensirion rule (polynomial 0x31, initial 0xFF).
+ * @param {Array<number>} data - bytes to be checked
+ * @returns {number} CRC of the data
+ */
+export const crc8 = data => {
+    let crc = 0xFF;
+    data.forEach(byte => {
+        crc ^= byte;
+        for (let bit = 0; bit < 8; bit++) {
+            crc = (crc & 0x80) ? (((crc << 1) ^ 0x31) & 0xFF) : ((crc << 1) & 0xFF);
+        }
+    });
+    return crc;
+};
+
+/**
+ * This class is representing a SHT3x or SHT4x.
+ */
+export default class SHT {
+    /**
+     * Constructor of SHT instance.
+     * @param {AkaDakoBoard} board - connecting AkaDako board
+     * @param {number} address - I2C address
+     */
+    constructor (board, address = SHT_ADDRESS) {
+
+        /**
+         * Connecting AkaDako board
+         * @type {import('./akadako-board').default}
+         */
+        this.board = board;
+
+        /**
+         * I2C address
+         * @type {number}
+         */
+        this.address = address;
+
+        /**
+         * Timeout for readings in milliseconds.
+         * @type {number}
+         */
+        this.timeout = 200;
+
+        /**
+         * Series of the sensor [SHT3x | SHT4x] which was detected in init().
+         * @type {?string}
+         */
+        this.series = null;
+
+        /**
+         * Repeatability of the measurement [high | medium | low].
+         * Higher one is less noisy but takes longer time.
+         * @type {string}
+         */
+        this.repeatability = 'high';
+
+        /**
+         * Whether the heater is on.
+         * @type {boolean}
+         */
+        this.heater = false;
+
+        /**
+         * Latest measurement.
+         * @type {?{temperature: number, humidity: number}}
+         */
+        this.measurement = null;
+
+        /**
+         * The time [millisecond] when the measurement was updated.
+         * @type {number}
+         */
+        this.updatedTime = 0;
+
+        /**
+         * Interval time [millisecond] for measurement updating.
+         * @type {number}
+         */
+        this.updateIntervalTime = 100;
+
+        /**
+         * Measurement in progress which is shared by the readings.
+         * @type {?Promise<{temperature: number, humidity: number}>}
+         */
+        this.measuring = null;
+    }
+
+    /**
+     * Check if a SHT3x or SHT4x is connected.
+     * @param {AkadakoBoard} board - connecting akadako board
+     * @returns {Promise<boolean>} A Promise which resolves true if the device is SHT3x or SHT4x, false otherwise.
+     */
+    static async isConnected (board) {
+        try {
+            const sht = new SHT(board);
+            return (await sht.detectSeries()) !== null;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    /**
+     * Send a command.
+     * @param {number} command - command in 8 bits for SHT4x or in 16 bits for SHT3x
+     * @returns {Promise} a Promise which resolves when the command was sent
+     */
+    sendCommand (command) {
+        if (command > 0xFF) {
+            return this.board.i2cWrite(this.address, command >> 8, [command & 0xFF]);
+        }
+        return this.board.i2cWrite(this.address, command, []);
+    }
+
+    /**
+     * Read 16-bit words which are followed by CRC.
+     * @param {number} count - number of the words
+     * @returns {Promise<Array<number>>} a Promise which resolves the words
+     */
+    async readWords (count) {
+        const data = await this.board.i2cReadOnce(this.address, null, count * 3, this.timeout);
+        const words = [];
+        for (let index = 0; index < count; index++) {
+            const bytes = data.slice(index * 3, (index * 3) + 2);
+            if (bytes.length < 2 || crc8(bytes) !== data[(index * 3) + 2]) {
+                return Promise.reject(`CRC error in data from SHT at 0x${this.address.toString(16)}`);
+            }
+            words.push((bytes[0] << 8) | bytes[1]);
+        }
+        return words;
+    }
+
+    /**
+     * Find which series of the sensor is connected.
+     * @returns {Promise<?string>} a Promise which resolves the series [SHT3x | SHT4x] or null
+     */
+    async detectSeries () {
+        try {
+            await this.sendCommand(SHT3X_READ_STATUS);
+            await this.readWords(1);
+            return 'SHT3x';
+        } catch (error) {
+            // not SHT3x
+        }
+        try {
+            await this.sendCommand(SHT4X_READ_SERIAL);
+            await wait(1);
+            await this.readWords(2);
+            return 'SHT4x';
+        } catch (error) {
+            // not SHT4x
+        }
+        return null;
+    }
+
+    /**
+     * Initialize the sensor
+     * @returns {Promise} a Promise which resolves when the sensor was initialized
+     */
+    async init () {
+        this.series = await this.detectSeries();
+        if (!this.series) {
+            return Promise.reject(`I2C 0x${this.address.toString(16)} is not a SHT3x or SHT4x`);
+        }
+        await this.sendCommand(this.series === 'SHT3x' ? SHT3X_SOFT_RESET : SHT4X_SOFT_RESET);
+        await wait(2);
+        this.heater = false;
+    }
+
+    /**
+     * Set the repeatability of the measurement.
+     * @param {string} repeatability - repeatability [high | medium | low]
+     */
+    setRepeatability (repeatability) {
+        if (!MEASUREMENTS.SHT3x[repeatability]) return;
+        this.repeatability = repeatability;
+        this.updatedTime = 0;
+    }
+
+    /**
+     * Turn the heater on or off.
+     * The heater of SHT4x heats only before each measurement.
+     * @param {boolean} on - true to turn on
+     * @returns {Promise} a Promise which resolves when the setting was sent
+     */
+    async setHeater (on) {
+        this.heater = on;
+        this.updatedTime = 0;
+        if (this.series === 'SHT3x') {
+            await this.sendCommand(on ? SHT3X_HEATER_ON : SHT3X_HEATER_OFF);
+        }
+    }
+
+    /**
+     * Measure temperature and humidity.
+     * @returns {Promise<{temperature: number, humidity: number}>} a Promise which resolves the measurement
+     */
+    async measure () {
+        const measurement = (this.series === 'SHT4x' && this.heater) ?
+            SHT4X_HEATED_MEASUREMENT :
+            MEASUREMENTS[this.series][this.repeatability];
+        await this.sendCommand(measurement.command);
+        await wait(measurement.duration);
+        const [rawTemperature, rawHumidity] = await this.readWords(2);
+        const temperature = -45 + ((175 * rawTemperature) / 65535);
+        let humidity = (this.series === 'SHT4x') ?
+            -6 + ((125 * rawHumidity) / 65535) :
+            (100 * rawHumidity) / 65535;
+        humidity = Math.min(100, Math.max(0, humidity));
+        return {temperature, humidity};
+    }
+
+    /**
+     * Return the latest measurement and update it when it is old.
+     * @returns {Promise<{temperature: number, humidity: number}>} a Promise which resolves the measurement
+     */
+    update () {
+        if (this.measuring) return this.measuring;
+        if (this.measurement && (Date.now() - this.updatedTime) <= this.updateIntervalTime) {
+            return Promise.resolve(this.measurement);
+        }
+        this.measuring = this.measure()
+            .then(measurement => {
+                this.measurement = measurement;
+                this.updatedTime = Date.now();
+                return measurement;
+            })
+            .finally(() => {
+                this.measuring = null;
+            });
+        return this.measuring;
+    }
+
+    /**
+     * Read temperature from the sensor
+     * @returns {Promise<number>} a Promise which resolves temperature [degree]
+     */
+    async readTemperature () {
+        const measurement = await this.update();
+        return measurement.temperature;
+    }
+
+    /**
+     * Read humidity from the sensor
+     * @returns {Promise<number>} a Promise which resolves humidity [%]
+     */
+    async readHumidity () {
+        const measurement = await this.update();
+        return measurement.humidity;
+    }
+
+    /**
+     * SHT has no pressure sensor.
+     * @returns {Promise<null>} a Promise which resolves null
+     */
+    readPressure () {
+        return Promise.resolve(null);
+    }
+
+    /**
+     * SHT does not read continuously, this is for the same interface as BME280.
+     */
+    subscribe () {
+        // nothing to do
+    }
+
+    /**
+     * SHT does not read continuously, this is for the same interface as BME280.
+     */
+    unsubscribe () {
+        // nothing to do
+    }
+}
@@ -0,0 +1,625 @@
+import {EventEmitter} from 'events';
+import {getSettings} from './akadako-board-settings';
+
+const START_SYSEX = 0xF0;
+const END_SYSEX = 0xF7;
+const DIGITAL_MESSAGE = 0x90;
+const ANALOG_MESSAGE = 0xE0;
+const REPORT_ANALOG = 0xC0;
+const REPORT_DIGITAL = 0xD0;
+const SET_PIN_MODE = 0xF4;
+const SET_DIGITAL_PIN_VALUE = 0xF5;
+const REPORT_VERSION = 0xF9;
+const SYSTEM_RESET = 0xFF;
+
+const ULTRASONIC_DISTANCE_QUERY = 0x01;
+const WATER_TEMPERATURE_QUERY = 0x02;
+const DEVICE_ENABLE = 0x03;
+const BOARD_VERSION_QUERY = 0x0F;
+const ANALOG_MAPPING_QUERY = 0x69;
+const ANALOG_MAPPING_RESPONSE = 0x6A;
+const I2C_REQUEST = 0x76;
+const I2C_REPLY = 0x77;
+
+const I2C_MODE = {
+    WRITE: 0,
+    READ: 1,
+    CONTINUOUS_READ: 2,
+    STOP_READING: 3
+};
+
+const PIN_MODE = {
+    INPUT: 0x00,
+    PULLUP: 0x0B
+};
+
+/**
+ * Encode bytes into 7-bit pairs [lsb, msb].
+ * @param {Array<number>} bytes - values to be encoded
+ * @returns {Array<number>} encoded data
+ */
+const encode7bitPairs = bytes => bytes.reduce((data, byte) => {
+    data.push(byte & 0x7F, (byte >> 7) & 0x7F);
+    return data;
+}, []);
+
+/**
+ * Decode 7-bit pairs [lsb, msb] into values.
+ * @param {Array<number>} data - encoded data
+ * @returns {Array<number>} decoded values
+ */
+const decode7bitPairs = data => {
+    const values = [];
+    for (let i = 0; i + 1 < data.length; i += 2) {
+        values.push((data[i] & 0x7F) | ((data[i + 1] & 0x7F) << 7));
+    }
+    return values;
+};
+
+/**
+ * Encode an int16 value into two 7-bit bytes in the manner of the AkaDako firmware.
+ * @param {number} value - value to be encoded
+ * @returns {Array<number>} encoded data
+ */
+const encodeInt16ToTwo7bitBytes = value => {
+    const raw = Math.round(value) & 0xFFFF;
+    return [raw & 0x7F, (raw >> 7) & 0x7F];
+};
+
+/**
+ * Clamp the value in the range.
+ * @param {number} value - value to be clamped
+ * @param {number} min - minimum
+ * @param {number} max - maximum
+ * @returns {number} clamped value
+ */
+const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+
+/**
+ * Return bytes of an int16 in little endian.
+ * @param {number} value - value to be converted
+ * @returns {Array<number>} two bytes
+ */
+const int16LE = value => {
+    const raw = clamp(Math.round(value), -32768, 32767) & 0xFFFF;
+    return [raw & 0xFF, raw >> 8];
+};
+
+/**
+ * Create a model of an I2C device which has 8-bit register address space.
+ *
+ * @param {object<number, number>} initialValues - register values at the start
+ * @param {function(Uint8Array, number)} refresh - called before reading to update the registers
+ * @returns {{registers: Uint8Array, read: function, write: function}} device model
+ */
+export const createRegisterDevice = (initialValues = {}, refresh = null) => {
+    const registers = new Uint8Array(256);
+    Object.entries(initialValues).forEach(([register, value]) => {
+        registers[Number(register)] = value;
+    });
+    return {
+        registers: registers,
+        read (register, length) {
+            if (refresh) refresh(registers, register);
+            const data = [];
+            for (let i = 0; i < length; i++) {
+                data.push(registers[(register + i) & 0xFF]);
+            }
+            return data;
+        },
+        write (register, values) {
+            values.forEach((value, i) => {
+                registers[(register + i) & 0xFF] = value & 0xFF;
+            });
+        }
+    };
+};
+
+/**
+ * This class represents a transport layer which simulates an AkaDako board for firmata.js.
+ *
+ * It answers the custom sysex queries, I2C requests for the supported sensors and
+ * digital/analog reports with the values in `sensorValues` which can be changed by scripts.
+ */
+class SimulatorDakoTransport extends EventEmitter {
+
+    /**
+     * Construct a simulator transport.
+     *
+     * @param {object} options - settings of the simulated board
+     * @param {{type: number, major: number, minor: number}} options.version - firmware version to report
+     * @param {string} options.accelerometer - simulated accelerometer [kxtj3 | adxl345]
+     */
+    constructor (options = {}) {
+        super();
+        this.isOpen = false;
+
+        /**
+         * Firmware version to be reported.
+         * @type {{type: number, major: number, minor: number}}
+         */
+        this.version = options.version || {type: 2, major: 1, minor: 0};
+
+        /**
+         * Values which the simulated sensors return.
+         * Set null to ultrasonic or water temperature to simulate no response.
+         */
+        this.sensorValues = {
+            temperature: 25.0, // [℃]
+            pressure: 1013.25, // [hPa]
+            humidity: 50.0, // [%]
+            brightness: 300, // [lux]
+            acceleration: {x: 0, y: 0, z: 9.8}, // [m/s^2]
+            opticalDistance: 200, // [mm]
+            ultrasonicDistance: {6: 1000, 10: 1000}, // [mm] for each pin
+            waterTemperature: {6: 20.0, 10: 20.0} // [℃] for each pin
+        };
+
+        /**
+         * Input levels of digital pins.
+         * @type {object<number, number>}
+         */
+        this.digitalInputs = {};
+
+        /**
+         * Input levels of analog channels in 10-bit.
+         * @type {object<number, number>}
+         */
+        this.analogInputs = {};
+
+        /**
+         * Output values which were written by the host.
+         * @type {object<number, number>}
+         */
+        this.outputs = {};
+
+        this.pinModes = {};
+        this.reportingAnalogChannels = new Set();
+        this.reportingDigitalPorts = new Set();
+        this.continuousReads = new Map();
+
+        /**
+         * Interval time [milliseconds] of analog reports and continuous I2C readings.
+         * @type {number}
+         */
+        this.samplingInterval = 50;
+
+        /**
+         * Delay time [milliseconds] of the responses.
+         * @type {number}
+         */
+        this.responseDelay = 5;
+
+        this.samplingTimer = null;
+        this.receiving = [];
+
+        /**
+         * Simulated I2C devices.
+         * @type {Map<number, {read: function, write: function}>}
+         */
+        this.i2cDevices = new Map();
+        this.setupI2CDevices(options.accelerometer || 'kxtj3');
+    }
+
+    /**
+     * Attach the models of the supported sensors.
+     * @param {string} accelerometer - simulated accelerometer [kxtj3 | adxl345]
+     */
+    setupI2CDevices (accelerometer) {
+        this.i2cDevices.set(0x76, this.createBME280());
+        this.i2cDevices.set(0x29, this.createLTR303());
+        if (accelerometer === 'adxl345') {
+            this.i2cDevices.set(0x53, this.createADXL345());
+        } else {
+            this.i2cDevices.set(0x0E, this.createKXTJ3());
+        }
+        // the same address is used as getOpticalDistanceSensor() in the extension
+        const version = this.version;
+        const vl53l0xAddress = ((version.type <= 1) ||
+            (version.type === 2 && version.major === 0 && version.minor === 0)) ? 0x29 : 0x08;
+        if (!this.i2cDevices.has(vl53l0xAddress)) {
+            this.i2cDevices.set(vl53l0xAddress, this.createVL53L0X());
+        }
+    }
+
+    /**
+     * Create a BME280 model.
+     * The calibration data are chosen to make the compensation formulas linear.
+     * @returns {object} device model
+     */
+    createBME280 () {
+        return createRegisterDevice(
+            {
+                0xD0: 0x60, // chip ID
+                0x88: 0x00, 0x89: 0x80, // dig_T1 = 32768
+                0x8A: 0x00, 0x8B: 0x40, // dig_T2 = 16384
+                0x8E: 0x6A, 0x8F: 0x18, // dig_P1 = 6250
+                0xE1: 0x00, 0xE2: 0x01 // dig_H2 = 256
+            },
+            registers => {
+                const values = this.sensorValues;
+                const tFine = ((values.temperature * 25600) - 128) / 5;
+                const adcT = clamp(Math.round(tFine) + 524288, 0, 0xFFFFF);
+                const adcP = clamp(1048576 - Math.round(values.pressure * 100), 0, 0xFFFFF);
+                const adcH = clamp(Math.round(values.humidity * 256) - 1, 0, 0xFFFF);
+                registers.set([adcP >> 12, (adcP >> 4) & 0xFF, (adcP << 4) & 0xF0], 0xF7);
+                registers.set([adcT >> 12, (adcT >> 4) & 0xFF, (adcT << 4) & 0xF0], 0xFA);
+                registers.set([adcH >> 8, adcH & 0xFF], 0xFD);
+            });
+    }
+
+    /**
+     * Create a LTR303 model which measures in the gain and the integration time.
+     * @returns {object} device model
+     */
+    createLTR303 () {
+        const gains = [1, 2, 4, 8, 1, 1, 48, 96];
+        const integrationTimes = [100, 50, 200, 400, 150, 250, 300, 350];
+        return createRegisterDevice(
+            {0x86: 0xA0, 0x87: 0x05}, // part ID and manufacturer ID
+            registers => {
+                const gainBits = (registers[0x80] >> 2) & 0x07;
+                const scale = gains[gainBits] * integrationTimes[(registers[0x85] >> 3) & 0x07] / 100;
+                const ch0 = clamp(Math.round(this.sensorValues.brightness * scale / 1.7743), 0, 0xFFFF);
+                const upper = registers[0x97] | (registers[0x98] << 8);
+                const lower = registers[0x99] | (registers[0x9A] << 8);
+                const interrupted = (registers[0x8F] & 0x02) && (ch0 > upper || ch0 < lower);
+                registers.set([0x00, 0x00, ch0 & 0xFF, ch0 >> 8, (gainBits << 4) | (interrupted ? 0x08 : 0x00)], 0x88);
+            });
+    }
+
+    /**
+     * Create a KXTJ3 model.
+     * @returns {object} device model
+     */
+    createKXTJ3 () {
+        return createRegisterDevice(
+            {0x0F: 0x35}, // WHO_AM_I
+            registers => {
+                const ctrl1 = registers[0x1B];
+                let gSense = 8;
+                if (ctrl1 & 0x04) {
+                    gSense = 16;
+                } else if ((ctrl1 & 0x18) === 0x00) {
+                    gSense = 2;
+                } else if ((ctrl1 & 0x18) === 0x08) {
+                    gSense = 4;
+                }
+                const scale = (1 << 15) / gSense / 9.8;
+                const acc = this.sensorValues.acceleration;
+                registers.set(
+                    [...int16LE(acc.x * scale), ...int16LE(acc.y * scale), ...int16LE(acc.z * scale)],
+                    0x06);
+            });
+    }
+
+    /**
+     * Create a ADXL345 model.
+     * @returns {object} device model
+     */
+    createADXL345 () {
+        return createRegisterDevice(
+            {0x00: 0xE5}, // device ID
+            registers => {
+                const scale = 1 / 0.0392266;
+                const acc = this.sensorValues.acceleration;
+                registers.set(
+                    [...int16LE(acc.x * scale), ...int16LE(acc.y * scale), ...int16LE(acc.z * scale)],
+                    0x32);
+            });
+    }
+
+    /**
+     * Create a VL53L0X model which finishes every measurement at once.
+     * @returns {object} device model
+     */
+    createVL53L0X () {
+        return createRegisterDevice(
+            {
+                0xC0: 0xEE, // model ID
+                0x50: 0x06, // pre-range VCSEL period
+                0x70: 0x04, // final range VCSEL period
+                0x92: 0x2C // reference SPAD count
+            },
+            (registers, register) => {
+                if (register === 0x83 && registers[0x83] === 0x00) {
+                    registers[0x83] = 0x01; // SPAD info is ready
+                }
+                registers[0x00] &= ~0x01; // measurement was done
+                registers[0x13] = 0x07; // new sample ready
+                const range = clamp(Math.round(this.sensorValues.opticalDistance), 0, 8190);
+                registers[0x14] = ((range < 8190) ? 11 : 4) << 3; // range valid or signal fail
+                registers.set([range >> 8, range & 0xFF], 0x1E);
+            });
+    }
+
+    /**
+     * Set the level of a digital input pin and report it when the port is reporting.
+     * @param {number} pin - pin number
+     * @param {number} level - 0 or 1
+     */
+    setDigitalInput (pin, level) {
+        this.digitalInputs[pin] = level ? 1 : 0;
+        const port = pin >> 3;
+        if (this.reportingDigitalPorts.has(port)) {
+            this.reportDigitalPort(port);
+        }
+    }
+
+    /**
+     * Set the level of an analog input channel.
+     * @param {number} channel - analog channel
+     * @param {number} value - level in 10-bit
+     */
+    setAnalogInput (channel, value) {
+        this.analogInputs[channel] = clamp(Math.round(value), 0, 1023);
+    }
+
+    /**
+     * Whether it is connected or not.
+     *
+     * @returns {boolean} True for connected.
+     */
+    isConnected () {
+        return this.isOpen;
+    }
+
+    /**
+     * Start the simulation.
+     *
+     * @returns {Promise<string?>} null or error message
+     */
+    open () {
+        this.isOpen = true;
+        this.samplingTimer = setInterval(() => this.onSampling(), this.samplingInterval);
+        this.emit('open');
+        return Promise.resolve();
+    }
+
+    /**
+     * Stop the simulation.
+     *
+     * @returns {Promise<string?>} null or error message.
+     */
+    close () {
+        this.isOpen = false;
+        if (this.samplingTimer) {
+            clearInterval(this.samplingTimer);
+            this.samplingTimer = null;
+        }
+        this.receiving = [];
+        return Promise.resolve();
+    }
+
+    /**
+     * Receive data from the host.
+     *
+     * @param {Buffer} buff Data from firmata.js.
+     * @param {Function} callback A function to be called when the data was sent.
+     */
+    write (buff, callback) {
+        if (!this.isOpen) {
+            this.emit('error');
+            return;
+        }
+        this.receiving.push(...buff);
+        this.processReceiving();
+        if (typeof callback === 'function') {
+            callback();
+        }
+    }
+
+    /**
+     * Send data to the host after the response delay.
+     * @param {Array<number>} data - Firmata message
+     */
+    respond (data) {
+        setTimeout(() => {
+            if (!this.isOpen) return;
+            this.emit('data', Uint8Array.from(data));
+        }, this.responseDelay);
+    }
+
+    /**
+     * Parse the received bytes and handle the completed messages.
+     */
+    processReceiving () {
+        while (this.receiving.length > 0) {
+            const command = this.receiving[0];
+            if (command === START_SYSEX) {
+                const end = this.receiving.indexOf(END_SYSEX);
+                if (end < 0) return; // wait for the rest
+                const message = this.receiving.splice(0, end + 1);
+                this.handleSysex(message[1], message.slice(2, -1));
+                continue;
+            }
+            let length = 1;
+            if (command === SET_PIN_MODE || command === SET_DIGITAL_PIN_VALUE ||
+                (command & 0xF0) === DIGITAL_MESSAGE || (command & 0xF0) === ANALOG_MESSAGE) {
+                length = 3;
+            } else if ((command & 0xF0) === REPORT_ANALOG || (command & 0xF0) === REPORT_DIGITAL) {
+                length = 2;
+            }
+            if (this.receiving.length < length) return; // wait for the rest
+            this.handleMessage(this.receiving.splice(0, length));
+        }
+    }
+
+    /**
+     * Handle a message which is not sysex.
+     * @param {Array<number>} message - received message
+     */
+    handleMessage (message) {
+        const command = message[0];
+        if (command === SET_PIN_MODE) {
+            this.pinModes[message[1]] = message[2];
+            return;
+        }
+        if (command === SET_DIGITAL_PIN_VALUE) {
+            this.outputs[message[1]] = message[2];
+            return;
+        }
+        if (command === REPORT_VERSION || command === SYSTEM_RESET) {
+            // MidiDako does not answer them
+            return;
+        }
+        switch (command & 0xF0) {
+        case DIGITAL_MESSAGE: {
+            const port = command & 0x0F;
+            const portValue = message[1] | (message[2] << 7);
+            for (let i = 0; i < 8; i++) {
+                this.outputs[(port * 8) + i] = (portValue >> i) & 0x01;
+            }
+            break;
+        }
+        case ANALOG_MESSAGE:
+            this.outputs[command & 0x0F] = message[1] | (message[2] << 7);
+            break;
+        case REPORT_ANALOG:
+            if (message[1]) {
+                this.reportingAnalogChannels.add(command & 0x0F);
+            } else {
+                this.reportingAnalogChannels.delete(command & 0x0F);
+            }
+            break;
+        case REPORT_DIGITAL:
+            if (message[1]) {
+                this.reportingDigitalPorts.add(command & 0x0F);
+                this.reportDigitalPort(command & 0x0F);
+            } else {
+                this.reportingDigitalPorts.delete(command & 0x0F);
+            }
+            break;
+        default:
+            break;
+        }
+    }
+
+    /**
+     * Handle a sysex message.
+     * @param {number} command - sysex command
+     * @param {Array<number>} data - payload without the command and the end byte
+     */
+    handleSysex (command, data) {
+        switch (command) {
+        case BOARD_VERSION_QUERY: {
+            const value = (this.version.type << 10) | (this.version.major << 6) | this.version.minor;
+            this.respond([START_SYSEX, BOARD_VERSION_QUERY, value & 0x7F, (value >> 7) & 0x7F, END_SYSEX]);
+            break;
+        }
+        case ULTRASONIC_DISTANCE_QUERY:
+        case WATER_TEMPERATURE_QUERY: {
+            const pin = data[0];
+            const value = (command === ULTRASONIC_DISTANCE_QUERY) ?
+                this.sensorValues.ultrasonicDistance[pin] :
+                this.sensorValues.waterTemperature[pin];
+            if (typeof value !== 'number') {
+                // sensor is not available
+                this.respond([START_SYSEX, command, pin, END_SYSEX]);
+                break;
+            }
+            const raw = (command === ULTRASONIC_DISTANCE_QUERY) ? value : value * 10;
+            this.respond([START_SYSEX, command, pin, ...encodeInt16ToTwo7bitBytes(raw), END_SYSEX]);
+            break;
+        }
+        case ANALOG_MAPPING_QUERY: {
+            const channels = getSettings().pins.map(pin => pin.analogChannel);
+            this.respond([START_SYSEX, ANALOG_MAPPING_RESPONSE, ...channels, END_SYSEX]);
+            break;
+        }
+        case I2C_REQUEST:
+            this.handleI2CRequest(data);
+            break;
+        case DEVICE_ENABLE:
+        default:
+            break;
+        }
+    }
+
+    /**
+     * Handle an I2C request.
+     * No reply is sent for the address which has no device like a real bus.
+     * @param {Array<number>} data - payload of the request
+     */
+    handleI2CRequest (data) {
+        const address = data[0] | ((data[1] & 0x07) << 7);
+        const mode = (data[1] >> 3) & 0x03;
+        const values = decode7bitPairs(data.slice(2));
+        const device = this.i2cDevices.get(address);
+        switch (mode) {
+        case I2C_MODE.WRITE:
+            if (device && values.length > 0) {
+                device.write(values[0], values.slice(1));
+            }
+            break;
+        case I2C_MODE.READ:
+        case I2C_MODE.CONTINUOUS_READ: {
+            const register = (values.length > 1) ? values[0] : 0;
+            const length = values[values.length - 1];
+            if (mode === I2C_MODE.CONTINUOUS_READ) {
+                this.continuousReads.set(`${address}-${register}`, {address, register, length});
+            }
+            if (device) this.replyI2C(address, register, length);
+            break;
+        }
+        case I2C_MODE.STOP_READING:
+            [...this.continuousReads.keys()]
+                .filter(key => key.startsWith(`${address}-`))
+                .forEach(key => this.continuousReads.delete(key));
+            break;
+        default:
+            break;
+        }
+    }
+
+    /**
+     * Send an I2C reply with the data of the device.
+     * @param {number} address - I2C address
+     * @param {number} register - starting register
+     * @param {number} length - number of bytes to read
+     */
+    replyI2C (address, register, length) {
+        const device = this.i2cDevices.get(address);
+        if (!device) return;
+        const bytes = device.read(register, length);
+        this.respond([
+            START_SYSEX,
+            I2C_REPLY,
+            ...encode7bitPairs([address, register]),
+            ...encode7bitPairs(bytes),
+            END_SYSEX
+        ]);
+    }
+
+    /**
+     * Send a digital message of the port.
+     * @param {number} port - digital port
+     */
+    reportDigitalPort (port) {
+        let portValue = 0;
+        for (let i = 0; i < 8; i++) {
+            const pin = (port * 8) + i;
+            const mode = this.pinModes[pin];
+            if (mode !== PIN_MODE.INPUT && mode !== PIN_MODE.PULLUP) continue;
+            const defaultLevel = (mode === PIN_MODE.PULLUP) ? 1 : 0;
+            const level = (pin in this.digitalInputs) ? this.digitalInputs[pin] : defaultLevel;
+            portValue |= (level << i);
+        }
+        this.respond([DIGITAL_MESSAGE | port, portValue & 0x7F, (portValue >> 7) & 0x7F]);
+    }
+
+    /**
+     * Send the analog reports and the continuous I2C readings.
+     */
+    onSampling () {
+        this.reportingAnalogChannels.forEach(channel => {
+            const value = this.analogInputs[channel] || 0;
+            this.respond([ANALOG_MESSAGE | channel, value & 0x7F, (value >> 7) & 0x7F]);
+        });
+        this.continuousReads.forEach(reading => {
+            this.replyI2C(reading.address, reading.register, reading.length);
+        });
+    }
+}
+
+export default SimulatorDakoTransport;
@@ -0,0 +1,239 @@
+/**
+ * 5x7 font for the displays
+ * ASCII and half-width katakana in the same layout as the character LCD.
+ * Each glyph is 5 columns of bytes and the LSB is the top row.
+ */
+
+/**
+ * Width of a glyph [pixels].
+ */
+export const FONT_WIDTH = 5;
+
+/**
+ * Height of a glyph [pixels].
+ */
+export const FONT_HEIGHT = 7;
+
+/**
+ * First code of the half-width katakana in the font.
+ */
+const KANA_START = 0xFF61;
+
+/**
+ * Glyphs from ' ' (0x20) to '~' (0x7E) then from '｡' (U+FF61) to 'ﾟ' (U+FF9F).
+ * @type {Array<number>}
+ */
+const GLYPHS = [
+    0x00, 0x00, 0x00, 0x00, 0x00, // space
+    0x00, 0x00, 0x5F, 0x00, 0x00, // !
+    0x00, 0x07, 0x00, 0x07, 0x00, // "
+    0x14, 0x7F, 0x14, 0x7F, 0x14, // #
+    0x24, 0x2A, 0x7F, 0x2A, 0x12, // $
+    0x23, 0x13, 0x08, 0x64, 0x62, // %
+    0x36, 0x49, 0x55, 0x22, 0x50, // &
+    0x00, 0x05, 0x03, 0x00, 0x00, // '
+    0x00, 0x1C, 0x22, 0x41, 0x00, // (
+    0x00, 0x41, 0x22, 0x1C, 0x00, // )
+    0x14, 0x08, 0x3E, 0x08, 0x14, // *
+    0x08, 0x08, 0x3E, 0x08, 0x08, // +
+    0x00, 0x50, 0x30, 0x00, 0x00, // ,
+    0x08, 0x08, 0x08, 0x08, 0x08, // -
+    0x00, 0x60, 0x60, 0x00, 0x00, // .
+    0x20, 0x10, 0x08, 0x04, 0x02, // /
+    0x3E, 0x51, 0x49, 0x45, 0x3E, // 0
+    0x00, 0x42, 0x7F, 0x40, 0x00, // 1
+    0x42, 0x61, 0x51, 0x49, 0x46, // 2
+    0x21, 0x41, 0x45, 0x4B, 0x31, // 3
+    0x18, 0x14, 0x12, 0x7F, 0x10, // 4
+    0x27, 0x45, 0x45, 0x45, 0x39, // 5
+    0x3C, 0x4A, 0x49, 0x49, 0x30, // 6
+    0x01, 0x71, 0x09, 0x05, 0x03, // 7
+    0x36, 0x49, 0x49, 0x49, 0x36, // 8
+    0x06, 0x49, 0x49, 0x29, 0x1E, // 9
+    0x00, 0x36, 0x36, 0x00, 0x00, // :
+    0x00, 0x56, 0x36, 0x00, 0x00, // ;
+    0x08, 0x14, 0x22, 0x41, 0x00, // <
+    0x14, 0x14, 0x14, 0x14, 0x14, // =
+    0x00, 0x41, 0x22, 0x14, 0x08, // >
+    0x02, 0x01, 0x51, 0x09, 0x06, // ?
+    0x32, 0x49, 0x79, 0x41, 0x3E, // @
+    0x7E, 0x11, 0x11, 0x11, 0x7E, // A
+    0x7F, 0x49, 0x49, 0x49, 0x36, // B
+    0x3E, 0x41, 0x41, 0x41, 0x22, // C
+    0x7F, 0x41, 0x41, 0x22, 0x1C, // D
+    0x7F, 0x49, 0x49, 0x49, 0x41, // E
+    0x7F, 0x09, 0x09, 0x09, 0x01, // F
+    0x3E, 0x41, 0x49, 0x49, 0x7A, // G
+    0x7F, 0x08, 0x08, 0x08, 0x7F, // H
+    0x00, 0x41, 0x7F, 0x41, 0x00, // I
+    0x20, 0x40, 0x41, 0x3F, 0x01, // J
+    0x7F, 0x08, 0x14, 0x22, 0x41, // K
+    0x7F, 0x40, 0x40, 0x40, 0x40, // L
+    0x7F, 0x02, 0x0C, 0x02, 0x7F, // M
+    0x7F, 0x04, 0x08, 0x10, 0x7F, // N
+    0x3E, 0x41, 0x41, 0x41, 0x3E, // O
+    0x7F, 0x09, 0x09, 0x09, 0x06, // P
+    0x3E, 0x41, 0x51, 0x21, 0x5E, // Q
+    0x7F, 0x09, 0x19, 0x29, 0x46, // R
+    0x46, 0x49, 0x49, 0x49, 0x31, // S
+    0x01, 0x01, 0x7F, 0x01, 0x01, // T
+    0x3F, 0x40, 0x40, 0x40, 0x3F, // U
+    0x1F, 0x20, 0x40, 0x20, 0x1F, // V
+    0x3F, 0x40, 0x38, 0x40, 0x3F, // W
+    0x63, 0x14, 0x08, 0x14, 0x63, // X
+    0x07, 0x08, 0x70, 0x08, 0x07, // Y
+    0x61, 0x51, 0x49, 0x45, 0x43, // Z
+    0x00, 0x7F, 0x41, 0x41, 0x00, // [
+    0x02, 0x04, 0x08, 0x10, 0x20, // backslash
+    0x00, 0x41, 0x41, 0x7F, 0x00, // ]
+    0x04, 0x02, 0x01, 0x02, 0x04, // ^
+    0x40, 0x40, 0x40, 0x40, 0x40, // _
+    0x00, 0x01, 0x02, 0x04, 0x00, // `
+    0x20, 0x54, 0x54, 0x54, 0x78, // a
+    0x7F, 0x48, 0x44, 0x44, 0x38, // b
+    0x38, 0x44, 0x44, 0x44, 0x20, // c
+    0x38, 0x44, 0x44, 0x48, 0x7F, // d
+    0x38, 0x54, 0x54, 0x54, 0x18, // e
+    0x08, 0x7E, 0x09, 0x01, 0x02, // f
+    0x0C, 0x52, 0x52, 0x52, 0x3E, // g
+    0x7F, 0x08, 0x04, 0x04, 0x78, // h
+    0x00, 0x44, 0x7D, 0x40, 0x00, // i
+    0x20, 0x40, 0x44, 0x3D, 0x00, // j
+    0x7F, 0x10, 0x28, 0x44, 0x00, // k
+    0x00, 0x41, 0x7F, 0x40, 0x00, // l
+    0x7C, 0x04, 0x18, 0x04, 0x78, // m
+    0x7C, 0x08, 0x04, 0x04, 0x78, // n
+    0x38, 0x44, 0x44, 0x44, 0x38, // o
+    0x7C, 0x14, 0x14, 0x14, 0x08, // p
+    0x08, 0x14, 0x14, 0x18, 0x7C, // q
+    0x7C, 0x08, 0x04, 0x04, 0x08, // r
+    0x48, 0x54, 0x54, 0x54, 0x20, // s
+    0x04, 0x3F, 0x44, 0x40, 0x20, // t
+    0x3C, 0x40, 0x40, 0x20, 0x7C, // u
+    0x1C, 0x20, 0x40, 0x20, 0x1C, // v
+    0x3C, 0x40, 0x30, 0x40, 0x3C, // w
+    0x44, 0x28, 0x10, 0x28, 0x44, // x
+    0x0C, 0x50, 0x50, 0x50, 0x3C, // y
+    0x44, 0x64, 0x54, 0x4C, 0x44, // z
+    0x00, 0x08, 0x36, 0x41, 0x00, // {
+    0x00, 0x00, 0x7F, 0x00, 0x00, // |
+    0x00, 0x41, 0x36, 0x08, 0x00, // }
+    0x02, 0x01, 0x02, 0x04, 0x02, // ~
+    0x70, 0x50, 0x70, 0x00, 0x00, // ｡
+    0x0F, 0x01, 0x01, 0x00, 0x00, // ｢
+    0x00, 0x00, 0x40, 0x40, 0x78, // ｣
+    0x10, 0x20, 0x40, 0x00, 0x00, // ､
+    0x00, 0x18, 0x18, 0x00, 0x00, // ･
+    0x05, 0x45, 0x25, 0x15, 0x0F, // ｦ
+    0x04, 0x44, 0x34, 0x14, 0x0C, // ｧ
+    0x00, 0x20, 0x10, 0x78, 0x04, // ｨ
+    0x18, 0x08, 0x4C, 0x48, 0x38, // ｩ
+    0x48, 0x48, 0x78, 0x48, 0x48, // ｪ
+    0x48, 0x28, 0x18, 0x7C, 0x08, // ｫ
+    0x08, 0x7C, 0x08, 0x28, 0x18, // ｬ
+    0x40, 0x48, 0x48, 0x78, 0x40, // ｭ
+    0x44, 0x54, 0x54, 0x7C, 0x00, // ｮ
+    0x18, 0x00, 0x58, 0x40, 0x38, // ｯ
+    0x08, 0x08, 0x08, 0x08, 0x08, // ｰ
+    0x01, 0x41, 0x3D, 0x09, 0x07, // ｱ
+    0x10, 0x08, 0x7C, 0x02, 0x01, // ｲ
+    0x0E, 0x02, 0x43, 0x22, 0x1E, // ｳ
+    0x42, 0x42, 0x7E, 0x42, 0x42, // ｴ
+    0x22, 0x12, 0x0A, 0x7F, 0x02, // ｵ
+    0x42, 0x3F, 0x02, 0x42, 0x3E, // ｶ
+    0x0A, 0x0A, 0x7F, 0x0A, 0x0A, // ｷ
+    0x44, 0x43, 0x21, 0x11, 0x0F, // ｸ
+    0x04, 0x03, 0x42, 0x3E, 0x02, // ｹ
+    0x42, 0x42, 0x42, 0x42, 0x7E, // ｺ
+    0x02, 0x4F, 0x22, 0x1F, 0x02, // ｻ
+    0x45, 0x45, 0x40, 0x20, 0x1C, // ｼ
+    0x41, 0x21, 0x11, 0x29, 0x47, // ｽ
+    0x02, 0x3F, 0x42, 0x4A, 0x46, // ｾ
+    0x43, 0x44, 0x20, 0x10, 0x0F, // ｿ
+    0x44, 0x43, 0x25, 0x19, 0x07, // ﾀ
+    0x0A, 0x4A, 0x3E, 0x09, 0x09, // ﾁ
+    0x07, 0x00, 0x47, 0x20, 0x1F, // ﾂ
+    0x04, 0x45, 0x3D, 0x05, 0x04, // ﾃ
+    0x00, 0x7F, 0x04, 0x08, 0x00, // ﾄ
+    0x44, 0x24, 0x1F, 0x04, 0x04, // ﾅ
+    0x40, 0x42, 0x42, 0x42, 0x40, // ﾆ
+    0x21, 0x15, 0x09, 0x15, 0x03, // ﾇ
+    0x22, 0x12, 0x7B, 0x16, 0x22, // ﾈ
+    0x40, 0x20, 0x10, 0x08, 0x07, // ﾉ
+    0x78, 0x00, 0x02, 0x04, 0x78, // ﾊ
+    0x3F, 0x44, 0x44, 0x44, 0x44, // ﾋ
+    0x01, 0x41, 0x21, 0x11, 0x0F, // ﾌ
+    0x04, 0x02, 0x04, 0x08, 0x10, // ﾍ
+    0x32, 0x02, 0x7F, 0x02, 0x32, // ﾎ
+    0x01, 0x09, 0x11, 0x29, 0x07, // ﾏ
+    0x00, 0x29, 0x29, 0x29, 0x52, // ﾐ
+    0x30, 0x2C, 0x23, 0x30, 0x60, // ﾑ
+    0x20, 0x14, 0x08, 0x14, 0x03, // ﾒ
+    0x05, 0x3F, 0x45, 0x45, 0x45, // ﾓ
+    0x02, 0x7F, 0x02, 0x0A, 0x06, // ﾔ
+    0x40, 0x42, 0x42, 0x7E, 0x40, // ﾕ
+    0x49, 0x49, 0x49, 0x49, 0x7F, // ﾖ
+    0x04, 0x05, 0x45, 0x25, 0x1C, // ﾗ
+    0x0F, 0x40, 0x20, 0x1F, 0x00, // ﾘ
+    0x40, 0x3F, 0x00, 0x7F, 0x20, // ﾙ
+    0x7F, 0x40, 0x20, 0x10, 0x08, // ﾚ
+    0x7E, 0x42, 0x42, 0x42, 0x7E, // ﾛ
+    0x07, 0x41, 0x21, 0x11, 0x0F, // ﾜ
+    0x41, 0x41, 0x60, 0x10, 0x0C, // ﾝ
+    0x02, 0x01, 0x02, 0x01, 0x00, // ﾞ
+    0x07, 0x05, 0x07, 0x00, 0x00 // ﾟ
+];
+
+/**
+ * Full-width katakana and symbols which have the half-width form in the font.
+ */
+const FULL_WIDTH_KANA = 'ァアィイゥウェエォオカキクケコサシスセソタチッツテトナニヌネノハヒフヘホマミムメモ' +
+    'ャヤュユョヨラリルレロヮワヰヱヲンヵヶー。「」、・゛゜';
+
+/**
+ * Half-width forms for each character in FULL_WIDTH_KANA.
+ */
+const HALF_WIDTH_KANA = 'ｧｱｨｲｩｳｪｴｫｵｶｷｸｹｺｻｼｽｾｿﾀﾁｯﾂﾃﾄﾅﾆﾇﾈﾉﾊﾋﾌﾍﾎﾏﾐﾑﾒﾓ' +
+    'ｬﾔｭﾕｮﾖﾗﾘﾙﾚﾛﾜﾜｲｴｦﾝｶｹｰ｡｢｣､･ﾞﾟ';
+
+/**
+ * Convert the text into the characters which the font has.
+ * Hiragana and full-width characters become half-width ones and the others become '?'.
+ * @param {string} text - text to be shown
+ * @returns {string} text in the characters of the font
+ */
+export const toFontText = text => Array.from(String(text).normalize('NFD'))
+    .map(char => {
+        const code = char.charCodeAt(0);
+        if (code >= 0x20 && code <= 0x7E) return char;
+        if (code >= KANA_START && code <= 0xFF9F) return char;
+        // full-width ASCII
+        if (code >= 0xFF01 && code <= 0xFF5E) return String.fromCharCode(code - 0xFEE0);
+        if (char === '\u3000') return ' ';
+        if (char === '\u3099') return 'ﾞ';
+        if (char === '\u309A') return 'ﾟ';
+        // the semi-voiced mark is used as the degree sign on the character LCD
+        if (char === '°') return 'ﾟ';
+        // hiragana to katakana
+        const katakana = (code >= 0x3041 && code <= 0x3096) ? String.fromCharCode(code + 0x60) : char;
+        const index = FULL_WIDTH_KANA.indexOf(katakana);
+        if (index >= 0) return HALF_WIDTH_KANA[index];
+        return '?';
+    })
+    .join('');
+
+/**
+ * Return the glyph of the character.
+ * @param {string} char - a character in the font
+ * @returns {Array<number>} 5 columns of the glyph, '?' for the unknown character
+ */
+export const glyphOf = char => {
+    const code = char.charCodeAt(0);
+    let index = code - 0x20;
+    if (code >= KANA_START && code <= 0xFF9F) {
+        index = (0x7F - 0x20) + (code - KANA_START);
+    } else if (code < 0x20 || code > 0x7E) {
+        index = '?'.charCodeAt(0) - 0x20;
+    }
+    return GLYPHS.slice(index * FONT_WIDTH, (index + 1) * FONT_WIDTH);
+};
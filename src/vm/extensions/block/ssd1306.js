@@ -0,0 +1,291 @@
+/**
+ * SSD1306 API
+ * 128x64 monochrome OLED display on I2C
+ * This code refer to
+ * https://github.com/adafruit/Adafruit_SSD1306
+ */
+
+import {FONT_WIDTH, FONT_HEIGHT, toFontText, glyphOf} from './ssd1306-font';
+
+/**
+ * default I2C address
+ * @enum {number}
+ */
+const SSD1306_ADDRESS = 0x3C;
+
+// control bytes which are sent as the register
+const CONTROL_COMMAND = 0x00;
+const CONTROL_DATA = 0x40;
+
+// commands
+const SET_COLUMN_ADDRESS = 0x21;
+const SET_PAGE_ADDRESS = 0x22;
+
+/**
+ * Commands to initialize the display in horizontal addressing mode.
+ */
+const INIT_COMMANDS = [
+    0xAE, // display off
+    0xD5, 0x80, // clock divide ratio
+    0xA8, 0x3F, // multiplex ratio 64
+    0xD3, 0x00, // display offset
+    0x40, // start line 0
+    0x8D, 0x14, // charge pump on
+    0x20, 0x00, // horizontal addressing mode
+    0xA1, // segment remap
+    0xC8, // COM scan direction reversed
+    0xDA, 0x12, // COM pins configuration
+    0x81, 0xCF, // contrast
+    0xD9, 0xF1, // pre-charge period
+    0xDB, 0x40, // VCOMH deselect level
+    0xA4, // display the RAM
+    0xA6, // normal, not inverted
+    0x2E, // stop scrolling
+    0xAF // display on
+];
+
+/**
+ * Maximum bytes in an I2C write to fit in the buffer of the board.
+ */
+const MAX_WRITE_LENGTH = 16;
+
+/**
+ * Round the coordinate and limit it not to draw too many pixels out of the display.
+ * @param {number} value - coordinate [pixels]
+ * @returns {number} coordinate in -1024 to 1024
+ */
+const toCoordinate = value => Math.max(-1024, Math.min(1024, Math.round(value)));
+
+/**
+ * This class is representing a SSD1306 with a framebuffer.
+ * Drawings change the framebuffer then display() sends only the changed columns.
+ */
+export default class SSD1306 {
+    /**
+     * Constructor of SSD1306 instance.
+     * @param {AkaDakoBoard} board - connecting AkaDako board
+     * @param {number} address - I2C address
+     */
+    constructor (board, address = SSD1306_ADDRESS) {
+
+        /**
+         * Connecting AkaDako board
+         * @type {import('./akadako-board').default}
+         */
+        this.board = board;
+
+        /**
+         * I2C address
+         * @type {number}
+         */
+        this.address = address;
+
+        /**
+         * Width of the display [pixels].
+         * @type {number}
+         */
+        this.width = 128;
+
+        /**
+         * Height of the display [pixels].
+         * @type {number}
+         */
+        this.height = 64;
+
+        /**
+         * Framebuffer in pages of 8 rows, the LSB is the top row of the page.
+         * @type {Uint8Array}
+         */
+        this.buffer = new Uint8Array((this.width * this.height) / 8);
+
+        /**
+         * Content of the display RAM which was sent.
+         * @type {Uint8Array}
+         */
+        this.sentBuffer = new Uint8Array(this.buffer.length);
+
+        /**
+         * Sending in progress, the next display() waits for it.
+         * @type {Promise}
+         */
+        this.sending = Promise.resolve();
+    }
+
+    /**
+     * Send commands.
+     * @param {Array<number>} commands - command bytes
+     * @returns {Promise} a Promise which resolves when the commands were sent
+     */
+    async sendCommands (commands) {
+        for (let index = 0; index < commands.length; index += MAX_WRITE_LENGTH) {
+            await this.board.i2cWrite(this.address, CONTROL_COMMAND,
+                commands.slice(index, index + MAX_WRITE_LENGTH));
+        }
+    }
+
+    /**
+     * Initialize the display and clear it.
+     * @returns {Promise} a Promise which resolves when the display was initialized
+     */
+    async init () {
+        await this.sendCommands(INIT_COMMANDS);
+        this.clear();
+        // fill the sent buffer to send all columns at the first display()
+        this.sentBuffer.fill(0xFF);
+        await this.display();
+    }
+
+    /**
+     * Clear the framebuffer.
+     */
+    clear () {
+        this.buffer.fill(0);
+    }
+
+    /**
+     * Set a pixel in the framebuffer.
+     * Pixels out of the display are ignored.
+     * @param {number} x - column from the left
+     * @param {number} y - row from the top
+     * @param {boolean} on - true to light the pixel
+     */
+    drawPixel (x, y, on = true) {
+        x = Math.round(x);
+        y = Math.round(y);
+        if (x < 0 || x >= this.width || y < 0 || y >= this.height) return;
+        const index = (Math.floor(y / 8) * this.width) + x;
+        if (on) {
+            this.buffer[index] |= (1 << (y % 8));
+        } else {
+            this.buffer[index] &= ~(1 << (y % 8));
+        }
+    }
+
+    /**
+     * Draw a line by Bresenham's algorithm.
+     * @param {number} x0 - column of the start
+     * @param {number} y0 - row of the start
+     * @param {number} x1 - column of the end
+     * @param {number} y1 - row of the end
+     * @param {boolean} on - true to light the pixels
+     */
+    drawLine (x0, y0, x1, y1, on = true) {
+        x0 = toCoordinate(x0);
+        y0 = toCoordinate(y0);
+        x1 = toCoordinate(x1);
+        y1 = toCoordinate(y1);
+        const dx = Math.abs(x1 - x0);
+        const dy = -Math.abs(y1 - y0);
+        const stepX = (x0 < x1) ? 1 : -1;
+        const stepY = (y0 < y1) ? 1 : -1;
+        let error = dx + dy;
+        let x = x0;
+        let y = y0;
+        for (let count = 0; count <= dx - dy; count++) {
+            this.drawPixel(x, y, on);
+            if (x === x1 && y === y1) break;
+            const error2 = 2 * error;
+            if (error2 >= dy) {
+                error += dy;
+                x += stepX;
+            }
+            if (error2 <= dx) {
+                error += dx;
+                y += stepY;
+            }
+        }
+    }
+
+    /**
+     * Draw a rectangle.
+     * @param {number} x - column of the left
+     * @param {number} y - row of the top
+     * @param {number} width - width [pixels]
+     * @param {number} height - height [pixels]
+     * @param {boolean} fill - true to fill the inside
+     * @param {boolean} on - true to light the pixels
+     */
+    drawRect (x, y, width, height, fill = false, on = true) {
+        x = toCoordinate(x);
+        y = toCoordinate(y);
+        width = toCoordinate(width);
+        height = toCoordinate(height);
+        if (width < 1 || height < 1) return;
+        if (fill) {
+            const left = Math.max(0, x);
+            const right = Math.min(this.width, x + width);
+            const top = Math.max(0, y);
+            const bottom = Math.min(this.height, y + height);
+            for (let row = top; row < bottom; row++) {
+                for (let column = left; column < right; column++) {
+                    this.drawPixel(column, row, on);
+                }
+            }
+            return;
+        }
+        this.drawLine(x, y, x + width - 1, y, on);
+        this.drawLine(x, y + height - 1, x + width - 1, y + height - 1, on);
+        this.drawLine(x, y, x, y + height - 1, on);
+        this.drawLine(x + width - 1, y, x + width - 1, y + height - 1, on);
+    }
+
+    /**
+     * Draw a text in the 5x7 font with 1 pixel spacing.
+     * The text is not wrapped.
+     * @param {string} text - text to draw
+     * @param {number} x - column of the left
+     * @param {number} y - row of the top
+     * @param {number} size - magnification of the font
+     * @returns {number} column next to the drawn text
+     */
+    drawText (text, x, y, size = 1) {
+        size = Math.max(1, Math.min(8, Math.round(size)));
+        let left = toCoordinate(x);
+        const top = toCoordinate(y);
+        for (const char of toFontText(text)) {
+            if (left >= this.width) break;
+            const glyph = glyphOf(char);
+            // clear the background then draw the glyph
+            this.drawRect(left, top, (FONT_WIDTH + 1) * size, (FONT_HEIGHT + 1) * size, true, false);
+            glyph.forEach((column, columnIndex) => {
+                for (let row = 0; row < FONT_HEIGHT; row++) {
+                    if (column & (1 << row)) {
+                        this.drawRect(left + (columnIndex * size), top + (row * size), size, size, true, true);
+                    }
+                }
+            });
+            left += (FONT_WIDTH + 1) * size;
+        }
+        return left;
+    }
+
+    /**
+     * Send the changed part of the framebuffer in each page.
+     * @returns {Promise} a Promise which resolves when the framebuffer was sent
+     */
+    display () {
+        const task = this.sending.then(async () => {
+            const pages = this.height / 8;
+            for (let page = 0; page < pages; page++) {
+                const pageStart = page * this.width;
+                let first = -1;
+                let last = -1;
+                for (let column = 0; column < this.width; column++) {
+                    if (this.buffer[pageStart + column] !== this.sentBuffer[pageStart + column]) {
+                        if (first < 0) first = column;
+                        last = column;
+                    }
+                }
+                if (first < 0) continue;
+                await this.sendCommands([SET_COLUMN_ADDRESS, first, last, SET_PAGE_ADDRESS, page, page]);
+                const data = Array.from(this.buffer.slice(pageStart + first, pageStart + last + 1));
+                for (let index = 0; index < data.length; index += MAX_WRITE_LENGTH) {
+                    await this.board.i2cWrite(this.address, CONTROL_DATA, data.slice(index, index + MAX_WRITE_LENGTH));
+                }
+                this.sentBuffer.set(data, pageStart + first);
+            }
+        });
+        this.sending = task.catch(() => {});
+        return task;
+    }
+}
@@ -0,0 +1,132 @@
+/**
+ * TM1637 API
+ * 4-digit 7-segment display driver which is driven by toggling two pins
+ * This code refer to
+ * https://github.com/Seeed-Studio/Grove_4Digital_Display
+ */
+
+// commands
+const DATA_COMMAND_AUTO_INCREMENT = 0x40;
+const ADDRESS_COMMAND_FIRST_DIGIT = 0xC0;
+const DISPLAY_CONTROL_ON = 0x88;
+
+/**
+ * Segments of the numerals 0 to 9.
+ */
+const DIGIT_SEGMENTS = [0x3F, 0x06, 0x5B, 0x4F, 0x66, 0x6D, 0x7D, 0x07, 0x7F, 0x6F];
+
+/**
+ * Segment of the minus sign.
+ */
+const MINUS_SEGMENT = 0x40;
+
+/**
+ * Number of the digits.
+ */
+const DIGITS = 4;
+
+/**
+ * Return the segments to show the number in right alignment.
+ * The number is rounded because the display has no decimal point.
+ * @param {number} number - number to show
+ * @returns {Array<number>} segments of the 4 digits from the left, all minus signs when it does not fit
+ */
+export const encodeNumber = number => {
+    const text = String(Math.round(number));
+    if (!Number.isFinite(number) || text.length > DIGITS) return new Array(DIGITS).fill(MINUS_SEGMENT);
+    const segments = Array.from(text).map(char => ((char === '-') ? MINUS_SEGMENT : DIGIT_SEGMENTS[Number(char)]));
+    return new Array(DIGITS - segments.length).fill(0x00)
+        .concat(segments);
+};
+
+/**
+ * This class is representing a TM1637 on a digital connector.
+ */
+export default class TM1637 {
+    /**
+     * Constructor of TM1637 instance.
+     * @param {AkaDakoBoard} board - connecting AkaDako board
+     * @param {number} clockPin - pin number of CLK
+     * @param {number} dataPin - pin number of DIO
+     */
+    constructor (board, clockPin, dataPin) {
+
+        /**
+         * Connecting AkaDako board
+         * @type {import('./akadako-board').default}
+         */
+        this.board = board;
+
+        /**
+         * Pin number of CLK.
+         * @type {number}
+         */
+        this.clockPin = clockPin;
+
+        /**
+         * Pin number of DIO.
+         * @type {number}
+         */
+        this.dataPin = dataPin;
+
+        /**
+         * Brightness [0 - 7].
+         * @type {number}
+         */
+        this.brightness = 7;
+    }
+
+    /**
+     * Return the steps to send a command with the data bytes.
+     * DIO is driven low in the ACK clock instead of reading it.
+     * @param {Array<number>} bytes - command and data bytes
+     * @returns {Array<Array<number>>} [pin, level] in order
+     */
+    transferSteps (bytes) {
+        const clock = this.clockPin;
+        const data = this.dataPin;
+        // start condition
+        const steps = [[clock, 1], [data, 1], [data, 0], [clock, 0]];
+        bytes.forEach(byte => {
+            for (let bit = 0; bit < 8; bit++) {
+                steps.push([data, (byte >> bit) & 0x01], [clock, 1], [clock, 0]);
+            }
+            // ACK
+            steps.push([data, 0], [clock, 1], [clock, 0]);
+        });
+        // stop condition
+        steps.push([data, 0], [clock, 1], [data, 1]);
+        return steps;
+    }
+
+    /**
+     * Show the segments on the digits.
+     * @param {Array<number>} segments - segments of the 4 digits from the left
+     * @returns {Promise} a Promise which resolves when the data was sent
+     */
+    showSegments (segments) {
+        const steps = [
+            ...this.transferSteps([DATA_COMMAND_AUTO_INCREMENT]),
+            ...this.transferSteps([ADDRESS_COMMAND_FIRST_DIGIT, ...segments]),
+            ...this.transferSteps([DISPLAY_CONTROL_ON | this.brightness])
+        ];
+        return this.board.digitalWriteSequence(steps);
+    }
+
+    /**
+     * Show the number in right alignment.
+     * @param {number} number - number to show
+     * @returns {Promise} a Promise which resolves when the data was sent
+     */
+    showNumber (number) {
+        return this.showSegments(encodeNumber(number));
+    }
+
+    /**
+     * Turn all segments off.
+     * @returns {Promise} a Promise which resolves when the data was sent
+     */
+    clear () {
+        return this.showSegments(new Array(DIGITS).fill(0x00));
+    }
+}
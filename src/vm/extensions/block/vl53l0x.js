@@ -113,6 +113,39 @@ const encodeVcselPeriod = period_pclks => (((period_pclks) >> 1) - 1);
 // PLL_period_ps = 1655; macro_period_vclks = 2304
 const calcMacroPeriod = vcsel_period_pclks => (((2304 * (vcsel_period_pclks) * 1655) + 500) / 1000);
 
+/**
+ * Range which the sensor returns when no target was found [mm].
+ */
+const OUT_OF_RANGE_VALUE = 8190;
+
+/**
+ * Convert the device range status in RESULT_RANGE_STATUS to the status name.
+ * based on VL53L0X_get_pal_range_status()
+ * @param {number} reg_val - register value of RESULT_RANGE_STATUS
+ * @param {number} range - measured range [mm]
+ * @returns {string} 'VALID' | 'OUT_OF_RANGE' | 'SIGNAL_FAIL' | 'PHASE_FAIL' | 'MIN_RANGE_FAIL' | 'HARDWARE_FAIL'
+ */
+export const rangeStatusOf = (reg_val, range) => {
+    const deviceStatus = (reg_val >> 3) & 0x0F;
+    if (range >= OUT_OF_RANGE_VALUE) return 'OUT_OF_RANGE';
+    switch (deviceStatus) {
+    case 1:
+    case 2:
+    case 3:
+        return 'HARDWARE_FAIL';
+    case 4:
+        return 'SIGNAL_FAIL';
+    case 6:
+    case 9:
+        return 'PHASE_FAIL';
+    case 8:
+    case 10:
+        return 'MIN_RANGE_FAIL';
+    default:
+        return 'VALID';
+    }
+};
+
 /**
  * This class is representing a VL53L0X distance sensor.
  */
@@ -163,6 +196,12 @@ export default class VL53L0X {
          * @type {number}
          */
         this.measurement_timing_budget_us = 0;
+
+        /**
+         * Status of the last range measurement by rangeStatusOf().
+         * @type {?string}
+         */
+        this.range_status = null;
     }
 
     /**
@@ -950,6 +989,7 @@ export default class VL53L0X {
         // assumptions: Linearity Corrective Gain is 1000 (default);
         // fractional ranging is not enabled
         const range = await this.readReg16Bit(RESULT_RANGE_STATUS + 10);
+        this.range_status = rangeStatusOf(await this.readReg(RESULT_RANGE_STATUS), range);
 
         this.writeReg(SYSTEM_INTERRUPT_CLEAR, 0x01);
 
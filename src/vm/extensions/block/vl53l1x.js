@@ -0,0 +1,544 @@
+/**
+ * VL53L1X API converted from the Ultra Lite Driver of ST and Cpp code for Arduino.
+ * ref: https://www.st.com/en/embedded-software/stsw-img009.html
+ * ref: https://github.com/pololu/vl53l1x-arduino
+ */
+
+import LTR303 from './ltr303';
+
+/* eslint-disable camelcase */
+
+/**
+ * default I2C address
+ * @enum {number}
+ */
+const VL53L1X_ADDRESS = 0x29;
+
+// register addresses in 16 bits
+const SOFT_RESET = 0x0000;
+const OSC_MEASURED__FAST_OSC__FREQUENCY = 0x0006;
+const VHV_CONFIG__TIMEOUT_MACROP_LOOP_BOUND = 0x0008;
+const VHV_CONFIG__INIT = 0x000B;
+const GPIO_HV_MUX__CTRL = 0x0030;
+const GPIO__TIO_HV_STATUS = 0x0031;
+const PHASECAL_CONFIG__TIMEOUT_MACROP = 0x004B;
+const MM_CONFIG__TIMEOUT_MACROP_A = 0x005A;
+const MM_CONFIG__TIMEOUT_MACROP_B = 0x005C;
+const RANGE_CONFIG__TIMEOUT_MACROP_A = 0x005E;
+const RANGE_CONFIG__VCSEL_PERIOD_A = 0x0060;
+const RANGE_CONFIG__TIMEOUT_MACROP_B = 0x0061;
+const RANGE_CONFIG__VCSEL_PERIOD_B = 0x0063;
+const RANGE_CONFIG__VALID_PHASE_HIGH = 0x0069;
+const SYSTEM__INTERMEASUREMENT_PERIOD = 0x006C;
+const SD_CONFIG__WOI_SD0 = 0x0078;
+const SD_CONFIG__INITIAL_PHASE_SD0 = 0x007A;
+const ROI_CONFIG__USER_ROI_CENTRE_SPAD = 0x007F;
+const ROI_CONFIG__USER_ROI_REQUESTED_GLOBAL_XY_SIZE = 0x0080;
+const SYSTEM__INTERRUPT_CLEAR = 0x0086;
+const SYSTEM__MODE_START = 0x0087;
+const RESULT__RANGE_STATUS = 0x0089;
+const RESULT__FINAL_CROSSTALK_CORRECTED_RANGE_MM_SD0 = 0x0096;
+const RESULT__OSC_CALIBRATE_VAL = 0x00DE;
+const FIRMWARE__SYSTEM_STATUS = 0x00E5;
+const IDENTIFICATION__MODEL_ID = 0x010F;
+const ROI_CONFIG__MODE_ROI_CENTRE_SPAD = 0x013E;
+
+const MODEL_ID = 0xEACC;
+
+/**
+ * Registers from 0x2D to 0x87 which are written by VL53L1X_SensorInit() of the Ultra Lite Driver.
+ */
+const DEFAULT_CONFIGURATION = [
+    0x00, 0x00, 0x00, 0x01, 0x02, 0x00, 0x02, 0x08, 0x00, 0x08, 0x10, 0x01, 0x01, 0x00, 0x00, 0x00,
+    0x00, 0xFF, 0x00, 0x0F, 0x00, 0x00, 0x00, 0x00, 0x00, 0x20, 0x0B, 0x00, 0x00, 0x02, 0x0A, 0x21,
+    0x00, 0x00, 0x05, 0x00, 0x00, 0x00, 0x00, 0xC8, 0x00, 0x00, 0x38, 0xFF, 0x01, 0x00, 0x08, 0x00,
+    0x00, 0x01, 0xCC, 0x0F, 0x01, 0xF1, 0x0D, 0x01, 0x68, 0x00, 0x80, 0x08, 0xB8, 0x00, 0x00, 0x00,
+    0x00, 0x0F, 0x89, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x01, 0x0F, 0x0D, 0x0E, 0x0E, 0x00,
+    0x00, 0x02, 0xC7, 0xFF, 0x9B, 0x00, 0x00, 0x00, 0x01, 0x00, 0x00
+];
+
+/**
+ * Register values for the distance modes
+ * based on VL53L1X::setDistanceMode() of the Arduino library.
+ * @type {object<string, {vcselPeriodA: number, vcselPeriodB: number, validPhaseHigh: number,
+ * woiSd: number, initialPhaseSd: number}>}
+ */
+const DISTANCE_MODES = {
+    SHORT: {vcselPeriodA: 0x07, vcselPeriodB: 0x05, validPhaseHigh: 0x38, woiSd: 0x0705, initialPhaseSd: 0x0606},
+    MEDIUM: {vcselPeriodA: 0x0B, vcselPeriodB: 0x09, validPhaseHigh: 0x78, woiSd: 0x0B09, initialPhaseSd: 0x0A0A},
+    LONG: {vcselPeriodA: 0x0F, vcselPeriodB: 0x0D, validPhaseHigh: 0xB8, woiSd: 0x0F0D, initialPhaseSd: 0x0E0E}
+};
+
+/**
+ * Timing guard which is not for the ranging in the timing budget [microseconds].
+ */
+const TIMING_GUARD = 4528;
+
+/**
+ * Maximum bytes of a register write after the register address.
+ */
+const MAX_WRITE_LENGTH = 16;
+
+/**
+ * Convert the device range status in RESULT__RANGE_STATUS to the status name.
+ * based on VL53L1X_GetRangeStatus()
+ * @param {number} reg_val - register value of RESULT__RANGE_STATUS
+ * @returns {string} 'VALID' | 'SIGMA_FAIL' | 'SIGNAL_FAIL' | 'PHASE_FAIL' | 'WRAP_AROUND' |
+ * 'MIN_RANGE_FAIL' | 'HARDWARE_FAIL'
+ */
+export const rangeStatusOf = reg_val => {
+    switch (reg_val & 0x1F) {
+    case 1:
+    case 2:
+    case 3:
+        return 'HARDWARE_FAIL';
+    case 4:
+        return 'SIGNAL_FAIL';
+    case 5:
+        return 'PHASE_FAIL';
+    case 6:
+        return 'SIGMA_FAIL';
+    case 7:
+        return 'WRAP_AROUND';
+    case 8:
+        return 'MIN_RANGE_FAIL';
+    default:
+        return 'VALID';
+    }
+};
+
+/**
+ * Encode sequence step timeout register value from timeout in MCLKs
+ * based on VL53L1_encode_timeout()
+ * @param {number} timeout_mclks - timeout in MCLKs
+ * @returns {number} register value
+ */
+const encodeTimeout = timeout_mclks => {
+    if (timeout_mclks <= 0) return 0;
+    let ls_byte = timeout_mclks - 1;
+    let ms_byte = 0;
+    while (ls_byte > 0xFF) {
+        ls_byte = Math.floor(ls_byte / 2);
+        ms_byte++;
+    }
+    return (ms_byte << 8) | (ls_byte & 0xFF);
+};
+
+/**
+ * Convert sequence step timeout from microseconds to macro periods
+ * based on VL53L1_calc_timeout_mclks()
+ * @param {number} timeout_us - timeout [microseconds]
+ * @param {number} macro_period_us - macro period in the fixed point of 12 fractional bits
+ * @returns {number} timeout in MCLKs
+ */
+const timeoutMicrosecondsToMclks = (timeout_us, macro_period_us) =>
+    Math.floor(((timeout_us * 4096) + Math.floor(macro_period_us / 2)) / macro_period_us);
+
+/**
+ * Return a Promise which resolves after the time.
+ * @param {number} time - waiting time [milliseconds]
+ * @returns {Promise} a Promise which resolves after the time
+ */
+const wait = time => new Promise(resolve => setTimeout(resolve, time));
+
+/**
+ * This class is representing a VL53L1X distance sensor.
+ */
+export default class VL53L1X {
+
+    /**
+     * Constructor of VL53L1X instance.
+     * @param {AkadakoBoard} board - connecting akadako board
+     * @param {number} address - I2C address of the sensor
+     */
+    constructor (board, address = VL53L1X_ADDRESS) {
+
+        /**
+         * Connecting akadako board
+         * @type {import('./akadako-board').default}
+         */
+        this.board = board;
+
+        /**
+         * I2C address for this module
+         * @type {number}
+         */
+        this.address = address;
+
+        /**
+         * Timeout for IO in milliseconds.
+         * @type {number}
+         */
+        this.io_timeout = 500;
+
+        /**
+         * Did a timeout occur in a sequence.
+         * @type {boolean}
+         */
+        this.did_timeout = false;
+
+        /**
+         * Measured frequency of the fast oscillator which is read by init.
+         * @type {number}
+         */
+        this.fast_osc_frequency = 0;
+
+        /**
+         * Calibration value of the oscillator which is read by init.
+         * @type {number}
+         */
+        this.osc_calibrate_val = 0;
+
+        /**
+         * Level of GPIO__TIO_HV_STATUS when a new measurement is ready.
+         * @type {number}
+         */
+        this.interrupt_polarity = 1;
+
+        /**
+         * Optical center of the SPAD array which is read by init.
+         * @type {number}
+         */
+        this.roi_center = 199;
+
+        /**
+         * @type {string} 'SHORT' | 'MEDIUM' | 'LONG'
+         */
+        this.distance_mode = 'LONG';
+
+        /**
+         * @type {number}
+         */
+        this.measurement_timing_budget_us = 0;
+
+        /**
+         * Status of the last range measurement by rangeStatusOf().
+         * @type {?string}
+         */
+        this.range_status = null;
+    }
+
+    /**
+     * Check if a VL53L1X is connected.
+     * LTR303 can be at the same address, it is excluded by the probe of LTR303 before the 16-bit register access
+     * which changes a register of LTR303.
+     * @param {AkadakoBoard} board - connecting akadako board
+     * @param {number} address - I2C address of the sensor
+     * @returns {Promise<boolean>} A Promise which resolves true if the device is VL53L1X, false otherwise.
+     */
+    static async isConnected (board, address = VL53L1X_ADDRESS) {
+        try {
+            if (await LTR303.isConnected(board, address)) return false;
+            const vl53l1x = new VL53L1X(board, address);
+            return (await vl53l1x.readReg16Bit(IDENTIFICATION__MODEL_ID)) === MODEL_ID;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    /**
+     * Write bytes starting at the 16-bit register.
+     * @param {number} register - starting register
+     * @param {Array<number>} data - bytes to be written
+     * @returns {Promise} a Promise which resolves when the bytes were sent
+     */
+    async writeMulti (register, data) {
+        for (let index = 0; index < data.length; index += MAX_WRITE_LENGTH) {
+            const address = register + index;
+            await this.board.i2cWrite(this.address, (address >> 8) & 0xFF,
+                [address & 0xFF, ...data.slice(index, index + MAX_WRITE_LENGTH)]);
+        }
+    }
+
+    /**
+     * Write an 8-bit at the register.
+     * @param {number} register - register to write
+     * @param {number} value - written 8-bit value
+     * @returns {Promise} a Promise which resolves when the value was sent
+     */
+    writeReg (register, value) {
+        return this.writeMulti(register, [value & 0xFF]);
+    }
+
+    /**
+     * Write a 16-bit at the register.
+     * @param {number} register - register to write
+     * @param {number} value - written 16-bit value
+     * @returns {Promise} a Promise which resolves when the value was sent
+     */
+    writeReg16Bit (register, value) {
+        return this.writeMulti(register, [(value >> 8) & 0xFF, value & 0xFF]);
+    }
+
+    /**
+     * Write a 32-bit at the register.
+     * @param {number} register - register to write
+     * @param {number} value - written 32-bit value
+     * @returns {Promise} a Promise which resolves when the value was sent
+     */
+    writeReg32Bit (register, value) {
+        return this.writeMulti(register, [
+            (value >> 24) & 0xFF,
+            (value >> 16) & 0xFF,
+            (value >> 8) & 0xFF,
+            value & 0xFF
+        ]);
+    }
+
+    /**
+     * Read bytes of the length from the 16-bit register.
+     * @param {number} register - starting register
+     * @param {number} bytesToRead - byte length to read
+     * @returns {Promise<Array<number>>} a Promise which resolves read bytes
+     */
+    async readMulti (register, bytesToRead) {
+        await this.board.i2cWrite(this.address, (register >> 8) & 0xFF, [register & 0xFF]);
+        return this.board.i2cReadOnce(this.address, null, bytesToRead, this.io_timeout);
+    }
+
+    /**
+     * Read an 8-bit from the register.
+     * @param {number} register - register to read
+     * @returns {Promise<number>} a Promise which resolves read value
+     */
+    async readReg (register) {
+        const data = await this.readMulti(register, 1);
+        return data[0];
+    }
+
+    /**
+     * Read a 16-bit from the register.
+     * @param {number} register - starting register
+     * @returns {Promise<number>} a Promise which resolves read value
+     */
+    async readReg16Bit (register) {
+        const data = await this.readMulti(register, 2);
+        return (data[0] << 8) | data[1];
+    }
+
+    /**
+     * Record the current time to check an upcoming timeout against
+     */
+    startTimeout () {
+        this.timeout_start_ms = Date.now();
+    }
+
+    /**
+     * Check if timeout is enabled (set to nonzero value) and has expired
+     * @returns {boolean} true if timeout was expired
+     */
+    checkTimeoutExpired () {
+        return (this.io_timeout > 0) && ((Date.now() - this.timeout_start_ms) > this.io_timeout);
+    }
+
+    /**
+     * Return whether a new measurement is ready.
+     * based on VL53L1X_CheckForDataReady()
+     * @returns {Promise<boolean>} a Promise which resolves true when the measurement is ready
+     */
+    async dataReady () {
+        return ((await this.readReg(GPIO__TIO_HV_STATUS)) & 0x01) === this.interrupt_polarity;
+    }
+
+    /**
+     * Wait until a new measurement is ready.
+     * @returns {Promise} a Promise which resolves when the measurement is ready
+     */
+    async waitDataReady () {
+        this.startTimeout();
+        while (!(await this.dataReady())) {
+            if (this.checkTimeoutExpired()) {
+                this.did_timeout = true;
+                return Promise.reject(`timeout read GPIO__TIO_HV_STATUS: ${this.io_timeout}ms`);
+            }
+        }
+    }
+
+    /**
+     * Initialize sensor based on VL53L1X_SensorInit(), then set long distance mode in 50 ms.
+     * @returns {Promise<boolean>} a Promise which resolves boolean if the initialization was succeeded.
+     */
+    async init () {
+        if ((await this.readReg16Bit(IDENTIFICATION__MODEL_ID)) !== MODEL_ID) {
+            return false;
+        }
+
+        // reset then wait for the boot
+        await this.writeReg(SOFT_RESET, 0x00);
+        await wait(1);
+        await this.writeReg(SOFT_RESET, 0x01);
+        this.startTimeout();
+        while (((await this.readReg(FIRMWARE__SYSTEM_STATUS)) & 0x01) === 0) {
+            if (this.checkTimeoutExpired()) {
+                this.did_timeout = true;
+                return Promise.reject(`timeout read FIRMWARE__SYSTEM_STATUS: ${this.io_timeout}ms`);
+            }
+        }
+
+        await this.writeMulti(0x2D, DEFAULT_CONFIGURATION);
+        this.interrupt_polarity = ((await this.readReg(GPIO_HV_MUX__CTRL)) & 0x10) ? 0 : 1;
+
+        // the first ranging calibrates VHV
+        await this.writeReg(SYSTEM__MODE_START, 0x40);
+        await this.waitDataReady();
+        await this.writeReg(SYSTEM__INTERRUPT_CLEAR, 0x01);
+        await this.writeReg(SYSTEM__MODE_START, 0x00);
+        // two bounds VHV and start VHV from the previous temperature
+        await this.writeReg(VHV_CONFIG__TIMEOUT_MACROP_LOOP_BOUND, 0x09);
+        await this.writeReg(VHV_CONFIG__INIT, 0x00);
+
+        this.fast_osc_frequency = await this.readReg16Bit(OSC_MEASURED__FAST_OSC__FREQUENCY);
+        this.osc_calibrate_val = await this.readReg16Bit(RESULT__OSC_CALIBRATE_VAL) & 0x03FF;
+        this.roi_center = await this.readReg(ROI_CONFIG__MODE_ROI_CENTRE_SPAD);
+
+        await this.setDistanceMode('LONG');
+        await this.setMeasurementTimingBudget(50000);
+        return true;
+    }
+
+    /**
+     * Calculate macro period in microseconds with 12 fractional bits from VCSEL period
+     * based on VL53L1_calc_macro_period_us()
+     * @param {number} vcsel_period - register value of VCSEL period
+     * @returns {number} macro period
+     */
+    calcMacroPeriod (vcsel_period) {
+        const pll_period_us = Math.floor((1 << 30) / this.fast_osc_frequency);
+        const vcsel_period_pclks = (vcsel_period + 1) << 1;
+        let macro_period_us = Math.floor((2304 * pll_period_us) / 64);
+        macro_period_us = Math.floor((macro_period_us * vcsel_period_pclks) / 64);
+        return macro_period_us;
+    }
+
+    /**
+     * Set the distance mode, the timing budget is kept.
+     * The sensor must not be measuring.
+     * @param {string} mode - 'SHORT' (up to 1.3 m) | 'MEDIUM' (up to 3 m) | 'LONG' (up to 4 m)
+     * @returns {Promise} a Promise which resolves when the mode was set
+     */
+    async setDistanceMode (mode) {
+        const config = DISTANCE_MODES[mode];
+        if (!config) return Promise.reject(`unknown distance mode: ${mode}`);
+        await this.writeReg(RANGE_CONFIG__VCSEL_PERIOD_A, config.vcselPeriodA);
+        await this.writeReg(RANGE_CONFIG__VCSEL_PERIOD_B, config.vcselPeriodB);
+        await this.writeReg(RANGE_CONFIG__VALID_PHASE_HIGH, config.validPhaseHigh);
+        await this.writeReg16Bit(SD_CONFIG__WOI_SD0, config.woiSd);
+        await this.writeReg16Bit(SD_CONFIG__INITIAL_PHASE_SD0, config.initialPhaseSd);
+        this.distance_mode = mode;
+        if (this.measurement_timing_budget_us) {
+            // the timeouts depend on the VCSEL periods
+            await this.setMeasurementTimingBudget(this.measurement_timing_budget_us);
+        }
+    }
+
+    /**
+     * Set the time for a measurement, longer is more accurate.
+     * based on VL53L1_SetMeasurementTimingBudgetMicroSeconds()
+     * @param {number} budget_us - timing budget in 20000 to 1000000 [microseconds]
+     * @returns {Promise} a Promise which resolves when the timing budget was set
+     */
+    async setMeasurementTimingBudget (budget_us) {
+        budget_us = Math.max(20000, Math.min(1000000, Math.round(budget_us)));
+        // the budget is for the two ranges of A and B
+        const range_config_timeout_us = Math.floor((budget_us - TIMING_GUARD) / 2);
+        const config = DISTANCE_MODES[this.distance_mode];
+
+        let macro_period_us = this.calcMacroPeriod(config.vcselPeriodA);
+        const phasecal_timeout_mclks = Math.min(0xFF, timeoutMicrosecondsToMclks(1000, macro_period_us));
+        await this.writeReg(PHASECAL_CONFIG__TIMEOUT_MACROP, phasecal_timeout_mclks);
+        await this.writeReg16Bit(MM_CONFIG__TIMEOUT_MACROP_A,
+            encodeTimeout(timeoutMicrosecondsToMclks(1, macro_period_us)));
+        await this.writeReg16Bit(RANGE_CONFIG__TIMEOUT_MACROP_A,
+            encodeTimeout(timeoutMicrosecondsToMclks(range_config_timeout_us, macro_period_us)));
+
+        macro_period_us = this.calcMacroPeriod(config.vcselPeriodB);
+        await this.writeReg16Bit(MM_CONFIG__TIMEOUT_MACROP_B,
+            encodeTimeout(timeoutMicrosecondsToMclks(1, macro_period_us)));
+        await this.writeReg16Bit(RANGE_CONFIG__TIMEOUT_MACROP_B,
+            encodeTimeout(timeoutMicrosecondsToMclks(range_config_timeout_us, macro_period_us)));
+
+        this.measurement_timing_budget_us = budget_us;
+    }
+
+    /**
+     * Set the size of the region of interest in the SPAD array, a smaller one narrows the field of view.
+     * The region is at the optical center, or at the center of the array when it is larger than 10.
+     * based on VL53L1X_SetROI()
+     * @param {number} width - columns in 4 to 16
+     * @param {number} height - rows in 4 to 16
+     * @returns {Promise} a Promise which resolves when the region was set
+     */
+    async setROISize (width, height) {
+        width = Math.max(4, Math.min(16, Math.round(width)));
+        height = Math.max(4, Math.min(16, Math.round(height)));
+        const center = (width > 10 || height > 10) ? 199 : this.roi_center;
+        await this.writeReg(ROI_CONFIG__USER_ROI_CENTRE_SPAD, center);
+        await this.writeReg(ROI_CONFIG__USER_ROI_REQUESTED_GLOBAL_XY_SIZE, ((height - 1) << 4) | (width - 1));
+    }
+
+    /**
+     * Set the distance mode and the timing budget by the range profile of VL53L0X.
+     * @param {string} rangeProfile profile ID {'LONG_RANGE' | 'HIGH_SPEED' | 'HIGH_ACCURACY'}
+     * @returns {Promise} a Promise which resolves the settings was done.
+     */
+    async setRangeProfile (rangeProfile) {
+        switch (rangeProfile) {
+        case 'HIGH_SPEED':
+            await this.setDistanceMode('SHORT');
+            await this.setMeasurementTimingBudget(20000);
+            break;
+        case 'HIGH_ACCURACY':
+            await this.setDistanceMode('SHORT');
+            await this.setMeasurementTimingBudget(200000);
+            break;
+        default:
+            await this.setDistanceMode('LONG');
+            await this.setMeasurementTimingBudget(50000);
+            break;
+        }
+    }
+
+    /**
+     * Start continuous ranging measurements in the period.
+     * @param {number} period_ms - interval time between measurements, it is the timing budget at least
+     * @returns {Promise} a Promise which resolves when the measurement was started
+     */
+    async startContinuous (period_ms = 0) {
+        period_ms = Math.max(period_ms, Math.ceil(this.measurement_timing_budget_us / 1000));
+        await this.writeReg32Bit(SYSTEM__INTERMEASUREMENT_PERIOD, period_ms * this.osc_calibrate_val);
+        await this.writeReg(SYSTEM__INTERRUPT_CLEAR, 0x01);
+        await this.writeReg(SYSTEM__MODE_START, 0x40);
+    }
+
+    /**
+     * Stop continuous measurements.
+     * @returns {Promise} a Promise which resolves when the measurement was stopped
+     */
+    stopContinuous () {
+        return this.writeReg(SYSTEM__MODE_START, 0x00);
+    }
+
+    /**
+     * Returns a range reading in millimeters when continuous mode is active.
+     * @returns {Promise<number>} a Promise which resolves range for continuous mode
+     */
+    async readRangeContinuousMillimeters () {
+        await this.waitDataReady();
+        const data = await this.readMulti(RESULT__RANGE_STATUS, 17);
+        const offset = RESULT__FINAL_CROSSTALK_CORRECTED_RANGE_MM_SD0 - RESULT__RANGE_STATUS;
+        const range = (data[offset] << 8) | data[offset + 1];
+        this.range_status = rangeStatusOf(data[0]);
+        await this.writeReg(SYSTEM__INTERRUPT_CLEAR, 0x01);
+        return range;
+    }
+
+    /**
+     * Return whether a timeout did occur and clear the timeout flag.
+     * @returns {boolean} whether a timeout occur or not
+     */
+    timeoutOccurred () {
+        const tmp = this.did_timeout;
+        this.did_timeout = false;
+        return tmp;
+    }
+}
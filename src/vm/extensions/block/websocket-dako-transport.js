@@ -0,0 +1,123 @@
+import {EventEmitter} from 'events';
+
+/**
+ * This class represents a transport layer using WebSocket for firmata.js.
+ *
+ * It passes through the standard Firmata messages to a bridge which relays them to a serial port.
+ */
+class WebSocketDakoTransport extends EventEmitter {
+
+    /**
+     * Construct a WebSocket transport.
+     *
+     * @param {string} url URL of the bridge (ws:// or wss://)
+     */
+    constructor (url) {
+        super();
+        this.url = url;
+        this.socket = null;
+        this.isOpen = false;
+
+        /**
+         * Waiting time to open the WebSocket in milliseconds.
+         * @type {number}
+         */
+        this.openingWaitingTime = 5000;
+    }
+
+    /**
+     * Whether it is connected or not.
+     *
+     * @returns {boolean} True for connected.
+     */
+    isConnected () {
+        return !!this.socket && this.socket.readyState === WebSocket.OPEN;
+    }
+
+    /**
+     * Open the WebSocket to the bridge.
+     *
+     * @returns {Promise<string?>} null or error message
+     */
+    open () {
+        return new Promise(resolve => {
+            let socket;
+            try {
+                socket = new WebSocket(this.url);
+            } catch (error) {
+                resolve(error);
+                return;
+            }
+            socket.binaryType = 'arraybuffer';
+            // a bridge which drops the packets silently never calls onopen nor onerror
+            const timer = setTimeout(() => {
+                socket.onopen = null;
+                socket.onclose = null;
+                socket.close();
+                if (this.socket === socket) this.socket = null;
+                resolve(`timeout ${this.openingWaitingTime}ms to open ${this.url}`);
+            }, this.openingWaitingTime);
+            socket.onopen = () => {
+                clearTimeout(timer);
+                this.isOpen = true;
+                this.emit('open');
+                resolve();
+            };
+            socket.onmessage = event => {
+                if (typeof event.data === 'string') return; // control messages are not used
+                this.emit('data', new Uint8Array(event.data));
+            };
+            socket.onerror = () => {
+                clearTimeout(timer);
+                if (!this.isOpen) resolve(`could not open ${this.url}`);
+            };
+            socket.onclose = () => {
+                if (this.isOpen) {
+                    this.isOpen = false;
+                    this.emit('error');
+                }
+            };
+            this.socket = socket;
+        });
+    }
+
+    /**
+     * Close the WebSocket.
+     *
+     * @returns {Promise<string?>} null or error message.
+     */
+    close () {
+        try {
+            this.isOpen = false;
+            if (this.socket) {
+                this.socket.onclose = null;
+                this.socket.onmessage = null;
+                this.socket.close();
+                this.socket = null;
+            }
+        } catch (error) {
+            return Promise.resolve(error);
+        }
+        return Promise.resolve();
+    }
+
+    /**
+     * Send data to the bridge.
+     *
+     * @param {Buffer} buff Send it to output.
+     * @param {Function} callback A function to be called when the data was sent.
+     */
+    write (buff, callback) {
+        if (!this.isConnected()) {
+            this.isOpen = false;
+            this.emit('error');
+            return;
+        }
+        this.socket.send(Uint8Array.from(buff));
+        if (typeof callback === 'function') {
+            callback();
+        }
+    }
+}
+
+export default WebSocketDakoTransport;
@@ -0,0 +1,59 @@
+import {describe, it} from 'node:test';
+import assert from 'node:assert/strict';
+import ADT7410 from '../src/vm/extensions/block/adt7410.js';
+import {createRegisterDevice} from '../src/vm/extensions/block/simulator-dako-transport.js';
+import FakeI2CBoard from './helpers/fake-i2c-board.mjs';
+
+const createSensor = temperatureBytes => {
+    const device = createRegisterDevice({0x0B: 0xCB});
+    device.write(0x00, temperatureBytes);
+    const board = new FakeI2CBoard(new Map([[0x48, device]]));
+    return {sensor: new ADT7410(board), board, device};
+};
+
+describe('ADT7410', () => {
+    it('accepts the ID with any revision', async () => {
+        const {sensor, board} = createSensor([0, 0]);
+        await sensor.init();
+        assert.equal(await ADT7410.isConnected(board), true);
+    });
+
+    it('rejects an unknown ID', async () => {
+        const board = new FakeI2CBoard(new Map([[0x48, createRegisterDevice({0x0B: 0x00})]]));
+        await assert.rejects(new ADT7410(board).init());
+    });
+
+    it('writes the configuration for the resolution and the mode', async () => {
+        const {sensor, board} = createSensor([0, 0]);
+        await sensor.init();
+        await sensor.setResolution(13);
+        await sensor.setMode('one-shot');
+        assert.deepEqual(board.writtenTo(0x48, 0x03), [[0x80], [0x00], [0x20]]);
+    });
+
+    it('converts the temperature in each resolution', async () => {
+        const {sensor} = createSensor([0x0C, 0x80]);
+        assert.equal(await sensor.readTemperature(), 25);
+        sensor.resolution = 13;
+        assert.equal(await sensor.readTemperature(), 25);
+        const negative = createSensor([0xF3, 0x80]).sensor;
+        assert.equal(await negative.readTemperature(), -25);
+        negative.resolution = 13;
+        assert.equal(await negative.readTemperature(), -25);
+    });
+
+    it('writes the thresholds in 1/128 degree', async () => {
+        const {sensor, board} = createSensor([0, 0]);
+        await sensor.setThresholds(30, -10.5);
+        assert.deepEqual(board.writtenTo(0x48, 0x04), [[0x0F, 0x00]]);
+        assert.deepEqual(board.writtenTo(0x48, 0x06), [[0xFA, 0xC0]]);
+    });
+
+    it('reads the alarms in the status', async () => {
+        const {sensor, device} = createSensor([0, 0]);
+        device.write(0x02, [0x20]);
+        assert.deepEqual(await sensor.readAlarms(), {high: true, low: false});
+        device.write(0x02, [0x10]);
+        assert.deepEqual(await sensor.readAlarms(), {high: false, low: true});
+    });
+});
@@ -0,0 +1,38 @@
+import {describe, it} from 'node:test';
+import assert from 'node:assert/strict';
+import ADXL345 from '../src/vm/extensions/block/adxl345.js';
+import {createRegisterDevice} from '../src/vm/extensions/block/simulator-dako-transport.js';
+import FakeI2CBoard from './helpers/fake-i2c-board.mjs';
+
+describe('ADXL345', () => {
+    it('is detected by the device ID', async () => {
+        const board = new FakeI2CBoard(new Map([[0x53, createRegisterDevice({0x00: 0xE5})]]));
+        assert.equal(await ADXL345.isConnected(board), true);
+        assert.equal(await ADXL345.isConnected(new FakeI2CBoard(new Map())), false);
+    });
+
+    it('sets full resolution and measurement mode at init', async () => {
+        const board = new FakeI2CBoard(new Map([[0x53, createRegisterDevice({0x00: 0xE5})]]));
+        await new ADXL345(board).init();
+        assert.deepEqual(board.writtenTo(0x53, 0x31), [[0x0B]]);
+        assert.deepEqual(board.writtenTo(0x53, 0x2D), [[0x08]]);
+    });
+
+    it('sets the range and the data rate', async () => {
+        const board = new FakeI2CBoard(new Map([[0x53, createRegisterDevice({0x00: 0xE5})]]));
+        await new ADXL345(board).init(4, 25);
+        assert.deepEqual(board.writtenTo(0x53, 0x31), [[0x09]]);
+        assert.deepEqual(board.writtenTo(0x53, 0x2C), [[0x08]]);
+    });
+
+    it('converts raw data to m/s^2', async () => {
+        const device = createRegisterDevice({0x00: 0xE5});
+        // x: 256, y: -256, z: 0
+        device.write(0x32, [0x00, 0x01, 0x00, 0xFF, 0x00, 0x00]);
+        const sensor = new ADXL345(new FakeI2CBoard(new Map([[0x53, device]])));
+        const acc = await sensor.getAcceleration();
+        assert.ok(Math.abs(acc.x - (256 * 0.0392266)) < 1e-9);
+        assert.ok(Math.abs(acc.y + (256 * 0.0392266)) < 1e-9);
+        assert.equal(acc.z, 0);
+    });
+});
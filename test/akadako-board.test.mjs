@@ -0,0 +1,209 @@
+import {describe, it, afterEach} from 'node:test';
+import assert from 'node:assert/strict';
+import AkaDakoBoard from '../src/vm/extensions/block/akadako-board.js';
+import MemoryTransport from './helpers/memory-transport.mjs';
+import FakeRuntime from './helpers/fake-runtime.mjs';
+
+const START_SYSEX = 0xF0;
+const END_SYSEX = 0xF7;
+
+/**
+ * Make a responder which answers the queries in the connecting sequence.
+ * @param {number} versionValue - 14-bit board version
+ * @returns {function(Array<number>): ?Array<number>} responder for MemoryTransport
+ */
+const connectingResponder = versionValue => message => {
+    if (message[0] !== START_SYSEX) return null;
+    if (message[1] === 0x0F) {
+        return [START_SYSEX, 0x0F, versionValue & 0x7F, (versionValue >> 7) & 0x7F, END_SYSEX];
+    }
+    if (message[1] === 0x69) {
+        return [START_SYSEX, 0x6A, 0x7F, 0x7F, 0x7F, 0x7F, 0x7F, 0x7F, 0x7F, 0x7F, 0x7F, 0x7F, 0x7F, 0x7F, 0x7F, 0x7F, 0, 1, 2, 3, END_SYSEX];
+    }
+    return null;
+};
+
+const boards = [];
+
+const connectMemoryBoard = async (versionValue = (2 << 10) | (1 << 6) | 3) => {
+    const board = new AkaDakoBoard(new FakeRuntime());
+    board.sendingInterval = 0;
+    const transport = new MemoryTransport();
+    transport.responder = connectingResponder(versionValue);
+    board.transport = transport;
+    boards.push(board);
+    await board.startMidiFirmata(transport);
+    return {board, transport};
+};
+
+afterEach(() => {
+    boards.splice(0).forEach(board => board.disconnect());
+});
+
+describe('AkaDakoBoard on a memory transport', () => {
+    it('parses the board version in the connecting sequence', async () => {
+        const {board} = await connectMemoryBoard();
+        assert.deepEqual(board.version, {type: 2, major: 1, minor: 3});
+        assert.equal(board.isReady(), true);
+        assert.equal(await board.boardVersion(), '2.1.3');
+    });
+
+    it('decodes ultrasonic distance including negative values', async () => {
+        const {board, transport} = await connectMemoryBoard();
+        transport.responder = message => {
+            if (message[0] === START_SYSEX && message[1] === 0x01) {
+                return [START_SYSEX, 0x01, message[2], 0x7E, 0x7F, END_SYSEX]; // -2
+            }
+            return null;
+        };
+        assert.equal(await board.getDistanceByUltrasonic(6), -2);
+        transport.responder = message => {
+            if (message[0] === START_SYSEX && message[1] === 0x01) {
+                return [START_SYSEX, 0x01, message[2], 0x39, 0x0F, END_SYSEX]; // 1977
+            }
+            return null;
+        };
+        assert.equal(await board.getDistanceByUltrasonic(6), 1977);
+        assert.deepEqual(transport.sysexWritten(0x01).at(-1), [START_SYSEX, 0x01, 6, END_SYSEX]);
+    });
+
+    it('rejects ultrasonic distance when the sensor is not available', async () => {
+        const {board, transport} = await connectMemoryBoard();
+        transport.responder = message => {
+            if (message[0] === START_SYSEX && message[1] === 0x01) {
+                return [START_SYSEX, 0x01, message[2], END_SYSEX];
+            }
+            return null;
+        };
+        await assert.rejects(board.getDistanceByUltrasonic(10), reason => reason === 'not available');
+    });
+
+    it('rejects with timeout when no response came', async () => {
+        const {board, transport} = await connectMemoryBoard();
+        transport.responder = null;
+        await assert.rejects(board.getWaterTemp(6, 20), reason => reason === 'timeout 20ms');
+        await assert.rejects(board.i2cReadOnce(0x76, 0xD0, 1, 20), reason => reason === 'timeout 20ms');
+    });
+
+    it('computes NeoPixel address over the chained strips', async () => {
+        const {board, transport} = await connectMemoryBoard();
+        await board.neoPixelConfigStrip(2, 5);
+        await board.neoPixelConfigStrip(3, 4);
+        await board.neoPixelSetColor(3, [0, 0, 0], 2);
+        const setPixel = transport.written
+            .filter(message => message[0] === START_SYSEX && message[1] === 0x51 && message[2] === 0x03);
+        assert.equal(setPixel.length, 1);
+        assert.equal(setPixel[0][3] | (setPixel[0][4] << 7), 5 + 2);
+        const config = transport.written
+            .filter(message => message[0] === START_SYSEX && message[1] === 0x51 && message[2] === 0x01)
+            .at(-1);
+        assert.deepEqual(config.slice(3, -1), [2, 5, 0, 3, 4, 0]);
+    });
+
+    it('refuses OneWire on a pin which is used by NeoPixel or servo', async () => {
+        const {board, transport} = await connectMemoryBoard();
+        await board.neoPixelConfigStrip(2, 5);
+        board.servo[3] = {};
+        const sentBefore = transport.written.length;
+        await assert.rejects(board.sendOneWireReset(2), reason => reason === 'pin 2 is used by NeoPixel');
+        await assert.rejects(board.searchOneWireDevices(3), reason => reason === 'pin 3 is used by servo');
+        assert.equal(transport.written.length, sentBefore);
+    });
+
+    it('ignores the OneWire search reply which came after the timeout', async () => {
+        const {board} = await connectMemoryBoard();
+        board.oneWireSearchWaitingTime = 20;
+        await assert.rejects(board.searchOneWireDevices(4), reason => reason === 'timeout 20ms');
+        board.firmata.emit('1-wire-search-reply-4', [[0x28, 0xFF, 0x64, 0x1E, 0x0D, 0x00, 0x00, 0xA1]]);
+        assert.equal(board.oneWireDevices.has(4), false);
+        assert.notEqual(board.firmata.pins[4].mode, board.MODES.ONEWIRE);
+    });
+
+    it('starts the timeout of a OneWire read after the search of the first access', async () => {
+        const {board} = await connectMemoryBoard();
+        const rom = [0x28, 0xFF, 0x64, 0x1E, 0x0D, 0x00, 0x00, 0xA1];
+        board.oneWireReadWaitingTime = 30;
+        board.searchOneWireDevices = () => new Promise(resolve => setTimeout(() => resolve([rom]), 60));
+        board.firmata.sendOneWireRead = (pin, device, length, callback) => callback(null, [1, 2]);
+        board.firmata.sendOneWireWriteAndRead = (pin, device, data, length, callback) => callback(null, [3, 4]);
+        assert.deepEqual(await board.oneWireRead(4, 2), [1, 2]);
+        assert.deepEqual(await board.oneWireWriteAndRead(4, [0xBE], 2), [3, 4]);
+    });
+
+    it('writes a sequence of digital levels skipping the unchanged ones', async () => {
+        const {board, transport} = await connectMemoryBoard();
+        await board.digitalWriteSequence([[2, 1], [2, 1], [3, 0], [2, 0]]);
+        const outputMode = board.MODES.OUTPUT;
+        assert.equal(board.firmata.pins[2].mode, outputMode);
+        assert.equal(board.firmata.pins[3].mode, outputMode);
+        const digitalMessages = transport.written.filter(message => (message[0] & 0xF0) === 0x90);
+        assert.deepEqual(digitalMessages.map(message => message[1] & 0x0C), [0x04, 0x04, 0x00]);
+    });
+
+    it('emits CONNECTION_LOST with the settings when the transport failed', async () => {
+        const {board, transport} = await connectMemoryBoard();
+        await board.digitalWrite(10, 1);
+        const outputMode = board.MODES.OUTPUT;
+        let snapshot = null;
+        board.once(AkaDakoBoard.CONNECTION_LOST, settings => {
+            snapshot = settings;
+        });
+        transport.isOpen = false;
+        transport.emit('error');
+        assert.ok(snapshot);
+        assert.deepEqual(snapshot.pins.find(pin => pin.pin === 10), {pin: 10, mode: outputMode, value: 1});
+        assert.equal(board.isConnected(), false);
+    });
+});
+
+describe('AkaDakoBoard on the simulator', () => {
+    const connectSimulatorBoard = async () => {
+        const board = new AkaDakoBoard(new FakeRuntime());
+        board.sendingInterval = 0;
+        boards.push(board);
+        await board.connectSimulator({version: {type: 2, major: 1, minor: 0}});
+        return board;
+    };
+
+    it('connects and reports the simulated version', async () => {
+        const board = await connectSimulatorBoard();
+        assert.equal(board.isReady(), true);
+        assert.equal(await board.boardVersion(), '2.1.0');
+    });
+
+    it('reads sensors through the custom sysex commands', async () => {
+        const board = await connectSimulatorBoard();
+        board.simulator.sensorValues.ultrasonicDistance[6] = 123;
+        board.simulator.sensorValues.waterTemperature[10] = 23.5;
+        assert.equal(await board.getDistanceByUltrasonic(6), 123);
+        assert.equal(await board.getWaterTemp(10), 235);
+        board.simulator.sensorValues.ultrasonicDistance[6] = null;
+        await assert.rejects(board.getDistanceByUltrasonic(6), reason => reason === 'not available');
+    });
+
+    it('serves I2C reads from the simulated devices', async () => {
+        const board = await connectSimulatorBoard();
+        assert.deepEqual(await board.i2cReadOnce(0x76, 0xD0, 1), [0x60]);
+    });
+
+    it('scans the I2C bus and identifies the known devices', async () => {
+        const board = await connectSimulatorBoard();
+        const scanning = board.scanI2C(10);
+        assert.equal(board.scanI2C(10), scanning); // shared while scanning
+        const addresses = await scanning;
+        assert.deepEqual(addresses, [0x08, 0x0E, 0x29, 0x76]);
+        const names = [];
+        for (const address of addresses) {
+            names.push(await board.identifyI2CDevice(address, 10));
+        }
+        assert.deepEqual(names, ['VL53L0X', 'KXTJ3', 'LTR303', 'BME280']);
+        assert.equal(await board.identifyI2CDevice(0x50, 10), null);
+    });
+
+    it('reports simulated digital inputs', async () => {
+        const board = await connectSimulatorBoard();
+        board.simulator.setDigitalInput(10, 1);
+        await new Promise(resolve => setTimeout(resolve, 50));
+        assert.equal(board.getDigitalValue(10), 1);
+    });
+});
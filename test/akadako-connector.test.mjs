@@ -0,0 +1,174 @@
+import {describe, it, afterEach} from 'node:test';
+import assert from 'node:assert/strict';
+import {once} from 'node:events';
+import AkaDakoBoard from '../src/vm/extensions/block/akadako-board.js';
+import {AkaDakoConnector} from '../src/vm/extensions/block/akadako-connector.js';
+import MemoryTransport from './helpers/memory-transport.mjs';
+import FakeRuntime from './helpers/fake-runtime.mjs';
+
+const START_SYSEX = 0xF0;
+const END_SYSEX = 0xF7;
+const PIXEL_COMMAND = 0x51;
+
+/**
+ * Answer the queries in the connecting sequence as STEAM Tool v2.1.3.
+ * @param {Array<number>} message - message which was written
+ * @returns {?Array<number>} reply
+ */
+const connectingResponder = message => {
+    if (message[0] !== START_SYSEX) return null;
+    if (message[1] === 0x0F) {
+        const value = (2 << 10) | (1 << 6) | 3;
+        return [START_SYSEX, 0x0F, value & 0x7F, (value >> 7) & 0x7F, END_SYSEX];
+    }
+    if (message[1] === 0x69) {
+        return [START_SYSEX, 0x6A, ...Array(14).fill(0x7F), 0, 1, 2, 3, END_SYSEX];
+    }
+    return null;
+};
+
+const connectors = [];
+
+/**
+ * Make a connector which holds a board on a memory transport.
+ * The board reconnects on a new memory transport which is pushed to the transports.
+ * @returns {Promise<{connector: AkaDakoConnector, board: AkaDakoBoard, transports: Array<MemoryTransport>}>}
+ * connector, board and the transports in the order of the connections
+ */
+const holdMemoryBoard = async () => {
+    const runtime = new FakeRuntime();
+    const connector = new AkaDakoConnector(runtime);
+    connector.autoReconnect = true;
+    connector.reconnectBackoffBase = 10;
+    connector.reconnectBackoffCap = 20;
+    connector.reconnectMaxAttempts = 3;
+    connectors.push(connector);
+    const board = new AkaDakoBoard(runtime);
+    board.sendingInterval = 0;
+    const transports = [];
+    const connectMemory = () => {
+        const transport = new MemoryTransport();
+        transport.responder = connectingResponder;
+        transports.push(transport);
+        board.transport = transport;
+        board.lastConnection = {type: 'memory'};
+        return board.startMidiFirmata(transport);
+    };
+    board.reconnect = connectMemory;
+    await connectMemory();
+    connector.holdBoard(board);
+    return {connector, board, transports};
+};
+
+/**
+ * Make the transport fail as if the board was unplugged.
+ * @param {MemoryTransport} transport - transport of the board
+ */
+const unplug = transport => {
+    transport.isOpen = false;
+    transport.emit('error');
+};
+
+afterEach(() => {
+    connectors.splice(0).forEach(connector => connector.disconnectAll());
+});
+
+describe('AkaDakoConnector reconnection', () => {
+    it('restores the pins and the NeoPixel strip on the reconnected board', async () => {
+        const {connector, board, transports} = await holdMemoryBoard();
+        await board.digitalWrite(10, 1);
+        await board.neoPixelConfigStrip(6, 2);
+        await board.neoPixelSetColor(6, [255, 0, 0], 1);
+        const reconnected = once(connector, AkaDakoConnector.BOARD_RECONNECTED);
+        unplug(transports[0]);
+        assert.deepEqual(connector.boards, [board]);
+        assert.equal(connector.isReconnecting(board), true);
+        await reconnected;
+        assert.equal(connector.isReconnecting(board), false);
+        assert.equal(transports.length, 2);
+        assert.deepEqual(connector.boards, [board]);
+        assert.equal(board.pins[10].mode, board.MODES.OUTPUT);
+        assert.equal(board.pins[10].value, 1);
+        const pixelMessages = transports[1].written
+            .filter(message => message[0] === START_SYSEX && message[1] === PIXEL_COMMAND);
+        assert.deepEqual(pixelMessages.find(message => message[2] === 0x01).slice(3, -1), [6, 2, 0]);
+        assert.ok(pixelMessages.some(message => message[2] === 0x03 && message[3] === 1));
+        assert.equal(pixelMessages.at(-1)[2], 0x02); // show
+    });
+
+    it('tries again when restoring the settings failed', async () => {
+        const {connector, board, transports} = await holdMemoryBoard();
+        await board.digitalWrite(10, 1);
+        let failures = 1;
+        const restoreSettings = board.restoreSettings.bind(board);
+        board.restoreSettings = snapshot => {
+            if (failures-- > 0) return Promise.reject('restore failed');
+            return restoreSettings(snapshot);
+        };
+        const reconnected = once(connector, AkaDakoConnector.BOARD_RECONNECTED);
+        unplug(transports[0]);
+        await reconnected;
+        assert.equal(transports.length, 3);
+        assert.deepEqual(connector.boards, [board]);
+        assert.equal(board.pins[10].value, 1);
+    });
+
+    it('keeps the position of the lost board while it is reconnecting', async () => {
+        const {connector, board, transports} = await holdMemoryBoard();
+        const other = new AkaDakoBoard(connector.runtime);
+        other.sendingInterval = 0;
+        const otherTransport = new MemoryTransport();
+        otherTransport.responder = connectingResponder;
+        other.transport = otherTransport;
+        await other.startMidiFirmata(otherTransport);
+        connector.holdBoard(other);
+        const lost = once(connector, AkaDakoConnector.BOARD_LOST);
+        const reconnected = once(connector, AkaDakoConnector.BOARD_RECONNECTED);
+        unplug(transports[0]);
+        await lost;
+        assert.deepEqual(connector.boards, [board, other]);
+        assert.equal(board.isReady(), false);
+        await reconnected;
+        assert.deepEqual(connector.boards, [board, other]);
+        assert.equal(board.isReady(), true);
+    });
+
+    it('removes the lost board when it gave up', async () => {
+        const {connector, board, transports} = await holdMemoryBoard();
+        connector.reconnectMaxAttempts = 1;
+        board.reconnect = () => Promise.reject('no board');
+        const removed = once(connector, AkaDakoConnector.BOARD_REMOVED);
+        unplug(transports[0]);
+        await removed;
+        assert.equal(connector.boards.length, 0);
+        assert.equal(connector.isReconnecting(board), false);
+    });
+
+    it('stops retrying when it was disconnected during the backoff', async () => {
+        const {connector, board, transports} = await holdMemoryBoard();
+        connector.reconnectBackoffBase = 200;
+        connector.reconnectBackoffCap = 200;
+        const released = once(board, AkaDakoBoard.RELEASED);
+        unplug(transports[0]);
+        await released;
+        const reconnecting = connector.reconnectBoard(board, 'g2s', null);
+        connector.disconnectAll();
+        await assert.rejects(reconnecting, reason => reason === 'auto reconnect was canceled');
+        await new Promise(resolve => setTimeout(resolve, 250));
+        assert.equal(transports.length, 1);
+        assert.equal(connector.boards.length, 0);
+    });
+});
+
+describe('AkaDakoConnector transport order', () => {
+    it('tries only USB by default and adds the other transports by preference', () => {
+        const connector = new AkaDakoConnector(new FakeRuntime());
+        assert.deepEqual(connector.transportOrder, ['midi', 'serial']);
+        connector.preferTransport('ble');
+        assert.deepEqual(connector.transportOrder, ['ble', 'midi', 'serial']);
+        connector.preferTransport('serial');
+        assert.deepEqual(connector.transportOrder, ['serial', 'ble', 'midi']);
+        connector.preferTransport('unknown');
+        assert.deepEqual(connector.transportOrder, ['serial', 'ble', 'midi']);
+    });
+});
@@ -0,0 +1,59 @@
+import {describe, it, after} from 'node:test';
+import assert from 'node:assert/strict';
+import {AkaDakoConnector} from '../src/vm/extensions/block/akadako-connector.js';
+import {collectDiagnostics, formatDiagnosticsReport} from '../src/vm/extensions/block/akadako-diagnostics.js';
+import FakeRuntime from './helpers/fake-runtime.mjs';
+
+describe('connection diagnostics', () => {
+    const connector = new AkaDakoConnector(new FakeRuntime());
+
+    after(() => connector.disconnectAll());
+
+    it('records errors of the transports up to the limit', async () => {
+        connector.transportErrorsLimit = 3;
+        for (let i = 0; i < 5; i++) {
+            await assert.rejects(connector.connectWith(`wrong${i}`, 'g2s'));
+        }
+        assert.deepEqual(connector.transportErrors.map(error => error.transport), ['wrong2', 'wrong3', 'wrong4']);
+        assert.equal(connector.transportErrors[2].reason, 'unknown transport: wrong4');
+    });
+
+    it('reports the board, its I2C devices and the errors', async () => {
+        const board = await connector.connectWith('simulator', 'g2s');
+        board.sendingInterval = 0;
+        const report = await collectDiagnostics(connector, board, 10);
+        assert.equal(report.boards.length, 1);
+        assert.deepEqual(report.boards[0].version, {type: 2, major: 1, minor: 0});
+        assert.equal(report.boards[0].transport, 'simulator');
+        assert.deepEqual(report.i2cScan.addresses, [0x08, 0x0E, 0x29, 0x76]);
+        assert.deepEqual(report.i2cScan.names, ['VL53L0X', 'KXTJ3', 'LTR303', 'BME280']);
+        const text = formatDiagnosticsReport(report);
+        assert.match(text, /board 1 \(in use\): ready via simulator/);
+        assert.match(text, /version: 2\.1\.0 \(type: 2, major: 1, minor: 0\)/);
+        assert.match(text, /0x0E KXTJ3\n {4}0x29 LTR303/);
+        assert.match(text, /wrong4: unknown transport: wrong4/);
+    });
+
+    it('formats the detected ports', () => {
+        const text = formatDiagnosticsReport({
+            time: '2024-01-01T00:00:00.000Z',
+            userAgent: 'test',
+            midi: {
+                inputs: [{manufacturer: 'Microchip', name: 'MidiDako', state: 'connected', connection: 'closed'}],
+                outputs: []
+            },
+            serial: {ports: [{usbVendorId: 0x04D8, usbProductId: 0xE83A}]},
+            transportOrder: ['midi', 'serial'],
+            useSerial: false,
+            boards: [],
+            currentBoard: -1,
+            i2cScan: null,
+            errors: []
+        });
+        assert.match(text, /transport order: midi, serial \(serial is off\)/);
+        assert.match(text, /"MidiDako" by "Microchip" \(connected, closed\)/);
+        assert.match(text, /outputs: none/);
+        assert.match(text, /usbVendorId: 0x04D8, usbProductId: 0xE83A/);
+        assert.match(text, /not scanned/);
+    });
+});
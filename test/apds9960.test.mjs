@@ -0,0 +1,77 @@
+import {describe, it} from 'node:test';
+import assert from 'node:assert/strict';
+import APDS9960, {colorToRGB, decodeGesture} from '../src/vm/extensions/block/apds9960.js';
+import {createRegisterDevice} from '../src/vm/extensions/block/simulator-dako-transport.js';
+import FakeI2CBoard from './helpers/fake-i2c-board.mjs';
+
+/**
+ * Make a device which serves the datasets in the gesture FIFO.
+ * @param {Array<Array<number>>} datasets - [UP, DOWN, LEFT, RIGHT] in the FIFO
+ * @returns {object} device for FakeI2CBoard
+ */
+const createGestureDevice = datasets => {
+    const registers = createRegisterDevice({0x92: 0xAB});
+    return {
+        read (register, length) {
+            if (register === 0xAE) return [datasets.length, datasets.length ? 0x01 : 0x00];
+            if (register === 0xFC) return datasets.splice(0, length / 4).flat();
+            return registers.read(register, length);
+        },
+        write (register, values) {
+            registers.write(register, values);
+        }
+    };
+};
+
+describe('APDS9960', () => {
+    it('initializes with the enables of the engines', async () => {
+        const board = new FakeI2CBoard(new Map([[0x39, createRegisterDevice({0x92: 0xAB})]]));
+        await new APDS9960(board).init();
+        assert.deepEqual(board.writtenTo(0x39, 0x80), [[0x00], [0x47]]);
+        assert.equal(await APDS9960.isConnected(board), true);
+    });
+
+    it('rejects an unknown ID', async () => {
+        const board = new FakeI2CBoard(new Map([[0x39, createRegisterDevice({0x92: 0x00})]]));
+        await assert.rejects(new APDS9960(board).init());
+        assert.equal(await APDS9960.isConnected(board), false);
+    });
+
+    it('reads the color channels and the proximity', async () => {
+        const device = createRegisterDevice({0x92: 0xAB});
+        device.write(0x94, [0x00, 0x02, 0x00, 0x01, 0x80, 0x00, 0x40, 0x00, 120]);
+        const sensor = new APDS9960(new FakeI2CBoard(new Map([[0x39, device]])));
+        assert.deepEqual(await sensor.readColor(), {clear: 512, red: 256, green: 128, blue: 64});
+        assert.equal(await sensor.readProximity(), 120);
+    });
+
+    it('decodes the gesture after the FIFO was emptied', async () => {
+        const datasets = [[80, 20, 50, 50], [50, 50, 50, 50], [20, 80, 50, 50]];
+        const board = new FakeI2CBoard(new Map([[0x39, createGestureDevice(datasets)]]));
+        const sensor = new APDS9960(board);
+        assert.equal(await sensor.readGesture(), null);
+        assert.equal(sensor.gestureDatasets.length, 3);
+        assert.equal(await sensor.readGesture(), 'UP');
+        assert.deepEqual(sensor.gestureDatasets, []);
+    });
+});
+
+describe('decodeGesture', () => {
+    it('finds the direction of the larger change', () => {
+        assert.equal(decodeGesture([[20, 80, 50, 50], [80, 20, 50, 50]]), 'DOWN');
+        assert.equal(decodeGesture([[50, 50, 80, 20], [50, 50, 20, 80]]), 'LEFT');
+        assert.equal(decodeGesture([[50, 50, 20, 80], [50, 50, 80, 20]]), 'RIGHT');
+    });
+
+    it('ignores weak or too short datasets', () => {
+        assert.equal(decodeGesture([[50, 50, 50, 50], [52, 48, 50, 50]]), null);
+        assert.equal(decodeGesture([[80, 20, 50, 50], [5, 2, 1, 1]]), null);
+    });
+});
+
+describe('colorToRGB', () => {
+    it('scales the strongest channel to 255', () => {
+        assert.deepEqual(colorToRGB({red: 200, green: 100, blue: 50}), [255, 128, 64]);
+        assert.deepEqual(colorToRGB({red: 0, green: 0, blue: 0}), [0, 0, 0]);
+    });
+});
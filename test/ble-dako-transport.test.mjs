@@ -0,0 +1,35 @@
+import {describe, it} from 'node:test';
+import assert from 'node:assert/strict';
+import {encodeBleMidiPackets, decodeBleMidiPacket} from '../src/vm/extensions/block/ble-dako-transport.js';
+
+describe('BLE MIDI packets', () => {
+    it('puts header and timestamp before a short message', () => {
+        const timestamp = (0x12 << 7) | 0x34;
+        assert.deepEqual(
+            encodeBleMidiPackets([0x91, 0x01, 0x00], timestamp),
+            [[0x80 | 0x12, 0x80 | 0x34, 0x91, 0x01, 0x00]]);
+    });
+
+    it('splits a long sysex and puts a timestamp before the end', () => {
+        const data = [0xF0, ...Array(30).fill(0x01), 0xF7];
+        const packets = encodeBleMidiPackets(data, 0);
+        assert.ok(packets.every(packet => packet.length <= 20));
+        assert.ok(packets.every(packet => packet[0] === 0x80));
+        const last = packets[packets.length - 1];
+        assert.deepEqual(last.slice(-2), [0x80, 0xF7]);
+    });
+
+    it('restores the original data by decoding', () => {
+        const data = [0xF0, 0x76, 0x29, 0x08, ...Array(25).fill(0x7F), 0xF7];
+        const decoded = encodeBleMidiPackets(data, 1234)
+            .map(packet => decodeBleMidiPacket(packet))
+            .flat();
+        assert.deepEqual(decoded, data);
+    });
+
+    it('keeps running status data', () => {
+        // header, timestamp, status, data, data, timestamp, data, data
+        const packet = [0x80, 0x81, 0xE0, 0x01, 0x02, 0x82, 0x03, 0x04];
+        assert.deepEqual(decodeBleMidiPacket(packet), [0xE0, 0x01, 0x02, 0x03, 0x04]);
+    });
+});
@@ -0,0 +1,159 @@
+import {describe, it} from 'node:test';
+import assert from 'node:assert/strict';
+import BME280 from '../src/vm/extensions/block/bme280.js';
+import {createRegisterDevice} from '../src/vm/extensions/block/simulator-dako-transport.js';
+import FakeI2CBoard from './helpers/fake-i2c-board.mjs';
+
+// calibration example in the datasheet of BME280
+const calib = {
+    T1: 27504, T2: 26435, T3: -1000,
+    P1: 36477, P2: -10685, P3: 3024, P4: 2855, P5: 140, P6: -7, P7: 15500, P8: -14600, P9: 6000,
+    H1: 75, H2: 362, H3: 0, H4: 313, H5: 50, H6: 30
+};
+const adcT = 519888;
+const adcP = 415148;
+const adcH = 30006;
+
+const u16 = value => [value & 0xFF, (value >> 8) & 0xFF];
+const s16 = value => u16(value & 0xFFFF);
+const raw20 = value => [value >> 12, (value >> 4) & 0xFF, (value << 4) & 0xF0];
+
+const createDevice = () => {
+    const device = createRegisterDevice({0xD0: 0x60});
+    device.write(0x88, [
+        ...u16(calib.T1), ...s16(calib.T2), ...s16(calib.T3),
+        ...u16(calib.P1), ...s16(calib.P2), ...s16(calib.P3), ...s16(calib.P4), ...s16(calib.P5),
+        ...s16(calib.P6), ...s16(calib.P7), ...s16(calib.P8), ...s16(calib.P9)
+    ]);
+    device.write(0xA1, [calib.H1]);
+    device.write(0xE1, [
+        ...s16(calib.H2), calib.H3,
+        calib.H4 >> 4, ((calib.H5 & 0x0F) << 4) | (calib.H4 & 0x0F), calib.H5 >> 4,
+        calib.H6
+    ]);
+    device.write(0xF7, [...raw20(adcP), ...raw20(adcT), adcH >> 8, adcH & 0xFF]);
+    return device;
+};
+
+// compensation formulas in double precision from the datasheet
+const tFineOf = adc => {
+    const var1 = ((adc / 16384) - (calib.T1 / 1024)) * calib.T2;
+    const var2 = (((adc / 131072) - (calib.T1 / 8192)) ** 2) * calib.T3;
+    return var1 + var2;
+};
+const expectedTemperature = tFineOf(adcT) / 5120;
+const expectedPressure = (() => {
+    let var1 = (tFineOf(adcT) / 2) - 64000;
+    let var2 = var1 * var1 * calib.P6 / 32768;
+    var2 = var2 + (var1 * calib.P5 * 2);
+    var2 = (var2 / 4) + (calib.P4 * 65536);
+    var1 = ((calib.P3 * var1 * var1 / 524288) + (calib.P2 * var1)) / 524288;
+    var1 = (1 + (var1 / 32768)) * calib.P1;
+    let p = 1048576 - adcP;
+    p = (p - (var2 / 4096)) * 6250 / var1;
+    var1 = calib.P9 * p * p / 2147483648;
+    var2 = p * calib.P8 / 32768;
+    return p + ((var1 + var2 + calib.P7) / 16);
+})();
+const expectedHumidity = (() => {
+    let h = tFineOf(adcT) - 76800;
+    h = (adcH - ((calib.H4 * 64) + (calib.H5 / 16384 * h))) *
+        (calib.H2 / 65536 * (1 + (calib.H6 / 67108864 * h * (1 + (calib.H3 / 67108864 * h)))));
+    h = h * (1 - (calib.H1 * h / 524288));
+    return Math.max(0, Math.min(100, h));
+})();
+
+describe('BME280', () => {
+    it('reads calibration and writes the settings at init', async () => {
+        const board = new FakeI2CBoard(new Map([[0x76, createDevice()]]));
+        const sensor = new BME280(board);
+        await sensor.init();
+        assert.equal(sensor.dig_T1, calib.T1);
+        assert.equal(sensor.dig_T3, calib.T3);
+        assert.equal(sensor.dig_P9, calib.P9);
+        assert.equal(sensor.dig_H4, calib.H4);
+        assert.equal(sensor.dig_H5, calib.H5);
+        // the config register is written in the sleep mode
+        assert.deepEqual(board.writtenTo(0x76, 0xF4), [[0x4C], [0x4F]]);
+        assert.deepEqual(board.writtenTo(0x76, 0xF5), [[0x40]]);
+        assert.deepEqual(board.writtenTo(0x76, 0xF2), [[0x01]]);
+    });
+
+    it('writes the oversampling, the filter and the standby time', async () => {
+        const board = new FakeI2CBoard(new Map([[0x76, createDevice()]]));
+        const sensor = new BME280(board);
+        await sensor.init({pressureOversampling: 16, filter: 16, standby: 0.5, humidityOversampling: 0});
+        assert.deepEqual(board.writtenTo(0x76, 0xF5), [[0x10]]);
+        assert.deepEqual(board.writtenTo(0x76, 0xF2), [[0x00]]);
+        assert.deepEqual(board.writtenTo(0x76, 0xF4).pop(), [0x57]);
+        // unsupported values keep the current settings
+        await sensor.configure({filter: 3, mode: 'other'});
+        assert.equal(sensor.settings.filter, 16);
+        assert.equal(sensor.settings.mode, 'normal');
+    });
+
+    it('measures once at a reading in the forced mode', async () => {
+        const board = new FakeI2CBoard(new Map([[0x76, createDevice()]]));
+        let subscribed = 0;
+        board.i2cSubscribe = () => {
+            subscribed++;
+            return {unsubscribe: () => subscribed--, dataAt: () => null};
+        };
+        const sensor = new BME280(board);
+        await sensor.init();
+        sensor.subscribe();
+        assert.equal(subscribed, 1);
+        await sensor.configure({mode: 'forced'});
+        assert.equal(subscribed, 0);
+        const [temperature, humidity] = await Promise.all([sensor.readTemperature(), sensor.readHumidity()]);
+        assert.ok(Math.abs(temperature - expectedTemperature) < 0.01);
+        assert.ok(Math.abs(humidity - expectedHumidity) < 0.1);
+        // one trigger for the both readings
+        assert.deepEqual(board.writtenTo(0x76, 0xF4).slice(-2), [[0x4C], [0x4D]]);
+        await sensor.configure({mode: 'normal'});
+        assert.equal(subscribed, 1);
+    });
+
+    it('rejects a device which is not BME280', async () => {
+        const board = new FakeI2CBoard(new Map([[0x76, createRegisterDevice({0xD0: 0x55})]]));
+        await assert.rejects(new BME280(board).init());
+    });
+
+    it('compensates temperature', async () => {
+        const sensor = new BME280(new FakeI2CBoard(new Map([[0x76, createDevice()]])));
+        await sensor.init();
+        const temperature = await sensor.readTemperature();
+        assert.ok(Math.abs(temperature - expectedTemperature) < 0.01, `${temperature} vs ${expectedTemperature}`);
+    });
+
+    it('compensates pressure with 64-bit integers', async () => {
+        const sensor = new BME280(new FakeI2CBoard(new Map([[0x76, createDevice()]])));
+        await sensor.init();
+        const pressure = await sensor.readPressure();
+        assert.ok(Math.abs(pressure - expectedPressure) < 1, `${pressure} vs ${expectedPressure}`);
+    });
+
+    it('compensates humidity', async () => {
+        const sensor = new BME280(new FakeI2CBoard(new Map([[0x76, createDevice()]])));
+        await sensor.init();
+        const humidity = await sensor.readHumidity();
+        assert.ok(Math.abs(humidity - expectedHumidity) < 0.1, `${humidity} vs ${expectedHumidity}`);
+    });
+
+    it('reads the 24-bit value in MSB, LSB and XLSB', async () => {
+        const device = createDevice();
+        const sensor = new BME280(new FakeI2CBoard(new Map([[0x76, device]])));
+        device.write(0xFA, [0x7E, 0xED, 0x00]);
+        assert.equal(await sensor.read24(0xFA), 0x7EED00);
+        device.write(0xF7, [0x65, 0x5A, 0xC0]);
+        assert.equal(await sensor.read24(0xF7), 0x655AC0);
+    });
+
+    it('returns 0 when the measurement was skipped', async () => {
+        const device = createDevice();
+        const sensor = new BME280(new FakeI2CBoard(new Map([[0x76, device]])));
+        await sensor.init();
+        device.write(0xFA, [0x80, 0x00, 0x00]);
+        assert.equal(await sensor.readTemperature(), 0);
+    });
+});
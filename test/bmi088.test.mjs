@@ -0,0 +1,31 @@
+import {describe, it} from 'node:test';
+import assert from 'node:assert/strict';
+import BMI088 from '../src/vm/extensions/block/bmi088.js';
+import {createRegisterDevice} from '../src/vm/extensions/block/simulator-dako-transport.js';
+import FakeI2CBoard from './helpers/fake-i2c-board.mjs';
+
+describe('BMI088', () => {
+    it('needs both of the accelerometer and the gyroscope', async () => {
+        const accel = createRegisterDevice({0x00: 0x1E});
+        const gyro = createRegisterDevice({0x00: 0x0F});
+        assert.equal(await BMI088.isConnected(new FakeI2CBoard(new Map([[0x18, accel], [0x68, gyro]]))), true);
+        assert.equal(await BMI088.isConnected(new FakeI2CBoard(new Map([[0x18, accel]]))), false);
+        // MPU-6050 at the same address
+        const mpu6050 = createRegisterDevice({0x00: 0x00, 0x75: 0x68});
+        assert.equal(await BMI088.isConnected(new FakeI2CBoard(new Map([[0x18, accel], [0x68, mpu6050]]))), false);
+    });
+
+    it('powers on the accelerometer and reads both sensors', async () => {
+        const accel = createRegisterDevice({0x00: 0x1E});
+        const gyro = createRegisterDevice({0x00: 0x0F});
+        const board = new FakeI2CBoard(new Map([[0x18, accel], [0x68, gyro]]));
+        const sensor = new BMI088(board);
+        await sensor.init();
+        assert.deepEqual(board.writtenTo(0x18, 0x7D), [[0x04]]);
+        assert.deepEqual(board.writtenTo(0x68, 0x0F), [[0x02]]);
+        accel.write(0x12, [0x00, 0x00, 0x00, 0x00, 0x00, 0x40]);
+        gyro.write(0x02, [0x00, 0x00, 0x00, 0xC0, 0x00, 0x00]);
+        assert.equal((await sensor.getAcceleration()).z, 3 * 9.80665);
+        assert.equal((await sensor.getAngularRate()).y, -250);
+    });
+});
@@ -0,0 +1,88 @@
+import {describe, it} from 'node:test';
+import assert from 'node:assert/strict';
+import DS18B20, {crc8Maxim} from '../src/vm/extensions/block/ds18b20.js';
+
+const ROM_A = [0x28, 0x01, 0x02, 0x03, 0x04, 0x05, 0x06, 0x07];
+const ROM_B = [0x28, 0x11, 0x12, 0x13, 0x14, 0x15, 0x16, 0x17];
+const ROM_OTHER = [0x10, 0x21, 0x22, 0x23, 0x24, 0x25, 0x26, 0x27];
+
+const scratchpadOf = (raw, config = 0x7F) => {
+    const data = [raw & 0xFF, (raw >> 8) & 0xFF, 0x4B, 0x46, config, 0xFF, 0x0C, 0x10];
+    return [...data, crc8Maxim(data)];
+};
+
+/**
+ * Board stand-in which serves OneWire accesses by ROM code.
+ */
+class FakeOneWireBoard {
+    constructor (scratchpads) {
+        this.scratchpads = scratchpads;
+        this.writes = [];
+    }
+
+    searchOneWireDevices () {
+        return Promise.resolve([ROM_A, ROM_OTHER, ROM_B]);
+    }
+
+    sendOneWireReset () {
+        return Promise.resolve();
+    }
+
+    oneWireWrite (pin, data, device) {
+        this.writes.push([device, [].concat(data)]);
+        return Promise.resolve();
+    }
+
+    oneWireWriteAndRead (pin, data, readLength, timeout, device) {
+        return Promise.resolve(this.scratchpads.get(device));
+    }
+}
+
+describe('crc8Maxim', () => {
+    it('matches the example in the application note', () => {
+        assert.equal(crc8Maxim([0x02, 0x1C, 0xB8, 0x01, 0x00, 0x00, 0x00]), 0xA2);
+    });
+});
+
+describe('DS18B20', () => {
+    it('finds only DS18B20 on the bus', async () => {
+        const roms = await DS18B20.findAll(new FakeOneWireBoard(new Map()), 10);
+        assert.deepEqual(roms, [ROM_A, ROM_B]);
+    });
+
+    it('reads each sensor by its ROM code', async () => {
+        const board = new FakeOneWireBoard(new Map([
+            [ROM_A, scratchpadOf(0x0191)],
+            [ROM_B, scratchpadOf(0xFF5E)]
+        ]));
+        const first = new DS18B20(board, 10, ROM_A);
+        first.resolution = 9;
+        const second = new DS18B20(board, 10, ROM_B);
+        second.resolution = 9;
+        assert.equal(await first.readTemperature(), 25.0625);
+        assert.equal(await second.readTemperature(), -10.125);
+        assert.deepEqual(board.writes, [[ROM_A, [0x44]], [ROM_B, [0x44]]]);
+    });
+
+    it('ignores the undefined bits in the lower resolution', async () => {
+        const board = new FakeOneWireBoard(new Map([[ROM_A, scratchpadOf(0x019F, 0x1F)]]));
+        const sensor = new DS18B20(board, 10, ROM_A);
+        sensor.resolution = 9;
+        assert.equal(await sensor.readTemperature(), 25.5);
+    });
+
+    it('rejects the scratchpad with a wrong CRC', async () => {
+        const scratchpad = scratchpadOf(0x0191);
+        scratchpad[8] ^= 0xFF;
+        const sensor = new DS18B20(new FakeOneWireBoard(new Map([[ROM_A, scratchpad]])), 10, ROM_A);
+        await assert.rejects(sensor.readScratchpad());
+    });
+
+    it('writes the resolution with the alarm triggers', async () => {
+        const board = new FakeOneWireBoard(new Map([[ROM_A, scratchpadOf(0x0191)]]));
+        const sensor = new DS18B20(board, 10, ROM_A);
+        await sensor.setResolution(10);
+        assert.deepEqual(board.writes, [[ROM_A, [0x4E, 0x4B, 0x46, 0x3F]]]);
+        assert.equal(sensor.resolution, 10);
+    });
+});
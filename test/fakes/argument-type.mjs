@@ -0,0 +1,11 @@
+// Stand-in for scratch-vm/src/extension-support/argument-type which is provided by the host.
+export default {
+    ANGLE: 'angle',
+    BOOLEAN: 'Boolean',
+    COLOR: 'color',
+    NUMBER: 'number',
+    STRING: 'string',
+    MATRIX: 'matrix',
+    NOTE: 'note',
+    IMAGE: 'image'
+};
@@ -0,0 +1,11 @@
+// Stand-in for scratch-vm/src/extension-support/block-type which is provided by the host.
+export default {
+    BOOLEAN: 'Boolean',
+    BUTTON: 'button',
+    COMMAND: 'command',
+    CONDITIONAL: 'conditional',
+    EVENT: 'event',
+    HAT: 'hat',
+    LOOP: 'loop',
+    REPORTER: 'reporter'
+};
@@ -0,0 +1,24 @@
+// Stand-in for scratch-vm/src/util/cast which is provided by the host.
+// Only the conversions which are used by the extension are implemented in the same manner.
+export default class Cast {
+    static toNumber (value) {
+        if (typeof value === 'number') {
+            return Number.isNaN(value) ? 0 : value;
+        }
+        const n = Number(value);
+        return Number.isNaN(n) ? 0 : n;
+    }
+
+    static toBoolean (value) {
+        if (typeof value === 'boolean') return value;
+        if (typeof value === 'string') {
+            if ((value === '') || (value === '0') || (value.toLowerCase() === 'false')) return false;
+            return true;
+        }
+        return Boolean(value);
+    }
+
+    static toString (value) {
+        return String(value);
+    }
+}
@@ -0,0 +1,46 @@
+/**
+ * Board stand-in for the sensor drivers which serves I2C accesses with register maps.
+ */
+export default class FakeI2CBoard {
+    /**
+     * @param {Map<number, {read: function, write: function}>} devices - devices for each address
+     */
+    constructor (devices) {
+        this.devices = devices;
+        this.version = {type: 2, major: 1, minor: 0};
+
+        /**
+         * Accesses in order as [type, address, register, data].
+         * @type {Array<Array>}
+         */
+        this.log = [];
+    }
+
+    i2cReadOnce (address, register, length) {
+        const device = this.devices.get(address);
+        if (!device) return Promise.reject(`timeout at 0x${address.toString(16)}`);
+        const data = device.read(register, length);
+        this.log.push(['read', address, register, data]);
+        return Promise.resolve(data);
+    }
+
+    i2cWrite (address, register, bytes) {
+        const data = Array.isArray(bytes) ? bytes : [bytes];
+        this.log.push(['write', address, register, data]);
+        const device = this.devices.get(address);
+        if (device) device.write(register, data);
+        return Promise.resolve();
+    }
+
+    /**
+     * Return the values which were written to the register.
+     * @param {number} address - I2C address
+     * @param {number} register - register
+     * @returns {Array<Array<number>>} written data in order
+     */
+    writtenTo (address, register) {
+        return this.log
+            .filter(([type, addr, reg]) => type === 'write' && addr === address && reg === register)
+            .map(entry => entry[3]);
+    }
+}
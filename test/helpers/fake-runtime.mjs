@@ -0,0 +1,28 @@
+import {EventEmitter} from 'node:events';
+
+/**
+ * Scratch runtime stand-in which only records emitted events.
+ */
+export default class FakeRuntime extends EventEmitter {
+    static get PERIPHERAL_CONNECTED () {
+        return 'PERIPHERAL_CONNECTED';
+    }
+
+    static get PERIPHERAL_CONNECTION_LOST_ERROR () {
+        return 'PERIPHERAL_CONNECTION_LOST_ERROR';
+    }
+
+    constructor () {
+        super();
+        this.startedHats = [];
+    }
+
+    startHats (opcode) {
+        this.startedHats.push(opcode);
+        return [];
+    }
+
+    registerPeripheralExtension () {
+        // the peripheral dialog is not used in the tests
+    }
+}
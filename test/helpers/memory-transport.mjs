@@ -0,0 +1,61 @@
+import {EventEmitter} from 'node:events';
+
+/**
+ * In-memory transport for firmata.js which records the outgoing bytes and injects replies.
+ */
+export default class MemoryTransport extends EventEmitter {
+    constructor () {
+        super();
+        this.isOpen = true;
+
+        /**
+         * Messages which were written by firmata.js.
+         * @type {Array<Array<number>>}
+         */
+        this.written = [];
+
+        /**
+         * Called with each written message, return bytes to reply or null.
+         * @type {?function(Array<number>): ?Array<number>}
+         */
+        this.responder = null;
+    }
+
+    open () {
+        this.isOpen = true;
+        this.emit('open');
+        return Promise.resolve();
+    }
+
+    close () {
+        this.isOpen = false;
+        return Promise.resolve();
+    }
+
+    write (buff, callback) {
+        const message = [...buff];
+        this.written.push(message);
+        if (this.responder) {
+            const reply = this.responder(message);
+            if (reply) setImmediate(() => this.inject(reply));
+        }
+        if (typeof callback === 'function') callback();
+    }
+
+    /**
+     * Emit bytes as if they came from the board.
+     * @param {Array<number>} bytes - data from the board
+     */
+    inject (bytes) {
+        this.emit('data', Buffer.from(bytes));
+    }
+
+    /**
+     * Return written sysex messages of the command.
+     * @param {number} command - sysex command
+     * @returns {Array<Array<number>>} messages
+     */
+    sysexWritten (command) {
+        return this.written.filter(message => message[0] === 0xF0 && message[1] === command);
+    }
+}
@@ -0,0 +1,82 @@
+import {describe, it} from 'node:test';
+import assert from 'node:assert/strict';
+import I2CProfileDevice, {decodeBytes, parseI2CDeviceProfile} from '../src/vm/extensions/block/i2c-device-profile.js';
+import {createRegisterDevice} from '../src/vm/extensions/block/simulator-dako-transport.js';
+import FakeI2CBoard from './helpers/fake-i2c-board.mjs';
+
+const PROFILE = {
+    name: 'TEST',
+    address: '0x48',
+    init: [{register: '0x03', data: ['0x80']}],
+    fields: {
+        temperature: {register: '0x00', type: 'Int16', endian: 'big', scale: 0.0078125},
+        id: {register: '0x0B'},
+        axes: {register: '0x10', length: 4, type: 'Int16', endian: 'little', offset: 1}
+    }
+};
+
+describe('decodeBytes', () => {
+    it('reads the types in the endian', () => {
+        assert.deepEqual(decodeBytes([0xFF, 0x00, 0x00, 0x01], 'Int16', true), [255, 256]);
+        assert.deepEqual(decodeBytes([0xFF, 0xFE], 'Int16', false), [-2]);
+        assert.deepEqual(decodeBytes([0xFF, 0xFE], 'Uint16', false), [0xFFFE]);
+        assert.deepEqual(decodeBytes([0xFF, 0xFF, 0xFF, 0xFE], 'Int32', false), [-2]);
+        assert.deepEqual(decodeBytes([0x00, 0x00, 0xC0, 0x3F], 'float', true), [1.5]);
+    });
+
+    it('ignores the rest of the bytes', () => {
+        assert.deepEqual(decodeBytes([0x01, 0x02, 0x03], 'Uint16', false), [0x0102]);
+        assert.deepEqual(decodeBytes([0x01], 'Uint16', false), []);
+    });
+
+    it('throws for an unknown type', () => {
+        assert.throws(() => decodeBytes([0x01], 'Int64', false));
+    });
+});
+
+describe('parseI2CDeviceProfile', () => {
+    it('fills the default values', () => {
+        const profile = parseI2CDeviceProfile(JSON.stringify(PROFILE));
+        assert.equal(profile.address, 0x48);
+        assert.deepEqual(profile.init, [{register: 0x03, data: [0x80]}]);
+        assert.deepEqual(profile.fields.get('id'),
+            {register: 0x0B, length: 1, type: 'Uint8', littleEndian: false, scale: 1, offset: 0});
+        assert.equal(profile.fields.get('temperature').length, 2);
+    });
+
+    it('rejects invalid profiles', () => {
+        assert.throws(() => parseI2CDeviceProfile('{'));
+        assert.throws(() => parseI2CDeviceProfile({address: 0x48, fields: {}}));
+        assert.throws(() => parseI2CDeviceProfile({name: 'A', address: 'x', fields: {}}));
+        assert.throws(() => parseI2CDeviceProfile({name: 'A', address: 1, fields: {a: {register: 0, type: 'Int64'}}}));
+        assert.throws(() => parseI2CDeviceProfile({name: 'A', address: 1, fields: {a: {register: 0, endian: 'middle'}}}));
+        assert.throws(() => parseI2CDeviceProfile({name: 'A', address: 1, fields: {a: {register: 0, type: 'Int32', length: 2}}}));
+    });
+});
+
+describe('I2CProfileDevice', () => {
+    const createDevice = () => {
+        const registers = createRegisterDevice({0x00: 0x0C, 0x01: 0x80, 0x0B: 0xCB});
+        registers.write(0x10, [0xFF, 0xFF, 0x10, 0x00]);
+        const board = new FakeI2CBoard(new Map([[0x48, registers]]));
+        return {device: new I2CProfileDevice(board, parseI2CDeviceProfile(PROFILE)), board};
+    };
+
+    it('writes the init registers', async () => {
+        const {device, board} = createDevice();
+        await device.init();
+        assert.deepEqual(board.writtenTo(0x48, 0x03), [[0x80]]);
+    });
+
+    it('reads the fields with the scale and the offset', async () => {
+        const {device} = createDevice();
+        assert.deepEqual(await device.readField('temperature'), [0x0C80 * 0.0078125]);
+        assert.deepEqual(await device.readField('id'), [0xCB]);
+        assert.deepEqual(await device.readField('axes'), [0, 17]);
+    });
+
+    it('rejects an unknown field', async () => {
+        const {device} = createDevice();
+        await assert.rejects(device.readField('humidity'));
+    });
+});
@@ -0,0 +1,152 @@
+import {describe, it} from 'node:test';
+import assert from 'node:assert/strict';
+import {EventEmitter} from 'node:events';
+import I2CSubscriptionManager from '../src/vm/extensions/block/i2c-subscription-manager.js';
+
+/**
+ * Firmata stand-in which records the continuous readings and the sysex commands.
+ */
+class FakeFirmata extends EventEmitter {
+    constructor () {
+        super();
+        this.reads = [];
+        this.sysex = [];
+        this.samplingIntervals = [];
+        this.samplingInterval = 19;
+    }
+
+    setSamplingInterval (interval) {
+        this.samplingIntervals.push(interval);
+        this.samplingInterval = interval;
+    }
+
+    getSamplingInterval () {
+        return this.samplingInterval;
+    }
+
+    i2cRead (address, register, length, callback) {
+        this.reads.push([address, register, length]);
+        this.on(`I2C-reply-${address}-${register}`, callback);
+    }
+
+    sysexCommand (message) {
+        this.sysex.push(message);
+    }
+
+    reply (address, register, data) {
+        this.emit(`I2C-reply-${address}-${register}`, data);
+    }
+}
+
+const setup = () => {
+    const firmata = new FakeFirmata();
+    const manager = new I2CSubscriptionManager({firmata});
+    return {firmata, manager};
+};
+
+describe('I2CSubscriptionManager', () => {
+    it('shares one reading between the subscribers', () => {
+        const {firmata, manager} = setup();
+        const received = [];
+        const first = manager.subscribe(0x76, 0xF7, 8, data => received.push(data));
+        const second = manager.subscribe(0x76, 0xF7, 8);
+        assert.deepEqual(firmata.reads, [[0x76, 0xF7, 8]]);
+        firmata.reply(0x76, 0xF7, [1, 2, 3, 4, 5, 6, 7, 8]);
+        assert.deepEqual(received, [[1, 2, 3, 4, 5, 6, 7, 8]]);
+        assert.deepEqual(second.data, [1, 2, 3, 4, 5, 6, 7, 8]);
+        assert.ok(first.updatedTime > 0);
+    });
+
+    it('returns the data of the registers in the reading', () => {
+        const {firmata, manager} = setup();
+        const subscription = manager.subscribe(0x76, 0xF7, 8);
+        assert.equal(subscription.dataAt(0xF7, 3), null);
+        firmata.reply(0x76, 0xF7, [1, 2, 3, 4, 5, 6, 7, 8]);
+        assert.deepEqual(subscription.dataAt(0xFA, 3), [4, 5, 6]);
+        assert.equal(subscription.dataAt(0xFD, 3), null);
+        assert.equal(subscription.dataAt(0xF6, 2), null);
+    });
+
+    it('restarts the reading with the longer length', () => {
+        const {firmata, manager} = setup();
+        manager.subscribe(0x29, 0x88, 2);
+        manager.subscribe(0x29, 0x88, 4);
+        assert.deepEqual(firmata.sysex, [[0x76, 0x29, 0x18]]);
+        assert.deepEqual(firmata.reads, [[0x29, 0x88, 2], [0x29, 0x88, 4]]);
+        assert.equal(firmata.listenerCount(`I2C-reply-${0x29}-${0x88}`), 1);
+    });
+
+    it('stops the reading when the last subscriber left', () => {
+        const {firmata, manager} = setup();
+        const first = manager.subscribe(0x0E, 0x06, 6);
+        const second = manager.subscribe(0x0E, 0x06, 6);
+        manager.subscribe(0x76, 0xF7, 8);
+        first.unsubscribe();
+        assert.equal(firmata.sysex.length, 0);
+        second.unsubscribe();
+        second.unsubscribe();
+        assert.deepEqual(firmata.sysex, [[0x76, 0x0E, 0x18]]);
+        assert.equal(firmata.listenerCount(`I2C-reply-${0x0E}-${0x06}`), 0);
+        assert.equal(firmata.listenerCount(`I2C-reply-${0x76}-${0xF7}`), 1);
+        assert.equal(manager.readings.size, 1);
+    });
+
+    it('requests the readings again after they were cleared', () => {
+        const {firmata, manager} = setup();
+        manager.subscribe(0x53, 0x32, 6);
+        manager.clear();
+        manager.subscribe(0x53, 0x32, 6);
+        assert.equal(firmata.reads.length, 2);
+        assert.equal(manager.runningReadings.length, 1);
+    });
+
+    it('does not serve the data after the replies stopped', () => {
+        const {firmata, manager} = setup();
+        const subscription = manager.subscribe(0x76, 0xF7, 8);
+        firmata.reply(0x76, 0xF7, [1, 2, 3, 4, 5, 6, 7, 8]);
+        assert.deepEqual(subscription.dataAt(0xF7, 2), [1, 2]);
+        subscription.reading.updatedTime = Date.now() - manager.staleTime() - 1;
+        assert.equal(subscription.dataAt(0xF7, 2), null);
+        firmata.reply(0x76, 0xF7, [1, 2, 3, 4, 5, 6, 7, 8]);
+        assert.deepEqual(subscription.dataAt(0xF7, 2), [1, 2]);
+    });
+
+    it('does not change the sampling interval of the board', () => {
+        const {firmata, manager} = setup();
+        const subscription = manager.subscribe(0x0E, 0x06, 6);
+        subscription.unsubscribe();
+        assert.deepEqual(firmata.samplingIntervals, []);
+        assert.equal(manager.staleTime(), 19 * manager.staleIntervals);
+    });
+
+    it('stops every query at the address before it requests the remaining readings again', () => {
+        const {firmata, manager} = setup();
+        manager.subscribe(0x68, 0x3B, 14);
+        const gyro = manager.subscribe(0x68, 0x43, 6);
+        manager.subscribe(0x76, 0xF7, 8);
+        firmata.reads = [];
+        gyro.unsubscribe();
+        assert.deepEqual(firmata.sysex, [[0x76, 0x68, 0x18], [0x76, 0x68, 0x18]]);
+        assert.deepEqual(firmata.reads, [[0x68, 0x3B, 14]]);
+        assert.equal(firmata.listenerCount(`I2C-reply-${0x68}-${0x43}`), 0);
+        assert.equal(firmata.listenerCount(`I2C-reply-${0x68}-${0x3B}`), 1);
+        assert.deepEqual(manager.runningReadings.map(reading => reading.register), [0xF7, 0x3B]);
+    });
+
+    it('keeps the readings over the limit of the firmware waiting until a query is free', () => {
+        const {firmata, manager} = setup();
+        const subscriptions = [];
+        for (let address = 0x10; address < 0x19; address++) {
+            subscriptions.push(manager.subscribe(address, 0x00, 2));
+        }
+        assert.equal(firmata.reads.length, 8);
+        const waiting = subscriptions[8];
+        assert.equal(waiting.reading.running, false);
+        firmata.reply(0x18, 0x00, [1, 2]);
+        assert.equal(waiting.dataAt(0x00, 2), null);
+        subscriptions[0].unsubscribe();
+        assert.deepEqual(firmata.reads.at(-1), [0x18, 0x00, 2]);
+        assert.equal(waiting.reading.running, true);
+        assert.equal(manager.runningReadings.length, 8);
+    });
+});
@@ -0,0 +1,382 @@
+import {describe, it, afterEach} from 'node:test';
+import assert from 'node:assert/strict';
+import AkaDakoBoard from '../src/vm/extensions/block/akadako-board.js';
+import VL53L1X from '../src/vm/extensions/block/vl53l1x.js';
+import KXTJ3 from '../src/vm/extensions/block/kxtj3.js';
+import ADXL345 from '../src/vm/extensions/block/adxl345.js';
+import MPU6050 from '../src/vm/extensions/block/mpu6050.js';
+import BMI088 from '../src/vm/extensions/block/bmi088.js';
+import LSM6DS3 from '../src/vm/extensions/block/lsm6ds3.js';
+import MemoryTransport from './helpers/memory-transport.mjs';
+import FakeRuntime from './helpers/fake-runtime.mjs';
+
+// the extension listens to the page unloading
+globalThis.window = globalThis.window || {addEventListener: () => {}};
+const {default: ExtensionBlocks} = await import('../src/vm/extensions/block/index.js');
+
+const START_SYSEX = 0xF0;
+const END_SYSEX = 0xF7;
+
+/**
+ * Answer the queries in the connecting sequence as AkaDako v1.1.0.
+ * @param {Array<number>} message - message which was written
+ * @returns {?Array<number>} reply
+ */
+const connectingResponder = message => {
+    if (message[0] !== START_SYSEX) return null;
+    if (message[1] === 0x0F) {
+        const value = (1 << 10) | (1 << 6);
+        return [START_SYSEX, 0x0F, value & 0x7F, (value >> 7) & 0x7F, END_SYSEX];
+    }
+    if (message[1] === 0x69) {
+        return [START_SYSEX, 0x6A, ...Array(14).fill(0x7F), 0, 1, 2, 3, END_SYSEX];
+    }
+    return null;
+};
+
+const extensions = [];
+
+/**
+ * Make the extension with a board on a memory transport.
+ * @param {?function(Array<number>): ?Array<number>} responder - answers the messages after the connection
+ * @returns {Promise<{extension: ExtensionBlocks, board: AkaDakoBoard, transport: MemoryTransport}>}
+ * extension, its board and the transport
+ */
+const setupExtension = async (responder = null) => {
+    const runtime = new FakeRuntime();
+    const extension = new ExtensionBlocks(runtime);
+    extensions.push(extension);
+    const board = new AkaDakoBoard(runtime);
+    board.sendingInterval = 0;
+    const transport = new MemoryTransport();
+    transport.responder = connectingResponder;
+    board.transport = transport;
+    await board.startMidiFirmata(transport);
+    transport.responder = message => (connectingResponder(message) || (responder && responder(message)));
+    extension.boardConnector.holdBoard(board);
+    return {extension, board, transport};
+};
+
+afterEach(() => {
+    extensions.splice(0).forEach(extension => extension.boardConnector.disconnectAll());
+});
+
+describe('sensor caches of the boards', () => {
+    it('stops the measurement of the cached sensors when the board was removed', async () => {
+        const {extension, board} = await setupExtension();
+        let unsubscribed = 0;
+        extension.sensorCacheOf(board).sgp30 = {
+            unsubscribe: () => {
+                unsubscribed++;
+            }
+        };
+        board.disconnect();
+        assert.equal(extension.board, null);
+        assert.equal(extension.sensorCaches.has(board), false);
+        assert.equal(unsubscribed, 1);
+    });
+});
+
+describe('VL53L1X settings', () => {
+    /**
+     * Make a VL53L1X which records the calls instead of accessing the registers.
+     * @returns {VL53L1X} sensor
+     */
+    const createSensor = () => {
+        const sensor = Object.create(VL53L1X.prototype);
+        sensor.calls = [];
+        ['stopContinuous', 'startContinuous', 'setDistanceMode', 'setMeasurementTimingBudget'].forEach(name => {
+            sensor[name] = (...args) => {
+                sensor.calls.push([name, ...args]);
+                return Promise.resolve();
+            };
+        });
+        return sensor;
+    };
+
+    it('sets the distance mode and the timing budget while the measurement is stopped', async () => {
+        const {extension, board} = await setupExtension();
+        const sensor = createSensor();
+        extension.sensorCacheOf(board).vl53l0x = sensor;
+        await extension.setOpticalDistanceMode({MODE: 'MEDIUM'});
+        await extension.setOpticalDistanceMode({MODE: 'FAR'});
+        await extension.setOpticalDistanceTimingBudget({BUDGET: '5000'});
+        assert.deepEqual(sensor.calls, [
+            ['stopContinuous'], ['setDistanceMode', 'MEDIUM'], ['startContinuous'],
+            ['stopContinuous'], ['setMeasurementTimingBudget', 1000000], ['startContinuous']
+        ]);
+        assert.equal(extension.opticalDistanceMode, 'MEDIUM');
+        assert.equal(extension.opticalDistanceTimingBudget, 1000);
+    });
+
+    it('follows the range profile after it was set', async () => {
+        const {extension} = await setupExtension();
+        await extension.setOpticalDistanceMode({MODE: 'SHORT'});
+        await extension.setOpticalDistanceTimingBudget({BUDGET: '100'});
+        await extension.setOpticalDistanceProfile({PROFILE: 'HIGH_SPEED'});
+        assert.equal(extension.opticalDistanceMode, null);
+        assert.equal(extension.opticalDistanceTimingBudget, null);
+    });
+});
+
+describe('optical distance status', () => {
+    it('yields without a Promise while the measurement is updating', async () => {
+        const {extension, board} = await setupExtension();
+        extension.sensorCacheOf(board).opticalDistanceUpdating = true;
+        let yielded = 0;
+        const util = {
+            yield: () => {
+                yielded++;
+            }
+        };
+        assert.equal(extension.getOpticalDistanceStatus({}, util), undefined);
+        assert.equal(yielded, 1);
+    });
+
+    it('resolves the status of the last measurement', async () => {
+        const {extension, board} = await setupExtension();
+        const sensor = Object.create(VL53L1X.prototype);
+        sensor.readRangeContinuousMillimeters = () => {
+            sensor.range_status = 'VALID';
+            return Promise.resolve(5000);
+        };
+        extension.sensorCacheOf(board).vl53l0x = sensor;
+        assert.equal(await extension.getOpticalDistanceStatus({}, {yield: () => {}}), 'OUT_OF_RANGE');
+    });
+});
+
+describe('ultrasonic distance', () => {
+    const ULTRASONIC_DISTANCE_QUERY = 0x01;
+
+    /**
+     * Make a responder which replies the distance for each pin.
+     * @param {Map<number, ?number>} distances - distance [mm] of the pins, null is not available
+     * @returns {function(Array<number>): ?Array<number>} responder
+     */
+    const ultrasonicResponder = distances => message => {
+        if (message[0] !== START_SYSEX || message[1] !== ULTRASONIC_DISTANCE_QUERY) return null;
+        const pin = message[2];
+        const distance = distances.get(pin);
+        if (distance === null) return [START_SYSEX, ULTRASONIC_DISTANCE_QUERY, pin, END_SYSEX];
+        return [START_SYSEX, ULTRASONIC_DISTANCE_QUERY, pin, distance & 0x7F, (distance >> 7) & 0x7F, END_SYSEX];
+    };
+
+    const util = {yield: () => {}};
+
+    /**
+     * Make the extension which measures every time.
+     * @param {Map<number, ?number>} distances - distance [mm] of the pins, null is not available
+     * @returns {Promise<ExtensionBlocks>} extension
+     */
+    const setupUltrasonic = async distances => {
+        const {extension} = await setupExtension(ultrasonicResponder(distances));
+        extension.sonicDistanceUpdateIntervalTime = -1;
+        return extension;
+    };
+
+    it('keeps the state of each pin', async () => {
+        const distances = new Map([[10, 1234], [6, 0]]);
+        const extension = await setupUltrasonic(distances);
+        assert.equal(await extension.measureDistanceWithUltrasonic({CONNECTOR: '10'}, util), 123);
+        assert.equal(await extension.getUltrasonicDistanceStatus({CONNECTOR: '6'}, util), 'NO_ECHO');
+        assert.equal(await extension.measureDistanceWithUltrasonic({CONNECTOR: '6'}, util), 0);
+        assert.equal(await extension.getUltrasonicDistanceStatus({CONNECTOR: '10'}, util), 'VALID');
+        distances.set(10, null);
+        extension.board.ultrasonicDistanceWaitingTime = 100;
+        assert.equal(await extension.measureDistanceWithUltrasonic({CONNECTOR: '10'}, util), '');
+        assert.equal(await extension.getUltrasonicDistanceStatus({CONNECTOR: '6'}, util), 'NO_ECHO');
+        const states = extension.sensorCacheOf(extension.board).sonicDistances;
+        assert.equal(states.get(10).status, 'NOT_AVAILABLE');
+    });
+
+    it('clamps the distance out of the range without adding it to the samples', async () => {
+        const distances = new Map([[10, 1000]]);
+        const extension = await setupUltrasonic(distances);
+        extension.setUltrasonicDistanceFilter({SIZE: '3'});
+        extension.setUltrasonicDistanceMax({RANGE: '200'});
+        assert.equal(await extension.measureDistanceWithUltrasonic({CONNECTOR: '10'}, util), 100);
+        distances.set(10, 3000);
+        assert.equal(await extension.measureDistanceWithUltrasonic({CONNECTOR: '10'}, util), 200);
+        assert.equal(await extension.getUltrasonicDistanceStatus({CONNECTOR: '10'}, util), 'OUT_OF_RANGE');
+        const state = extension.sensorCacheOf(extension.board).sonicDistances.get(10);
+        assert.deepEqual(state.samples, [100]);
+        distances.set(10, 1200);
+        assert.equal(await extension.measureDistanceWithUltrasonic({CONNECTOR: '10'}, util), 120);
+        assert.deepEqual(state.samples, [100, 120]);
+        assert.equal(state.status, 'VALID');
+    });
+
+    it('resolves the same values as before on Digital A', async () => {
+        const distances = new Map([[10, 0]]);
+        const extension = await setupUltrasonic(distances);
+        assert.equal(await extension.measureDistanceWithUltrasonicA({}, util), 0);
+        assert.equal(await extension.getUltrasonicDistanceStatus({CONNECTOR: '10'}, util), 'NO_ECHO');
+        distances.set(10, 5000);
+        assert.equal(await extension.measureDistanceWithUltrasonicA({}, util), 350);
+        assert.equal(await extension.getUltrasonicDistanceStatus({CONNECTOR: '10'}, util), 'OUT_OF_RANGE');
+    });
+
+    it('yields without a Promise while the measurement is updating', async () => {
+        const extension = await setupUltrasonic(new Map([[10, 1000]]));
+        const states = extension.sensorCacheOf(extension.board).sonicDistances;
+        states.set(10, {distance: null, status: null, samples: [], updatedTime: 0, updating: true});
+        let yielded = 0;
+        const counting = {
+            yield: () => {
+                yielded++;
+            }
+        };
+        assert.equal(extension.getUltrasonicDistanceStatus({CONNECTOR: '10'}, counting), undefined);
+        assert.equal(yielded, 1);
+    });
+});
+
+describe('derived values of the environment sensor', () => {
+    /**
+     * Make the extension with a fake environment sensor.
+     * @returns {Promise<ExtensionBlocks>} extension
+     */
+    const setupEnvSensor = async () => {
+        const {extension, board} = await setupExtension();
+        extension.sensorCacheOf(board).envSensor = {
+            readTemperature: () => Promise.resolve(25),
+            readPressure: () => Promise.resolve(101325),
+            readHumidity: () => Promise.resolve(50),
+            unsubscribe: () => {}
+        };
+        return extension;
+    };
+
+    it('yields without a Promise while a source value is updating', async () => {
+        const extension = await setupEnvSensor();
+        const cache = extension.sensorCacheOf(extension.board);
+        let yielded = 0;
+        const util = {
+            yield: () => {
+                yielded++;
+            }
+        };
+        cache.envPressureUpdating = true;
+        assert.equal(extension.getEnvAltitude({}, util), undefined);
+        cache.envHumidityUpdating = true;
+        assert.equal(extension.getEnvDewPoint({}, util), undefined);
+        await new Promise(resolve => setTimeout(resolve, 0)); // the temperature was read meanwhile
+        assert.equal(extension.getEnvAbsoluteHumidity({}, util), undefined);
+        assert.equal(yielded, 3);
+    });
+
+    it('resolves the values by the temperature, the humidity and the pressure', async () => {
+        const extension = await setupEnvSensor();
+        const util = {yield: () => {}};
+        extension.setSeaLevelPressure({PRESSURE: '1013.25'});
+        assert.equal(await extension.getEnvAltitude({}, util), 0);
+        assert.equal(await extension.getEnvDewPoint({}, util), 13.85);
+        assert.equal(await extension.getEnvAbsoluteHumidity({}, util), 11.51);
+    });
+});
+
+describe('water temperature on the OneWire bus', () => {
+    it('reads every sensor on the bus in the same way', async () => {
+        const {extension, board, transport} = await setupExtension();
+        assert.notEqual(board.version.type, 0);
+        const sensorOf = temperature => ({readTemperature: () => Promise.resolve(temperature)});
+        extension.sensorCacheOf(board).ds18b20s.set(10, [sensorOf(21.25), sensorOf(18.5)]);
+        const util = {yield: () => {}};
+        assert.equal(await extension.getWaterTemperatureOf({N: '1', CONNECTOR: '10'}, util), 21.3);
+        assert.equal(await extension.getWaterTemperatureOf({N: '2', CONNECTOR: '10'}, util), 18.5);
+        assert.equal(transport.written.some(message => message[0] === START_SYSEX && message[1] === 0x02), false);
+    });
+});
+
+describe('accelerometer detection', () => {
+    it('probes the common accelerometers before the IMUs', async () => {
+        const {extension} = await setupExtension();
+        const probed = [];
+        const sensorClasses = {KXTJ3, ADXL345, MPU6050, BMI088, LSM6DS3};
+        const restorers = Object.entries(sensorClasses).map(([name, SensorClass]) => {
+            const isConnected = SensorClass.isConnected;
+            SensorClass.isConnected = () => {
+                probed.push(name);
+                return Promise.resolve(false);
+            };
+            return () => {
+                SensorClass.isConnected = isConnected;
+            };
+        });
+        try {
+            await assert.rejects(extension.getAccelerometer(), /No supported accelerometer found/);
+        } finally {
+            restorers.forEach(restore => restore());
+        }
+        assert.deepEqual(probed, ['KXTJ3', 'ADXL345', 'MPU6050', 'BMI088', 'LSM6DS3']);
+    });
+});
+
+describe('I2C device profile', () => {
+    it('reports the error in loading the last profile', () => {
+        const extension = new ExtensionBlocks(new FakeRuntime());
+        extension.loadI2CDeviceProfile({PROFILE: '{"name": "broken"'});
+        assert.notEqual(extension.getI2CDeviceProfileError(), '');
+        extension.loadI2CDeviceProfile({PROFILE: '{"name": "ADT7410", "address": "0x48", "fields": {}}'});
+        assert.equal(extension.getI2CDeviceProfileError(), '');
+        assert.equal(extension.i2cDeviceProfiles.has('ADT7410'), true);
+    });
+});
+
+describe('NeoPixel', () => {
+    it('clears the strips of the board which was given through the lock', async () => {
+        const {extension, board, transport} = await setupExtension();
+        await board.neoPixelConfigStrip(2, 2);
+        await board.neoPixelSetColor(2, [255, 0, 0], 0);
+        const locked = [];
+        const neoPixelOperationWithLock = extension.neoPixelOperationWithLock.bind(extension);
+        extension.neoPixelOperationWithLock = (args, util, operation, lockedBoard) => {
+            locked.push(lockedBoard);
+            return neoPixelOperationWithLock(args, util, operation, lockedBoard);
+        };
+        const sentBefore = transport.written.length;
+        await extension.neoPixelClearAll(board);
+        assert.deepEqual(locked, [board]);
+        const pixelMessages = transport.written.slice(sentBefore)
+            .filter(message => message[0] === START_SYSEX && message[1] === 0x51);
+        assert.equal(pixelMessages.at(-1)[2], 0x02); // show
+        assert.equal(board.neoPixel[0].colors[0].join(), '0,0,0');
+    });
+});
+
+describe('board which is reconnecting', () => {
+    it('keeps the blocks on the lost board instead of the next one', async () => {
+        const {extension, board, transport} = await setupExtension();
+        const other = new AkaDakoBoard(extension.runtime);
+        other.sendingInterval = 0;
+        const otherTransport = new MemoryTransport();
+        otherTransport.responder = connectingResponder;
+        other.transport = otherTransport;
+        await other.startMidiFirmata(otherTransport);
+        extension.boardConnector.holdBoard(other);
+        extension.boardConnector.autoReconnect = true;
+        board.reconnect = () => new Promise(() => {});
+        transport.isOpen = false;
+        transport.emit('error');
+        assert.equal(extension.board, board);
+        assert.equal(extension.isConnected(), false);
+        assert.equal(await extension.getWaterTemperatureOf({N: '1', CONNECTOR: '10'}, {yield: () => {}}), '');
+        extension.disconnectBoard();
+        assert.deepEqual(extension.boardConnector.boards, [other]);
+        assert.equal(extension.board, other);
+    });
+});
+
+describe('simulator board', () => {
+    it('connects the simulator by the block without preferring it', async () => {
+        const runtime = new FakeRuntime();
+        const extension = new ExtensionBlocks(runtime);
+        extensions.push(extension);
+        await extension.connectSimulator();
+        assert.equal(extension.isConnected(), true);
+        assert.ok(extension.board.simulator);
+        assert.deepEqual(extension.boardConnector.transportOrder, ['midi', 'serial']);
+        extension.setSimulatorValue({SENSOR: 'temperature', VALUE: '30'});
+        assert.equal(extension.board.simulator.sensorValues.temperature, 30);
+    });
+});
@@ -0,0 +1,134 @@
+import {describe, it} from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    integer64From,
+    numericArrayToString,
+    readAsNumericArray,
+    getRainbowColor,
+    parseColor,
+    normalizeID,
+    oneWireROMToString,
+    parseOneWireROM,
+    accelerationOffsetOf,
+    calibrateAcceleration,
+    altitudeOf,
+    dewPointOf,
+    absoluteHumidityOf,
+    medianOf
+} from '../src/vm/extensions/block/index.js';
+
+describe('integer64From', () => {
+    it('reads decimal, hex and binary strings', () => {
+        assert.equal(integer64From('1234').toString(), '1234');
+        assert.equal(integer64From(' -0x1F ').toString(), '-31');
+        assert.equal(integer64From('0b101', true).toString(), '5');
+    });
+
+    it('returns zero for empty values', () => {
+        assert.ok(integer64From('').isZero());
+        assert.ok(integer64From(null, true).isZero());
+        assert.equal(integer64From(null, true).unsigned, true);
+    });
+
+    it('keeps 64-bit precision', () => {
+        assert.equal(integer64From('0xFFFFFFFFFFFFFFFF', true).toString(), '18446744073709551615');
+    });
+});
+
+describe('numeric array expressions', () => {
+    it('reads comma or space separated numbers', () => {
+        assert.deepEqual(readAsNumericArray('[1, 2,, 3]'), [1, 2, 3]);
+        assert.deepEqual(readAsNumericArray('4 5  6'), [4, 5, 6]);
+        assert.deepEqual(readAsNumericArray('  '), []);
+        assert.deepEqual(readAsNumericArray(7), [7]);
+    });
+
+    it('makes a string which can be read again', () => {
+        const array = [10, 20, 30];
+        assert.equal(numericArrayToString(array), '10, 20, 30');
+        assert.deepEqual(readAsNumericArray(numericArrayToString(array)), array);
+    });
+});
+
+describe('parseColor', () => {
+    it('reads RGB list, hex string and number', () => {
+        assert.deepEqual(parseColor('255, 128, 0', 1), [255, 128, 0]);
+        assert.deepEqual(parseColor('0x00FF80', 1), [0, 255, 128]);
+        assert.deepEqual(parseColor(0x102030, 1), [0x10, 0x20, 0x30]);
+    });
+
+    it('applies brightness and clamps the values', () => {
+        assert.deepEqual(parseColor('300, 100, -5', 0.5), [128, 50, 0]);
+    });
+
+    it('returns black for unknown expressions', () => {
+        assert.deepEqual(parseColor('red', 1), [0, 0, 0]);
+        assert.deepEqual(parseColor(0x1000000, 1), [0, 0, 0]);
+    });
+});
+
+describe('getRainbowColor', () => {
+    it('returns distinct RGB colors for the indexes', () => {
+        const colors = [0, 1, 2].map(index => getRainbowColor(index, 3, 0.7));
+        colors.forEach(color => assert.equal(color.length, 3));
+        assert.notDeepEqual(colors[0], colors[1]);
+        assert.notDeepEqual(colors[1], colors[2]);
+    });
+});
+
+describe('normalizeID', () => {
+    it('trims and converts full-width alphanumerics', () => {
+        assert.equal(normalizeID(' ＡＢｃ１２３ '), 'ABc123');
+        assert.equal(normalizeID('グループ１'), 'グループ1');
+    });
+});
+
+describe('OneWire ROM ID', () => {
+    const rom = [0x28, 0xFF, 0x64, 0x1E, 0x0D, 0x00, 0x00, 0xA1];
+
+    it('formats and parses in hexadecimal', () => {
+        assert.equal(oneWireROMToString(rom), '28FF641E0D0000A1');
+        assert.deepEqual(parseOneWireROM('28ff641e0d0000a1'), rom);
+        assert.deepEqual(parseOneWireROM('0x28, 0xFF, 0x64, 0x1E, 0x0D, 0x00, 0x00, 0xA1'), rom);
+        assert.deepEqual(parseOneWireROM('28:FF:64:1E:0D:00:00:A1'), rom);
+    });
+
+    it('returns null when the length is not 8 bytes', () => {
+        assert.equal(parseOneWireROM('1'), null);
+        assert.equal(parseOneWireROM('28FF641E0D0000A1FF'), null);
+    });
+});
+
+describe('accelerationOffsetOf', () => {
+    it('keeps the gravity on the nearest axis to the vertical', () => {
+        const offset = accelerationOffsetOf([{x: 0.2, y: -0.1, z: 10.0}, {x: 0.4, y: -0.3, z: 9.8}]);
+        assert.ok(Math.abs(offset.x - 0.3) < 1e-9);
+        assert.ok(Math.abs(offset.y + 0.2) < 1e-9);
+        assert.ok(Math.abs(offset.z - (9.9 - 9.80665)) < 1e-9);
+        const upsideDown = accelerationOffsetOf([{x: 0, y: -9.5, z: 0.1}]);
+        assert.ok(Math.abs(upsideDown.y - (-9.5 + 9.80665)) < 1e-9);
+    });
+
+    it('is subtracted by calibrateAcceleration', () => {
+        assert.deepEqual(calibrateAcceleration({x: 1, y: 2, z: 3}, {x: 1, y: 1, z: 1}), {x: 0, y: 1, z: 2});
+        assert.deepEqual(calibrateAcceleration({x: 1, y: 2, z: 3}, null), {x: 1, y: 2, z: 3});
+    });
+});
+
+describe('altitudeOf, dewPointOf and absoluteHumidityOf', () => {
+    it('derives the values in the standard atmosphere', () => {
+        assert.equal(altitudeOf(1013.25, 1013.25), 0);
+        assert.equal(Math.round(altitudeOf(898.76, 1013.25)), 1000);
+        assert.equal(Math.round(dewPointOf(25, 50) * 10) / 10, 13.9);
+        assert.equal(dewPointOf(25, 0), null);
+        assert.equal(Math.round(absoluteHumidityOf(25, 50) * 10) / 10, 11.5);
+    });
+});
+
+describe('medianOf', () => {
+    it('returns the middle of the sorted values', () => {
+        assert.equal(medianOf([30, 1000, 31]), 31);
+        assert.equal(medianOf([4, 1, 3, 2]), 3);
+        assert.equal(medianOf([]), null);
+    });
+});
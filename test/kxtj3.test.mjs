@@ -0,0 +1,42 @@
+import {describe, it} from 'node:test';
+import assert from 'node:assert/strict';
+import KXTJ3 from '../src/vm/extensions/block/kxtj3.js';
+import {createRegisterDevice} from '../src/vm/extensions/block/simulator-dako-transport.js';
+import FakeI2CBoard from './helpers/fake-i2c-board.mjs';
+
+const createBoard = () => new FakeI2CBoard(new Map([[0x0E, createRegisterDevice({0x0F: 0x35})]]));
+
+describe('KXTJ3', () => {
+    it('is detected by WHO_AM_I', async () => {
+        assert.equal(await KXTJ3.isConnected(createBoard()), true);
+        const other = new FakeI2CBoard(new Map([[0x0E, createRegisterDevice({0x0F: 0x00})]]));
+        assert.equal(await KXTJ3.isConnected(other), false);
+    });
+
+    it('selects 8G range by default and starts sensing', async () => {
+        const board = createBoard();
+        await new KXTJ3(board).init();
+        const ctrl1 = board.writtenTo(0x0E, 0x1B);
+        assert.deepEqual(ctrl1, [[0x10], [0x90]]);
+        assert.deepEqual(board.writtenTo(0x0E, 0x21), [[0x02]]);
+    });
+
+    it('sets the output data rate', async () => {
+        const board = createBoard();
+        await new KXTJ3(board).init(4, 200);
+        assert.deepEqual(board.writtenTo(0x0E, 0x21), [[0x04]]);
+        assert.deepEqual(board.writtenTo(0x0E, 0x1B), [[0x08], [0x88]]);
+    });
+
+    it('converts raw data with the range', async () => {
+        const board = createBoard();
+        const sensor = new KXTJ3(board);
+        await sensor.init(2);
+        // x: 16384 (=1G at 2G range), y: -16384, z: 0
+        board.devices.get(0x0E).write(0x06, [0x00, 0x40, 0x00, 0xC0, 0x00, 0x00]);
+        const acc = await sensor.getAcceleration();
+        assert.ok(Math.abs(acc.x - 9.8) < 1e-9);
+        assert.ok(Math.abs(acc.y + 9.8) < 1e-9);
+        assert.equal(acc.z, 0);
+    });
+});
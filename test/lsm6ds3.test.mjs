@@ -0,0 +1,25 @@
+import {describe, it} from 'node:test';
+import assert from 'node:assert/strict';
+import LSM6DS3 from '../src/vm/extensions/block/lsm6ds3.js';
+import {createRegisterDevice} from '../src/vm/extensions/block/simulator-dako-transport.js';
+import FakeI2CBoard from './helpers/fake-i2c-board.mjs';
+
+describe('LSM6DS3', () => {
+    it('initializes and decodes the angular rate before the acceleration', async () => {
+        const device = createRegisterDevice({0x0F: 0x69});
+        const board = new FakeI2CBoard(new Map([[0x6A, device]]));
+        const sensor = new LSM6DS3(board);
+        await sensor.init();
+        assert.deepEqual(board.writtenTo(0x6A, 0x12), [[0x01], [0x44]]);
+        assert.deepEqual(board.writtenTo(0x6A, 0x11), [[0x44]]);
+        device.write(0x22, [0xE8, 0x03, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x10]);
+        assert.equal((await sensor.getAngularRate()).x, 17.5);
+        assert.equal(Math.round((await sensor.getAcceleration()).z * 100) / 100, 9.8);
+    });
+
+    it('rejects an unknown ID', async () => {
+        const board = new FakeI2CBoard(new Map([[0x6A, createRegisterDevice({0x0F: 0x00})]]));
+        await assert.rejects(new LSM6DS3(board).init());
+        assert.equal(await LSM6DS3.isConnected(board), false);
+    });
+});
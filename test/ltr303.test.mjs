@@ -0,0 +1,113 @@
+import {describe, it} from 'node:test';
+import assert from 'node:assert/strict';
+import LTR303 from '../src/vm/extensions/block/ltr303.js';
+import SimulatorDakoTransport, {createRegisterDevice} from '../src/vm/extensions/block/simulator-dako-transport.js';
+import FakeI2CBoard from './helpers/fake-i2c-board.mjs';
+
+const createSensor = (ch0, ch1) => {
+    const device = createRegisterDevice({0x86: 0xA0});
+    device.write(0x88, [ch1 & 0xFF, ch1 >> 8, ch0 & 0xFF, ch0 >> 8]);
+    const board = new FakeI2CBoard(new Map([[0x29, device]]));
+    return {sensor: new LTR303(board), board};
+};
+
+describe('LTR303', () => {
+    it('accepts the part ID', async () => {
+        const {sensor} = createSensor(0, 0);
+        await sensor.init();
+        assert.equal(await sensor.readID(), 0xA0);
+    });
+
+    it('is found by the part ID and the manufacturer ID', async () => {
+        const found = new FakeI2CBoard(new Map([[0x29, createRegisterDevice({0x86: 0xA0, 0x87: 0x05})]]));
+        assert.equal(await LTR303.isConnected(found), true);
+        const other = new FakeI2CBoard(new Map([[0x29, createRegisterDevice({0x86: 0xA0, 0x87: 0xA0})]]));
+        assert.equal(await LTR303.isConnected(other), false);
+        assert.equal(await LTR303.isConnected(new FakeI2CBoard(new Map())), false);
+    });
+
+    it('rejects an unknown part ID', async () => {
+        const board = new FakeI2CBoard(new Map([[0x29, createRegisterDevice({0x86: 0x10})]]));
+        await assert.rejects(new LTR303(board).init());
+    });
+
+    it('activates the sensor only in init', async () => {
+        const {sensor, board} = createSensor(100, 10);
+        await sensor.init();
+        await sensor.getBrightness();
+        await sensor.getBrightness();
+        assert.deepEqual(board.writtenTo(0x29, 0x80), [[0x01]]);
+        assert.deepEqual(board.writtenTo(0x29, 0x85), [[0x03]]);
+    });
+
+    it('writes the gain and the integration time with the measurement rate not shorter than it', async () => {
+        const {sensor, board} = createSensor(0, 0);
+        await sensor.init({gain: 48, integrationTime: 400, measurementRate: 200});
+        assert.deepEqual(board.writtenTo(0x29, 0x80).at(-1), [0x19]);
+        assert.deepEqual(board.writtenTo(0x29, 0x85).at(-1), [0x1B]);
+        await sensor.configure({gain: 3, integrationTime: 50});
+        assert.equal(sensor.settings.gain, 48);
+        assert.deepEqual(board.writtenTo(0x29, 0x85).at(-1), [0x0B]);
+    });
+
+    it('calculates lux by the gain of the data and the integration time', async () => {
+        const simulator = new SimulatorDakoTransport();
+        simulator.sensorValues.brightness = 12.5;
+        const sensor = new LTR303(new FakeI2CBoard(simulator.i2cDevices));
+        await sensor.init({gain: 96, integrationTime: 200});
+        assert.ok(Math.abs(await sensor.getBrightness() - 12.5) < 0.1);
+        assert.equal(sensor.saturated, false);
+    });
+
+    it('detects the saturation', async () => {
+        const {sensor} = createSensor(0xFFFF, 100);
+        await sensor.getBrightness();
+        assert.equal(sensor.saturated, true);
+    });
+
+    it('changes the gain step by step in the automatic gain ranging', async () => {
+        const simulator = new SimulatorDakoTransport();
+        simulator.sensorValues.brightness = 10;
+        const sensor = new LTR303(new FakeI2CBoard(simulator.i2cDevices));
+        await sensor.init({gain: 'auto'});
+        const gains = [];
+        for (let count = 0; count < 6; count++) {
+            await sensor.getBrightness();
+            gains.push(sensor.gain);
+        }
+        assert.deepEqual(gains, [2, 4, 8, 48, 96, 96]);
+        simulator.sensorValues.brightness = 1000;
+        await sensor.getBrightness();
+        assert.equal(sensor.gain, 48);
+        assert.ok(Math.abs(await sensor.getBrightness() - 1000) < 1);
+    });
+
+    it('keeps the interrupt until it was taken', async () => {
+        const simulator = new SimulatorDakoTransport();
+        simulator.sensorValues.brightness = 50;
+        const board = new FakeI2CBoard(simulator.i2cDevices);
+        const sensor = new LTR303(board);
+        await sensor.init();
+        await sensor.setInterruptThresholds(100, 0);
+        assert.deepEqual(board.writtenTo(0x29, 0x97), [[56, 0]]);
+        assert.deepEqual(board.writtenTo(0x29, 0x8F), [[0x02]]);
+        await sensor.getBrightness();
+        assert.equal(sensor.takeInterrupt(), false);
+        simulator.sensorValues.brightness = 150;
+        await sensor.getBrightness();
+        simulator.sensorValues.brightness = 50;
+        await sensor.getBrightness();
+        assert.equal(sensor.takeInterrupt(), true);
+        assert.equal(sensor.takeInterrupt(), false);
+    });
+
+    it('calculates lux for each ratio of the channels', async () => {
+        assert.equal(await createSensor(1000, 100).sensor.getBrightness(),
+            Math.round(((1.7743 * 1000) + (1.1059 * 100)) * 10) / 10);
+        assert.equal(await createSensor(1000, 1000).sensor.getBrightness(),
+            Math.round(((4.2785 * 1000) - (1.9548 * 1000)) * 10) / 10);
+        assert.equal(await createSensor(1000, 2000).sensor.getBrightness(),
+            Math.round(((0.5926 * 1000) + (0.1185 * 2000)) * 10) / 10);
+        assert.equal(await createSensor(100, 1000).sensor.getBrightness(), 0);
+    });
+});
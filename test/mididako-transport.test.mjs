@@ -0,0 +1,108 @@
+import {describe, it} from 'node:test';
+import assert from 'node:assert/strict';
+import MidiDakoTransport, {convertFirmataToMidi} from '../src/vm/extensions/block/mididako-transport.js';
+
+const fakePort = () => ({
+    state: 'connected',
+    sent: [],
+    opened: false,
+    open () {
+        this.opened = true;
+        return Promise.resolve();
+    },
+    close () {
+        this.opened = false;
+        return Promise.resolve();
+    },
+    send (data) {
+        this.sent.push([...data]);
+    }
+});
+
+describe('convertFirmataToMidi', () => {
+    it('drops report version', () => {
+        assert.deepEqual(convertFirmataToMidi([0xF9]), []);
+    });
+
+    it('rewrites set pin mode to 0xA0', () => {
+        assert.deepEqual(convertFirmataToMidi([0xF4, 10, 0x01]), [0xA0, 10, 0x01]);
+    });
+
+    it('drops query firmware', () => {
+        assert.deepEqual(convertFirmataToMidi([0xF0, 0x79, 0xF7]), []);
+    });
+
+    it('pads one byte sysex with a dummy byte', () => {
+        assert.deepEqual(convertFirmataToMidi([0xF0, 0x0F, 0xF7]), [0xF0, 0x0F, 0x00, 0xF7]);
+    });
+
+    it('passes through other messages', () => {
+        assert.deepEqual(convertFirmataToMidi([0xF0, 0x01, 10, 0xF7]), [0xF0, 0x01, 10, 0xF7]);
+        assert.deepEqual(convertFirmataToMidi(Buffer.from([0x91, 0x01, 0x00])), [0x91, 0x01, 0x00]);
+    });
+});
+
+describe('MidiDakoTransport', () => {
+    it('opens both ports and forwards MIDI messages as data', async () => {
+        const input = fakePort();
+        const output = fakePort();
+        const transport = new MidiDakoTransport(input, output);
+        await transport.open();
+        assert.ok(input.opened && output.opened);
+        const received = [];
+        transport.on('data', data => received.push([...data]));
+        input.onmidimessage({data: new Uint8Array([0xE0, 0x10, 0x01])});
+        assert.deepEqual(received, [[0xE0, 0x10, 0x01]]);
+    });
+
+    it('sends converted data and calls back', async () => {
+        const output = fakePort();
+        const transport = new MidiDakoTransport(fakePort(), output);
+        let called = false;
+        transport.write(Buffer.from([0xF4, 6, 0x0B]), () => {
+            called = true;
+        });
+        assert.deepEqual(output.sent, [[0xA0, 6, 0x0B]]);
+        assert.ok(called);
+    });
+
+    it('emits error when a port was disconnected', async () => {
+        const input = fakePort();
+        const output = fakePort();
+        const transport = new MidiDakoTransport(input, output);
+        await transport.open();
+        let errors = 0;
+        transport.on('error', () => errors++);
+        input.state = 'disconnected';
+        input.onstatechange({port: input});
+        assert.equal(transport.isOpen, false);
+        assert.equal(errors, 1);
+        transport.write([0xF9]);
+        assert.equal(errors, 2);
+    });
+
+    it('emits open when the ports were connected again', async () => {
+        const input = fakePort();
+        const output = fakePort();
+        input.state = 'disconnected';
+        const transport = new MidiDakoTransport(input, output);
+        await transport.open();
+        let opened = false;
+        transport.on('open', () => {
+            opened = true;
+        });
+        input.state = 'connected';
+        input.onstatechange({port: input});
+        assert.ok(opened);
+        assert.ok(transport.isOpen);
+    });
+
+    it('removes handlers when closed', async () => {
+        const input = fakePort();
+        const transport = new MidiDakoTransport(input, fakePort());
+        await transport.open();
+        await transport.close();
+        assert.equal(input.onmidimessage, null);
+        assert.equal(input.opened, false);
+    });
+});
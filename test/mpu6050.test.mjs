@@ -0,0 +1,52 @@
+import {describe, it} from 'node:test';
+import assert from 'node:assert/strict';
+import MPU6050 from '../src/vm/extensions/block/mpu6050.js';
+import {createRegisterDevice} from '../src/vm/extensions/block/simulator-dako-transport.js';
+import FakeI2CBoard from './helpers/fake-i2c-board.mjs';
+
+describe('MPU6050', () => {
+    it('initializes the ranges after the reset', async () => {
+        const board = new FakeI2CBoard(new Map([[0x68, createRegisterDevice({0x75: 0x68})]]));
+        await new MPU6050(board).init();
+        assert.deepEqual(board.writtenTo(0x68, 0x6B), [[0x80], [0x01]]);
+        assert.deepEqual(board.writtenTo(0x68, 0x1B), [[0x08]]);
+        assert.deepEqual(board.writtenTo(0x68, 0x1C), [[0x10]]);
+        assert.equal(await MPU6050.isConnected(board), true);
+    });
+
+    it('scales the acceleration by the range', async () => {
+        const device = createRegisterDevice({0x75: 0x68});
+        const sensor = new MPU6050(new FakeI2CBoard(new Map([[0x68, device]])));
+        await sensor.init(2, 50);
+        assert.deepEqual(sensor.board.writtenTo(0x68, 0x1C), [[0x00]]);
+        assert.deepEqual(sensor.board.writtenTo(0x68, 0x19), [[19]]);
+        device.write(0x3B, [0x40, 0x00, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0]);
+        assert.equal((await sensor.getAcceleration()).x, 9.80665);
+    });
+
+    it('decodes big endian acceleration and angular rate', async () => {
+        const device = createRegisterDevice({0x75: 0x68});
+        // 1G on Z, temperature, -65.5 on X of the gyroscope
+        device.write(0x3B, [0x00, 0x00, 0x00, 0x00, 0x10, 0x00, 0x00, 0x00, 0xFF, 0xBF, 0x00, 0x00, 0x00, 0x00]);
+        const sensor = new MPU6050(new FakeI2CBoard(new Map([[0x68, device]])));
+        const acceleration = await sensor.getAcceleration();
+        assert.equal(acceleration.z, 9.80665);
+        const angularRate = await sensor.getAngularRate();
+        assert.equal(Math.round(angularRate.x), -1);
+    });
+
+    it('calls the listener with the decoded motion', () => {
+        let replyListener = null;
+        const board = {
+            i2cSubscribe: (address, register, length, listener) => {
+                assert.deepEqual([address, register, length], [0x68, 0x3B, 14]);
+                replyListener = listener;
+                return {unsubscribe: () => {}};
+            }
+        };
+        const motions = [];
+        new MPU6050(board).subscribe(motion => motions.push(motion));
+        replyListener([0, 0, 0x10, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0]);
+        assert.equal(motions[0].acceleration.y, 9.80665);
+    });
+});
@@ -0,0 +1,28 @@
+import {describe, it} from 'node:test';
+import assert from 'node:assert/strict';
+import MY9221, {levelToChannels} from '../src/vm/extensions/block/my9221.js';
+
+describe('MY9221', () => {
+    it('lights the LEDs to the level with the dim last one', () => {
+        assert.deepEqual(levelToChannels(3.5), [255, 255, 255, 128, 0, 0, 0, 0, 0, 0, 0, 0]);
+        assert.deepEqual(levelToChannels(20), [...new Array(10).fill(255), 0, 0]);
+        assert.deepEqual(levelToChannels(-1), new Array(12).fill(0));
+    });
+
+    it('sends 208 bits at both edges then latches', () => {
+        const ledBar = new MY9221(null, 11, 10);
+        const steps = ledBar.transferSteps(levelToChannels(1));
+        const bits = [];
+        let data = 0;
+        steps.forEach(([pin, level]) => {
+            if (pin === 10) data = level;
+            if (pin === 11) bits.push(data);
+        });
+        assert.equal(bits.length, 13 * 16);
+        // command word then 0x00FF for the first LED
+        assert.deepEqual(bits.slice(16, 32), [0, 0, 0, 0, 0, 0, 0, 0, 1, 1, 1, 1, 1, 1, 1, 1]);
+        const latch = steps.slice(-8);
+        assert.ok(latch.every(([pin]) => pin === 10));
+        assert.deepEqual(latch.map(([, level]) => level), [1, 0, 1, 0, 1, 0, 1, 0]);
+    });
+});
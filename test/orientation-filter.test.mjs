@@ -0,0 +1,52 @@
+import {describe, it} from 'node:test';
+import assert from 'node:assert/strict';
+import OrientationFilter, {accelerationToPitch, accelerationToRoll} from
+    '../src/vm/extensions/block/orientation-filter.js';
+
+const STILL = {x: 0, y: 0, z: 0};
+
+describe('accelerationToRoll and accelerationToPitch', () => {
+    it('returns the angles by the gravity', () => {
+        assert.equal(accelerationToRoll({x: 0, y: 9.8, z: 0}), 90);
+        assert.equal(accelerationToPitch({x: 9.8, y: 0, z: 0}), 90);
+        assert.equal(Math.round(accelerationToPitch({x: 4.9, y: 0, z: -8.5})), 150);
+    });
+});
+
+describe('OrientationFilter', () => {
+    it('starts from the gravity and integrates the gyroscope', () => {
+        const filter = new OrientationFilter(1);
+        filter.update({x: 0, y: 0, z: 9.8}, STILL, 1000);
+        assert.equal(filter.roll, 0);
+        filter.update({x: 0, y: 0, z: 9.8}, {x: 90, y: -90, z: 0}, 1500);
+        assert.equal(filter.roll, 45);
+        assert.equal(filter.pitch, 45);
+    });
+
+    it('corrects the drift by the gravity', () => {
+        const filter = new OrientationFilter(0.9);
+        filter.update({x: 0, y: 0, z: 9.8}, STILL, 0);
+        for (let time = 50; time <= 5000; time += 50) {
+            filter.update({x: 0, y: 0, z: 9.8}, {x: 10, y: 0, z: 0}, time);
+        }
+        assert.ok(Math.abs(filter.roll) < 5, `roll ${filter.roll}`);
+    });
+
+    it('integrates yaw around the gravity and wraps it', () => {
+        const filter = new OrientationFilter();
+        filter.update({x: 0, y: 0, z: -9.8}, STILL, 0);
+        filter.update({x: 0, y: 0, z: -9.8}, {x: 0, y: 0, z: -200}, 1000);
+        assert.equal(filter.yaw, -160);
+        filter.resetYaw();
+        assert.equal(filter.yaw, 0);
+    });
+
+    it('restarts from the gravity after a long pause', () => {
+        const filter = new OrientationFilter(1);
+        filter.update({x: 0, y: 0, z: 9.8}, STILL, 0);
+        filter.update({x: 0, y: 9.8, z: 0}, {x: 10, y: 0, z: 0}, 5000);
+        assert.equal(filter.roll, 90);
+        assert.equal(filter.isUpdated(5500), true);
+        assert.equal(filter.isUpdated(7000), false);
+    });
+});
@@ -0,0 +1,71 @@
+import {describe, it} from 'node:test';
+import assert from 'node:assert/strict';
+import SCD4x from '../src/vm/extensions/block/scd4x.js';
+import {crc8} from '../src/vm/extensions/block/sht.js';
+import FakeI2CBoard from './helpers/fake-i2c-board.mjs';
+
+const withCRC = words => words.flatMap(word => {
+    const bytes = [word >> 8, word & 0xFF];
+    return [...bytes, crc8(bytes)];
+});
+
+/**
+ * Create a model of SCD4x which answers the commands.
+ * @param {Array<number>} measurement - raw words of CO2, temperature and humidity
+ * @returns {object} device for FakeI2CBoard
+ */
+const createDevice = measurement => ({
+    commands: [],
+    response: [],
+    ready: true,
+    write (register, data) {
+        const command = (register << 8) | data[0];
+        this.commands.push([command, data.slice(1)]);
+        this.response = [];
+        if (command === 0x3682) this.response = withCRC([0x1234, 0x5678, 0x9ABC]);
+        if (command === 0xE4B8) this.response = withCRC([this.ready ? 0x8006 : 0x8000]);
+        if (command === 0xEC05) this.response = withCRC(measurement);
+    },
+    read (register, length) {
+        return this.response.slice(0, length);
+    }
+});
+
+describe('SCD4x', () => {
+    it('starts the periodic measurement in init', async () => {
+        const device = createDevice([0, 0, 0]);
+        const board = new FakeI2CBoard(new Map([[0x62, device]]));
+        const sensor = new SCD4x(board);
+        await sensor.init();
+        assert.deepEqual(device.commands.map(([command]) => command), [0x3F86, 0x3682, 0x21B1]);
+        assert.equal(sensor.measuring, true);
+        assert.equal(await SCD4x.isConnected(board), true);
+    });
+
+    it('converts the measurement when it is ready', async () => {
+        const device = createDevice([800, 0x6666, 0x8000]);
+        const sensor = new SCD4x(new FakeI2CBoard(new Map([[0x62, device]])));
+        device.ready = false;
+        assert.equal(await sensor.update(), null);
+        device.ready = true;
+        const measurement = await sensor.update();
+        assert.equal(measurement.co2, 800);
+        assert.equal(Math.round(measurement.temperature * 10) / 10, 25);
+        assert.equal(Math.round(measurement.humidity), 50);
+    });
+
+    it('sends the ambient pressure with CRC only when it changed', async () => {
+        const device = createDevice([0, 0, 0]);
+        const sensor = new SCD4x(new FakeI2CBoard(new Map([[0x62, device]])));
+        await sensor.setAmbientPressure(1013.2);
+        await sensor.setAmbientPressure(1012.9);
+        const sent = device.commands.filter(([command]) => command === 0xE000);
+        assert.deepEqual(sent, [[0xE000, withCRC([1013])]]);
+    });
+
+    it('is not connected when the words are broken', async () => {
+        const device = createDevice([0, 0, 0]);
+        device.read = () => [0x80, 0x06, 0x00];
+        assert.equal(await SCD4x.isConnected(new FakeI2CBoard(new Map([[0x62, device]]))), false);
+    });
+});
@@ -0,0 +1,51 @@
+/**
+ * Loader hooks to run the extension sources on Node.
+ *
+ * The sources are written for the bundler of Xcratch, so this loader
+ * - resolves the imports without file extension,
+ * - loads the sources as ES modules except CommonJS ones,
+ * - loads JSON and PNG files as modules,
+ * - replaces the modules of scratch-vm which are provided by the host with the fakes.
+ */
+import {readFile} from 'node:fs/promises';
+
+const sourceRoot = new URL('../../src/', import.meta.url).href;
+const fakesRoot = new URL('../fakes/', import.meta.url).href;
+
+const hostModulePattern = /^(\.\.\/)+(extension-support|util)\/([\w-]+)$/;
+
+export const resolve = async (specifier, context, nextResolve) => {
+    const parentURL = context.parentURL || '';
+    if (parentURL.startsWith(sourceRoot)) {
+        const hostModule = specifier.match(hostModulePattern);
+        if (hostModule) {
+            return {url: `${fakesRoot}${hostModule[3]}.mjs`, shortCircuit: true};
+        }
+        if (specifier.endsWith('.png')) {
+            return {url: new URL(specifier, parentURL).href, shortCircuit: true};
+        }
+        if (specifier.startsWith('.') && !/\.\w+$/.test(specifier)) {
+            return nextResolve(`${specifier}.js`, context);
+        }
+    }
+    return nextResolve(specifier, context);
+};
+
+export const load = async (url, context, nextLoad) => {
+    if (!url.startsWith(sourceRoot)) return nextLoad(url, context);
+    if (url.endsWith('.png')) {
+        return {format: 'module', source: `export default ${JSON.stringify(url)};`, shortCircuit: true};
+    }
+    if (url.endsWith('.json')) {
+        const json = await readFile(new URL(url), 'utf-8');
+        return {format: 'module', source: `export default ${json};`, shortCircuit: true};
+    }
+    if (url.endsWith('.js')) {
+        const source = await readFile(new URL(url), 'utf-8');
+        if (/\bmodule\.exports\b/.test(source)) {
+            return nextLoad(url, {...context, format: 'commonjs'});
+        }
+        return {format: 'module', source: source, shortCircuit: true};
+    }
+    return nextLoad(url, context);
+};
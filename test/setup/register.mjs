@@ -0,0 +1,4 @@
+// Register the loader hooks which make the extension sources loadable on Node.
+import {register} from 'node:module';
+
+register('./loader.mjs', import.meta.url);
@@ -0,0 +1,69 @@
+import {describe, it} from 'node:test';
+import assert from 'node:assert/strict';
+import SGP30 from '../src/vm/extensions/block/sgp30.js';
+import {crc8} from '../src/vm/extensions/block/sht.js';
+import FakeI2CBoard from './helpers/fake-i2c-board.mjs';
+
+const withCRC = words => words.flatMap(word => {
+    const bytes = [word >> 8, word & 0xFF];
+    return [...bytes, crc8(bytes)];
+});
+
+/**
+ * Create a model of SGP30 which answers the commands.
+ * @returns {object} device for FakeI2CBoard
+ */
+const createDevice = () => ({
+    commands: [],
+    response: [],
+    write (register, data) {
+        const command = (register << 8) | data[0];
+        this.commands.push([command, data.slice(1)]);
+        this.response = [];
+        if (command === 0x202F) this.response = withCRC([0x0022]);
+        if (command === 0x2008) this.response = withCRC([450, 12]);
+        if (command === 0x2015) this.response = withCRC([0x8973, 0x8AAE]);
+    },
+    read (register, length) {
+        return this.response.slice(0, length);
+    }
+});
+
+describe('SGP30', () => {
+    it('restores the baseline in TVOC then eCO2 order after init', async () => {
+        const device = createDevice();
+        const sensor = new SGP30(new FakeI2CBoard(new Map([[0x58, device]])));
+        await sensor.init({eco2: 0x8973, tvoc: 0x8AAE});
+        assert.deepEqual(device.commands.map(([command]) => command), [0x202F, 0x2003, 0x201E]);
+        assert.deepEqual(device.commands[2][1], withCRC([0x8AAE, 0x8973]));
+    });
+
+    it('rejects another product type', async () => {
+        const device = createDevice();
+        device.write = function () {
+            this.response = withCRC([0x1022]);
+        };
+        await assert.rejects(new SGP30(new FakeI2CBoard(new Map([[0x58, device]]))).init());
+    });
+
+    it('reads the air quality and the baseline', async () => {
+        const sensor = new SGP30(new FakeI2CBoard(new Map([[0x58, createDevice()]])));
+        assert.deepEqual(await sensor.readAirQuality(), {eco2: 450, tvoc: 12});
+        assert.deepEqual(await sensor.getBaseline(), {eco2: 0x8973, tvoc: 0x8AAE});
+    });
+
+    it('measures in every second while subscribed', async t => {
+        t.mock.timers.enable({apis: ['setInterval']});
+        const sensor = new SGP30(new FakeI2CBoard(new Map([[0x58, createDevice()]])));
+        let count = 0;
+        sensor.measure = () => {
+            count++;
+            return Promise.resolve();
+        };
+        sensor.subscribe();
+        t.mock.timers.tick(3000);
+        sensor.unsubscribe();
+        t.mock.timers.tick(3000);
+        assert.equal(count, 3);
+    });
+});
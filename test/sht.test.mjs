@@ -0,0 +1,105 @@
+import {describe, it} from 'node:test';
+import assert from 'node:assert/strict';
+import SHT, {crc8} from '../src/vm/extensions/block/sht.js';
+import FakeI2CBoard from './helpers/fake-i2c-board.mjs';
+
+const withCRC = words => words.flatMap(word => {
+    const bytes = [word >> 8, word & 0xFF];
+    return [...bytes, crc8(bytes)];
+});
+
+/**
+ * Create a model of SHT which answers the commands.
+ * @param {string} series - SHT3x or SHT4x
+ * @param {number} rawTemperature - raw value of temperature
+ * @param {number} rawHumidity - raw value of humidity
+ * @returns {object} device for FakeI2CBoard
+ */
+const createDevice = (series, rawTemperature, rawHumidity) => {
+    const device = {
+        commands: [],
+        response: [],
+        corrupt: false,
+        write (register, data) {
+            const command = (data.length > 0) ? ((register << 8) | data[0]) : register;
+            this.commands.push(command);
+            this.response = [];
+            if (series === 'SHT3x') {
+                if (command === 0xF32D) this.response = withCRC([0x8010]);
+                if ((command >> 8) === 0x24) this.response = withCRC([rawTemperature, rawHumidity]);
+            } else {
+                if (command === 0x89) this.response = withCRC([0x1234, 0x5678]);
+                if ([0xFD, 0xF6, 0xE0, 0x24].includes(command)) this.response = withCRC([rawTemperature, rawHumidity]);
+            }
+            if (this.corrupt && this.response.length > 0) this.response[2] ^= 0xFF;
+        },
+        read (register, length) {
+            return this.response.slice(0, length);
+        }
+    };
+    return device;
+};
+
+describe('crc8', () => {
+    it('matches the example in the datasheet', () => {
+        assert.equal(crc8([0xBE, 0xEF]), 0x92);
+    });
+});
+
+describe('SHT', () => {
+    it('detects SHT3x and converts the values', async () => {
+        const device = createDevice('SHT3x', 0x6666, 0x8000);
+        const sensor = new SHT(new FakeI2CBoard(new Map([[0x44, device]])));
+        await sensor.init();
+        assert.equal(sensor.series, 'SHT3x');
+        assert.ok(device.commands.includes(0x30A2));
+        assert.equal(await sensor.readTemperature(), -45 + ((175 * 0x6666) / 65535));
+        assert.equal(await sensor.readHumidity(), (100 * 0x8000) / 65535);
+        assert.equal(device.commands.filter(command => command === 0x2400).length, 1);
+        assert.equal(await sensor.readPressure(), null);
+    });
+
+    it('detects SHT4x and converts the values', async () => {
+        const device = createDevice('SHT4x', 0x6666, 0x8000);
+        const sensor = new SHT(new FakeI2CBoard(new Map([[0x44, device]])));
+        await sensor.init();
+        assert.equal(sensor.series, 'SHT4x');
+        assert.equal(await sensor.readHumidity(), -6 + ((125 * 0x8000) / 65535));
+    });
+
+    it('uses the command for the repeatability', async () => {
+        const device = createDevice('SHT4x', 0x6666, 0x8000);
+        const sensor = new SHT(new FakeI2CBoard(new Map([[0x44, device]])));
+        await sensor.init();
+        sensor.setRepeatability('low');
+        await sensor.readTemperature();
+        assert.equal(device.commands[device.commands.length - 1], 0xE0);
+    });
+
+    it('turns the heater on', async () => {
+        const sht3x = createDevice('SHT3x', 0x6666, 0x8000);
+        const sensor3x = new SHT(new FakeI2CBoard(new Map([[0x44, sht3x]])));
+        await sensor3x.init();
+        await sensor3x.setHeater(true);
+        assert.equal(sht3x.commands[sht3x.commands.length - 1], 0x306D);
+
+        const sht4x = createDevice('SHT4x', 0x6666, 0x8000);
+        const sensor4x = new SHT(new FakeI2CBoard(new Map([[0x44, sht4x]])));
+        await sensor4x.init();
+        await sensor4x.setHeater(true);
+        await sensor4x.readTemperature();
+        assert.equal(sht4x.commands[sht4x.commands.length - 1], 0x24);
+    });
+
+    it('rejects data with a wrong CRC', async () => {
+        const device = createDevice('SHT3x', 0x6666, 0x8000);
+        const sensor = new SHT(new FakeI2CBoard(new Map([[0x44, device]])));
+        await sensor.init();
+        device.corrupt = true;
+        await assert.rejects(sensor.readTemperature());
+    });
+
+    it('is not connected when no device answers', async () => {
+        assert.equal(await SHT.isConnected(new FakeI2CBoard(new Map())), false);
+    });
+});
@@ -0,0 +1,123 @@
+import {describe, it} from 'node:test';
+import assert from 'node:assert/strict';
+import SimulatorDakoTransport from '../src/vm/extensions/block/simulator-dako-transport.js';
+import BME280 from '../src/vm/extensions/block/bme280.js';
+import LTR303 from '../src/vm/extensions/block/ltr303.js';
+import KXTJ3 from '../src/vm/extensions/block/kxtj3.js';
+import ADXL345 from '../src/vm/extensions/block/adxl345.js';
+import FakeI2CBoard from './helpers/fake-i2c-board.mjs';
+
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Open a simulator which collects the responses.
+ * @param {object} options - options for the simulator
+ * @returns {Promise<{simulator: SimulatorDakoTransport, received: Array<number>}>} opened simulator
+ */
+const openSimulator = async options => {
+    const simulator = new SimulatorDakoTransport(options);
+    simulator.responseDelay = 0;
+    const received = [];
+    simulator.on('data', data => received.push(...data));
+    await simulator.open();
+    return {simulator, received};
+};
+
+describe('SimulatorDakoTransport protocol', () => {
+    it('answers the board version query', async () => {
+        const {simulator, received} = await openSimulator({version: {type: 2, major: 1, minor: 5}});
+        simulator.write([0xF0, 0x0F, 0xF7]);
+        await wait(5);
+        await simulator.close();
+        const value = (2 << 10) | (1 << 6) | 5;
+        assert.deepEqual(received, [0xF0, 0x0F, value & 0x7F, value >> 7, 0xF7]);
+    });
+
+    it('handles a message which was split into several writes', async () => {
+        const {simulator, received} = await openSimulator();
+        simulator.sensorValues.ultrasonicDistance[6] = 300;
+        simulator.write([0xF0, 0x01]);
+        simulator.write([6, 0xF7]);
+        await wait(5);
+        await simulator.close();
+        assert.deepEqual(received, [0xF0, 0x01, 6, 300 & 0x7F, 300 >> 7, 0xF7]);
+    });
+
+    it('replies empty payload for no echo', async () => {
+        const {simulator, received} = await openSimulator();
+        simulator.sensorValues.ultrasonicDistance[10] = null;
+        simulator.write([0xF0, 0x01, 10, 0xF7]);
+        await wait(5);
+        await simulator.close();
+        assert.deepEqual(received, [0xF0, 0x01, 10, 0xF7]);
+    });
+
+    it('replies I2C read only for the existing devices', async () => {
+        const {simulator, received} = await openSimulator();
+        simulator.write([0xF0, 0x76, 0x50, 0x01 << 3, 0x50, 0x01, 0x01, 0x00, 0xF7]); // no device at 0x50
+        simulator.write([0xF0, 0x76, 0x76, 0x01 << 3, 0x50, 0x01, 0x01, 0x00, 0xF7]); // chip ID of BME280
+        await wait(5);
+        await simulator.close();
+        assert.deepEqual(received, [0xF0, 0x77, 0x76, 0x00, 0x50, 0x01, 0x60, 0x00, 0xF7]);
+    });
+
+    it('keeps replying continuous reads until stopped', async () => {
+        const {simulator, received} = await openSimulator();
+        simulator.samplingInterval = 10;
+        await simulator.close();
+        await simulator.open();
+        simulator.write([0xF0, 0x76, 0x29, 0x02 << 3, 0x06, 0x01, 0x01, 0x00, 0xF7]);
+        await wait(35);
+        const replies = received.filter(byte => byte === 0x77).length;
+        assert.ok(replies >= 2, `${replies} replies`);
+        simulator.write([0xF0, 0x76, 0x29, 0x03 << 3, 0xF7]);
+        received.length = 0;
+        await wait(25);
+        await simulator.close();
+        assert.equal(received.filter(byte => byte === 0x77).length, 0);
+    });
+});
+
+describe('SimulatorDakoTransport devices', () => {
+    it('simulates BME280 values', async () => {
+        const simulator = new SimulatorDakoTransport();
+        Object.assign(simulator.sensorValues, {temperature: 21.5, pressure: 1000.5, humidity: 40});
+        const sensor = new BME280(new FakeI2CBoard(simulator.i2cDevices));
+        await sensor.init();
+        assert.ok(Math.abs((await sensor.readTemperature()) - 21.5) < 0.01);
+        assert.ok(Math.abs(((await sensor.readPressure()) / 100) - 1000.5) < 0.01);
+        assert.ok(Math.abs((await sensor.readHumidity()) - 40) < 0.1);
+    });
+
+    it('simulates LTR303 brightness', async () => {
+        const simulator = new SimulatorDakoTransport();
+        simulator.sensorValues.brightness = 500;
+        const sensor = new LTR303(new FakeI2CBoard(simulator.i2cDevices));
+        await sensor.init();
+        assert.ok(Math.abs((await sensor.getBrightness()) - 500) < 1);
+    });
+
+    it('simulates the selected accelerometer', async () => {
+        const acceleration = {x: 1.5, y: -2.0, z: 9.8};
+        const kxtj3Simulator = new SimulatorDakoTransport();
+        kxtj3Simulator.sensorValues.acceleration = acceleration;
+        const kxtj3 = new KXTJ3(new FakeI2CBoard(kxtj3Simulator.i2cDevices));
+        await kxtj3.init();
+        const adxlSimulator = new SimulatorDakoTransport({accelerometer: 'adxl345'});
+        adxlSimulator.sensorValues.acceleration = acceleration;
+        assert.equal(adxlSimulator.i2cDevices.has(0x0E), false);
+        const adxl345 = new ADXL345(new FakeI2CBoard(adxlSimulator.i2cDevices));
+        await adxl345.init();
+        for (const acc of [await kxtj3.getAcceleration(), await adxl345.getAcceleration()]) {
+            assert.ok(Math.abs(acc.x - 1.5) < 0.05);
+            assert.ok(Math.abs(acc.y + 2.0) < 0.05);
+            assert.ok(Math.abs(acc.z - 9.8) < 0.05);
+        }
+    });
+
+    it('places VL53L0X at the address for the board version', () => {
+        assert.ok(new SimulatorDakoTransport({version: {type: 2, major: 1, minor: 0}}).i2cDevices.has(0x08));
+        // 0x29 is used by LTR303 on the old boards too
+        assert.equal(new SimulatorDakoTransport({version: {type: 1, major: 0, minor: 0}}).i2cDevices.has(0x08), false);
+    });
+});
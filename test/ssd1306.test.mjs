@@ -0,0 +1,62 @@
+import {describe, it} from 'node:test';
+import assert from 'node:assert/strict';
+import SSD1306 from '../src/vm/extensions/block/ssd1306.js';
+import {toFontText, glyphOf} from '../src/vm/extensions/block/ssd1306-font.js';
+import FakeI2CBoard from './helpers/fake-i2c-board.mjs';
+
+const createDisplay = () => {
+    const board = new FakeI2CBoard(new Map());
+    return {display: new SSD1306(board), board};
+};
+
+describe('SSD1306', () => {
+    it('sends all columns after init in short writes', async () => {
+        const {display, board} = createDisplay();
+        await display.init();
+        const data = board.writtenTo(0x3C, 0x40);
+        assert.equal(data.flat().length, 1024);
+        data.forEach(bytes => assert.ok(bytes.length <= 16));
+        assert.equal(board.writtenTo(0x3C, 0x00)[0][0], 0xAE);
+    });
+
+    it('sends only the changed columns of the changed pages', async () => {
+        const {display, board} = createDisplay();
+        await display.init();
+        board.log = [];
+        display.drawPixel(10, 9);
+        display.drawPixel(12, 9);
+        await display.display();
+        assert.deepEqual(board.writtenTo(0x3C, 0x00), [[0x21, 10, 12, 0x22, 1, 1]]);
+        assert.deepEqual(board.writtenTo(0x3C, 0x40), [[0x02, 0x00, 0x02]]);
+        board.log = [];
+        await display.display();
+        assert.deepEqual(board.log, []);
+    });
+
+    it('draws lines and rectangles in the framebuffer', () => {
+        const {display} = createDisplay();
+        display.drawLine(0, 0, 7, 7);
+        for (let x = 0; x < 8; x++) assert.equal(display.buffer[x], 1 << x);
+        display.clear();
+        display.drawRect(0, 8, 3, 3, true);
+        assert.deepEqual(Array.from(display.buffer.slice(128, 131)), [0x07, 0x07, 0x07]);
+        display.drawRect(-100, -100, 500, 500, true);
+        assert.ok(display.buffer.every(byte => byte === 0xFF));
+    });
+
+    it('draws a text with the glyphs', () => {
+        const {display} = createDisplay();
+        const next = display.drawText('A', 0, 0);
+        assert.equal(next, 6);
+        assert.deepEqual(Array.from(display.buffer.slice(0, 6)), [...glyphOf('A'), 0]);
+    });
+});
+
+describe('toFontText', () => {
+    it('converts kana and full-width characters into the font', () => {
+        assert.equal(toFontText('がっこう'), 'ｶﾞｯｺｳ');
+        assert.equal(toFontText('パン　ＡＢ１'), 'ﾊﾟﾝ AB1');
+        assert.equal(toFontText('25°C'), '25ﾟC');
+        assert.equal(toFontText('漢字'), '??');
+    });
+});
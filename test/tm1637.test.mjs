@@ -0,0 +1,57 @@
+import {describe, it} from 'node:test';
+import assert from 'node:assert/strict';
+import TM1637, {encodeNumber} from '../src/vm/extensions/block/tm1637.js';
+
+/**
+ * Decode the bytes in each transfer from the pin levels like TM1637 does.
+ * @param {Array<Array<number>>} steps - [pin, level] in order
+ * @param {number} clockPin - pin number of CLK
+ * @param {number} dataPin - pin number of DIO
+ * @returns {Array<Array<number>>} bytes of each transfer without ACK
+ */
+const decodeTransfers = (steps, clockPin, dataPin) => {
+    const levels = {[clockPin]: 1, [dataPin]: 1};
+    const transfers = [];
+    let bits = null;
+    steps.forEach(([pin, level]) => {
+        const prev = levels[pin];
+        levels[pin] = level;
+        if (pin === dataPin && levels[clockPin] === 1 && prev === 1 && level === 0) {
+            bits = [];
+            transfers.push(bits);
+        }
+        if (pin === clockPin && prev === 0 && level === 1 && bits) bits.push(levels[dataPin]);
+    });
+    return transfers.map(transferBits => {
+        const bytes = [];
+        for (let index = 0; index + 9 <= transferBits.length; index += 9) {
+            bytes.push(transferBits.slice(index, index + 8)
+                .reduce((byte, bit, position) => byte | (bit << position), 0));
+        }
+        return bytes;
+    });
+};
+
+describe('TM1637', () => {
+    it('encodes numbers in right alignment', () => {
+        assert.deepEqual(encodeNumber(42), [0x00, 0x00, 0x66, 0x5B]);
+        assert.deepEqual(encodeNumber(-7.6), [0x00, 0x00, 0x40, 0x7F]);
+        assert.deepEqual(encodeNumber(12345), [0x40, 0x40, 0x40, 0x40]);
+    });
+
+    it('sends the commands and the segments in LSB first', async () => {
+        let sent = null;
+        const board = {
+            digitalWriteSequence: steps => {
+                sent = steps;
+                return Promise.resolve();
+            }
+        };
+        await new TM1637(board, 10, 11).showNumber(1234);
+        assert.deepEqual(decodeTransfers(sent, 10, 11), [
+            [0x40],
+            [0xC0, 0x06, 0x5B, 0x4F, 0x66],
+            [0x8F]
+        ]);
+    });
+});
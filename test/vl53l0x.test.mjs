@@ -0,0 +1,44 @@
+import {describe, it} from 'node:test';
+import assert from 'node:assert/strict';
+import VL53L0X, {rangeStatusOf} from '../src/vm/extensions/block/vl53l0x.js';
+import SimulatorDakoTransport, {createRegisterDevice} from '../src/vm/extensions/block/simulator-dako-transport.js';
+import FakeI2CBoard from './helpers/fake-i2c-board.mjs';
+
+describe('VL53L0X', () => {
+    it('is not found when the model ID is different', async () => {
+        const board = new FakeI2CBoard(new Map([[0x29, createRegisterDevice({0xC0: 0x00})]]));
+        assert.equal(await new VL53L0X(board).init(true), false);
+    });
+
+    it('initializes and reads range in continuous mode', async () => {
+        const simulator = new SimulatorDakoTransport();
+        simulator.sensorValues.opticalDistance = 345;
+        const board = new FakeI2CBoard(simulator.i2cDevices);
+        const sensor = new VL53L0X(board, 0x08);
+        assert.equal(await sensor.init(true), true);
+        await sensor.setRangeProfile('LONG_RANGE');
+        await sensor.startContinuous();
+        assert.equal(await sensor.readRangeContinuousMillimeters(), 345);
+        assert.deepEqual(board.writtenTo(0x08, 0x0B).at(-1), [0x01]); // interrupt was cleared
+        assert.equal(sensor.range_status, 'VALID');
+    });
+
+    it('reports out of range when no target was found', async () => {
+        const simulator = new SimulatorDakoTransport();
+        simulator.sensorValues.opticalDistance = 9000;
+        const board = new FakeI2CBoard(simulator.i2cDevices);
+        const sensor = new VL53L0X(board, 0x08);
+        await sensor.init(true);
+        await sensor.startContinuous();
+        assert.equal(await sensor.readRangeContinuousMillimeters(), 8190);
+        assert.equal(sensor.range_status, 'OUT_OF_RANGE');
+    });
+
+    it('decodes the device range status', () => {
+        assert.equal(rangeStatusOf(11 << 3, 500), 'VALID');
+        assert.equal(rangeStatusOf(4 << 3, 500), 'SIGNAL_FAIL');
+        assert.equal(rangeStatusOf(9 << 3, 500), 'PHASE_FAIL');
+        assert.equal(rangeStatusOf(10 << 3, 20), 'MIN_RANGE_FAIL');
+        assert.equal(rangeStatusOf(2 << 3, 500), 'HARDWARE_FAIL');
+    });
+});
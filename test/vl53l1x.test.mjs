@@ -0,0 +1,130 @@
+import {describe, it} from 'node:test';
+import assert from 'node:assert/strict';
+import VL53L1X, {rangeStatusOf} from '../src/vm/extensions/block/vl53l1x.js';
+import FakeI2CBoard from './helpers/fake-i2c-board.mjs';
+
+/**
+ * Create a model of VL53L1X which has registers in 16-bit addresses.
+ * A write sets the register address by the register and the first byte, then the rest are written.
+ * @param {number} range - range which is measured [mm]
+ * @param {number} status - device range status
+ * @returns {object} device for FakeI2CBoard
+ */
+const createDevice = (range, status) => {
+    const registers = new Uint8Array(0x10000);
+    registers.set([0xEA, 0xCC], 0x010F); // model ID
+    registers[0x00E5] = 0x01; // booted
+    registers[0x0031] = 0x01; // data ready in the active high
+    registers.set([0xBA, 0x2E], 0x0006); // fast oscillator frequency
+    registers.set([0x01, 0x12], 0x00DE); // oscillator calibration
+    registers[0x013E] = 0x91; // optical center
+    registers[0x0089] = status;
+    registers.set([range >> 8, range & 0xFF], 0x0096);
+    return {
+        registers: registers,
+        index: 0,
+        write (register, data) {
+            this.index = (register << 8) | data[0];
+            this.registers.set(data.slice(1), this.index);
+            this.registers[0x0031] = 0x01; // status is not writable
+        },
+        read (register, length) {
+            return Array.from(this.registers.slice(this.index, this.index + length));
+        }
+    };
+};
+
+describe('VL53L1X', () => {
+    it('is not found when the model ID is different', async () => {
+        const device = createDevice(0, 0);
+        device.registers[0x0110] = 0x00;
+        const board = new FakeI2CBoard(new Map([[0x29, device]]));
+        assert.equal(await VL53L1X.isConnected(board), false);
+        assert.equal(await new VL53L1X(board).init(), false);
+    });
+
+    it('initializes with the default configuration and reads range in continuous mode', async () => {
+        const device = createDevice(3210, 9);
+        const board = new FakeI2CBoard(new Map([[0x29, device]]));
+        assert.equal(await VL53L1X.isConnected(board), true);
+        const sensor = new VL53L1X(board);
+        assert.equal(await sensor.init(), true);
+        assert.equal(device.registers[0x0046], 0x20); // interrupt at new sample of the configuration
+        assert.equal(device.registers[0x0008], 0x09);
+        assert.equal(sensor.osc_calibrate_val, 0x0112);
+        await sensor.startContinuous();
+        assert.equal(device.registers[0x0087], 0x40);
+        // inter-measurement period is the timing budget of 50 ms
+        assert.deepEqual(Array.from(device.registers.slice(0x006C, 0x0070)), [0x00, 0x00, 0x35, 0x84]);
+        assert.equal(await sensor.readRangeContinuousMillimeters(), 3210);
+        assert.equal(sensor.range_status, 'VALID');
+        await sensor.stopContinuous();
+        assert.equal(device.registers[0x0087], 0x00);
+    });
+
+    it('sets the distance mode and the region of interest', async () => {
+        const device = createDevice(0, 9);
+        const sensor = new VL53L1X(new FakeI2CBoard(new Map([[0x29, device]])));
+        await sensor.init();
+        await sensor.setDistanceMode('SHORT');
+        assert.equal(device.registers[0x0060], 0x07);
+        assert.equal(device.registers[0x0063], 0x05);
+        assert.deepEqual(Array.from(device.registers.slice(0x0078, 0x007C)), [0x07, 0x05, 0x06, 0x06]);
+        await assert.rejects(sensor.setDistanceMode('FAR'));
+        await sensor.setROISize(4, 8);
+        assert.equal(device.registers[0x007F], 0x91); // optical center
+        assert.equal(device.registers[0x0080], 0x73);
+        await sensor.setROISize(16, 16);
+        assert.equal(device.registers[0x007F], 199);
+        assert.equal(device.registers[0x0080], 0xFF);
+    });
+
+    it('makes longer range timeouts for the longer timing budget', async () => {
+        const device = createDevice(0, 9);
+        const sensor = new VL53L1X(new FakeI2CBoard(new Map([[0x29, device]])));
+        await sensor.init();
+        const timeoutA = () => (device.registers[0x005E] << 8) | device.registers[0x005F];
+        const decoded = value => ((value & 0xFF) << (value >> 8)) + 1;
+        await sensor.setMeasurementTimingBudget(20000);
+        const short = decoded(timeoutA());
+        await sensor.setMeasurementTimingBudget(200000);
+        const long = decoded(timeoutA());
+        assert.ok(long > short * 8 && long < short * 16);
+    });
+
+    it('does not access 16-bit registers of LTR303 at the same address', async () => {
+        const device = createDevice(0, 0);
+        const ltr303 = {0x86: 0xA0, 0x87: 0x05};
+        device.read = (register, length) => ((register in ltr303) ? [ltr303[register]] : new Array(length).fill(0));
+        const board = new FakeI2CBoard(new Map([[0x29, device]]));
+        assert.equal(await VL53L1X.isConnected(board), false);
+        assert.equal(board.log.some(([type]) => type === 'write'), false);
+    });
+
+    it('reads the model ID of a VL53L1X which answers like a part ID of LTR303', async () => {
+        const device = createDevice(0, 0);
+        // the 8-bit read returns a byte at the last index of the 16-bit registers
+        device.registers[0x0000] = 0xA0;
+        const board = new FakeI2CBoard(new Map([[0x29, device]]));
+        assert.equal(await VL53L1X.isConnected(board), true);
+        assert.deepEqual(board.log.find(([type]) => type === 'write').slice(2), [0x01, [0x0F]]);
+    });
+
+    it('reads the model ID when the 8-bit probe of LTR303 is not answered', async () => {
+        const board = new FakeI2CBoard(new Map([[0x29, createDevice(0, 0)]]));
+        const i2cReadOnce = board.i2cReadOnce.bind(board);
+        board.i2cReadOnce = (address, register, length) => ((length === 1) ?
+            Promise.reject('timeout') :
+            i2cReadOnce(address, register, length));
+        assert.equal(await VL53L1X.isConnected(board), true);
+    });
+
+    it('decodes the device range status', () => {
+        assert.equal(rangeStatusOf(9), 'VALID');
+        assert.equal(rangeStatusOf(0xE9), 'VALID');
+        assert.equal(rangeStatusOf(4), 'SIGNAL_FAIL');
+        assert.equal(rangeStatusOf(5), 'PHASE_FAIL');
+        assert.equal(rangeStatusOf(6), 'SIGMA_FAIL');
+        assert.equal(rangeStatusOf(7), 'WRAP_AROUND');
+    });
+});
@@ -0,0 +1,134 @@
+import {describe, it, before, after} from 'node:test';
+import assert from 'node:assert/strict';
+import {once} from 'node:events';
+import net from 'node:net';
+import {WebSocketServer, WebSocket} from 'ws';
+import WebSocketDakoTransport from '../src/vm/extensions/block/websocket-dako-transport.js';
+
+// the transport uses WebSocket of the browser, ws has the same interface
+if (typeof globalThis.WebSocket === 'undefined') {
+    globalThis.WebSocket = WebSocket;
+}
+
+/**
+ * Start a bridge on a free local port.
+ * @returns {Promise<{server: WebSocketServer, url: string}>} the server and its URL
+ */
+const startServer = async () => {
+    const server = new WebSocketServer({port: 0, host: '127.0.0.1'});
+    await once(server, 'listening');
+    return {server, url: `ws://127.0.0.1:${server.address().port}`};
+};
+
+/**
+ * Stop the server and the connections on it.
+ * @param {WebSocketServer} server - server to stop
+ * @returns {Promise} a Promise which resolves when the server was closed
+ */
+const stopServer = server => {
+    server.clients.forEach(client => client.terminate());
+    return new Promise(resolve => server.close(resolve));
+};
+
+describe('WebSocketDakoTransport', () => {
+    let bridge;
+
+    before(async () => {
+        bridge = await startServer();
+    });
+
+    after(async () => {
+        await stopServer(bridge.server);
+    });
+
+    it('connects to the bridge', async () => {
+        const transport = new WebSocketDakoTransport(bridge.url);
+        const connection = once(bridge.server, 'connection');
+        let opened = false;
+        transport.on('open', () => {
+            opened = true;
+        });
+        assert.equal(await transport.open(), undefined);
+        await connection;
+        assert.equal(opened, true);
+        assert.equal(transport.isConnected(), true);
+        await transport.close();
+        assert.equal(transport.isConnected(), false);
+    });
+
+    it('relays binary data in both directions and ignores text', async () => {
+        const transport = new WebSocketDakoTransport(bridge.url);
+        const connection = once(bridge.server, 'connection');
+        await transport.open();
+        const [client] = await connection;
+        const received = once(client, 'message');
+        let written = false;
+        transport.write([0xF0, 0x79, 0xF7], () => {
+            written = true;
+        });
+        const [data, isBinary] = await received;
+        assert.equal(written, true);
+        assert.equal(isBinary, true);
+        assert.deepEqual(Array.from(data), [0xF0, 0x79, 0xF7]);
+        const relayed = [];
+        transport.on('data', bytes => relayed.push(Array.from(bytes)));
+        client.send('control');
+        client.send(Uint8Array.from([0xE0, 0x01, 0x02]));
+        await once(transport, 'data');
+        assert.deepEqual(relayed, [[0xE0, 0x01, 0x02]]);
+        await transport.close();
+    });
+
+    it('emits error when the bridge closed the connection', async () => {
+        const transport = new WebSocketDakoTransport(bridge.url);
+        const connection = once(bridge.server, 'connection');
+        await transport.open();
+        const [client] = await connection;
+        const lost = once(transport, 'error');
+        client.close();
+        await lost;
+        assert.equal(transport.isConnected(), false);
+        const errors = [];
+        transport.on('error', () => errors.push('write'));
+        transport.write([0x00]);
+        assert.deepEqual(errors, ['write']);
+    });
+
+    it('does not emit error when it was closed by itself', async () => {
+        const transport = new WebSocketDakoTransport(bridge.url);
+        const connection = once(bridge.server, 'connection');
+        await transport.open();
+        const [client] = await connection;
+        let errors = 0;
+        transport.on('error', () => {
+            errors++;
+        });
+        await transport.close();
+        await once(client, 'close');
+        assert.equal(errors, 0);
+    });
+
+    it('resolves an error message when the bridge is not running', async () => {
+        const stopped = await startServer();
+        await stopServer(stopped.server);
+        const transport = new WebSocketDakoTransport(stopped.url);
+        assert.equal(await transport.open(), `could not open ${stopped.url}`);
+        assert.equal(transport.isConnected(), false);
+    });
+
+    it('resolves an error message when the bridge does not answer', async () => {
+        // accepts the TCP connection but never completes the handshake
+        const sockets = [];
+        const silent = net.createServer(socket => sockets.push(socket));
+        silent.listen(0, '127.0.0.1');
+        await once(silent, 'listening');
+        const url = `ws://127.0.0.1:${silent.address().port}`;
+        const transport = new WebSocketDakoTransport(url);
+        transport.openingWaitingTime = 50;
+        assert.equal(await transport.open(), `timeout 50ms to open ${url}`);
+        assert.equal(transport.isConnected(), false);
+        assert.equal(transport.socket, null);
+        sockets.forEach(socket => socket.destroy());
+        await new Promise(resolve => silent.close(resolve));
+    });
+});